@@ -0,0 +1,20 @@
+/**
+ * One-off migration: fill vendorIds/vendorStatusKeys on events created before they existed.
+ * Vendor booking lists and Event.getByVendorId query these fields, so run it once after deploying.
+ *
+ * Usage: npm run migrate:vendor-index
+ */
+import 'dotenv/config';
+import { initializeFirebase } from '../src/config/firebase.js';
+import { Event } from '../src/models/event.js';
+
+try {
+    await initializeFirebase();
+
+    const count = await Event.backfillVendorIndex();
+    console.log(`Indexed vendors on ${count} existing event(s)`);
+    process.exit(0);
+} catch (error) {
+    console.error('Vendor index backfill failed:', error.message);
+    process.exit(1);
+}
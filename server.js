@@ -2,8 +2,12 @@ import 'dotenv/config';
 import app from './src/app.js';
 import { initializeFirebase } from './src/config/firebase.js';
 import './src/services/emailServices.js'; 
+import { closeAll as closeRealtimeStreams } from './src/services/realtimeService.js';
+import { createReminderScheduler } from './src/services/reminderScheduler.js';
+import config from './src/config/index.js';
 
 let server; 
+let reminderScheduler;
 
 // Initialize Firebase and start server
 (async () => {
@@ -18,6 +22,14 @@ let server;
             console.log(`Server running on port ${PORT}`);
         });
 
+        // Task reminders and overdue escalation (turn off on all but one instance)
+        if (config.REMINDERS_ENABLED) {
+            reminderScheduler = createReminderScheduler({
+                intervalMs: config.REMINDER_INTERVAL_MINUTES * 60 * 1000
+            });
+            reminderScheduler.start();
+        }
+
         // --- Error and Shutdown Handlers ---
 
         // Handle unhandled promise rejections
@@ -43,8 +55,14 @@ let server;
         });
 
         // Graceful shutdown (for signals like Ctrl+C or deployment kill commands)
-        process.on('SIGTERM', () => {
+        process.on('SIGTERM', async () => {
             console.log('SIGTERM received. Closing server gracefully...');
+            // Let a reminder run in progress finish before shutting down
+            if (reminderScheduler) {
+                await reminderScheduler.stop();
+            }
+            // Open SSE streams would otherwise keep the server from closing
+            closeRealtimeStreams();
             // Check if server is running before attempting to close
             if (server) {
                 server.close(() => {
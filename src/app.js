@@ -2,13 +2,34 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import swaggerUi from 'swagger-ui-express';
 import authRoutes from './routes/authRoutes.js';
 import vendorRoutes from './routes/vendorRoutes.js';
 import eventRoutes from './routes/eventRoutes.js';
 import taskRoutes from './routes/taskRoutes.js';
 import eventTaskRoutes from './routes/eventTaskRoutes.js';
+import eventGuestRoutes from './routes/eventGuestRoutes.js';
+import eventExpenseRoutes from './routes/eventExpenseRoutes.js';
+import rsvpRoutes from './routes/rsvpRoutes.js';
+import vendorReviewRoutes from './routes/vendorReviewRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import realtimeRoutes from './routes/realtimeRoutes.js';
+import eventBookingRoutes from './routes/eventBookingRoutes.js';
+import bookingRoutes from './routes/bookingRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import templateRoutes from './routes/templateRoutes.js';
+import eventCollaboratorRoutes from './routes/eventCollaboratorRoutes.js';
+import invitationRoutes from './routes/invitationRoutes.js';
+import staffRoutes from './routes/staffRoutes.js';
+import eventStaffRoutes from './routes/eventStaffRoutes.js';
+import eventGiftRoutes from './routes/eventGiftRoutes.js';
+import registryRoutes from './routes/registryRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
+import { getConnectionCount } from './services/realtimeService.js';
 import dashboardRoutes from './routes/dashboardRoutes.js';
+import { buildOpenApiSpec } from './utils/openapi.js';
 
 const app = express();
 
@@ -54,7 +75,8 @@ app.get('/health', (req, res) => {
     success: true,
     message: 'Server is running',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    realtimeConnections: getConnectionCount()
   });
 });
 
@@ -69,6 +91,18 @@ app.get('/', (req, res) => {
       vendors: '/api/vendors',
       events: '/api/events',
       tasks: '/api/tasks',
+      rsvp: '/api/rsvp',
+      registry: '/api/registry',
+      reviews: '/api/reviews',
+      notifications: '/api/notifications',
+      realtime: '/api/realtime/stream',
+      bookings: '/api/bookings',
+      calendar: '/api/calendar',
+      templates: '/api/templates',
+      invitations: '/api/invitations',
+      staff: '/api/staff',
+      admin: '/api/admin',
+      docs: '/api/docs',
       health: '/health'
     }
   });
@@ -76,11 +110,39 @@ app.get('/', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/vendors/:vendorId/reviews', vendorReviewRoutes); // Nested route for vendor reviews
 app.use('/api/vendors', vendorRoutes);
 app.use('/api/events/:eventId/tasks', eventTaskRoutes); // Nested route for event tasks
+app.use('/api/events/:eventId/guests', eventGuestRoutes); // Nested route for event guests
+app.use('/api/events/:eventId/expenses', eventExpenseRoutes); // Nested route for event expenses
+app.use('/api/events/:eventId/bookings', eventBookingRoutes); // Nested route for event booking requests
+app.use('/api/events/:eventId/collaborators', eventCollaboratorRoutes); // Nested route for event co-planners
+app.use('/api/events/:eventId/staff', eventStaffRoutes); // Nested route for event staff roster
+app.use('/api/events/:eventId/gifts', eventGiftRoutes); // Nested route for event gift registry
 app.use('/api/events', eventRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/rsvp', rsvpRoutes);
+app.use('/api/registry', registryRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/admin', adminRoutes);
+
+// API documentation, generated from the routes registered above
+const openApiSpec = buildOpenApiSpec(app, {
+  title: 'Planit API',
+  version: '1.0.0',
+  description: 'Event Planning & Management Platform'
+});
+app.get('/api/docs/openapi.json', (req, res) => res.json(openApiSpec));
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
+
 // 404 handler
 app.use(notFound);
 
@@ -1,6 +1,8 @@
 import admin from 'firebase-admin';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import config from './index.js';
+import { getDatastore, setDatastore, createDatastore } from '../services/datastore.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -8,6 +10,13 @@ const __dirname = path.dirname(__filename);
 
 // Initialize Firebase Admin SDK
 export const initializeFirebase = async () => {
+  // Offline mode: no credentials needed, data lives in process memory
+  if (config.DATASTORE === 'memory') {
+    setDatastore(createDatastore('memory'));
+    console.log('Using in-memory datastore (data is not persisted)');
+    return;
+  }
+
   try {
     // Check if service account key is provided as JSON string (Railway/Production)
     if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
@@ -39,8 +48,15 @@ export const initializeFirebase = async () => {
   }
 };
 
-// Get Firestore instance
-export const db = () => admin.firestore();
+// Get Firestore instance (or the active datastore's stand-in)
+export const db = () => getDatastore().db();
+
+// Composite query filters for the active datastore
+export const Filter = {
+  where: (...args) => getDatastore().Filter.where(...args),
+  or: (...filters) => getDatastore().Filter.or(...filters),
+  and: (...filters) => getDatastore().Filter.and(...filters)
+};
 
 // Get Auth instance
 export const auth = () => admin.auth();
@@ -52,7 +68,18 @@ export const collections = {
   TASKS: 'tasks',
   GIFTS: 'gifts',
   STAFF: 'staff',
-  REFRESH_TOKENS: 'refreshTokens'
+  GUESTS: 'guests',
+  EXPENSES: 'expenses',
+  REVIEWS: 'reviews',
+  NOTIFICATIONS: 'notifications',
+  BOOKINGS: 'bookings',
+  AVAILABILITY: 'availability',
+  TEMPLATES: 'eventTemplates',
+  INVITATIONS: 'eventInvitations',
+  SHIFTS: 'staffShifts',
+  AUDIT_LOGS: 'auditLogs',
+  REFRESH_TOKENS: 'refreshTokens',
+  TWO_FACTOR: 'twoFactor'
 };
 
 export { admin };
\ No newline at end of file
@@ -2,6 +2,9 @@ import dotenv from "dotenv"
 dotenv.config()
 
 export default {
+    DATASTORE:process.env.DATASTORE || 'firestore',
     BREVO_API_KEY:process.env.BREVO_API_KEY,
-    BREVO_EMAIL:process.env.BREVO_EMAIL
+    BREVO_EMAIL:process.env.BREVO_EMAIL,
+    REMINDERS_ENABLED:process.env.REMINDERS_ENABLED !== 'false',
+    REMINDER_INTERVAL_MINUTES:Number(process.env.REMINDER_INTERVAL_MINUTES) || 15
 }
\ No newline at end of file
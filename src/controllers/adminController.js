@@ -0,0 +1,218 @@
+import { BaseUser, ROLES } from '../models/baseUser.js';
+import { TwoFactor } from '../models/twoFactor.js';
+import TokenManager, { IMPERSONATION_TOKEN_TTL } from '../utils/tokenManager.js';
+import { getPlatformStats } from '../services/platformStats.js';
+import { NotFoundError, ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
+import { sendPage } from '../utils/pagination.js';
+
+/**
+ * Drop secrets before a user record leaves the API
+ */
+const toAdminUser = (user) => {
+  const { password, calendarFeedTokenHash, ...safeUser } = user;
+  return safeUser;
+};
+
+/**
+ * Load a user the admin can act on (not themselves, not another admin)
+ */
+const getManagedUser = async (userId, admin) => {
+  const user = await BaseUser.findById(userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.id === admin.id) {
+    throw new ValidationError('You cannot perform this action on your own account');
+  }
+
+  if (user.role === ROLES.ADMIN) {
+    throw new AuthorizationError('Admin accounts cannot be managed from the console');
+  }
+
+  return user;
+};
+
+/**
+ * @desc    List and search users (paginated)
+ * @route   GET /api/admin/users
+ * @access  Private (Admin only)
+ */
+export const getUsers = async (req, res) => {
+  const { role, active, q, cursor } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new ValidationError('Limit must be between 1 and 100');
+  }
+
+  if (role && !Object.values(ROLES).includes(role)) {
+    throw new ValidationError(`Invalid role. Must be one of: ${Object.values(ROLES).join(', ')}`);
+  }
+
+  const page = await BaseUser.list({
+    role,
+    isActive: active !== undefined ? active === 'true' : undefined,
+    q,
+    limit,
+    cursor
+  });
+
+  sendPage(res, { ...page, items: page.items.map(toAdminUser) }, { limit });
+};
+
+/**
+ * @desc    Get a user's full record
+ * @route   GET /api/admin/users/:id
+ * @access  Private (Admin only)
+ */
+export const getUserById = async (req, res) => {
+  const user = await BaseUser.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: toAdminUser(user)
+  });
+};
+
+/**
+ * @desc    Deactivate an account (signs the user out everywhere)
+ * @route   PUT /api/admin/users/:id/deactivate
+ * @access  Private (Admin only)
+ */
+export const deactivateUser = async (req, res) => {
+  const user = await getManagedUser(req.params.id, req.user);
+
+  if (!user.isActive) {
+    throw new ValidationError('Account is already deactivated');
+  }
+
+  const updatedUser = await BaseUser.update(user.id, {
+    isActive: false,
+    deactivatedAt: new Date().toISOString(),
+    deactivatedBy: req.user.id,
+    deactivationReason: req.body.reason || null
+  });
+
+  await TokenManager.revokeAllUserTokens(user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Account deactivated',
+    data: toAdminUser(updatedUser)
+  });
+};
+
+/**
+ * @desc    Reactivate an account
+ * @route   PUT /api/admin/users/:id/reactivate
+ * @access  Private (Admin only)
+ */
+export const reactivateUser = async (req, res) => {
+  const user = await getManagedUser(req.params.id, req.user);
+
+  if (user.isActive) {
+    throw new ValidationError('Account is already active');
+  }
+
+  const updatedUser = await BaseUser.update(user.id, {
+    isActive: true,
+    reactivatedAt: new Date().toISOString(),
+    reactivatedBy: req.user.id,
+    deactivationReason: null
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Account reactivated',
+    data: toAdminUser(updatedUser)
+  });
+};
+
+/**
+ * @desc    Sign a user out of every session (refresh and access tokens)
+ * @route   POST /api/admin/users/:id/revoke-sessions
+ * @access  Private (Admin only)
+ */
+export const revokeUserSessions = async (req, res) => {
+  const user = await getManagedUser(req.params.id, req.user);
+
+  await TokenManager.revokeAllUserTokens(user.id);
+
+  // Access tokens are stateless, so older ones are rejected by authenticate
+  await BaseUser.update(user.id, { sessionsRevokedAt: new Date().toISOString() });
+
+  res.status(200).json({
+    success: true,
+    message: 'All sessions revoked. The user must log in again'
+  });
+};
+
+/**
+ * @desc    Turn off 2FA for a user who lost their authenticator and backup codes
+ * @route   DELETE /api/admin/users/:id/2fa
+ * @access  Private (Admin only)
+ */
+export const resetUserTwoFactor = async (req, res) => {
+  const user = await getManagedUser(req.params.id, req.user);
+
+  if (!(await TwoFactor.isEnabled(user.id))) {
+    throw new ValidationError('Two-factor authentication is not enabled for this user');
+  }
+
+  await TwoFactor.disable(user.id);
+
+  console.log(`🔓 Admin ${req.user.id} turned off two-factor authentication for user ${user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication turned off. The user can log in with their password and set it up again'
+  });
+};
+
+/**
+ * @desc    Get a read-only access token to see the app as a user (support)
+ * @route   POST /api/admin/users/:id/impersonate
+ * @access  Private (Admin only)
+ */
+export const impersonateUser = async (req, res) => {
+  const user = await getManagedUser(req.params.id, req.user);
+
+  if (!user.isActive) {
+    throw new ValidationError('Cannot impersonate a deactivated account');
+  }
+
+  const accessToken = TokenManager.generateImpersonationToken(user, req.user.id);
+
+  console.log(`👤 Admin ${req.user.id} started a read-only session as user ${user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: `Read-only session as ${user.email}`,
+    data: {
+      accessToken,
+      expiresIn: IMPERSONATION_TOKEN_TTL,
+      readOnly: true,
+      user: toAdminUser(user)
+    }
+  });
+};
+
+/**
+ * @desc    Platform-wide counts (users, events, tasks, vendors, moderation)
+ * @route   GET /api/admin/stats
+ * @access  Private (Admin only)
+ */
+export const getStats = async (req, res) => {
+  const stats = await getPlatformStats();
+
+  res.status(200).json({
+    success: true,
+    data: stats
+  });
+};
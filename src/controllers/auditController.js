@@ -0,0 +1,85 @@
+import { AuditLog } from '../models/auditLog.js';
+import { getEventForUser, EVENT_ROLES } from '../services/eventAccess.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { sendPage } from '../utils/pagination.js';
+
+/**
+ * Parse the page size from the query string
+ */
+const parseLimit = (value) => {
+  const limit = value !== undefined ? parseInt(value, 10) : 50;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new ValidationError('Limit must be between 1 and 100');
+  }
+
+  return limit;
+};
+
+/**
+ * Validate an ISO date filter
+ */
+const parseDate = (value, name) => {
+  if (value === undefined) return undefined;
+
+  const date = new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be a valid date`);
+  }
+
+  return date.toISOString();
+};
+
+/**
+ * Shape an entry for the event activity feed: co-planners see who did what,
+ * but the actor's email, IP and user agent stay in the admin audit log
+ */
+const toEventActivity = ({ ip, userAgent, actor, ...entry }) => {
+  const { email, ...publicActor } = actor || {};
+
+  return { ...entry, actor: publicActor };
+};
+
+/**
+ * @desc    Get an event's activity (who changed what, newest first)
+ * @route   GET /api/events/:id/activity
+ * @access  Private (Planner - any event role)
+ */
+export const getEventActivity = async (req, res) => {
+  const event = await getEventForUser(req.params.id, req.user.id, EVENT_ROLES.VIEWER);
+  const limit = parseLimit(req.query.limit);
+
+  const page = await AuditLog.list({
+    eventId: event.id,
+    action: req.query.action,
+    limit,
+    cursor: req.query.cursor
+  });
+
+  sendPage(res, { ...page, items: page.items.map(toEventActivity) }, { limit });
+};
+
+/**
+ * @desc    Search the audit log
+ * @route   GET /api/admin/audit-logs
+ * @access  Private (Admin only)
+ */
+export const getAuditLogs = async (req, res) => {
+  const { actorId, action, targetType, targetId, eventId, cursor } = req.query;
+  const limit = parseLimit(req.query.limit);
+
+  const page = await AuditLog.list({
+    actorId,
+    action,
+    targetType,
+    targetId,
+    eventId,
+    from: parseDate(req.query.from, 'from'),
+    to: parseDate(req.query.to, 'to'),
+    limit,
+    cursor
+  });
+
+  sendPage(res, page, { limit });
+};
@@ -1,7 +1,9 @@
 import { BaseUser, ROLES } from '../models/baseUser.js';
 import { Vendor } from '../models/vendor.js';
 import { Planner } from '../models/planner.js';
-import TokenManager from '../utils/tokenManager.js';
+import { TwoFactor, BACKUP_CODE_COUNT, LOCKOUT_MINUTES } from '../models/twoFactor.js';
+import TokenManager, { TWO_FACTOR_CHALLENGE_TTL } from '../utils/tokenManager.js';
+import { buildProvisioningUri } from '../utils/totp.js';
 import { sendOtpEmail, sendWelcomeEmail, sendPasswordResetEmail } from '../services/emailServices.js';
 import { ConflictError, AuthenticationError, NotFoundError, ValidationError } from '../middleware/errorHandler.js';
 import { db, collections } from '../config/firebase.js';
@@ -63,6 +65,36 @@ const verifyOTP = async (userId, otp, type = 'email_verification') => {
     return { valid: true };
 };
 
+// Name authenticator apps show next to the account
+const TWO_FACTOR_ISSUER = 'Planit';
+
+const TOO_MANY_CODES_MESSAGE = `Too many incorrect codes. Try again in ${LOCKOUT_MINUTES} minutes.`;
+
+/**
+ * Issue the access and refresh pair and send the login response
+ */
+const sendLoginResponse = async (res, user) => {
+    const { accessToken, refreshToken } = TokenManager.generateTokens(user);
+
+    await TokenManager.storeRefreshToken(user.id, refreshToken);
+
+    res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+            user: {
+                id: user.id,
+                email: user.email,
+                fullName: user.fullName,
+                role: user.role,
+                phoneNumber: user.phoneNumber
+            },
+            accessToken,
+            refreshToken
+        }
+    });
+};
+
 /**
  * @desc  Register a new user (role-based)
  * @route   POST /api/auth/signup
@@ -209,25 +241,56 @@ export const login = async (req, res) => {
         throw new AuthenticationError('Please verify your email before logging in');
     }
 
-    const { accessToken, refreshToken } = TokenManager.generateTokens(user);
+    // With 2FA on, the password only earns a challenge token for POST /api/auth/login/2fa
+    if (await TwoFactor.isEnabled(user.id)) {
+        return res.status(200).json({
+            success: true,
+            message: 'Enter the code from your authenticator app to finish logging in',
+            data: {
+                twoFactorRequired: true,
+                challengeToken: TokenManager.generateTwoFactorChallengeToken(user),
+                expiresIn: TWO_FACTOR_CHALLENGE_TTL
+            }
+        });
+    }
 
-    await TokenManager.storeRefreshToken(user.id, refreshToken);
+    await sendLoginResponse(res, user);
+};
 
-    res.status(200).json({
-        success: true,
-        message: 'Login successful',
-        data: {
-            user: {
-                id: user.id,
-                email: user.email,
-                fullName: user.fullName,
-                role: user.role,
-                phoneNumber: user.phoneNumber
-            },
-            accessToken,
-            refreshToken
-        }
-    });
+/**
+ * @desc    Finish logging in with a 2FA or backup code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (challenge token from POST /api/auth/login)
+ */
+export const loginWithTwoFactor = async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+        decoded = TokenManager.verifyTwoFactorChallengeToken(challengeToken);
+    } catch (error) {
+        throw new AuthenticationError('Invalid or expired challenge token. Please login again.');
+    }
+
+    const user = await BaseUser.findById(decoded.userId);
+    if (!user || !user.isActive || TokenManager.isRevoked(decoded, user)) {
+        throw new AuthenticationError('Invalid or expired challenge token. Please login again.');
+    }
+
+    const twoFactor = await TwoFactor.findByUserId(user.id);
+    if (!twoFactor?.enabled) {
+        throw new AuthenticationError('Invalid or expired challenge token. Please login again.');
+    }
+
+    const { method, locked } = await TwoFactor.verify(user.id, code);
+    if (locked) {
+        throw new AuthenticationError(TOO_MANY_CODES_MESSAGE);
+    }
+    if (!method) {
+        throw new AuthenticationError('Invalid two-factor code');
+    }
+
+    await sendLoginResponse(res, user);
 };
 
 /**
@@ -293,7 +356,12 @@ export const resetPassword = async (req, res) => {
 export const refreshToken = async (req, res) => {
     const { refreshToken } = req.body;
 
-    const decoded = TokenManager.verifyRefreshToken(refreshToken);
+    let decoded;
+    try {
+        decoded = TokenManager.verifyRefreshToken(refreshToken);
+    } catch (error) {
+        throw new AuthenticationError('Invalid or expired refresh token');
+    }
 
     const isValid = await TokenManager.isRefreshTokenValid(refreshToken);
     if (!isValid) {
@@ -369,7 +437,10 @@ export const getProfile = async (req, res) => {
 
     res.status(200).json({
         success: true,
-        data: userProfile
+        data: {
+            ...userProfile,
+            twoFactorEnabled: await TwoFactor.isEnabled(user.id)
+        }
     });
 };
 
@@ -430,6 +501,138 @@ export const changePassword = async (req, res) => {
     });
 };
 
+/**
+ * @desc    Get 2FA status
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+export const getTwoFactorStatus = async (req, res) => {
+    const twoFactor = await TwoFactor.findByUserId(req.user.id);
+    const enabled = Boolean(twoFactor?.enabled);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            enabled,
+            enabledAt: enabled ? twoFactor.enabledAt : null,
+            backupCodesRemaining: enabled ? twoFactor.backupCodeHashes.length : 0
+        }
+    });
+};
+
+/**
+ * @desc    Start 2FA enrollment
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+export const setupTwoFactor = async (req, res) => {
+    if (await TwoFactor.isEnabled(req.user.id)) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = await TwoFactor.startEnrollment(req.user.id);
+
+    res.status(200).json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code to turn on two-factor authentication',
+        data: {
+            secret,
+            otpauthUrl: buildProvisioningUri(secret, { issuer: TWO_FACTOR_ISSUER, accountName: req.user.email })
+        }
+    });
+};
+
+/**
+ * @desc    Confirm 2FA enrollment with a code
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+export const enableTwoFactor = async (req, res) => {
+    const twoFactor = await TwoFactor.findByUserId(req.user.id);
+
+    if (twoFactor?.enabled) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    if (!twoFactor?.pendingSecret) {
+        throw new ValidationError('Start setup with POST /api/auth/2fa/setup first');
+    }
+
+    const backupCodes = await TwoFactor.enable(req.user.id, req.body.code);
+
+    if (!backupCodes) {
+        throw new ValidationError('Invalid two-factor code');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `Two-factor authentication enabled. Store these ${BACKUP_CODE_COUNT} backup codes somewhere safe; each can be used once and they will not be shown again.`,
+        data: { backupCodes }
+    });
+};
+
+/**
+ * @desc    Replace 2FA backup codes
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private
+ */
+export const regenerateBackupCodes = async (req, res) => {
+    if (!(await TwoFactor.isEnabled(req.user.id))) {
+        throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    const { method, locked } = await TwoFactor.verify(req.user.id, req.body.code);
+    if (locked) {
+        throw new ValidationError(TOO_MANY_CODES_MESSAGE);
+    }
+    if (!method) {
+        throw new ValidationError('Invalid two-factor code');
+    }
+
+    const backupCodes = await TwoFactor.regenerateBackupCodes(req.user.id);
+
+    res.status(200).json({
+        success: true,
+        message: 'New backup codes generated. Your old codes no longer work.',
+        data: { backupCodes }
+    });
+};
+
+/**
+ * @desc    Turn off 2FA
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+export const disableTwoFactor = async (req, res) => {
+    const { password, code } = req.body;
+
+    if (!(await TwoFactor.isEnabled(req.user.id))) {
+        throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    const user = await BaseUser.findById(req.user.id);
+
+    const isPasswordValid = await BaseUser.verifyPassword(password, user.password);
+    if (!isPasswordValid) {
+        throw new AuthenticationError('Password is incorrect');
+    }
+
+    const { method, locked } = await TwoFactor.verify(req.user.id, code);
+    if (locked) {
+        throw new ValidationError(TOO_MANY_CODES_MESSAGE);
+    }
+    if (!method) {
+        throw new ValidationError('Invalid two-factor code');
+    }
+
+    await TwoFactor.disable(req.user.id);
+
+    res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+    });
+};
+
 
 /**
  * @desc    Upload or update profile picture
@@ -515,15 +718,18 @@ export const uploadCACDocument = async (req, res) => {
   try {
     const uploadResult = await streamUpload(req.file.buffer);
 
-    // Store CAC document URL in Firestore
-    await Vendor.updateProfile(userId, { 
+    // Store CAC document URL in Firestore and queue it for admin review
+    const updatedVendor = await Vendor.submitForVerification(userId, { 
       cacDocument: uploadResult.secure_url 
     });
 
     res.status(200).json({
       success: true,
-      message: 'CAC document uploaded successfully',
-      data: { cacDocument: uploadResult.secure_url }
+      message: 'CAC document uploaded successfully and sent for review',
+      data: {
+        cacDocument: uploadResult.secure_url,
+        verificationStatus: updatedVendor.verificationStatus
+      }
     });
   } catch (err) {
     console.error(err);
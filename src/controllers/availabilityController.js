@@ -0,0 +1,176 @@
+import { Availability } from '../models/availability.js';
+import { Vendor } from '../models/vendor.js';
+import { ROLES } from '../models/baseUser.js';
+import { NotFoundError, ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
+
+// Longest range a vendor can block in one request
+const MAX_BLOCK_DAYS = 366;
+
+/**
+ * Today as YYYY-MM-DD
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00.000Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+/**
+ * Validate a from/to query range (defaults to the next 90 days)
+ */
+const parseRange = (query) => {
+  const from = query.from || today();
+  const to = query.to || addDays(from, 90);
+
+  if (!Availability.isValidDate(from) || !Availability.isValidDate(to)) {
+    throw new ValidationError('from and to must be dates in YYYY-MM-DD format');
+  }
+
+  if (to < from) {
+    throw new ValidationError('to must be on or after from');
+  }
+
+  return { from, to };
+};
+
+/**
+ * @desc    Get my availability calendar
+ * @route   GET /api/dashboard/vendor/calendar
+ * @access  Private (Vendor only)
+ */
+export const getMyCalendar = async (req, res) => {
+  const { from, to } = parseRange(req.query);
+
+  const blocks = await Availability.getByVendorId(req.user.id, from, to);
+
+  res.status(200).json({
+    success: true,
+    count: blocks.length,
+    data: {
+      from,
+      to,
+      blocks
+    }
+  });
+};
+
+/**
+ * @desc    Block a date, date range or time range
+ * @route   POST /api/dashboard/vendor/calendar/blocks
+ * @access  Private (Vendor only)
+ */
+export const createBlocks = async (req, res) => {
+  const { date, endDate, startTime, endTime, reason } = req.body;
+
+  if (!Availability.isValidDate(date)) {
+    throw new ValidationError('Date must be in YYYY-MM-DD format');
+  }
+
+  if (endDate !== undefined && !Availability.isValidDate(endDate)) {
+    throw new ValidationError('End date must be in YYYY-MM-DD format');
+  }
+
+  const lastDate = endDate || date;
+
+  if (lastDate < date) {
+    throw new ValidationError('End date must be on or after date');
+  }
+
+  if (date < today()) {
+    throw new ValidationError('Cannot block dates in the past');
+  }
+
+  if ((startTime && !endTime) || (!startTime && endTime)) {
+    throw new ValidationError('Provide both startTime and endTime, or neither to block the whole day');
+  }
+
+  if (startTime) {
+    if (!Availability.isValidTime(startTime) || !Availability.isValidTime(endTime)) {
+      throw new ValidationError('Times must be in HH:mm format');
+    }
+
+    if (Availability.toMinutes(startTime) >= Availability.toMinutes(endTime)) {
+      throw new ValidationError('startTime must be before endTime');
+    }
+  }
+
+  const blocksData = [];
+  for (let current = date; current <= lastDate; current = addDays(current, 1)) {
+    blocksData.push({ vendorId: req.user.id, date: current, startTime, endTime, reason });
+
+    if (blocksData.length > MAX_BLOCK_DAYS) {
+      throw new ValidationError(`Cannot block more than ${MAX_BLOCK_DAYS} days at once`);
+    }
+  }
+
+  const blocks = await Availability.bulkCreate(blocksData);
+
+  res.status(201).json({
+    success: true,
+    message: `${blocks.length} date(s) blocked successfully`,
+    data: blocks
+  });
+};
+
+/**
+ * @desc    Remove a manual block
+ * @route   DELETE /api/dashboard/vendor/calendar/blocks/:blockId
+ * @access  Private (Vendor only)
+ */
+export const deleteBlock = async (req, res) => {
+  const block = await Availability.findById(req.params.blockId);
+
+  if (!block || block.vendorId !== req.user.id) {
+    throw new NotFoundError('Block not found');
+  }
+
+  if (block.source === 'booking') {
+    throw new AuthorizationError('Booking blocks are removed by changing the booking, not the calendar');
+  }
+
+  await Availability.delete(req.params.blockId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Block removed successfully'
+  });
+};
+
+/**
+ * @desc    Get a vendor's busy dates
+ * @route   GET /api/vendors/:id/calendar
+ * @access  Public
+ */
+export const getVendorCalendar = async (req, res) => {
+  const vendor = await Vendor.findById(req.params.id);
+
+  if (!vendor || vendor.role !== ROLES.VENDOR) {
+    throw new NotFoundError('Vendor not found');
+  }
+
+  const { from, to } = parseRange(req.query);
+
+  const blocks = await Availability.getByVendorId(req.params.id, from, to);
+
+  // Only expose when the vendor is busy, not why
+  const busy = blocks.map(block => ({
+    date: block.date,
+    startTime: block.startTime,
+    endTime: block.endTime
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from,
+      to,
+      availability: vendor.availability,
+      busy
+    }
+  });
+};
@@ -0,0 +1,442 @@
+import { Booking, BOOKING_STATUSES, OPEN_BOOKING_STATUSES } from '../models/booking.js';
+import { Event } from '../models/event.js';
+import { Vendor } from '../models/vendor.js';
+import { Availability } from '../models/availability.js';
+import { ROLES } from '../models/baseUser.js';
+import {
+  notifyBookingRequested,
+  notifyQuoteReceived,
+  notifyQuoteCountered,
+  notifyQuoteAccepted,
+  notifyBookingDeclined,
+  notifyBookingCancelled
+} from '../services/notificationService.js';
+import { publishToEvent, REALTIME_EVENTS } from '../services/realtimeService.js';
+import { checkVendorAvailability, assertNoDoubleBooking } from '../services/availabilityService.js';
+import { getEventForUser, hasEventRole, EVENT_ROLES } from '../services/eventAccess.js';
+import { NotFoundError, ValidationError, AuthorizationError, ConflictError } from '../middleware/errorHandler.js';
+
+/**
+ * Load a booking and make sure the current user is its vendor or
+ * holds at least `requiredRole` on the booking's event
+ */
+const getBookingForUser = async (bookingId, user, requiredRole = EVENT_ROLES.VIEWER) => {
+  const booking = await Booking.findById(bookingId);
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
+
+  if (booking.vendorId === user.id) {
+    return booking;
+  }
+
+  const event = await Event.findById(booking.eventId);
+
+  if (!hasEventRole(event, user.id, requiredRole)) {
+    throw new AuthorizationError('You do not have access to this booking');
+  }
+
+  return booking;
+};
+
+/**
+ * Find a quote on a booking or fail with 404
+ */
+const getQuote = (booking, quoteId) => {
+  const quote = booking.quotes.find(q => q.id === quoteId);
+
+  if (!quote) {
+    throw new NotFoundError('Quote not found');
+  }
+
+  return quote;
+};
+
+/**
+ * Validate quote line items
+ */
+const parseLineItems = (lineItems) => {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    throw new ValidationError('Quote must have at least one line item');
+  }
+
+  return lineItems.map((item, index) => {
+    const description = (item.description || '').trim();
+    const quantity = item.quantity === undefined ? 1 : item.quantity;
+    const { unitPrice } = item;
+
+    if (!description) {
+      throw new ValidationError(`Line item ${index + 1}: description is required`);
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ValidationError(`Line item ${index + 1}: quantity must be a whole number of at least 1`);
+    }
+
+    if (typeof unitPrice !== 'number' || unitPrice < 0) {
+      throw new ValidationError(`Line item ${index + 1}: unit price must be a non-negative number`);
+    }
+
+    return { description, quantity, unitPrice };
+  });
+};
+
+/**
+ * Parse a validity date; a plain YYYY-MM-DD stays valid until the end of that day
+ */
+const parseValidUntil = (value) => {
+  if (!value) {
+    throw new ValidationError('Quote validity date is required');
+  }
+
+  const validUntil = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value;
+  const date = new Date(validUntil);
+
+  if (isNaN(date.getTime())) {
+    throw new ValidationError('Quote validity date is invalid');
+  }
+
+  if (date < new Date()) {
+    throw new ValidationError('Quote validity date must be in the future');
+  }
+
+  return date.toISOString();
+};
+
+/**
+ * @desc    Send a booking request (brief) to a vendor
+ * @route   POST /api/events/:eventId/bookings
+ * @access  Private (Planner - event owner or editor)
+ */
+export const createBooking = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+
+  const { vendorId, date, services, budget, message } = req.body;
+
+  if (!vendorId) {
+    throw new ValidationError('Vendor ID is required');
+  }
+
+  if (!Array.isArray(services) || services.length === 0) {
+    throw new ValidationError('List at least one service needed');
+  }
+
+  if (budget !== undefined && budget !== null && (typeof budget !== 'number' || budget < 0)) {
+    throw new ValidationError('Budget must be a non-negative number');
+  }
+
+  const vendor = await Vendor.findById(vendorId);
+
+  if (!vendor || vendor.role !== ROLES.VENDOR) {
+    throw new NotFoundError('Vendor not found');
+  }
+
+  const vendorEntry = event.vendors.find(v => v.vendorId === vendorId);
+
+  if (vendorEntry?.status === 'confirmed') {
+    throw new ConflictError('Vendor is already confirmed for this event');
+  }
+
+  const openBooking = await Booking.findOpenByEventAndVendor(event.id, vendorId);
+  if (openBooking) {
+    throw new ConflictError('There is already an open booking request with this vendor for this event');
+  }
+
+  const warnings = await checkVendorAvailability(vendor.id, event, {
+    allowConflict: req.body.allowConflict === true
+  });
+
+  // The vendor joins the event as pending until a quote is accepted
+  let updatedEvent;
+  if (!vendorEntry) {
+    updatedEvent = await Event.addVendor(event.id, {
+      vendorId: vendor.id,
+      vendorName: vendor.fullName,
+      vendorEmail: vendor.email,
+      vendorBusinessName: vendor.businessName || vendor.fullName,
+      category: vendor.category,
+      role: vendor.category || 'vendor',
+      addedBy: req.user.id
+    });
+  } else if (vendorEntry.status === 'declined') {
+    updatedEvent = await Event.updateVendorStatus(event.id, vendorId, 'pending');
+  }
+
+  const booking = await Booking.create({
+    eventId: event.id,
+    eventName: event.name,
+    plannerId: event.plannerId,
+    plannerName: req.user.fullName,
+    vendorId: vendor.id,
+    vendorName: vendor.businessName || vendor.fullName,
+    date: date || event.date,
+    services,
+    budget: budget ? { amount: budget, currency: event.currency || 'NGN' } : null,
+    message
+  });
+
+  await notifyBookingRequested(booking);
+
+  if (updatedEvent) {
+    publishToEvent(updatedEvent, REALTIME_EVENTS.VENDOR_ADDED, { vendorId: vendor.id, vendors: updatedEvent.vendors });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Booking request sent successfully',
+    data: booking,
+    warnings
+  });
+};
+
+/**
+ * @desc    Get booking requests for an event
+ * @route   GET /api/events/:eventId/bookings
+ * @access  Private (Planner - any event role)
+ */
+export const getEventBookings = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const bookings = await Booking.getBy('eventId', event.id, { status: req.query.status });
+
+  res.status(200).json({
+    success: true,
+    count: bookings.length,
+    data: bookings
+  });
+};
+
+/**
+ * @desc    Get my booking requests (sent as planner or received as vendor)
+ * @route   GET /api/bookings
+ * @access  Private (Planner or Vendor)
+ */
+export const getMyBookings = async (req, res) => {
+  const { status } = req.query;
+
+  if (status && !BOOKING_STATUSES.includes(status)) {
+    throw new ValidationError(`Invalid status. Must be: ${BOOKING_STATUSES.join(', ')}`);
+  }
+
+  const field = req.user.role === ROLES.VENDOR ? 'vendorId' : 'plannerId';
+  const bookings = await Booking.getBy(field, req.user.id, { status });
+
+  res.status(200).json({
+    success: true,
+    count: bookings.length,
+    data: bookings
+  });
+};
+
+/**
+ * @desc    Get booking by ID
+ * @route   GET /api/bookings/:id
+ * @access  Private (Booking vendor, or any event role)
+ */
+export const getBookingById = async (req, res) => {
+  const booking = await getBookingForUser(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: booking
+  });
+};
+
+/**
+ * @desc    Send a quote for a booking request
+ * @route   POST /api/bookings/:id/quotes
+ * @access  Private (Booking vendor only)
+ */
+export const submitQuote = async (req, res) => {
+  const booking = await getBookingForUser(req.params.id, req.user);
+
+  if (booking.vendorId !== req.user.id) {
+    throw new AuthorizationError('Only the vendor can send a quote');
+  }
+
+  if (!OPEN_BOOKING_STATUSES.includes(booking.status)) {
+    throw new ValidationError(`Cannot quote on a booking that is ${booking.status}`);
+  }
+
+  const lineItems = parseLineItems(req.body.lineItems);
+  const validUntil = parseValidUntil(req.body.validUntil);
+
+  // Quotes are always in the vendor's own currency
+  const vendor = await Vendor.findById(req.user.id);
+  const currency = vendor.priceRange?.currency || 'NGN';
+
+  const updatedBooking = await Booking.addQuote(booking, {
+    lineItems,
+    currency,
+    validUntil,
+    notes: req.body.notes
+  });
+
+  const quote = updatedBooking.quotes[updatedBooking.quotes.length - 1];
+  await notifyQuoteReceived(updatedBooking, quote);
+
+  res.status(201).json({
+    success: true,
+    message: 'Quote sent successfully',
+    data: updatedBooking
+  });
+};
+
+/**
+ * @desc    Counter a vendor quote
+ * @route   POST /api/bookings/:id/quotes/:quoteId/counter
+ * @access  Private (Planner - event owner or editor)
+ */
+export const counterQuote = async (req, res) => {
+  const booking = await getBookingForUser(req.params.id, req.user, EVENT_ROLES.EDITOR);
+
+  if (booking.vendorId === req.user.id) {
+    throw new AuthorizationError('Only the planner can counter a quote');
+  }
+
+  const quote = getQuote(booking, req.params.quoteId);
+
+  if (booking.status !== 'quoted' || quote.status !== 'pending') {
+    throw new ValidationError('Only the current pending quote can be countered');
+  }
+
+  const { amount, message } = req.body;
+
+  if (typeof amount !== 'number' || amount <= 0) {
+    throw new ValidationError('Counter-offer amount must be a positive number');
+  }
+
+  const updatedBooking = await Booking.addCounterOffer(booking, quote.id, {
+    amount,
+    currency: quote.currency,
+    message
+  });
+
+  const counterOffer = updatedBooking.counterOffers[updatedBooking.counterOffers.length - 1];
+  await notifyQuoteCountered(updatedBooking, counterOffer);
+
+  res.status(201).json({
+    success: true,
+    message: 'Counter-offer sent successfully',
+    data: updatedBooking
+  });
+};
+
+/**
+ * @desc    Accept a vendor quote (confirms the vendor on the event)
+ * @route   PUT /api/bookings/:id/quotes/:quoteId/accept
+ * @access  Private (Planner - event owner or editor)
+ */
+export const acceptQuote = async (req, res) => {
+  const booking = await getBookingForUser(req.params.id, req.user, EVENT_ROLES.EDITOR);
+
+  if (booking.vendorId === req.user.id) {
+    throw new AuthorizationError('Only the planner can accept a quote');
+  }
+
+  const quote = getQuote(booking, req.params.quoteId);
+
+  if (booking.status !== 'quoted' || quote.status !== 'pending') {
+    throw new ValidationError('Only the current pending quote can be accepted');
+  }
+
+  if (Booking.isQuoteExpired(quote)) {
+    throw new ValidationError('This quote has expired. Ask the vendor for a new quote');
+  }
+
+  const event = await Event.findById(booking.eventId);
+
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  // A vendor can hold only one confirmed booking per time slot
+  await assertNoDoubleBooking(booking.vendorId, event);
+
+  const updatedBooking = await Booking.acceptQuote(booking, quote.id);
+  const updatedEvent = await Event.updateVendorStatus(booking.eventId, booking.vendorId, 'confirmed');
+
+  await Availability.syncEventBookings(updatedEvent);
+
+  await notifyQuoteAccepted(updatedBooking);
+
+  publishToEvent(updatedEvent, REALTIME_EVENTS.VENDOR_STATUS_CHANGED, {
+    vendorId: booking.vendorId,
+    status: 'confirmed',
+    vendors: updatedEvent.vendors
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Quote accepted. Vendor confirmed for the event',
+    data: updatedBooking
+  });
+};
+
+/**
+ * @desc    Decline a booking request
+ * @route   PUT /api/bookings/:id/decline
+ * @access  Private (Booking vendor only)
+ */
+export const declineBooking = async (req, res) => {
+  const booking = await getBookingForUser(req.params.id, req.user);
+
+  if (booking.vendorId !== req.user.id) {
+    throw new AuthorizationError('Only the vendor can decline a booking request');
+  }
+
+  if (!OPEN_BOOKING_STATUSES.includes(booking.status)) {
+    throw new ValidationError(`Cannot decline a booking that is ${booking.status}`);
+  }
+
+  const updatedBooking = await Booking.update(booking.id, {
+    status: 'declined',
+    declineReason: req.body.reason || null
+  });
+
+  const updatedEvent = await Event.updateVendorStatus(booking.eventId, booking.vendorId, 'declined');
+
+  await notifyBookingDeclined(updatedBooking);
+
+  if (updatedEvent) {
+    publishToEvent(updatedEvent, REALTIME_EVENTS.VENDOR_STATUS_CHANGED, {
+      vendorId: booking.vendorId,
+      status: 'declined',
+      vendors: updatedEvent.vendors
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Booking request declined',
+    data: updatedBooking
+  });
+};
+
+/**
+ * @desc    Cancel an open booking request
+ * @route   PUT /api/bookings/:id/cancel
+ * @access  Private (Booking vendor, or event owner or editor)
+ */
+export const cancelBooking = async (req, res) => {
+  const booking = await getBookingForUser(req.params.id, req.user, EVENT_ROLES.EDITOR);
+
+  if (!OPEN_BOOKING_STATUSES.includes(booking.status)) {
+    throw new ValidationError(`Cannot cancel a booking that is ${booking.status}`);
+  }
+
+  const updatedBooking = await Booking.update(booking.id, {
+    status: 'cancelled',
+    cancelledBy: req.user.id
+  });
+
+  const recipientId = req.user.id === booking.vendorId ? booking.plannerId : booking.vendorId;
+  await notifyBookingCancelled(updatedBooking, recipientId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Booking request cancelled',
+    data: updatedBooking
+  });
+};
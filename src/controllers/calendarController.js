@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { Event, DEFAULT_TIMEZONE } from '../models/event.js';
+import { Task } from '../models/task.js';
+import { BaseUser, ROLES } from '../models/baseUser.js';
+import { hasEventRole, EVENT_ROLES } from '../services/eventAccess.js';
+import { buildCalendar } from '../utils/ical.js';
+import { NotFoundError, AuthorizationError } from '../middleware/errorHandler.js';
+
+// How often subscribed calendar apps should re-fetch the feed
+const FEED_REFRESH_INTERVAL = 'PT1H';
+
+/**
+ * Feed tokens are stored hashed, so the URL is only shown when it is created
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Send an iCalendar document
+ */
+const sendCalendar = (res, filename, calendar) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=0, must-revalidate'
+  });
+  res.status(200).send(calendar);
+};
+
+/**
+ * Safe file name for an event download
+ */
+const toFilename = (name) => (String(name || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event') + '.ics';
+
+/**
+ * @desc    Download an event as an .ics file
+ * @route   GET /api/events/:id/calendar.ics
+ * @access  Private (Planner - any event role, or confirmed vendor)
+ */
+export const exportEventCalendar = async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  const isPlanner = hasEventRole(event, req.user.id, EVENT_ROLES.VIEWER);
+  const isConfirmedVendor = (event.vendors || []).some(v => v.vendorId === req.user.id && v.status === 'confirmed');
+
+  if (!isPlanner && !isConfirmedVendor) {
+    throw new AuthorizationError('You do not have access to this event');
+  }
+
+  const calendar = buildCalendar({
+    name: event.name,
+    events: [event],
+    defaultTimeZone: DEFAULT_TIMEZONE
+  });
+
+  sendCalendar(res, toFilename(event.name), calendar);
+};
+
+/**
+ * @desc    Create (or rotate) my calendar subscription feed
+ * @route   POST /api/calendar/feed
+ * @access  Private
+ */
+export const createCalendarFeed = async (req, res) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Replaces any previous token, so old subscription URLs stop working
+  await BaseUser.update(req.user.id, { calendarFeedTokenHash: hashToken(token) });
+
+  const url = `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed created. Keep this URL secret; it is only shown once',
+    data: {
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:')
+    }
+  });
+};
+
+/**
+ * @desc    Turn off my calendar subscription feed
+ * @route   DELETE /api/calendar/feed
+ * @access  Private
+ */
+export const deleteCalendarFeed = async (req, res) => {
+  await BaseUser.update(req.user.id, { calendarFeedTokenHash: null });
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar feed disabled'
+  });
+};
+
+/**
+ * @desc    Subscription feed: planner events, confirmed vendor bookings and assigned tasks with due dates
+ * @route   GET /api/calendar/feed/:token.ics
+ * @access  Public (secret token)
+ */
+export const getCalendarFeed = async (req, res) => {
+  const user = await BaseUser.findByCalendarFeedTokenHash(hashToken(req.params.token));
+
+  if (!user || user.isActive === false) {
+    throw new NotFoundError('Calendar feed not found');
+  }
+
+  let events = [];
+
+  if (user.role === ROLES.PLANNER) {
+    // Events the planner owns plus the ones they co-plan
+    const [ownEvents, sharedEvents] = await Promise.all([
+      Event.getByPlannerId(user.id),
+      Event.getByCollaboratorId(user.id)
+    ]);
+    events = [...ownEvents, ...sharedEvents];
+  } else if (user.role === ROLES.VENDOR) {
+    const vendorEvents = await Event.getByVendorId(user.id);
+    events = vendorEvents.filter(event =>
+      event.vendors.some(v => v.vendorId === user.id && v.status === 'confirmed')
+    );
+  }
+
+  const assignedTasks = await Task.getByAssignedUser(user.id);
+  const tasks = assignedTasks.filter(task => task.dueDate && task.status !== 'cancelled');
+
+  const calendar = buildCalendar({
+    name: 'Planit',
+    events,
+    tasks,
+    defaultTimeZone: DEFAULT_TIMEZONE,
+    refreshInterval: FEED_REFRESH_INTERVAL
+  });
+
+  sendCalendar(res, 'planit.ics', calendar);
+};
@@ -0,0 +1,292 @@
+import { Event } from '../models/event.js';
+import { EventInvitation } from '../models/eventInvitation.js';
+import { BaseUser, ROLES } from '../models/baseUser.js';
+import { sendCollaboratorInviteEmail } from '../services/emailServices.js';
+import { notifyCollaboratorInvited, notifyCollaboratorJoined } from '../services/notificationService.js';
+import { publishToEvent, REALTIME_EVENTS } from '../services/realtimeService.js';
+import { getEventForUser, EVENT_ROLES, COLLABORATOR_ROLES } from '../services/eventAccess.js';
+import { NotFoundError, ValidationError, AuthorizationError, ConflictError } from '../middleware/errorHandler.js';
+
+/**
+ * Validate a collaborator role from the request body
+ */
+const parseRole = (role) => {
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    throw new ValidationError(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+  }
+
+  return role;
+};
+
+/**
+ * Load an invitation addressed to the current user
+ */
+const getMyPendingInvitation = async (invitationId, user) => {
+  const invitation = await EventInvitation.findById(invitationId);
+
+  if (!invitation || invitation.email !== user.email.toLowerCase()) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  if (invitation.status !== 'pending') {
+    throw new ValidationError(`This invitation has already been ${invitation.status}`);
+  }
+
+  if (EventInvitation.isExpired(invitation)) {
+    throw new ValidationError('This invitation has expired. Ask the event owner to send a new one');
+  }
+
+  return invitation;
+};
+
+/**
+ * @desc    Get an event's owner, co-planners and pending invitations
+ * @route   GET /api/events/:eventId/collaborators
+ * @access  Private (Planner - any event role)
+ */
+export const getCollaborators = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const owner = await BaseUser.findById(event.plannerId);
+  const invitations = (await EventInvitation.getPendingByEventId(event.id))
+    .filter(invitation => !EventInvitation.isExpired(invitation));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      owner: {
+        userId: event.plannerId,
+        name: owner?.fullName || null,
+        email: owner?.email || null,
+        role: EVENT_ROLES.OWNER
+      },
+      collaborators: event.collaborators || [],
+      invitations
+    }
+  });
+};
+
+/**
+ * @desc    Invite a planner to co-plan an event by email
+ * @route   POST /api/events/:eventId/collaborators
+ * @access  Private (Planner - event owner only)
+ */
+export const inviteCollaborator = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.OWNER);
+
+  const { email } = req.body;
+  const role = parseRole(req.body.role || EVENT_ROLES.EDITOR);
+
+  if (!email || typeof email !== 'string') {
+    throw new ValidationError('Email is required');
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+
+  if (normalizedEmail === req.user.email.toLowerCase()) {
+    throw new ValidationError('You already own this event');
+  }
+
+  if ((event.collaborators || []).some(c => c.email?.toLowerCase() === normalizedEmail)) {
+    throw new ConflictError('This planner is already a collaborator. Change their role instead');
+  }
+
+  const invitee = await BaseUser.findByEmail(normalizedEmail);
+
+  if (invitee && invitee.role !== ROLES.PLANNER) {
+    throw new ValidationError('Only planner accounts can be invited to co-plan an event');
+  }
+
+  // Re-inviting replaces the previous pending invitation
+  const pending = await EventInvitation.getPendingByEventId(event.id);
+  for (const invitation of pending.filter(i => i.email === normalizedEmail)) {
+    await EventInvitation.update(invitation.id, { status: 'revoked' });
+  }
+
+  const invitation = await EventInvitation.create({
+    eventId: event.id,
+    eventName: event.name,
+    email: normalizedEmail,
+    role,
+    invitedBy: req.user.id,
+    invitedByName: req.user.fullName
+  });
+
+  await sendCollaboratorInviteEmail(normalizedEmail, invitation);
+
+  if (invitee) {
+    await notifyCollaboratorInvited(invitation, invitee.id);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent successfully',
+    data: invitation
+  });
+};
+
+/**
+ * @desc    Change a co-planner's role
+ * @route   PUT /api/events/:eventId/collaborators/:userId
+ * @access  Private (Planner - event owner only)
+ */
+export const updateCollaboratorRole = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.OWNER);
+
+  const role = parseRole(req.body.role);
+  const collaborator = (event.collaborators || []).find(c => c.userId === req.params.userId);
+
+  if (!collaborator) {
+    throw new NotFoundError('Collaborator not found');
+  }
+
+  const updatedEvent = await Event.setCollaborator(event.id, { ...collaborator, role });
+
+  publishToEvent(updatedEvent, REALTIME_EVENTS.EVENT_UPDATED, { collaborators: updatedEvent.collaborators });
+
+  res.status(200).json({
+    success: true,
+    message: 'Collaborator role updated successfully',
+    data: updatedEvent.collaborators
+  });
+};
+
+/**
+ * @desc    Remove a co-planner (or leave an event you co-plan)
+ * @route   DELETE /api/events/:eventId/collaborators/:userId
+ * @access  Private (Planner - event owner, or the collaborator themselves)
+ */
+export const removeCollaborator = async (req, res) => {
+  const isLeaving = req.params.userId === req.user.id;
+
+  const event = await getEventForUser(
+    req.params.eventId,
+    req.user.id,
+    isLeaving ? EVENT_ROLES.VIEWER : EVENT_ROLES.OWNER
+  );
+
+  if (req.params.userId === event.plannerId) {
+    throw new ValidationError('The event owner cannot be removed');
+  }
+
+  if (!(event.collaborators || []).some(c => c.userId === req.params.userId)) {
+    throw new NotFoundError('Collaborator not found');
+  }
+
+  const updatedEvent = await Event.removeCollaborator(event.id, req.params.userId);
+
+  publishToEvent(updatedEvent, REALTIME_EVENTS.EVENT_UPDATED, { collaborators: updatedEvent.collaborators }, [
+    req.params.userId
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: isLeaving ? 'You have left the event' : 'Collaborator removed successfully',
+    data: updatedEvent.collaborators
+  });
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/events/:eventId/collaborators/invitations/:invitationId
+ * @access  Private (Planner - event owner only)
+ */
+export const revokeInvitation = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.OWNER);
+
+  const invitation = await EventInvitation.findById(req.params.invitationId);
+
+  if (!invitation || invitation.eventId !== event.id) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  if (invitation.status !== 'pending') {
+    throw new ValidationError(`Cannot revoke an invitation that is ${invitation.status}`);
+  }
+
+  await EventInvitation.update(invitation.id, { status: 'revoked' });
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation revoked successfully'
+  });
+};
+
+/**
+ * @desc    Get my pending co-planning invitations
+ * @route   GET /api/invitations
+ * @access  Private (Planner only)
+ */
+export const getMyInvitations = async (req, res) => {
+  const invitations = await EventInvitation.getPendingByEmail(req.user.email);
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations
+  });
+};
+
+/**
+ * @desc    Accept a co-planning invitation
+ * @route   PUT /api/invitations/:id/accept
+ * @access  Private (Planner only - invited email)
+ */
+export const acceptInvitation = async (req, res) => {
+  const invitation = await getMyPendingInvitation(req.params.id, req.user);
+
+  const event = await Event.findById(invitation.eventId);
+
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  if (event.plannerId === req.user.id) {
+    throw new AuthorizationError('You already own this event');
+  }
+
+  const collaborator = {
+    userId: req.user.id,
+    name: req.user.fullName,
+    email: req.user.email,
+    role: invitation.role,
+    addedBy: invitation.invitedBy
+  };
+
+  const updatedEvent = await Event.setCollaborator(event.id, collaborator);
+
+  await EventInvitation.update(invitation.id, {
+    status: 'accepted',
+    respondedAt: new Date().toISOString()
+  });
+
+  await notifyCollaboratorJoined(event, collaborator);
+
+  publishToEvent(updatedEvent, REALTIME_EVENTS.EVENT_UPDATED, { collaborators: updatedEvent.collaborators });
+
+  res.status(200).json({
+    success: true,
+    message: `You are now a ${invitation.role} on ${event.name}`,
+    data: updatedEvent
+  });
+};
+
+/**
+ * @desc    Decline a co-planning invitation
+ * @route   PUT /api/invitations/:id/decline
+ * @access  Private (Planner only - invited email)
+ */
+export const declineInvitation = async (req, res) => {
+  const invitation = await getMyPendingInvitation(req.params.id, req.user);
+
+  const updatedInvitation = await EventInvitation.update(invitation.id, {
+    status: 'declined',
+    respondedAt: new Date().toISOString()
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation declined',
+    data: updatedInvitation
+  });
+};
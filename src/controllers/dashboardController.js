@@ -1,7 +1,10 @@
 import { Event } from '../models/event.js';
 import { Task } from '../models/task.js';
 import { Vendor } from '../models/vendor.js';
+import { Guest } from '../models/guest.js';
+import { Expense } from '../models/expense.js';
 import { ROLES } from '../models/baseUser.js';
+import { parseListParams, sendPage } from '../utils/pagination.js';
 
 /**
  * @desc    Get planner dashboard statistics
@@ -11,8 +14,12 @@ import { ROLES } from '../models/baseUser.js';
 export const getPlannerDashboard = async (req, res) => {
   const plannerId = req.user.id;
 
-  // Get all events
-  const allEvents = await Event.getByPlannerId(plannerId);
+  // Owned and co-planned events, as GET /api/events lists them
+  const allEvents = await Event.getForPlanner(plannerId);
+
+  // Tasks, guests and expenses carry the owner's ID, so co-planned events are loaded one by one
+  const sharedEventIds = allEvents.filter(e => e.plannerId !== plannerId).map(e => e.id);
+  const loadShared = async (load) => (await Promise.all(sharedEventIds.map(eventId => load(eventId)))).flat();
 
   // Active events (planning or in-progress)
   const activeEvents = allEvents.filter(
@@ -26,7 +33,10 @@ export const getPlannerDashboard = async (req, res) => {
   }).sort((a, b) => new Date(a.date) - new Date(b.date));
 
   // Get all tasks for planner
-  const allTasks = await Task.getByPlannerId(plannerId);
+  const allTasks = [
+    ...await Task.getByPlannerId(plannerId),
+    ...await loadShared(eventId => Task.getByEventId(eventId))
+  ];
 
   // Active tasks (pending or in-progress)
   const activeTasks = allTasks.filter(
@@ -39,6 +49,43 @@ export const getPlannerDashboard = async (req, res) => {
     return new Date(t.dueDate) < new Date();
   });
 
+  // Guests across all events
+  const allGuests = [
+    ...await Guest.getByPlannerId(plannerId),
+    ...await loadShared(eventId => Guest.getByEventId(eventId))
+  ];
+
+  // Budget roll-up per event, grouped by currency so amounts are never mixed
+  const allExpenses = [
+    ...await Expense.getByPlannerId(plannerId),
+    ...await loadShared(eventId => Expense.getByEventId(eventId))
+  ];
+  const eventBudgets = allEvents.map(event => ({
+    event,
+    summary: Expense.summarize(event, allExpenses.filter(x => x.eventId === event.id))
+  }));
+
+  const budgetByCurrency = {};
+  eventBudgets
+    .filter(({ event }) => activeEvents.includes(event))
+    .forEach(({ summary }) => {
+      const totals = budgetByCurrency[summary.currency] || { budget: 0, spent: 0, outstanding: 0 };
+      totals.budget += summary.budget;
+      totals.spent += summary.totalActual;
+      totals.outstanding += summary.outstanding;
+      budgetByCurrency[summary.currency] = totals;
+    });
+
+  const overBudgetEvents = eventBudgets
+    .filter(({ summary }) => summary.overBudget)
+    .map(({ event, summary }) => ({
+      id: event.id,
+      name: event.name,
+      currency: summary.currency,
+      budget: summary.budget,
+      totalActual: summary.totalActual
+    }));
+
   res.status(200).json({
     success: true,
     data: {
@@ -49,7 +96,15 @@ export const getPlannerDashboard = async (req, res) => {
         totalTasks: allTasks.length,
         activeTasks: activeTasks.length,
         completedTasks: allTasks.filter(t => t.completed).length,
-        overdueTasks: overdueTasks.length
+        overdueTasks: overdueTasks.length,
+        totalGuestsInvited: allGuests.length,
+        confirmedGuests: Guest.countAttending(allGuests),
+        pendingRsvps: allGuests.filter(g => g.rsvpStatus === 'invited' || g.rsvpStatus === 'maybe').length,
+        eventsOverBudget: overBudgetEvents.length
+      },
+      budget: {
+        activeEventsByCurrency: budgetByCurrency,
+        overBudgetEvents
       },
       upcomingEvents: upcomingEvents.slice(0, 5), // Show 5 most recent
       recentEvents: allEvents.slice(0, 6) // Show 6 most recent for grid
@@ -112,32 +167,21 @@ export const getVendorDashboard = async (req, res) => {
 };
 
 /**
- * @desc    Get vendor bookings with details
+ * @desc    Get vendor bookings with details (paginated)
  * @route   GET /api/dashboard/vendor/bookings
  * @access  Private (Vendor only)
  */
 export const getVendorBookings = async (req, res) => {
   const vendorId = req.user.id;
   const { status } = req.query; // pending, confirmed, declined
+  const params = parseListParams(req.query, {
+    sortFields: ['date', 'createdAt'],
+    defaultSort: 'date'
+  });
 
-  let events = await Event.getByVendorId(vendorId);
-
-  // Filter by status if provided
-  if (status) {
-    events = events.filter(e => {
-      const vendorEntry = e.vendors.find(v => v.vendorId === vendorId);
-      return vendorEntry && vendorEntry.status === status;
-    });
-  }
-
-  // Sort by date
-  events.sort((a, b) => new Date(b.date) - new Date(a.date));
+  const page = await Event.listByVendorId(vendorId, { status }, params);
 
-  res.status(200).json({
-    success: true,
-    count: events.length,
-    data: events
-  });
+  sendPage(res, page, params);
 };
 
 /**
@@ -2,6 +2,19 @@ import { Event } from '../models/event.js';
 import { Task } from '../models/task.js';
 import { BaseUser } from '../models/baseUser.js';
 import { Vendor } from '../models/vendor.js';
+import { Guest } from '../models/guest.js';
+import { Expense } from '../models/expense.js';
+import { Booking } from '../models/booking.js';
+import { Availability } from '../models/availability.js';
+import { EventInvitation } from '../models/eventInvitation.js';
+import { StaffShift } from '../models/staffShift.js';
+import { Gift } from '../models/gift.js';
+import { notifyVendorAdded, notifyVendorResponded } from '../services/notificationService.js';
+import { publishToEvent, REALTIME_EVENTS } from '../services/realtimeService.js';
+import { checkVendorAvailability, assertNoDoubleBooking } from '../services/availabilityService.js';
+import { checkBudgetAlert } from '../services/budgetService.js';
+import { getEventForUser, getEventRole, hasEventRole, EVENT_ROLES } from '../services/eventAccess.js';
+import { parseListParams, sendPage } from '../utils/pagination.js';
 import { NotFoundError, ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
 
 /**
@@ -25,97 +38,134 @@ export const createEvent = async (req, res) => {
 };
 
 /**
- * @desc    Get all events for current planner
+ * @desc    Get all events for current planner (owned and shared with them, paginated)
  * @route   GET /api/events
  * @access  Private (Planner only)
  */
 export const getEvents = async (req, res) => {
-  const { status, completed, eventType } = req.query;
+  const { status, completed, eventType, role } = req.query;
+  const params = parseListParams(req.query, {
+    sortFields: ['date', 'createdAt', 'name', 'budget'],
+    defaultSort: 'date'
+  });
 
   const filters = {};
+  if (role) filters.role = role;
   if (status) filters.status = status;
   if (completed !== undefined) filters.completed = completed === 'true';
   if (eventType) filters.eventType = eventType;
 
-  const events = await Event.getByPlannerId(req.user.id, filters);
+  const page = await Event.listForPlanner(req.user.id, filters, params);
 
-  res.status(200).json({
-    success: true,
-    count: events.length,
-    data: events
-  });
+  sendPage(res, {
+    ...page,
+    items: page.items.map(event => ({ ...event, myRole: getEventRole(event, req.user.id) }))
+  }, params);
 };
 
 /**
  * @desc    Get event by ID
  * @route   GET /api/events/:id
- * @access  Private (Planner only - own events)
+ * @access  Private (Planner - any event role)
  */
 export const getEventById = async (req, res) => {
-  const event = await Event.findById(req.params.id);
+  const event = await getEventForUser(req.params.id, req.user.id, EVENT_ROLES.VIEWER);
 
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
-
-  // Check if planner owns this event
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
-  }
+  const budgetSummary = await Expense.getEventSummary(event);
 
   res.status(200).json({
     success: true,
-    data: event
+    data: {
+      ...event,
+      myRole: getEventRole(event, req.user.id),
+      budgetSummary
+    }
   });
 };
 
 /**
  * @desc    Update event
  * @route   PUT /api/events/:id
- * @access  Private (Planner only - own events)
+ * @access  Private (Planner - event owner or editor)
  */
 export const updateEvent = async (req, res) => {
-  const event = await Event.findById(req.params.id);
+  const event = await getEventForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR);
 
-  if (!event) {
-    throw new NotFoundError('Event not found');
+  // updateEventValidation has already rejected fields other routes own (status, vendors, co-planners, ...)
+  const { allowConflict, ...updates } = req.body;
+
+  // Date or time changes move the confirmed vendors' calendar blocks, so check the new slot first
+  const warnings = [];
+  const movedEvent = { ...event, ...updates };
+  const currentSlot = Availability.getEventSlot(event);
+  const newSlot = Availability.getEventSlot(movedEvent);
+
+  if (JSON.stringify(newSlot) !== JSON.stringify(currentSlot)) {
+    const confirmedVendors = (event.vendors || []).filter(v => v.status === 'confirmed');
+
+    for (const { vendorId } of confirmedVendors) {
+      // Another confirmed booking is a hard clash; the vendor's own blocks can be overridden
+      await assertNoDoubleBooking(vendorId, movedEvent);
+      warnings.push(...await checkVendorAvailability(vendorId, movedEvent, { allowConflict: allowConflict === true }));
+    }
   }
 
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
+  // A lower budget (or a different currency) can put existing spending over budget
+  const budgetChanged = updates.budget !== undefined || updates.currency !== undefined;
+  const previousSummary = budgetChanged ? await Expense.getEventSummary(event) : null;
+
+  const updatedEvent = await Event.update(req.params.id, updates);
+
+  await Availability.syncEventBookings(updatedEvent);
+
+  if (budgetChanged) {
+    await checkBudgetAlert(updatedEvent, previousSummary);
   }
 
-  const updatedEvent = await Event.update(req.params.id, req.body);
+  publishToEvent(updatedEvent, REALTIME_EVENTS.EVENT_UPDATED, { event: updatedEvent });
 
   res.status(200).json({
     success: true,
     message: 'Event updated successfully',
-    data: updatedEvent
+    data: updatedEvent,
+    warnings
   });
 };
 
 /**
  * @desc    Delete event
  * @route   DELETE /api/events/:id
- * @access  Private (Planner only - own events)
+ * @access  Private (Planner - event owner only)
  */
 export const deleteEvent = async (req, res) => {
-  const event = await Event.findById(req.params.id);
-
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
-
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
-  }
+  const event = await getEventForUser(req.params.id, req.user.id, EVENT_ROLES.OWNER);
 
   // Delete all tasks associated with this event
   await Task.deleteByEventId(req.params.id);
 
+  // Delete the event's guest list
+  await Guest.deleteByEventId(req.params.id);
+
+  // Delete the event's budget line items
+  await Expense.deleteByEventId(req.params.id);
+
+  // Free up the vendors' calendars
+  await Availability.syncEventBookings(event, { deleted: true });
+
+  // Drop outstanding collaborator invitations
+  await EventInvitation.deleteByEventId(req.params.id);
+
+  // Delete the event's staff roster
+  await StaffShift.deleteByEventId(req.params.id);
+
+  // Delete the event's gift registry
+  await Gift.deleteByEventId(req.params.id);
+
   // Delete event
   await Event.delete(req.params.id);
 
+  publishToEvent(event, REALTIME_EVENTS.EVENT_DELETED, {});
+
   res.status(200).json({
     success: true,
     message: 'Event deleted successfully'
@@ -125,25 +175,13 @@ export const deleteEvent = async (req, res) => {
 /**
  * @desc    Add vendor to event by vendor ID
  * @route   POST /api/events/:id/vendors
- * @access  Private (Planner only - own events)
+ * @access  Private (Planner - event owner or editor)
  */
 export const addVendorToEvent = async (req, res) => {
-  const event = await Event.findById(req.params.id);
-
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
-
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
-  }
+  const event = await getEventForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR);
 
   const { vendorId, role } = req.body;
 
-  if (!vendorId) {
-    throw new ValidationError('Vendor ID is required');
-  }
-
   // Get vendor details
   const vendor = await Vendor.findById(vendorId);
 
@@ -155,6 +193,11 @@ export const addVendorToEvent = async (req, res) => {
     throw new ValidationError('User is not a vendor');
   }
 
+  // Clashes reject with 409 unless the planner passes allowConflict: true
+  const warnings = await checkVendorAvailability(vendor.id, event, {
+    allowConflict: req.body.allowConflict === true
+  });
+
   const vendorData = {
     vendorId: vendor.id,
     vendorName: vendor.fullName,
@@ -167,35 +210,28 @@ export const addVendorToEvent = async (req, res) => {
 
   const updatedEvent = await Event.addVendor(req.params.id, vendorData);
 
+  await notifyVendorAdded(updatedEvent, vendor.id);
+
+  publishToEvent(updatedEvent, REALTIME_EVENTS.VENDOR_ADDED, { vendorId: vendor.id, vendors: updatedEvent.vendors });
+
   res.status(200).json({
     success: true,
     message: 'Vendor added to event successfully',
-    data: updatedEvent
+    data: updatedEvent,
+    warnings
   });
 };
 
 /**
  * @desc    Add vendor to event by email
  * @route   POST /api/events/:id/vendors/by-email
- * @access  Private (Planner only - own events)
+ * @access  Private (Planner - event owner or editor)
  */
 export const addVendorByEmail = async (req, res) => {
-  const event = await Event.findById(req.params.id);
-
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
-
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
-  }
+  const event = await getEventForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR);
 
   const { email, role } = req.body;
 
-  if (!email) {
-    throw new ValidationError('Email is required');
-  }
-
   // Find vendor by email
   const vendor = await BaseUser.findByEmail(email);
 
@@ -207,6 +243,11 @@ export const addVendorByEmail = async (req, res) => {
     throw new ValidationError('User is not a vendor');
   }
 
+  // Clashes reject with 409 unless the planner passes allowConflict: true
+  const warnings = await checkVendorAvailability(vendor.id, event, {
+    allowConflict: req.body.allowConflict === true
+  });
+
   const vendorData = {
     vendorId: vendor.id,
     vendorName: vendor.fullName,
@@ -219,30 +260,36 @@ export const addVendorByEmail = async (req, res) => {
 
   const updatedEvent = await Event.addVendor(req.params.id, vendorData);
 
+  await notifyVendorAdded(updatedEvent, vendor.id);
+
+  publishToEvent(updatedEvent, REALTIME_EVENTS.VENDOR_ADDED, { vendorId: vendor.id, vendors: updatedEvent.vendors });
+
   res.status(200).json({
     success: true,
     message: 'Vendor added to event successfully',
-    data: updatedEvent
+    data: updatedEvent,
+    warnings
   });
 };
 
 /**
  * @desc    Remove vendor from event
  * @route   DELETE /api/events/:id/vendors/:vendorId
- * @access  Private (Planner only - own events)
+ * @access  Private (Planner - event owner or editor)
  */
 export const removeVendorFromEvent = async (req, res) => {
-  const event = await Event.findById(req.params.id);
+  const event = await getEventForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR);
 
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
+  const updatedEvent = await Event.removeVendor(req.params.id, req.params.vendorId);
 
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
-  }
+  await Availability.syncEventBookings(updatedEvent);
 
-  const updatedEvent = await Event.removeVendor(req.params.id, req.params.vendorId);
+  publishToEvent(
+    updatedEvent,
+    REALTIME_EVENTS.VENDOR_REMOVED,
+    { vendorId: req.params.vendorId, vendors: updatedEvent.vendors },
+    [req.params.vendorId]
+  );
 
   res.status(200).json({
     success: true,
@@ -265,20 +312,42 @@ export const updateVendorStatus = async (req, res) => {
 
   const { status } = req.body;
 
-  if (!['pending', 'confirmed', 'declined'].includes(status)) {
-    throw new ValidationError('Invalid status. Must be: pending, confirmed, or declined');
-  }
-
-  // Allow planner or the vendor themselves to update status
-  const isPlanner = event.plannerId === req.user.id;
+  // Allow planners with edit access or the vendor themselves to update status
+  const isPlanner = hasEventRole(event, req.user.id, EVENT_ROLES.EDITOR);
   const isVendor = req.params.vendorId === req.user.id;
 
   if (!isPlanner && !isVendor) {
     throw new AuthorizationError('You do not have permission to update this vendor status');
   }
 
+  if (!event.vendors.some(v => v.vendorId === req.params.vendorId)) {
+    throw new NotFoundError('Vendor is not part of this event');
+  }
+
   const updatedEvent = await Event.updateVendorStatus(req.params.id, req.params.vendorId, status);
 
+  await Availability.syncEventBookings(updatedEvent);
+
+  // Declining also closes any booking request still under negotiation
+  if (status === 'declined') {
+    const openBooking = await Booking.findOpenByEventAndVendor(req.params.id, req.params.vendorId);
+    if (openBooking) {
+      await Booking.update(openBooking.id, { status: 'declined' });
+    }
+  }
+
+  // Let the planner know when the vendor answers the booking themselves
+  if (isVendor && !isPlanner) {
+    const vendorEntry = event.vendors.find(v => v.vendorId === req.params.vendorId);
+    await notifyVendorResponded(event, vendorEntry, status);
+  }
+
+  publishToEvent(updatedEvent, REALTIME_EVENTS.VENDOR_STATUS_CHANGED, {
+    vendorId: req.params.vendorId,
+    status,
+    vendors: updatedEvent.vendors
+  });
+
   res.status(200).json({
     success: true,
     message: 'Vendor status updated successfully',
@@ -289,18 +358,10 @@ export const updateVendorStatus = async (req, res) => {
 /**
  * @desc    Get all vendors for an event
  * @route   GET /api/events/:id/vendors
- * @access  Private (Planner only - own events)
+ * @access  Private (Planner - any event role)
  */
 export const getEventVendors = async (req, res) => {
-  const event = await Event.findById(req.params.id);
-
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
-
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
-  }
+  const event = await getEventForUser(req.params.id, req.user.id, EVENT_ROLES.VIEWER);
 
   res.status(200).json({
     success: true,
@@ -312,27 +373,20 @@ export const getEventVendors = async (req, res) => {
 /**
  * @desc    Update event status
  * @route   PUT /api/events/:id/status
- * @access  Private (Planner only - own events)
+ * @access  Private (Planner - event owner or editor)
  */
 export const updateEventStatus = async (req, res) => {
-  const event = await Event.findById(req.params.id);
-
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
-
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
-  }
+  const event = await getEventForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR);
 
   const { status } = req.body;
 
-  if (!['planning', 'in-progress', 'completed', 'cancelled'].includes(status)) {
-    throw new ValidationError('Invalid status');
-  }
-
   const updatedEvent = await Event.updateStatus(req.params.id, status);
 
+  // Cancelled events release their vendors' dates
+  await Availability.syncEventBookings(updatedEvent);
+
+  publishToEvent(updatedEvent, REALTIME_EVENTS.EVENT_UPDATED, { event: updatedEvent });
+
   res.status(200).json({
     success: true,
     message: 'Event status updated successfully',
@@ -362,10 +416,6 @@ export const getEventStatistics = async (req, res) => {
 export const searchEvents = async (req, res) => {
   const { q } = req.query;
 
-  if (!q) {
-    throw new ValidationError('Search query is required');
-  }
-
   const events = await Event.search(req.user.id, q);
 
   res.status(200).json({
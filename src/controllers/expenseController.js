@@ -0,0 +1,216 @@
+import { Expense, EXPENSE_CATEGORIES, CURRENCIES } from '../models/expense.js';
+import { Event } from '../models/event.js';
+import { checkBudgetAlert } from '../services/budgetService.js';
+import { getEventForUser, EVENT_ROLES } from '../services/eventAccess.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+/**
+ * Load an expense and make sure it belongs to the given event
+ */
+const getEventExpense = async (eventId, expenseId) => {
+  const expense = await Expense.findById(expenseId);
+
+  if (!expense || expense.eventId !== eventId) {
+    throw new NotFoundError('Expense not found');
+  }
+
+  return expense;
+};
+
+/**
+ * Validate and normalise the editable fields of an expense
+ */
+const parseExpenseFields = (body, event) => {
+  const fields = {};
+
+  ['title', 'description', 'dueDate'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+
+  if (body.category !== undefined) {
+    if (!EXPENSE_CATEGORIES.includes(body.category)) {
+      throw new ValidationError(`Invalid category. Must be one of: ${EXPENSE_CATEGORIES.join(', ')}`);
+    }
+    fields.category = body.category;
+  }
+
+  ['plannedAmount', 'actualAmount'].forEach(key => {
+    if (body[key] !== undefined) {
+      if (typeof body[key] !== 'number' || body[key] < 0) {
+        throw new ValidationError(`${key} must be a non-negative number`);
+      }
+      fields[key] = body[key];
+    }
+  });
+
+  if (body.currency !== undefined) {
+    if (!CURRENCIES.includes(body.currency)) {
+      throw new ValidationError(`Invalid currency. Must be one of: ${CURRENCIES.join(', ')}`);
+    }
+    fields.currency = body.currency;
+  }
+
+  if (body.vendorId !== undefined) {
+    if (body.vendorId === null) {
+      fields.vendorId = null;
+      fields.vendorName = null;
+    } else {
+      const vendor = event.vendors.find(v => v.vendorId === body.vendorId);
+      if (!vendor) {
+        throw new ValidationError('Vendor must be added to the event before linking expenses');
+      }
+      fields.vendorId = vendor.vendorId;
+      fields.vendorName = vendor.vendorBusinessName || vendor.vendorName;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * @desc    Add an expense line item to an event
+ * @route   POST /api/events/:eventId/expenses
+ * @access  Private (Planner - event owner or editor)
+ */
+export const createExpense = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+
+  const fields = parseExpenseFields(req.body, event);
+
+  if (!fields.title) {
+    throw new ValidationError('Expense title is required');
+  }
+
+  const previousSummary = await Expense.getEventSummary(event);
+
+  const expense = await Expense.create({
+    currency: event.currency,
+    ...fields,
+    paid: req.body.paid === true,
+    eventId: req.params.eventId,
+    plannerId: event.plannerId
+  });
+
+  const budgetSummary = await checkBudgetAlert(event, previousSummary);
+
+  res.status(201).json({
+    success: true,
+    message: 'Expense added successfully',
+    data: {
+      expense,
+      budgetSummary
+    }
+  });
+};
+
+/**
+ * @desc    Get all expenses for an event
+ * @route   GET /api/events/:eventId/expenses
+ * @access  Private (Planner - any event role)
+ */
+export const getEventExpenses = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const { category, vendorId, paid } = req.query;
+
+  const filters = {};
+  if (category) filters.category = category;
+  if (vendorId) filters.vendorId = vendorId;
+  if (paid !== undefined) filters.paid = paid === 'true';
+
+  const expenses = await Expense.getByEventId(req.params.eventId, filters);
+
+  res.status(200).json({
+    success: true,
+    count: expenses.length,
+    data: expenses
+  });
+};
+
+/**
+ * @desc    Get budget summary for an event
+ * @route   GET /api/events/:eventId/expenses/summary
+ * @access  Private (Planner - any event role)
+ */
+export const getExpenseSummary = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const summary = await Expense.getEventSummary(event);
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+};
+
+/**
+ * @desc    Update an expense line item
+ * @route   PUT /api/events/:eventId/expenses/:expenseId
+ * @access  Private (Planner - event owner or editor)
+ */
+export const updateExpense = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  await getEventExpense(req.params.eventId, req.params.expenseId);
+
+  const fields = parseExpenseFields(req.body, event);
+
+  if (fields.title !== undefined && !fields.title) {
+    throw new ValidationError('Expense title cannot be empty');
+  }
+
+  const previousSummary = await Expense.getEventSummary(event);
+
+  const updatedExpense = await Expense.update(req.params.expenseId, fields);
+
+  const budgetSummary = await checkBudgetAlert(event, previousSummary);
+
+  res.status(200).json({
+    success: true,
+    message: 'Expense updated successfully',
+    data: {
+      expense: updatedExpense,
+      budgetSummary
+    }
+  });
+};
+
+/**
+ * @desc    Mark an expense as paid or unpaid
+ * @route   PUT /api/events/:eventId/expenses/:expenseId/paid
+ * @access  Private (Planner - event owner or editor)
+ */
+export const updateExpensePaid = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  await getEventExpense(req.params.eventId, req.params.expenseId);
+
+  const { paid } = req.body;
+
+  if (typeof paid !== 'boolean') {
+    throw new ValidationError('Paid must be a boolean value');
+  }
+
+  const updatedExpense = await Expense.setPaid(req.params.expenseId, paid);
+
+  res.status(200).json({
+    success: true,
+    message: `Expense marked as ${paid ? 'paid' : 'unpaid'}`,
+    data: updatedExpense
+  });
+};
+
+/**
+ * @desc    Delete an expense line item
+ * @route   DELETE /api/events/:eventId/expenses/:expenseId
+ * @access  Private (Planner - event owner or editor)
+ */
+export const deleteExpense = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  await getEventExpense(req.params.eventId, req.params.expenseId);
+
+  await Expense.delete(req.params.expenseId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Expense deleted successfully'
+  });
+};
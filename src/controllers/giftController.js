@@ -0,0 +1,453 @@
+import crypto from 'crypto';
+import { Gift } from '../models/gift.js';
+import { Event } from '../models/event.js';
+import { CURRENCIES } from '../models/expense.js';
+import { notifyGiftClaimed } from '../services/notificationService.js';
+import { getEventForUser, EVENT_ROLES } from '../services/eventAccess.js';
+import { NotFoundError, ValidationError, ConflictError } from '../middleware/errorHandler.js';
+
+/**
+ * Load a gift and make sure it belongs to the given event
+ */
+const getEventGift = async (eventId, giftId) => {
+  const gift = await Gift.findById(giftId);
+
+  if (!gift || gift.eventId !== eventId) {
+    throw new NotFoundError('Gift not found');
+  }
+
+  return gift;
+};
+
+/**
+ * Load the event behind a public registry link
+ */
+const getRegistryEvent = async (token) => {
+  const event = await Event.findByRegistryToken(token);
+
+  if (!event || event.status === 'cancelled') {
+    throw new NotFoundError('Registry not found');
+  }
+
+  return event;
+};
+
+/**
+ * Check a link is an http(s) URL
+ */
+const isValidUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate and normalise the editable fields of a gift
+ */
+const parseGiftFields = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || typeof body.name !== 'string') {
+      throw new ValidationError('Gift name is required');
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.price !== undefined || !partial) {
+    if (typeof body.price !== 'number' || body.price <= 0) {
+      throw new ValidationError('Price must be a positive number');
+    }
+    fields.price = body.price;
+  }
+
+  if (body.quantity !== undefined) {
+    if (!Number.isInteger(body.quantity) || body.quantity < 1) {
+      throw new ValidationError('Quantity must be a positive whole number');
+    }
+    fields.quantity = body.quantity;
+  }
+
+  if (body.currency !== undefined) {
+    if (!CURRENCIES.includes(body.currency)) {
+      throw new ValidationError(`Invalid currency. Must be one of: ${CURRENCIES.join(', ')}`);
+    }
+    fields.currency = body.currency;
+  }
+
+  ['link', 'imageUrl'].forEach(key => {
+    if (body[key] !== undefined) {
+      if (body[key] !== null && body[key] !== '' && !isValidUrl(body[key])) {
+        throw new ValidationError(`${key} must be an http(s) URL`);
+      }
+      fields[key] = body[key] || null;
+    }
+  });
+
+  if (body.description !== undefined) {
+    fields.description = body.description;
+  }
+
+  if (body.allowContributions !== undefined) {
+    fields.allowContributions = body.allowContributions === true;
+  }
+
+  return fields;
+};
+
+/**
+ * Gift with its open quantity/amount for planner views
+ */
+const withStatus = (gift) => ({ ...gift, ...Gift.getStatus(gift) });
+
+/**
+ * Gift as guests see it: no claimer names or messages
+ */
+const toPublicGift = (gift) => {
+  const { claims, plannerId, ...details } = gift;
+  return { ...details, ...Gift.getStatus(gift) };
+};
+
+/**
+ * @desc    Add a gift to an event's registry
+ * @route   POST /api/events/:eventId/gifts
+ * @access  Private (Planner - event owner or editor)
+ */
+export const createGift = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+
+  const fields = parseGiftFields(req.body);
+
+  if (fields.allowContributions && (fields.quantity || 1) > 1) {
+    throw new ValidationError('A contribution gift is a single item; set quantity to 1');
+  }
+
+  const gift = await Gift.create({
+    currency: event.currency,
+    ...fields,
+    eventId: event.id,
+    plannerId: event.plannerId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Gift added to registry',
+    data: withStatus(gift)
+  });
+};
+
+/**
+ * @desc    Get an event's registry with claims
+ * @route   GET /api/events/:eventId/gifts
+ * @access  Private (Planner - any event role)
+ */
+export const getEventGifts = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const gifts = (await Gift.getByEventId(event.id)).map(withStatus);
+
+  res.status(200).json({
+    success: true,
+    count: gifts.length,
+    data: gifts,
+    shared: Boolean(event.registryToken)
+  });
+};
+
+/**
+ * @desc    Get everyone who gave a gift, for thank-you notes
+ * @route   GET /api/events/:eventId/gifts/givers
+ * @access  Private (Planner - any event role)
+ */
+export const getGiftGivers = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const gifts = await Gift.getByEventId(req.params.eventId);
+  const givers = new Map();
+
+  gifts.forEach(gift => {
+    (gift.claims || []).forEach(claim => {
+      // Group by email where we have one, otherwise by name
+      const key = claim.guestEmail || `name:${claim.guestName.toLowerCase()}`;
+
+      if (!givers.has(key)) {
+        givers.set(key, { guestName: claim.guestName, guestEmail: claim.guestEmail, gifts: [], thankYouPending: 0 });
+      }
+
+      const giver = givers.get(key);
+      giver.gifts.push({
+        giftId: gift.id,
+        giftName: gift.name,
+        claimId: claim.id,
+        quantity: claim.quantity,
+        amount: claim.amount,
+        currency: gift.currency,
+        message: claim.message,
+        claimedAt: claim.claimedAt,
+        thankYouSentAt: claim.thankYouSentAt
+      });
+
+      if (!claim.thankYouSentAt) {
+        giver.thankYouPending++;
+      }
+    });
+  });
+
+  const data = [...givers.values()].sort((a, b) => a.guestName.localeCompare(b.guestName));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+};
+
+/**
+ * @desc    Update a gift
+ * @route   PUT /api/events/:eventId/gifts/:giftId
+ * @access  Private (Planner - event owner or editor)
+ */
+export const updateGift = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  const gift = await getEventGift(req.params.eventId, req.params.giftId);
+
+  const updates = parseGiftFields(req.body, { partial: true });
+  const hasClaims = (gift.claims || []).length > 0;
+
+  if (updates.allowContributions !== undefined && updates.allowContributions !== gift.allowContributions && hasClaims) {
+    throw new ValidationError('Cannot switch contributions on or off once the gift has claims');
+  }
+
+  const allowContributions = updates.allowContributions ?? gift.allowContributions;
+  const quantity = updates.quantity ?? gift.quantity;
+
+  if (allowContributions && quantity > 1) {
+    throw new ValidationError('A contribution gift is a single item; set quantity to 1');
+  }
+
+  if (quantity < (gift.claimedQuantity || 0)) {
+    throw new ValidationError(`Quantity cannot be lower than the ${gift.claimedQuantity} already claimed`);
+  }
+
+  const updatedGift = await Gift.update(gift.id, updates);
+
+  res.status(200).json({
+    success: true,
+    message: 'Gift updated successfully',
+    data: withStatus(updatedGift)
+  });
+};
+
+/**
+ * @desc    Remove a gift from the registry
+ * @route   DELETE /api/events/:eventId/gifts/:giftId
+ * @access  Private (Planner - event owner or editor)
+ */
+export const deleteGift = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  const gift = await getEventGift(req.params.eventId, req.params.giftId);
+
+  if ((gift.claims || []).length > 0) {
+    throw new ConflictError('This gift has been claimed. Remove its claims before deleting it');
+  }
+
+  await Gift.delete(gift.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Gift removed from registry'
+  });
+};
+
+/**
+ * @desc    Mark a thank-you note as sent (or not sent)
+ * @route   PUT /api/events/:eventId/gifts/:giftId/claims/:claimId/thank-you
+ * @access  Private (Planner - event owner or editor)
+ */
+export const updateThankYou = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  await getEventGift(req.params.eventId, req.params.giftId);
+
+  const sent = req.body.sent !== false;
+
+  const updatedGift = await Gift.updateClaims(req.params.giftId, (gift) => {
+    if (!(gift.claims || []).some(claim => claim.id === req.params.claimId)) {
+      throw new NotFoundError('Claim not found');
+    }
+
+    return gift.claims.map(claim =>
+      claim.id === req.params.claimId
+        ? { ...claim, thankYouSentAt: sent ? new Date().toISOString() : null }
+        : claim
+    );
+  });
+
+  res.status(200).json({
+    success: true,
+    message: sent ? 'Thank-you marked as sent' : 'Thank-you marked as not sent',
+    data: withStatus(updatedGift)
+  });
+};
+
+/**
+ * @desc    Remove a claim (frees the item again)
+ * @route   DELETE /api/events/:eventId/gifts/:giftId/claims/:claimId
+ * @access  Private (Planner - event owner or editor)
+ */
+export const deleteClaim = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  await getEventGift(req.params.eventId, req.params.giftId);
+
+  const updatedGift = await Gift.updateClaims(req.params.giftId, (gift) => {
+    if (!(gift.claims || []).some(claim => claim.id === req.params.claimId)) {
+      throw new NotFoundError('Claim not found');
+    }
+
+    return gift.claims.filter(claim => claim.id !== req.params.claimId);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Claim removed',
+    data: withStatus(updatedGift)
+  });
+};
+
+/**
+ * @desc    Create (or rotate) the registry's public share link
+ * @route   POST /api/events/:eventId/gifts/share-link
+ * @access  Private (Planner - event owner or editor)
+ */
+export const createShareLink = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+
+  // Rotating replaces the token, so any old link stops working
+  const registryToken = crypto.randomBytes(24).toString('hex');
+  await Event.update(event.id, { registryToken });
+
+  res.status(200).json({
+    success: true,
+    message: 'Registry share link created. Anyone with the link can view and claim gifts',
+    data: {
+      token: registryToken,
+      path: `/api/registry/${registryToken}`
+    }
+  });
+};
+
+/**
+ * @desc    Turn off the registry's public share link
+ * @route   DELETE /api/events/:eventId/gifts/share-link
+ * @access  Private (Planner - event owner or editor)
+ */
+export const deleteShareLink = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+
+  await Event.update(event.id, { registryToken: null });
+
+  res.status(200).json({
+    success: true,
+    message: 'Registry share link turned off'
+  });
+};
+
+/**
+ * @desc    View a shared gift registry
+ * @route   GET /api/registry/:token
+ * @access  Public (share token)
+ */
+export const getRegistry = async (req, res) => {
+  const event = await getRegistryEvent(req.params.token);
+
+  const gifts = await Gift.getByEventId(event.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      event: {
+        name: event.name,
+        date: event.date,
+        eventType: event.eventType
+      },
+      gifts: gifts.map(toPublicGift)
+    }
+  });
+};
+
+/**
+ * @desc    Claim a gift or contribute towards it
+ * @route   POST /api/registry/:token/gifts/:giftId/claims
+ * @access  Public (share token)
+ */
+export const claimGift = async (req, res) => {
+  const event = await getRegistryEvent(req.params.token);
+  await getEventGift(event.id, req.params.giftId);
+
+  const { name, email, message } = req.body;
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new ValidationError('Your name is required');
+  }
+
+  const result = await Gift.addClaim(req.params.giftId, (gift) => {
+    const status = Gift.getStatus(gift);
+
+    if (status.fulfilled) {
+      throw new ConflictError('This gift has already been fully claimed');
+    }
+
+    const claim = {
+      guestName: name.trim(),
+      guestEmail: email ? String(email).trim().toLowerCase() : null,
+      message: message || '',
+      quantity: 0,
+      amount: 0
+    };
+
+    if (gift.allowContributions) {
+      const { amount } = req.body;
+
+      if (typeof amount !== 'number' || amount <= 0) {
+        throw new ValidationError('Contribution amount must be a positive number');
+      }
+
+      if (amount > status.remainingAmount) {
+        throw new ConflictError(`Only ${status.remainingAmount} ${gift.currency} is left to contribute`);
+      }
+
+      claim.amount = amount;
+    } else {
+      const quantity = req.body.quantity ?? 1;
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ValidationError('Quantity must be a positive whole number');
+      }
+
+      if (quantity > status.remainingQuantity) {
+        throw new ConflictError(`Only ${status.remainingQuantity} left to claim`);
+      }
+
+      claim.quantity = quantity;
+      claim.amount = quantity * gift.price;
+    }
+
+    return claim;
+  });
+
+  if (!result) {
+    throw new NotFoundError('Gift not found');
+  }
+
+  await notifyGiftClaimed(event, result.gift, result.claim);
+
+  res.status(201).json({
+    success: true,
+    message: result.gift.allowContributions ? 'Thank you for your contribution' : 'Gift claimed. Thank you!',
+    data: {
+      gift: toPublicGift(result.gift),
+      claim: result.claim
+    }
+  });
+};
@@ -0,0 +1,383 @@
+import { Guest, RSVP_STATUSES } from '../models/guest.js';
+import { Event } from '../models/event.js';
+import { parseCsv } from '../utils/csv.js';
+import { getEventForUser, EVENT_ROLES } from '../services/eventAccess.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+// Firestore batches are capped at 500 writes
+const MAX_IMPORT_SIZE = 500;
+
+/**
+ * Load a guest and make sure it belongs to the given event
+ */
+const getEventGuest = async (eventId, guestId) => {
+  const guest = await Guest.findById(guestId);
+
+  if (!guest || guest.eventId !== eventId) {
+    throw new NotFoundError('Guest not found');
+  }
+
+  return guest;
+};
+
+/**
+ * Validate plus-ones allowance
+ */
+const parsePlusOnesAllowed = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const plusOnesAllowed = Number(value);
+
+  if (!Number.isInteger(plusOnesAllowed) || plusOnesAllowed < 0) {
+    throw new ValidationError('Plus-ones allowed must be a non-negative whole number');
+  }
+
+  return plusOnesAllowed;
+};
+
+/**
+ * Check the shape of one imported row and pick out its guest fields.
+ * Throws a ValidationError saying why the row is skipped.
+ */
+const parseImportRow = (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    throw new ValidationError('Row must be an object');
+  }
+
+  ['name', 'email', 'phoneNumber', 'notes'].forEach(field => {
+    if (row[field] !== undefined && row[field] !== null && typeof row[field] !== 'string') {
+      throw new ValidationError(`${field} must be text`);
+    }
+  });
+
+  const name = row.name?.trim();
+  if (!name) {
+    throw new ValidationError('Missing name');
+  }
+
+  return {
+    name,
+    email: row.email?.trim().toLowerCase() || null,
+    phoneNumber: row.phoneNumber,
+    plusOnesAllowed: parsePlusOnesAllowed(row.plusOnesAllowed),
+    notes: row.notes
+  };
+};
+
+/**
+ * Recalculate event guestCount from accepted RSVPs
+ */
+const syncGuestCount = async (eventId) => {
+  const guests = await Guest.getByEventId(eventId);
+  await Event.update(eventId, { guestCount: Guest.countAttending(guests) });
+};
+
+/**
+ * @desc    Add a guest to an event
+ * @route   POST /api/events/:eventId/guests
+ * @access  Private (Planner - event owner or editor)
+ */
+export const createGuest = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+
+  const { name, email, phoneNumber, plusOnesAllowed, notes } = req.body;
+
+  if (!name) {
+    throw new ValidationError('Guest name is required');
+  }
+
+  if (email) {
+    const existing = await Guest.getByEventId(req.params.eventId);
+    if (existing.some(g => g.email === email.toLowerCase())) {
+      throw new ValidationError('A guest with this email is already on the list');
+    }
+  }
+
+  const guest = await Guest.create({
+    name,
+    email,
+    phoneNumber,
+    plusOnesAllowed: parsePlusOnesAllowed(plusOnesAllowed),
+    notes,
+    eventId: req.params.eventId,
+    plannerId: event.plannerId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Guest added successfully',
+    data: guest
+  });
+};
+
+/**
+ * @desc    Import guests from a JSON array or CSV text
+ * @route   POST /api/events/:eventId/guests/import
+ * @access  Private (Planner - event owner or editor)
+ */
+export const importGuests = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+
+  const { guests, csv } = req.body;
+
+  let rows;
+  if (Array.isArray(guests)) {
+    rows = guests;
+  } else if (typeof csv === 'string') {
+    rows = parseCsv(csv);
+  } else {
+    throw new ValidationError('Provide a guests array or csv text to import');
+  }
+
+  if (rows.length === 0) {
+    throw new ValidationError('No guests found to import');
+  }
+
+  if (rows.length > MAX_IMPORT_SIZE) {
+    throw new ValidationError(`Cannot import more than ${MAX_IMPORT_SIZE} guests at once`);
+  }
+
+  const existing = await Guest.getByEventId(req.params.eventId);
+  const seenEmails = new Set(existing.map(g => g.email).filter(Boolean));
+
+  const guestsData = [];
+  const skipped = [];
+
+  rows.forEach((row, index) => {
+    let guest;
+    try {
+      guest = parseImportRow(row);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+
+      skipped.push({ row: index + 1, reason: error.message });
+      return;
+    }
+
+    if (guest.email && seenEmails.has(guest.email)) {
+      skipped.push({ row: index + 1, reason: 'Duplicate email' });
+      return;
+    }
+
+    if (guest.email) seenEmails.add(guest.email);
+
+    guestsData.push({
+      ...guest,
+      eventId: req.params.eventId,
+      plannerId: event.plannerId
+    });
+  });
+
+  const createdGuests = guestsData.length > 0 ? await Guest.bulkCreate(guestsData) : [];
+
+  res.status(201).json({
+    success: true,
+    message: `${createdGuests.length} guests imported successfully`,
+    data: {
+      imported: createdGuests,
+      skipped
+    }
+  });
+};
+
+/**
+ * @desc    Get all guests for an event
+ * @route   GET /api/events/:eventId/guests
+ * @access  Private (Planner - any event role)
+ */
+export const getEventGuests = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const { rsvpStatus } = req.query;
+
+  const filters = {};
+  if (rsvpStatus) filters.rsvpStatus = rsvpStatus;
+
+  const guests = await Guest.getByEventId(req.params.eventId, filters);
+
+  res.status(200).json({
+    success: true,
+    count: guests.length,
+    data: guests
+  });
+};
+
+/**
+ * @desc    Get RSVP summary for an event
+ * @route   GET /api/events/:eventId/guests/summary
+ * @access  Private (Planner - any event role)
+ */
+export const getGuestSummary = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const summary = await Guest.getEventSummary(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+};
+
+/**
+ * @desc    Update a guest (details or RSVP on the guest's behalf)
+ * @route   PUT /api/events/:eventId/guests/:guestId
+ * @access  Private (Planner - event owner or editor)
+ */
+export const updateGuest = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  const guest = await getEventGuest(req.params.eventId, req.params.guestId);
+
+  const allowedFields = ['name', 'email', 'phoneNumber', 'plusOnesAllowed', 'notes'];
+
+  const updates = {};
+  Object.keys(req.body).forEach(key => {
+    if (allowedFields.includes(key)) {
+      updates[key] = req.body[key];
+    }
+  });
+
+  if (updates.email) updates.email = updates.email.toLowerCase();
+  if (updates.plusOnesAllowed !== undefined) {
+    updates.plusOnesAllowed = parsePlusOnesAllowed(updates.plusOnesAllowed);
+  }
+
+  const { rsvpStatus, plusOnes } = req.body;
+
+  if (rsvpStatus !== undefined) {
+    if (!RSVP_STATUSES.includes(rsvpStatus)) {
+      throw new ValidationError(`Invalid RSVP status. Must be: ${RSVP_STATUSES.join(', ')}`);
+    }
+    updates.rsvpStatus = rsvpStatus;
+    updates.respondedAt = rsvpStatus === 'invited' ? null : new Date().toISOString();
+  }
+
+  const plusOnesAllowed = updates.plusOnesAllowed ?? guest.plusOnesAllowed;
+  const finalStatus = updates.rsvpStatus ?? guest.rsvpStatus;
+  const finalPlusOnes = plusOnes !== undefined ? Number(plusOnes) : guest.plusOnes;
+
+  if (!Number.isInteger(finalPlusOnes) || finalPlusOnes < 0 || finalPlusOnes > plusOnesAllowed) {
+    throw new ValidationError(`Plus-ones must be between 0 and ${plusOnesAllowed}`);
+  }
+
+  updates.plusOnes = finalStatus === 'declined' ? 0 : finalPlusOnes;
+
+  const updatedGuest = await Guest.update(req.params.guestId, updates);
+  await syncGuestCount(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Guest updated successfully',
+    data: updatedGuest
+  });
+};
+
+/**
+ * @desc    Remove a guest from an event
+ * @route   DELETE /api/events/:eventId/guests/:guestId
+ * @access  Private (Planner - event owner or editor)
+ */
+export const deleteGuest = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  await getEventGuest(req.params.eventId, req.params.guestId);
+
+  await Guest.delete(req.params.guestId);
+  await syncGuestCount(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Guest removed successfully'
+  });
+};
+
+/**
+ * @desc    Get RSVP details for a guest invitation
+ * @route   GET /api/rsvp/:token
+ * @access  Public (RSVP token)
+ */
+export const getRsvp = async (req, res) => {
+  const guest = await Guest.findByRsvpToken(req.params.token);
+
+  if (!guest) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  const event = await Event.findById(guest.eventId);
+
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      guest: {
+        name: guest.name,
+        rsvpStatus: guest.rsvpStatus,
+        plusOnesAllowed: guest.plusOnesAllowed,
+        plusOnes: guest.plusOnes,
+        respondedAt: guest.respondedAt
+      },
+      event: {
+        name: event.name,
+        description: event.description,
+        date: event.date,
+        startTime: event.startTime,
+        endTime: event.endTime,
+        location: event.location,
+        address: event.address
+      }
+    }
+  });
+};
+
+/**
+ * @desc    Answer a guest invitation
+ * @route   PUT /api/rsvp/:token
+ * @access  Public (RSVP token)
+ */
+export const respondToRsvp = async (req, res) => {
+  const guest = await Guest.findByRsvpToken(req.params.token);
+
+  if (!guest) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  const event = await Event.findById(guest.eventId);
+
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  if (event.completed || event.status === 'cancelled') {
+    throw new ValidationError('This event is no longer accepting RSVPs');
+  }
+
+  const { status } = req.body;
+  const responses = RSVP_STATUSES.filter(s => s !== 'invited');
+
+  if (!responses.includes(status)) {
+    throw new ValidationError(`Invalid status. Must be: ${responses.join(', ')}`);
+  }
+
+  const plusOnes = req.body.plusOnes !== undefined ? Number(req.body.plusOnes) : 0;
+
+  if (!Number.isInteger(plusOnes) || plusOnes < 0 || plusOnes > guest.plusOnesAllowed) {
+    throw new ValidationError(`Plus-ones must be between 0 and ${guest.plusOnesAllowed}`);
+  }
+
+  const updatedGuest = await Guest.respond(guest.id, status, plusOnes);
+  await syncGuestCount(guest.eventId);
+
+  res.status(200).json({
+    success: true,
+    message: 'RSVP recorded successfully',
+    data: {
+      name: updatedGuest.name,
+      rsvpStatus: updatedGuest.rsvpStatus,
+      plusOnes: updatedGuest.plusOnes,
+      respondedAt: updatedGuest.respondedAt
+    }
+  });
+};
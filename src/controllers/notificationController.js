@@ -0,0 +1,101 @@
+import { Notification } from '../models/notification.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { sendPage } from '../utils/pagination.js';
+
+/**
+ * Load a notification and make sure it belongs to the current user
+ */
+const getOwnNotification = async (notificationId, userId) => {
+  const notification = await Notification.findById(notificationId);
+
+  // Respond with 404 for other users' notifications so ids cannot be probed
+  if (!notification || notification.userId !== userId) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  return notification;
+};
+
+/**
+ * @desc    Get my notifications (paginated, newest first)
+ * @route   GET /api/notifications
+ * @access  Private (Any authenticated user)
+ */
+export const getNotifications = async (req, res) => {
+  const { cursor, unread } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new ValidationError('Limit must be between 1 and 100');
+  }
+
+  const page = await Notification.getByUserId(req.user.id, {
+    limit,
+    cursor,
+    unreadOnly: unread === 'true'
+  });
+
+  sendPage(res, page, { limit });
+};
+
+/**
+ * @desc    Get my unread notification count
+ * @route   GET /api/notifications/unread-count
+ * @access  Private (Any authenticated user)
+ */
+export const getUnreadCount = async (req, res) => {
+  const unreadCount = await Notification.countUnread(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { unreadCount }
+  });
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private (Notification owner)
+ */
+export const markNotificationRead = async (req, res) => {
+  await getOwnNotification(req.params.id, req.user.id);
+
+  const notification = await Notification.markRead(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification marked as read',
+    data: notification
+  });
+};
+
+/**
+ * @desc    Mark all my notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private (Any authenticated user)
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  const updated = await Notification.markAllRead(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: `${updated} notifications marked as read`,
+    data: { updated }
+  });
+};
+
+/**
+ * @desc    Delete a notification
+ * @route   DELETE /api/notifications/:id
+ * @access  Private (Notification owner)
+ */
+export const deleteNotification = async (req, res) => {
+  await getOwnNotification(req.params.id, req.user.id);
+
+  await Notification.delete(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification deleted successfully'
+  });
+};
@@ -0,0 +1,10 @@
+import { subscribe } from '../services/realtimeService.js';
+
+/**
+ * @desc    Open a Server-Sent Events stream of changes on the user's events
+ * @route   GET /api/realtime/stream
+ * @access  Private (Any authenticated user)
+ */
+export const streamUpdates = (req, res) => {
+  subscribe(req.user.id, res);
+};
@@ -0,0 +1,379 @@
+import { Review, REVIEW_STATUSES } from '../models/review.js';
+import { Event } from '../models/event.js';
+import { Vendor } from '../models/vendor.js';
+import { ROLES } from '../models/baseUser.js';
+import { NotFoundError, ValidationError, AuthorizationError, ConflictError } from '../middleware/errorHandler.js';
+import cloudinary from '../config/cloudinary.js';
+import streamifier from 'streamifier';
+
+/**
+ * Upload a review photo buffer to Cloudinary
+ */
+const streamUpload = (buffer) => {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { folder: 'review_photos', resource_type: 'image' },
+      (error, result) => {
+        if (error) reject(error);
+        else resolve(result);
+      }
+    );
+    streamifier.createReadStream(buffer).pipe(stream);
+  });
+};
+
+/**
+ * Parse a star rating (multipart bodies send it as a string)
+ */
+const parseRating = (value) => {
+  const rating = Number(value);
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new ValidationError('Rating must be a whole number between 1 and 5');
+  }
+
+  return rating;
+};
+
+/**
+ * Validate review text
+ */
+const parseComment = (value) => {
+  const comment = (value || '').trim();
+
+  if (comment.length > 2000) {
+    throw new ValidationError('Review must not exceed 2000 characters');
+  }
+
+  return comment;
+};
+
+/**
+ * Load a vendor user or fail with 404
+ */
+const getVendor = async (vendorId) => {
+  const vendor = await Vendor.findById(vendorId);
+
+  if (!vendor || vendor.role !== ROLES.VENDOR) {
+    throw new NotFoundError('Vendor not found');
+  }
+
+  return vendor;
+};
+
+/**
+ * Load a review or fail with 404
+ */
+const getReview = async (reviewId) => {
+  const review = await Review.findById(reviewId);
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  return review;
+};
+
+/**
+ * A planner may review a vendor that was confirmed on one of their completed events
+ */
+const isReviewableBooking = (event, vendorId, plannerId) => {
+  return event.plannerId === plannerId &&
+    event.completed &&
+    event.vendors.some(v => v.vendorId === vendorId && v.status === 'confirmed');
+};
+
+/**
+ * @desc    Get reviews for a vendor
+ * @route   GET /api/vendors/:vendorId/reviews
+ * @access  Public
+ */
+export const getVendorReviews = async (req, res) => {
+  await getVendor(req.params.vendorId);
+
+  const reviews = await Review.getByVendorId(req.params.vendorId, { visibleOnly: true });
+  const stats = Review.calculateStats(reviews);
+
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    data: {
+      stats,
+      reviews
+    }
+  });
+};
+
+/**
+ * @desc    Get the current planner's events eligible for reviewing a vendor
+ * @route   GET /api/vendors/:vendorId/reviews/eligibility
+ * @access  Private (Planner only)
+ */
+export const getReviewEligibility = async (req, res) => {
+  await getVendor(req.params.vendorId);
+
+  const events = await Event.getByPlannerId(req.user.id, { completed: true });
+  const bookings = events.filter(e => isReviewableBooking(e, req.params.vendorId, req.user.id));
+
+  const eligibleEvents = [];
+  for (const event of bookings) {
+    const existing = await Review.findByEventAndVendor(event.id, req.params.vendorId);
+    if (!existing) {
+      eligibleEvents.push({ id: event.id, name: event.name, date: event.date });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      canReview: eligibleEvents.length > 0,
+      eligibleEvents
+    }
+  });
+};
+
+/**
+ * @desc    Submit a review for a vendor
+ * @route   POST /api/vendors/:vendorId/reviews
+ * @access  Private (Planner only)
+ */
+export const createReview = async (req, res) => {
+  const vendorId = req.params.vendorId;
+  await getVendor(vendorId);
+
+  const { eventId } = req.body;
+
+  if (!eventId) {
+    throw new ValidationError('Event ID is required');
+  }
+
+  const rating = parseRating(req.body.rating);
+  const comment = parseComment(req.body.comment);
+
+  const event = await Event.findById(eventId);
+
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  if (event.plannerId !== req.user.id) {
+    throw new AuthorizationError('You do not have access to this event');
+  }
+
+  if (!isReviewableBooking(event, vendorId, req.user.id)) {
+    throw new ValidationError('You can only review vendors confirmed on your completed events');
+  }
+
+  const existing = await Review.findByEventAndVendor(eventId, vendorId);
+  if (existing) {
+    throw new ConflictError('You have already reviewed this vendor for this event');
+  }
+
+  const photos = [];
+  for (const file of req.files || []) {
+    const uploadResult = await streamUpload(file.buffer);
+    photos.push(uploadResult.secure_url);
+  }
+
+  const review = await Review.create({
+    vendorId,
+    plannerId: req.user.id,
+    plannerName: req.user.fullName,
+    eventId,
+    eventName: event.name,
+    rating,
+    comment,
+    photos
+  });
+
+  await Vendor.recalculateRating(vendorId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Review submitted successfully',
+    data: review
+  });
+};
+
+/**
+ * @desc    Edit own review
+ * @route   PUT /api/reviews/:id
+ * @access  Private (Review author only)
+ */
+export const updateReview = async (req, res) => {
+  const review = await getReview(req.params.id);
+
+  if (review.plannerId !== req.user.id) {
+    throw new AuthorizationError('You can only edit your own reviews');
+  }
+
+  const updates = {};
+  if (req.body.rating !== undefined) updates.rating = parseRating(req.body.rating);
+  if (req.body.comment !== undefined) updates.comment = parseComment(req.body.comment);
+
+  const updatedReview = await Review.update(req.params.id, updates);
+
+  await Vendor.recalculateRating(review.vendorId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Review updated successfully',
+    data: updatedReview
+  });
+};
+
+/**
+ * @desc    Delete a review
+ * @route   DELETE /api/reviews/:id
+ * @access  Private (Review author or Admin)
+ */
+export const deleteReview = async (req, res) => {
+  const review = await getReview(req.params.id);
+
+  const isAuthor = review.plannerId === req.user.id;
+  const isAdmin = req.user.role === ROLES.ADMIN;
+
+  if (!isAuthor && !isAdmin) {
+    throw new AuthorizationError('You do not have permission to delete this review');
+  }
+
+  await Review.delete(req.params.id);
+
+  await Vendor.recalculateRating(review.vendorId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+};
+
+/**
+ * @desc    Reply to a review
+ * @route   PUT /api/reviews/:id/reply
+ * @access  Private (Reviewed vendor only)
+ */
+export const replyToReview = async (req, res) => {
+  const review = await getReview(req.params.id);
+
+  if (review.vendorId !== req.user.id) {
+    throw new AuthorizationError('You can only reply to reviews of your business');
+  }
+
+  const message = (req.body.message || '').trim();
+
+  if (!message) {
+    throw new ValidationError('Reply message is required');
+  }
+
+  if (message.length > 1000) {
+    throw new ValidationError('Reply must not exceed 1000 characters');
+  }
+
+  const updatedReview = await Review.update(req.params.id, {
+    reply: {
+      message,
+      repliedAt: new Date().toISOString()
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reply posted successfully',
+    data: updatedReview
+  });
+};
+
+/**
+ * @desc    Report a review for moderation
+ * @route   POST /api/reviews/:id/report
+ * @access  Private (Reviewed vendor only)
+ */
+export const reportReview = async (req, res) => {
+  const review = await getReview(req.params.id);
+
+  if (review.vendorId !== req.user.id) {
+    throw new AuthorizationError('You can only report reviews of your business');
+  }
+
+  const reason = (req.body.reason || '').trim();
+
+  if (!reason) {
+    throw new ValidationError('A reason is required to report a review');
+  }
+
+  if (review.status !== 'published') {
+    throw new ValidationError('This review is already under moderation');
+  }
+
+  const updatedReview = await Review.update(req.params.id, {
+    status: 'flagged',
+    report: {
+      reason,
+      reportedAt: new Date().toISOString()
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Review reported for moderation',
+    data: updatedReview
+  });
+};
+
+/**
+ * @desc    Get reviews awaiting moderation
+ * @route   GET /api/reviews/moderation
+ * @access  Private (Admin only)
+ */
+export const getModerationQueue = async (req, res) => {
+  const status = req.query.status || 'flagged';
+
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw new ValidationError(`Invalid status. Must be: ${REVIEW_STATUSES.join(', ')}`);
+  }
+
+  const reviews = await Review.getByStatus(status);
+
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    data: reviews
+  });
+};
+
+/**
+ * @desc    Publish or hide a review
+ * @route   PUT /api/reviews/:id/moderation
+ * @access  Private (Admin only)
+ */
+export const moderateReview = async (req, res) => {
+  const review = await getReview(req.params.id);
+
+  const { status, reason } = req.body;
+
+  if (!['published', 'hidden'].includes(status)) {
+    throw new ValidationError('Invalid status. Must be: published or hidden');
+  }
+
+  if (status === 'hidden' && !reason) {
+    throw new ValidationError('A reason is required to hide a review');
+  }
+
+  const updatedReview = await Review.update(req.params.id, {
+    status,
+    moderation: {
+      status,
+      reason: reason || null,
+      moderatedBy: req.user.id,
+      moderatedAt: new Date().toISOString()
+    }
+  });
+
+  await Vendor.recalculateRating(review.vendorId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Review moderated successfully',
+    data: updatedReview
+  });
+};
@@ -0,0 +1,378 @@
+import { Staff } from '../models/staff.js';
+import { StaffShift } from '../models/staffShift.js';
+import { Availability } from '../models/availability.js';
+import { CURRENCIES } from '../models/expense.js';
+import { getEventForUser, EVENT_ROLES } from '../services/eventAccess.js';
+import { toCsv } from '../utils/csv.js';
+import { NotFoundError, ValidationError, AuthorizationError, ConflictError } from '../middleware/errorHandler.js';
+
+const ROSTER_COLUMNS = [
+  { key: 'staffName', header: 'Name' },
+  { key: 'role', header: 'Role' },
+  { key: 'phoneNumber', header: 'Phone' },
+  { key: 'date', header: 'Date' },
+  { key: 'startTime', header: 'Start' },
+  { key: 'endTime', header: 'End' },
+  { key: 'hours', header: 'Hours' },
+  { key: 'hourlyRate', header: 'Hourly Rate' },
+  { key: 'cost', header: 'Cost' },
+  { key: 'currency', header: 'Currency' },
+  { key: 'notes', header: 'Notes' }
+];
+
+/**
+ * Load a crew member and make sure the current planner owns them
+ */
+const getOwnedStaff = async (staffId, userId) => {
+  const staff = await Staff.findById(staffId);
+
+  if (!staff) {
+    throw new NotFoundError('Staff member not found');
+  }
+
+  if (staff.plannerId !== userId) {
+    throw new AuthorizationError('You do not have access to this staff member');
+  }
+
+  return staff;
+};
+
+/**
+ * Load a shift and make sure it belongs to the given event
+ */
+const getEventShift = async (eventId, shiftId) => {
+  const shift = await StaffShift.findById(shiftId);
+
+  if (!shift || shift.eventId !== eventId) {
+    throw new NotFoundError('Shift not found');
+  }
+
+  return shift;
+};
+
+/**
+ * Validate and normalise the editable fields of a crew member
+ */
+const parseStaffFields = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  ['name', 'phoneNumber', 'role'].forEach(key => {
+    if (body[key] !== undefined) {
+      if (typeof body[key] !== 'string' || body[key].trim() === '') {
+        throw new ValidationError(`${key} cannot be empty`);
+      }
+      fields[key] = body[key].trim();
+    } else if (!partial) {
+      throw new ValidationError('Name, phone number and role are required');
+    }
+  });
+
+  if (body.email !== undefined) {
+    fields.email = body.email || null;
+  }
+
+  if (body.hourlyRate !== undefined) {
+    if (typeof body.hourlyRate !== 'number' || body.hourlyRate < 0) {
+      throw new ValidationError('Hourly rate must be a non-negative number');
+    }
+    fields.hourlyRate = body.hourlyRate;
+  }
+
+  if (body.currency !== undefined) {
+    if (!CURRENCIES.includes(body.currency)) {
+      throw new ValidationError(`Invalid currency. Must be one of: ${CURRENCIES.join(', ')}`);
+    }
+    fields.currency = body.currency;
+  }
+
+  if (body.notes !== undefined) {
+    fields.notes = body.notes;
+  }
+
+  if (body.isActive !== undefined) {
+    fields.isActive = body.isActive === true;
+  }
+
+  return fields;
+};
+
+/**
+ * Validate shift date and times
+ */
+const validateShiftTimes = ({ date, startTime, endTime }) => {
+  if (!Availability.isValidDate(date)) {
+    throw new ValidationError('Shift date must be in YYYY-MM-DD format');
+  }
+
+  if (!Availability.isValidTime(startTime) || !Availability.isValidTime(endTime)) {
+    throw new ValidationError('Shift times must be in HH:mm format');
+  }
+
+  if (startTime === endTime) {
+    throw new ValidationError('A shift must end after it starts');
+  }
+};
+
+/**
+ * A crew member cannot work two overlapping shifts, on this event or another
+ */
+const assertNoShiftClash = async (staffId, shift, excludeShiftId = null) => {
+  const shifts = await StaffShift.getByStaffId(staffId);
+  const clash = shifts.find(existing => existing.id !== excludeShiftId && StaffShift.overlaps(existing, shift));
+
+  if (clash) {
+    throw new ConflictError(
+      `Staff member already has a shift at this time (${clash.date} ${clash.startTime}-${clash.endTime})`
+    );
+  }
+};
+
+/**
+ * Add hours and cost to a shift
+ */
+const withShiftTotals = (shift) => {
+  const hours = Math.round(StaffShift.getHours(shift) * 100) / 100;
+
+  return {
+    ...shift,
+    hours,
+    cost: Math.round(hours * (shift.hourlyRate || 0) * 100) / 100
+  };
+};
+
+/**
+ * @desc    Add a crew member
+ * @route   POST /api/staff
+ * @access  Private (Planner only)
+ */
+export const createStaff = async (req, res) => {
+  const staff = await Staff.create({
+    ...parseStaffFields(req.body),
+    plannerId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Staff member added successfully',
+    data: staff
+  });
+};
+
+/**
+ * @desc    Get my crew
+ * @route   GET /api/staff
+ * @access  Private (Planner only)
+ */
+export const getMyStaff = async (req, res) => {
+  const { role, active } = req.query;
+
+  const filters = {};
+  if (role) filters.role = role;
+  if (active !== undefined) filters.isActive = active === 'true';
+
+  const staff = await Staff.getByPlannerId(req.user.id, filters);
+
+  res.status(200).json({
+    success: true,
+    count: staff.length,
+    data: staff
+  });
+};
+
+/**
+ * @desc    Get crew member by ID, with their shifts
+ * @route   GET /api/staff/:id
+ * @access  Private (Planner only - own crew)
+ */
+export const getStaffById = async (req, res) => {
+  const staff = await getOwnedStaff(req.params.id, req.user.id);
+
+  const shifts = await StaffShift.getByStaffId(staff.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...staff,
+      shifts: shifts.map(withShiftTotals)
+    }
+  });
+};
+
+/**
+ * @desc    Update crew member
+ * @route   PUT /api/staff/:id
+ * @access  Private (Planner only - own crew)
+ */
+export const updateStaff = async (req, res) => {
+  await getOwnedStaff(req.params.id, req.user.id);
+
+  const updatedStaff = await Staff.update(req.params.id, parseStaffFields(req.body, { partial: true }));
+
+  res.status(200).json({
+    success: true,
+    message: 'Staff member updated successfully',
+    data: updatedStaff
+  });
+};
+
+/**
+ * @desc    Delete crew member (and their shifts)
+ * @route   DELETE /api/staff/:id
+ * @access  Private (Planner only - own crew)
+ */
+export const deleteStaff = async (req, res) => {
+  await getOwnedStaff(req.params.id, req.user.id);
+
+  await StaffShift.deleteByStaffId(req.params.id);
+  await Staff.delete(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Staff member deleted successfully'
+  });
+};
+
+/**
+ * @desc    Get an event's staff roster
+ * @route   GET /api/events/:eventId/staff
+ * @access  Private (Planner - any event role)
+ */
+export const getEventRoster = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const shifts = (await StaffShift.getByEventId(req.params.eventId)).map(withShiftTotals);
+
+  // Totals per currency, since crew can be paid in different currencies
+  const totals = shifts.reduce((acc, shift) => {
+    acc.hours += shift.hours;
+    acc.cost[shift.currency] = (acc.cost[shift.currency] || 0) + shift.cost;
+    return acc;
+  }, { hours: 0, cost: {} });
+
+  res.status(200).json({
+    success: true,
+    count: shifts.length,
+    data: {
+      shifts,
+      staffCount: new Set(shifts.map(shift => shift.staffId)).size,
+      totalHours: Math.round(totals.hours * 100) / 100,
+      totalCost: totals.cost
+    }
+  });
+};
+
+/**
+ * @desc    Export an event's staff roster as CSV
+ * @route   GET /api/events/:eventId/staff/roster.csv
+ * @access  Private (Planner - any event role)
+ */
+export const exportEventRoster = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const shifts = (await StaffShift.getByEventId(event.id)).map(withShiftTotals);
+  const filename = `${String(event.name || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event'}-roster.csv`;
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(toCsv(shifts, ROSTER_COLUMNS));
+};
+
+/**
+ * @desc    Roster a crew member on an event shift
+ * @route   POST /api/events/:eventId/staff
+ * @access  Private (Planner - event owner or editor)
+ */
+export const createShift = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+
+  const { staffId, startTime, endTime, role, notes } = req.body;
+  const date = req.body.date || (event.date ? String(event.date).slice(0, 10) : undefined);
+
+  if (!staffId) {
+    throw new ValidationError('Staff ID is required');
+  }
+
+  // Crew come from the event owner's staff list
+  const staff = await Staff.findById(staffId);
+
+  if (!staff || staff.plannerId !== event.plannerId) {
+    throw new NotFoundError('Staff member not found');
+  }
+
+  if (!staff.isActive) {
+    throw new ValidationError('Staff member is inactive');
+  }
+
+  validateShiftTimes({ date, startTime, endTime });
+  await assertNoShiftClash(staff.id, { date, startTime, endTime });
+
+  const shift = await StaffShift.create({
+    eventId: event.id,
+    plannerId: event.plannerId,
+    staff,
+    date,
+    startTime,
+    endTime,
+    role,
+    notes
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Shift added successfully',
+    data: withShiftTotals(shift)
+  });
+};
+
+/**
+ * @desc    Update a shift
+ * @route   PUT /api/events/:eventId/staff/shifts/:shiftId
+ * @access  Private (Planner - event owner or editor)
+ */
+export const updateShift = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  const shift = await getEventShift(req.params.eventId, req.params.shiftId);
+
+  const updates = {};
+  ['date', 'startTime', 'endTime', 'role', 'notes'].forEach(key => {
+    if (req.body[key] !== undefined) updates[key] = req.body[key];
+  });
+
+  if (updates.role === '') {
+    throw new ValidationError('Role cannot be empty');
+  }
+
+  const times = {
+    date: updates.date ?? shift.date,
+    startTime: updates.startTime ?? shift.startTime,
+    endTime: updates.endTime ?? shift.endTime
+  };
+
+  validateShiftTimes(times);
+  await assertNoShiftClash(shift.staffId, times, shift.id);
+
+  const updatedShift = await StaffShift.update(shift.id, updates);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shift updated successfully',
+    data: withShiftTotals(updatedShift)
+  });
+};
+
+/**
+ * @desc    Remove a shift
+ * @route   DELETE /api/events/:eventId/staff/shifts/:shiftId
+ * @access  Private (Planner - event owner or editor)
+ */
+export const deleteShift = async (req, res) => {
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
+  await getEventShift(req.params.eventId, req.params.shiftId);
+
+  await StaffShift.delete(req.params.shiftId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shift removed successfully'
+  });
+};
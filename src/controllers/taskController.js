@@ -1,29 +1,182 @@
-import { Task } from '../models/task.js';
+import { Task, RECURRENCE_FREQUENCIES } from '../models/task.js';
 import { Event } from '../models/event.js';
-import { NotFoundError, ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
+import { Staff } from '../models/staff.js';
+import { StaffShift } from '../models/staffShift.js';
+import { notifyTaskAssigned, notifyTaskCompleted } from '../services/notificationService.js';
+import { publishToEvent, REALTIME_EVENTS } from '../services/realtimeService.js';
+import { createNextOccurrence } from '../services/reminderScheduler.js';
+import { getEventForUser, getTaskForUser, hasEventRole, EVENT_ROLES } from '../services/eventAccess.js';
+import { findCycle, getBlockingTasks, buildTaskGraph } from '../utils/taskGraph.js';
+import { parseListParams, sendPage } from '../utils/pagination.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+// Fields task lists can be sorted by
+const TASK_SORT_FIELDS = ['createdAt', 'dueDate', 'priority', 'status', 'title'];
+
+/**
+ * Push a task status change to everyone on the task's event
+ */
+const publishTaskStatus = async (task) => {
+  const event = await Event.findById(task.eventId);
+
+  if (event) {
+    publishToEvent(event, REALTIME_EVENTS.TASK_STATUS_CHANGED, {
+      taskId: task.id,
+      status: task.status,
+      task
+    });
+  }
+};
+
+/**
+ * Check dependsOn lists against the event's tasks and reject cycles.
+ * `changes` are { id, title, dependsOn } for new or updated tasks (new tasks use their bulk ref).
+ */
+const validateDependencies = (eventTasks, changes) => {
+  const graph = new Map(eventTasks.map(task => [task.id, task.dependsOn || []]));
+  const titles = new Map(eventTasks.map(task => [task.id, task.title]));
+
+  changes.forEach(({ id, title, dependsOn }) => {
+    if (!Array.isArray(dependsOn) || dependsOn.some(depId => typeof depId !== 'string' || !depId)) {
+      throw new ValidationError('dependsOn must be an array of task IDs');
+    }
+
+    if (dependsOn.includes(id)) {
+      throw new ValidationError('A task cannot depend on itself');
+    }
+
+    graph.set(id, [...new Set(dependsOn)]);
+    titles.set(id, title || titles.get(id));
+  });
+
+  changes.forEach(({ dependsOn }) => {
+    const unknownId = dependsOn.find(depId => !graph.has(depId));
+    if (unknownId) {
+      throw new ValidationError(`Task ${unknownId} is not part of this event`);
+    }
+  });
+
+  const cycle = findCycle(graph);
+  if (cycle) {
+    throw new ValidationError(`Task dependencies cannot form a cycle: ${cycle.map(id => titles.get(id) || id).join(' -> ')}`);
+  }
+};
+
+/**
+ * Validate a recurrence rule ({ frequency, interval, until }); null turns repeating off
+ */
+const parseRecurrence = (recurrence, dueDate) => {
+  if (recurrence === null) {
+    return null;
+  }
+
+  if (typeof recurrence !== 'object' || !RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+    throw new ValidationError(`recurrence.frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = recurrence.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new ValidationError('recurrence.interval must be a positive whole number');
+  }
+
+  if (recurrence.until !== undefined && recurrence.until !== null && isNaN(Date.parse(recurrence.until))) {
+    throw new ValidationError('recurrence.until must be a valid date');
+  }
+
+  if (!dueDate) {
+    throw new ValidationError('A recurring task needs a dueDate');
+  }
+
+  return {
+    frequency: recurrence.frequency,
+    interval,
+    until: recurrence.until || null,
+    seriesId: null,
+    nextTaskId: null
+  };
+};
+
+/**
+ * Roll a recurring task forward once it is completed
+ */
+const rollRecurringTask = async (task) => {
+  if (!task.recurrence) {
+    return null;
+  }
+
+  const event = await Event.findById(task.eventId);
+  return await createNextOccurrence(task, event);
+};
+
+/**
+ * Build the assignee for a crew member rostered on the event.
+ * Crew have no account, so userId is null and they get no in-app notifications.
+ */
+const getStaffAssignee = async (event, staffId) => {
+  const staff = await Staff.findById(staffId);
+
+  if (!staff || staff.plannerId !== event.plannerId) {
+    throw new NotFoundError('Staff member not found');
+  }
+
+  const shifts = await StaffShift.getByEventId(event.id);
+
+  if (!shifts.some(shift => shift.staffId === staff.id)) {
+    throw new ValidationError('Staff member must be rostered on the event before assigning tasks');
+  }
+
+  return {
+    userId: null,
+    staffId: staff.id,
+    userName: staff.name,
+    userEmail: staff.email,
+    userPhone: staff.phoneNumber,
+    userRole: 'staff',
+    assignedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * A task cannot start until the tasks it depends on are done
+ */
+const assertDependenciesDone = async (task) => {
+  if (!task.dependsOn || task.dependsOn.length === 0) {
+    return;
+  }
+
+  const eventTasks = await Task.getByEventId(task.eventId);
+  const blocking = getBlockingTasks(task, new Map(eventTasks.map(t => [t.id, t])));
+
+  if (blocking.length > 0) {
+    throw new ValidationError(
+      `Cannot start this task until these tasks are done: ${blocking.map(t => t.title).join(', ')}`
+    );
+  }
+};
 
 /**
  * @desc    Create a new task
  * @route   POST /api/events/:eventId/tasks
- * @access  Private (Planner only)
+ * @access  Private (Planner - event owner or editor)
  */
 export const createTask = async (req, res) => {
-  const event = await Event.findById(req.params.eventId);
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
 
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
-
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
+  if (req.body.dependsOn !== undefined) {
+    const eventTasks = await Task.getByEventId(req.params.eventId);
+    validateDependencies(eventTasks, [{ id: null, title: req.body.title, dependsOn: req.body.dependsOn }]);
   }
 
   const taskData = {
     ...req.body,
     eventId: req.params.eventId,
-    plannerId: req.user.id
+    plannerId: event.plannerId // Tasks belong to the event owner, whoever created them
   };
 
+  if (req.body.recurrence !== undefined) {
+    taskData.recurrence = parseRecurrence(req.body.recurrence, req.body.dueDate);
+  }
+
   const task = await Task.create(taskData);
 
   // Add task ID to event
@@ -39,59 +192,40 @@ export const createTask = async (req, res) => {
 /**
  * @desc    Get all tasks for an event
  * @route   GET /api/events/:eventId/tasks
- * @access  Private (Planner or assigned user)
+ * @access  Private (Planner - any event role, or event vendor)
  */
 export const getEventTasks = async (req, res) => {
-  const event = await Event.findById(req.params.eventId);
-
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
-
-  // Check if user is planner or assigned to event
-  const isPlanner = event.plannerId === req.user.id;
-  const isAssignedVendor = event.vendors.some(v => v.vendorId === req.user.id);
-
-  if (!isPlanner && !isAssignedVendor) {
-    throw new AuthorizationError('You do not have access to this event');
-  }
-
-  const { status, priority, assignedTo, completed } = req.query;
+  // Planners on the event and its vendors can see its tasks
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER, { allowVendor: true });
+
+  const { status, priority, assignedTo, assignedStaff, completed } = req.query;
+  const params = parseListParams(req.query, {
+    sortFields: TASK_SORT_FIELDS,
+    defaultSort: 'createdAt',
+    defaultOrder: 'asc'
+  });
 
   const filters = {};
   if (status) filters.status = status;
   if (priority) filters.priority = priority;
   if (assignedTo) filters.assignedTo = assignedTo;
+  if (assignedStaff) filters.assignedStaff = assignedStaff;
   if (completed !== undefined) filters.completed = completed === 'true';
 
-  const tasks = await Task.getByEventId(req.params.eventId, filters);
+  const page = await Task.listByEventId(req.params.eventId, filters, params);
 
-  res.status(200).json({
-    success: true,
-    count: tasks.length,
-    data: tasks
-  });
+  sendPage(res, page, params);
 };
 
 /**
  * @desc    Get task by ID
  * @route   GET /api/tasks/:id
- * @access  Private (Planner or assigned user)
+ * @access  Private (Planner - any event role, or assigned user)
  */
 export const getTaskById = async (req, res) => {
-  const task = await Task.findById(req.params.id);
-
-  if (!task) {
-    throw new NotFoundError('Task not found');
-  }
-
-  // Check if user is planner or assigned to this task
-  const isPlanner = task.plannerId === req.user.id;
-  const isAssigned = task.assignedTo?.userId === req.user.id;
-
-  if (!isPlanner && !isAssigned) {
-    throw new AuthorizationError('You do not have access to this task');
-  }
+  const { task } = await getTaskForUser(req.params.id, req.user.id, EVENT_ROLES.VIEWER, {
+    allowAssignee: true
+  });
 
   res.status(200).json({
     success: true,
@@ -102,20 +236,36 @@ export const getTaskById = async (req, res) => {
 /**
  * @desc    Update task
  * @route   PUT /api/tasks/:id
- * @access  Private (Planner only)
+ * @access  Private (Planner - event owner or editor)
  */
 export const updateTask = async (req, res) => {
-  const task = await Task.findById(req.params.id);
+  const { task } = await getTaskForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR);
+
+  if (req.body.dependsOn !== undefined) {
+    const eventTasks = await Task.getByEventId(task.eventId);
+    validateDependencies(eventTasks, [{ id: task.id, title: task.title, dependsOn: req.body.dependsOn }]);
+  }
 
-  if (!task) {
-    throw new NotFoundError('Task not found');
+  // updateTaskValidation keeps out status and the fields the scheduler owns (remindersSent, escalatedAt)
+  const updates = { ...req.body };
+
+  if (updates.recurrence !== undefined) {
+    const recurrence = parseRecurrence(updates.recurrence, updates.dueDate ?? task.dueDate);
+    // Keep the series links when only the rule changes
+    updates.recurrence = recurrence && {
+      ...recurrence,
+      seriesId: task.recurrence?.seriesId || null,
+      nextTaskId: task.recurrence?.nextTaskId || null
+    };
   }
 
-  if (task.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this task');
+  // A new due date gets a fresh set of reminders
+  if (updates.dueDate !== undefined && updates.dueDate !== task.dueDate) {
+    updates.remindersSent = [];
+    updates.escalatedAt = null;
   }
 
-  const updatedTask = await Task.update(req.params.id, req.body);
+  const updatedTask = await Task.update(req.params.id, updates);
 
   res.status(200).json({
     success: true,
@@ -127,22 +277,17 @@ export const updateTask = async (req, res) => {
 /**
  * @desc    Delete task
  * @route   DELETE /api/tasks/:id
- * @access  Private (Planner only)
+ * @access  Private (Planner - event owner or editor)
  */
 export const deleteTask = async (req, res) => {
-  const task = await Task.findById(req.params.id);
-
-  if (!task) {
-    throw new NotFoundError('Task not found');
-  }
-
-  if (task.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this task');
-  }
+  const { task } = await getTaskForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR);
 
   // Remove task from event
   await Event.removeTask(task.eventId, req.params.id);
 
+  // Tasks that waited on this one are no longer blocked by it
+  await Task.removeDependency(task.eventId, req.params.id);
+
   // Delete task
   await Task.delete(req.params.id);
 
@@ -155,43 +300,40 @@ export const deleteTask = async (req, res) => {
 /**
  * @desc    Assign task to user (vendor)
  * @route   PUT /api/tasks/:id/assign
- * @access  Private (Planner only)
+ * @access  Private (Planner - event owner or editor)
  */
 export const assignTask = async (req, res) => {
-  const task = await Task.findById(req.params.id);
+  const { event } = await getTaskForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR);
 
-  if (!task) {
-    throw new NotFoundError('Task not found');
-  }
+  const { userId, userName, userEmail, userRole, staffId } = req.body;
 
-  if (task.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this task');
-  }
+  let assignedTo;
 
-  const { userId, userName, userEmail, userRole } = req.body;
+  if (staffId) {
+    assignedTo = await getStaffAssignee(event, staffId);
+  } else {
+    // Verify user is added to the event
+    const isVendorInEvent = event.vendors.some(v => v.vendorId === userId);
 
-  if (!userId || !userName || !userEmail) {
-    throw new ValidationError('User ID, name, and email are required');
-  }
+    if (!isVendorInEvent) {
+      throw new ValidationError('User must be added to the event before assigning tasks');
+    }
 
-  // Verify user is added to the event
-  const event = await Event.findById(task.eventId);
-  const isVendorInEvent = event.vendors.some(v => v.vendorId === userId);
-
-  if (!isVendorInEvent) {
-    throw new ValidationError('User must be added to the event before assigning tasks');
+    assignedTo = {
+      userId,
+      userName,
+      userEmail,
+      userRole: userRole || 'vendor',
+      assignedAt: new Date().toISOString()
+    };
   }
 
-  const assignedTo = {
-    userId,
-    userName,
-    userEmail,
-    userRole: userRole || 'vendor',
-    assignedAt: new Date().toISOString()
-  };
-
   const updatedTask = await Task.assignTask(req.params.id, assignedTo);
 
+  await notifyTaskAssigned(updatedTask, assignedTo);
+
+  publishToEvent(event, REALTIME_EVENTS.TASK_ASSIGNED, { task: updatedTask });
+
   res.status(200).json({
     success: true,
     message: 'Task assigned successfully',
@@ -202,21 +344,15 @@ export const assignTask = async (req, res) => {
 /**
  * @desc    Unassign task
  * @route   DELETE /api/tasks/:id/assign
- * @access  Private (Planner only)
+ * @access  Private (Planner - event owner or editor)
  */
 export const unassignTask = async (req, res) => {
-  const task = await Task.findById(req.params.id);
-
-  if (!task) {
-    throw new NotFoundError('Task not found');
-  }
-
-  if (task.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this task');
-  }
+  const { task, event } = await getTaskForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR);
 
   const updatedTask = await Task.unassignTask(req.params.id);
 
+  publishToEvent(event, REALTIME_EVENTS.TASK_UNASSIGNED, { task: updatedTask }, [task.assignedTo?.userId]);
+
   res.status(200).json({
     success: true,
     message: 'Task unassigned successfully',
@@ -227,29 +363,32 @@ export const unassignTask = async (req, res) => {
 /**
  * @desc    Update task status
  * @route   PUT /api/tasks/:id/status
- * @access  Private (Planner or assigned user)
+ * @access  Private (Planner - event owner or editor, or assigned user)
  */
 export const updateTaskStatus = async (req, res) => {
-  const task = await Task.findById(req.params.id);
+  const { task, event } = await getTaskForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR, {
+    allowAssignee: true
+  });
 
-  if (!task) {
-    throw new NotFoundError('Task not found');
-  }
+  const isPlanner = hasEventRole(event, req.user.id, EVENT_ROLES.EDITOR);
 
-  const isPlanner = task.plannerId === req.user.id;
-  const isAssigned = task.assignedTo?.userId === req.user.id;
+  const { status } = req.body;
 
-  if (!isPlanner && !isAssigned) {
-    throw new AuthorizationError('You do not have access to this task');
+  if (status === 'in-progress' && task.status !== 'in-progress') {
+    await assertDependenciesDone(task);
   }
 
-  const { status } = req.body;
+  const updatedTask = await Task.updateStatus(req.params.id, status);
 
-  if (!['pending', 'in-progress', 'completed', 'cancelled'].includes(status)) {
-    throw new ValidationError('Invalid status');
+  if (status === 'completed' && !task.completed) {
+    await rollRecurringTask(updatedTask);
+
+    if (!isPlanner) {
+      await notifyTaskCompleted(updatedTask, req.user);
+    }
   }
 
-  const updatedTask = await Task.updateStatus(req.params.id, status);
+  await publishTaskStatus(updatedTask);
 
   res.status(200).json({
     success: true,
@@ -261,23 +400,26 @@ export const updateTaskStatus = async (req, res) => {
 /**
  * @desc    Mark task as completed
  * @route   PUT /api/tasks/:id/complete
- * @access  Private (Planner or assigned user)
+ * @access  Private (Planner - event owner or editor, or assigned user)
  */
 export const markTaskCompleted = async (req, res) => {
-  const task = await Task.findById(req.params.id);
+  const { task, event } = await getTaskForUser(req.params.id, req.user.id, EVENT_ROLES.EDITOR, {
+    allowAssignee: true
+  });
 
-  if (!task) {
-    throw new NotFoundError('Task not found');
-  }
+  const isPlanner = hasEventRole(event, req.user.id, EVENT_ROLES.EDITOR);
 
-  const isPlanner = task.plannerId === req.user.id;
-  const isAssigned = task.assignedTo?.userId === req.user.id;
+  const updatedTask = await Task.markCompleted(req.params.id);
+
+  if (!task.completed) {
+    await rollRecurringTask(updatedTask);
 
-  if (!isPlanner && !isAssigned) {
-    throw new AuthorizationError('You do not have access to this task');
+    if (!isPlanner) {
+      await notifyTaskCompleted(updatedTask, req.user);
+    }
   }
 
-  const updatedTask = await Task.markCompleted(req.params.id);
+  await publishTaskStatus(updatedTask);
 
   res.status(200).json({
     success: true,
@@ -293,35 +435,27 @@ export const markTaskCompleted = async (req, res) => {
  */
 export const getMyTasks = async (req, res) => {
   const { status, completed } = req.query;
+  const params = parseListParams(req.query, {
+    sortFields: TASK_SORT_FIELDS,
+    defaultSort: 'createdAt'
+  });
 
   const filters = {};
   if (status) filters.status = status;
   if (completed !== undefined) filters.completed = completed === 'true';
 
-  const tasks = await Task.getByAssignedUser(req.user.id, filters);
+  const page = await Task.listByAssignedUser(req.user.id, filters, params);
 
-  res.status(200).json({
-    success: true,
-    count: tasks.length,
-    data: tasks
-  });
+  sendPage(res, page, params);
 };
 
 /**
  * @desc    Get task statistics for event
  * @route   GET /api/events/:eventId/tasks/statistics
- * @access  Private (Planner only)
+ * @access  Private (Planner - any event role)
  */
 export const getTaskStatistics = async (req, res) => {
-  const event = await Event.findById(req.params.eventId);
-
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
-
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
-  }
+  await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
 
   const statistics = await Task.getEventStatistics(req.params.eventId);
 
@@ -334,30 +468,39 @@ export const getTaskStatistics = async (req, res) => {
 /**
  * @desc    Bulk create tasks
  * @route   POST /api/events/:eventId/tasks/bulk
- * @access  Private (Planner only)
+ * @access  Private (Planner - event owner or editor)
  */
 export const bulkCreateTasks = async (req, res) => {
-  const event = await Event.findById(req.params.eventId);
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.EDITOR);
 
-  if (!event) {
-    throw new NotFoundError('Event not found');
-  }
+  const { tasks } = req.body;
 
-  if (event.plannerId !== req.user.id) {
-    throw new AuthorizationError('You do not have access to this event');
+  // Tasks in the batch can depend on each other through their `ref`
+  const refs = tasks.map(task => task.ref).filter(ref => ref !== undefined);
+  if (new Set(refs).size !== refs.length) {
+    throw new ValidationError('Each ref must be unique');
   }
 
-  const { tasks } = req.body;
+  if (tasks.some(task => task.dependsOn !== undefined)) {
+    const eventTasks = await Task.getByEventId(req.params.eventId);
+
+    if (refs.some(ref => eventTasks.some(t => t.id === ref))) {
+      throw new ValidationError('A ref cannot reuse an existing task ID');
+    }
 
-  if (!Array.isArray(tasks) || tasks.length === 0) {
-    throw new ValidationError('Tasks array is required and must not be empty');
+    validateDependencies(eventTasks, tasks.map((task, index) => ({
+      id: task.ref || `#${index}`,
+      title: task.title,
+      dependsOn: task.dependsOn || []
+    })));
   }
 
   // Add eventId and plannerId to each task
   const tasksData = tasks.map(task => ({
     ...task,
+    recurrence: task.recurrence === undefined ? null : parseRecurrence(task.recurrence, task.dueDate),
     eventId: req.params.eventId,
-    plannerId: req.user.id
+    plannerId: event.plannerId // Tasks belong to the event owner, whoever created them
   }));
 
   const createdTasks = await Task.bulkCreate(tasksData);
@@ -372,4 +515,20 @@ export const bulkCreateTasks = async (req, res) => {
     message: `${createdTasks.length} tasks created successfully`,
     data: createdTasks
   });
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get task dependency graph and critical path
+ * @route   GET /api/events/:eventId/tasks/graph
+ * @access  Private (Planner - any event role, or event vendor)
+ */
+export const getTaskGraph = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER, { allowVendor: true });
+
+  const tasks = await Task.getByEventId(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    data: buildTaskGraph(tasks, event.date)
+  });
+};
@@ -0,0 +1,307 @@
+import { EventTemplate } from '../models/eventTemplate.js';
+import { Event } from '../models/event.js';
+import { Task, TASK_PRIORITIES } from '../models/task.js';
+import { getEventForUser, EVENT_ROLES } from '../services/eventAccess.js';
+import { findCycle } from '../utils/taskGraph.js';
+import { NotFoundError, ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
+
+// Keeps event creation inside a single Firestore batch
+const MAX_TEMPLATE_TASKS = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load a template and make sure the current planner owns it
+ */
+const getOwnedTemplate = async (templateId, userId) => {
+  const template = await EventTemplate.findById(templateId);
+
+  if (!template) {
+    throw new NotFoundError('Template not found');
+  }
+
+  if (template.plannerId !== userId) {
+    throw new AuthorizationError('You do not have access to this template');
+  }
+
+  return template;
+};
+
+/**
+ * Shift a date by a number of days (YYYY-MM-DD)
+ */
+const addDays = (date, days) =>
+  new Date(Date.parse(`${String(date).slice(0, 10)}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Whole days from one date to another
+ */
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(String(to).slice(0, 10)) - Date.parse(String(from).slice(0, 10))) / DAY_MS);
+
+/**
+ * Validate and normalise a template's task checklist
+ */
+const parseTemplateTasks = (tasks) => {
+  if (!Array.isArray(tasks)) {
+    throw new ValidationError('Tasks must be an array');
+  }
+
+  if (tasks.length > MAX_TEMPLATE_TASKS) {
+    throw new ValidationError(`A template can have at most ${MAX_TEMPLATE_TASKS} tasks`);
+  }
+
+  const parsed = tasks.map((task, index) => {
+    if (!task.title || typeof task.title !== 'string') {
+      throw new ValidationError(`Task ${index + 1}: title is required`);
+    }
+
+    if (task.priority !== undefined && !TASK_PRIORITIES.includes(task.priority)) {
+      throw new ValidationError(`Task ${index + 1}: priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+    }
+
+    if (task.dueOffsetDays !== undefined && task.dueOffsetDays !== null && !Number.isInteger(task.dueOffsetDays)) {
+      throw new ValidationError(`Task ${index + 1}: dueOffsetDays must be a whole number of days`);
+    }
+
+    if (task.durationDays !== undefined && (!Number.isInteger(task.durationDays) || task.durationDays < 1)) {
+      throw new ValidationError(`Task ${index + 1}: durationDays must be a positive whole number`);
+    }
+
+    if (task.dependsOn !== undefined && !Array.isArray(task.dependsOn)) {
+      throw new ValidationError(`Task ${index + 1}: dependsOn must be an array of task refs`);
+    }
+
+    return {
+      ref: task.ref ? String(task.ref) : `task-${index + 1}`,
+      title: task.title,
+      description: task.description || '',
+      category: task.category || 'general',
+      priority: task.priority || 'medium',
+      dueOffsetDays: task.dueOffsetDays ?? null,
+      durationDays: task.durationDays || 1,
+      dependsOn: task.dependsOn || []
+    };
+  });
+
+  const graph = new Map();
+  parsed.forEach(task => {
+    if (graph.has(task.ref)) {
+      throw new ValidationError(`Duplicate task ref: ${task.ref}`);
+    }
+    graph.set(task.ref, task.dependsOn);
+  });
+
+  parsed.forEach(task => {
+    const unknownRef = task.dependsOn.find(ref => !graph.has(ref));
+    if (unknownRef) {
+      throw new ValidationError(`Task "${task.title}" depends on unknown ref: ${unknownRef}`);
+    }
+  });
+
+  const cycle = findCycle(graph);
+  if (cycle) {
+    throw new ValidationError(`Task dependencies cannot form a cycle: ${cycle.join(' -> ')}`);
+  }
+
+  return parsed;
+};
+
+/**
+ * @desc    Create a template
+ * @route   POST /api/templates
+ * @access  Private (Planner only)
+ */
+export const createTemplate = async (req, res) => {
+  const { name, description, eventType, tasks } = req.body;
+
+  if (!name) {
+    throw new ValidationError('Template name is required');
+  }
+
+  const template = await EventTemplate.create({
+    name,
+    description,
+    eventType,
+    plannerId: req.user.id,
+    tasks: parseTemplateTasks(tasks || [])
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Template created successfully',
+    data: template
+  });
+};
+
+/**
+ * @desc    Get my templates
+ * @route   GET /api/templates
+ * @access  Private (Planner only)
+ */
+export const getTemplates = async (req, res) => {
+  const templates = await EventTemplate.getByPlannerId(req.user.id, {
+    eventType: req.query.eventType
+  });
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates
+  });
+};
+
+/**
+ * @desc    Get template by ID
+ * @route   GET /api/templates/:id
+ * @access  Private (Planner only - own templates)
+ */
+export const getTemplateById = async (req, res) => {
+  const template = await getOwnedTemplate(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: template
+  });
+};
+
+/**
+ * @desc    Update template
+ * @route   PUT /api/templates/:id
+ * @access  Private (Planner only - own templates)
+ */
+export const updateTemplate = async (req, res) => {
+  await getOwnedTemplate(req.params.id, req.user.id);
+
+  const updates = {};
+  ['name', 'description', 'eventType'].forEach(key => {
+    if (req.body[key] !== undefined) updates[key] = req.body[key];
+  });
+
+  if (updates.name === '') {
+    throw new ValidationError('Template name cannot be empty');
+  }
+
+  if (req.body.tasks !== undefined) {
+    updates.tasks = parseTemplateTasks(req.body.tasks);
+  }
+
+  const updatedTemplate = await EventTemplate.update(req.params.id, updates);
+
+  res.status(200).json({
+    success: true,
+    message: 'Template updated successfully',
+    data: updatedTemplate
+  });
+};
+
+/**
+ * @desc    Delete template
+ * @route   DELETE /api/templates/:id
+ * @access  Private (Planner only - own templates)
+ */
+export const deleteTemplate = async (req, res) => {
+  await getOwnedTemplate(req.params.id, req.user.id);
+
+  await EventTemplate.delete(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Template deleted successfully'
+  });
+};
+
+/**
+ * @desc    Save an existing event's tasks as a template
+ * @route   POST /api/templates/from-event/:eventId
+ * @access  Private (Planner - any event role)
+ */
+export const saveEventAsTemplate = async (req, res) => {
+  const event = await getEventForUser(req.params.eventId, req.user.id, EVENT_ROLES.VIEWER);
+
+  const eventTasks = (await Task.getByEventId(event.id))
+    .filter(task => task.status !== 'cancelled')
+    .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''));
+
+  if (eventTasks.length > MAX_TEMPLATE_TASKS) {
+    throw new ValidationError(`A template can have at most ${MAX_TEMPLATE_TASKS} tasks`);
+  }
+
+  // Task IDs become template refs so dependencies carry over
+  const refsById = new Map(eventTasks.map((task, index) => [task.id, `task-${index + 1}`]));
+
+  const tasks = eventTasks.map(task => ({
+    ref: refsById.get(task.id),
+    title: task.title,
+    description: task.description || '',
+    category: task.category || 'general',
+    priority: task.priority || 'medium',
+    dueOffsetDays: task.dueDate && event.date ? daysBetween(event.date, task.dueDate) : null,
+    durationDays: task.durationDays || 1,
+    dependsOn: (task.dependsOn || []).filter(id => refsById.has(id)).map(id => refsById.get(id))
+  }));
+
+  const template = await EventTemplate.create({
+    name: req.body.name || `${event.name} template`,
+    description: req.body.description,
+    eventType: event.eventType,
+    plannerId: req.user.id,
+    tasks
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Template created with ${tasks.length} tasks`,
+    data: template
+  });
+};
+
+/**
+ * @desc    Create an event from a template
+ * @route   POST /api/templates/:id/events
+ * @access  Private (Planner only - own templates)
+ */
+export const createEventFromTemplate = async (req, res) => {
+  const template = await getOwnedTemplate(req.params.id, req.user.id);
+
+  // createEventValidation has already checked the body, including the required YYYY-MM-DD date
+  const { date } = req.body;
+
+  const event = await Event.create({
+    eventType: template.eventType,
+    ...req.body,
+    plannerId: req.user.id
+  });
+
+  let tasks = [];
+
+  if (template.tasks.length > 0) {
+    tasks = await Task.bulkCreate(template.tasks.map(task => ({
+      ref: task.ref,
+      title: task.title,
+      description: task.description,
+      eventId: event.id,
+      plannerId: req.user.id,
+      assignedTo: null,
+      dueDate: task.dueOffsetDays === null ? null : addDays(date, task.dueOffsetDays),
+      priority: task.priority,
+      category: task.category,
+      durationDays: task.durationDays,
+      dependsOn: task.dependsOn
+    })));
+  }
+
+  const updatedEvent = await Event.update(event.id, {
+    tasks: tasks.map(task => task.id),
+    templateId: template.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Event created from template with ${tasks.length} tasks`,
+    data: {
+      event: updatedEvent,
+      tasks
+    }
+  });
+};
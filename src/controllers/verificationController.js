@@ -0,0 +1,156 @@
+import { Vendor, VERIFICATION_STATUSES } from '../models/vendor.js';
+import { ROLES } from '../models/baseUser.js';
+import { sendVerificationResultEmail } from '../services/emailServices.js';
+import { notifyVerificationUpdated } from '../services/notificationService.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+/**
+ * Verification fields a vendor or reviewer needs to see
+ */
+const toVerification = (vendor) => ({
+  vendorId: vendor.id,
+  businessName: vendor.businessName,
+  cacDocument: vendor.cacDocument || null,
+  verificationStatus: vendor.verificationStatus,
+  verified: vendor.verified === true,
+  verificationReason: vendor.verificationReason || null,
+  verificationSubmittedAt: vendor.verificationSubmittedAt || null,
+  verifiedBy: vendor.verifiedBy || null,
+  verifiedAt: vendor.verifiedAt || null,
+  history: vendor.verificationHistory || []
+});
+
+/**
+ * @desc    List vendors waiting on a verification decision (oldest first)
+ * @route   GET /api/admin/verifications
+ * @access  Private (Admin only)
+ */
+export const getVerificationQueue = async (req, res) => {
+  const status = req.query.status || 'pending';
+
+  if (!VERIFICATION_STATUSES.includes(status)) {
+    throw new ValidationError(`Invalid status. Must be one of: ${VERIFICATION_STATUSES.join(', ')}`);
+  }
+
+  const vendors = await Vendor.getVerificationQueue(status);
+
+  res.status(200).json({
+    success: true,
+    count: vendors.length,
+    data: vendors.map(vendor => ({
+      ...toVerification(vendor),
+      fullName: vendor.fullName,
+      email: vendor.email,
+      category: vendor.category,
+      city: vendor.city,
+      state: vendor.state
+    }))
+  });
+};
+
+/**
+ * @desc    Get a vendor's verification record and review history
+ * @route   GET /api/admin/verifications/:vendorId
+ * @access  Private (Admin only)
+ */
+export const getVendorVerification = async (req, res) => {
+  const vendor = await Vendor.findById(req.params.vendorId);
+
+  if (!vendor || vendor.role !== ROLES.VENDOR) {
+    throw new NotFoundError('Vendor not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: toVerification(vendor)
+  });
+};
+
+/**
+ * @desc    Approve or reject a vendor's CAC document
+ * @route   PUT /api/admin/verifications/:vendorId
+ * @access  Private (Admin only)
+ */
+export const reviewVerification = async (req, res) => {
+  const { status } = req.body;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!VERIFICATION_STATUSES.includes(status)) {
+    throw new ValidationError('Invalid verification status');
+  }
+
+  if (status === 'rejected' && !reason) {
+    throw new ValidationError('A reason is required when rejecting a vendor');
+  }
+
+  const vendor = await Vendor.findById(req.params.vendorId);
+
+  if (!vendor || vendor.role !== ROLES.VENDOR) {
+    throw new NotFoundError('Vendor not found');
+  }
+
+  if (status !== 'pending' && !vendor.cacDocument) {
+    throw new ValidationError('This vendor has not uploaded a CAC document');
+  }
+
+  if (vendor.verificationStatus === status) {
+    throw new ValidationError(`Vendor verification is already ${status}`);
+  }
+
+  const updatedVendor = await Vendor.updateVerificationStatus(vendor.id, status, req.user.id, {
+    reason: reason || null,
+    verifiedByName: req.user.fullName
+  });
+
+  // Reopening a review is internal; only decisions go back to the vendor
+  if (status !== 'pending') {
+    await sendVerificationResultEmail(vendor.email, vendor.businessName || vendor.fullName, status, reason);
+
+    await notifyVerificationUpdated(vendor.id, status, reason);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Vendor verification status updated successfully',
+    data: toVerification(updatedVendor)
+  });
+};
+
+/**
+ * @desc    Get my verification status, latest rejection reason and history
+ * @route   GET /api/vendors/verification
+ * @access  Private (Vendor only)
+ */
+export const getMyVerification = async (req, res) => {
+  const vendor = await Vendor.findById(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: toVerification(vendor)
+  });
+};
+
+/**
+ * @desc    Resubmit my current CAC document after a rejection
+ * @route   PUT /api/vendors/verification/resubmit
+ * @access  Private (Vendor only)
+ */
+export const resubmitVerification = async (req, res) => {
+  const vendor = await Vendor.findById(req.user.id);
+
+  if (vendor.verificationStatus !== 'rejected') {
+    throw new ValidationError(`Only rejected verifications can be resubmitted (current status: ${vendor.verificationStatus})`);
+  }
+
+  if (!vendor.cacDocument) {
+    throw new ValidationError('Upload a CAC document before resubmitting');
+  }
+
+  const updatedVendor = await Vendor.submitForVerification(vendor.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification resubmitted for review',
+    data: toVerification(updatedVendor)
+  });
+};
@@ -0,0 +1,125 @@
+import { AuditLog } from '../models/auditLog.js';
+import { BaseUser } from '../models/baseUser.js';
+import { Vendor } from '../models/vendor.js';
+import { Event } from '../models/event.js';
+import { Task } from '../models/task.js';
+
+// How to load each kind of target for the before/after snapshot
+const LOADERS = {
+  user: (id) => BaseUser.findById(id),
+  vendor: (id) => Vendor.findById(id),
+  event: (id) => Event.findById(id),
+  task: (id) => Task.findById(id)
+};
+
+// Fields whose values never go into the log (we still record that they changed)
+const SENSITIVE_FIELD = /password|token|secret|otp|hash/i;
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updatedAt'];
+
+/**
+ * Field-level diff between two snapshots: { field: { from, to } }
+ */
+const diff = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    if (key === 'id' || IGNORED_FIELDS.includes(key)) return;
+
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    changes[key] = SENSITIVE_FIELD.test(key)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from, to };
+  });
+
+  return changes;
+};
+
+/**
+ * Work out which event an entry belongs to, so it shows up in the event's activity feed
+ */
+const resolveEventId = (req, targetType, targetId, snapshot) => {
+  if (targetType === 'event') return targetId;
+  return snapshot?.eventId || req.params.eventId || null;
+};
+
+/**
+ * Record a state-changing request in the audit log once it succeeds.
+ * Place after authenticate so the actor is known.
+ * Usage: auditLog('task.update', 'task') or auditLog('vendor.profile.update', 'vendor', { targetId: req => req.user.id })
+ *
+ * @param {string} action - What happened, e.g. 'event.status.update'
+ * @param {string} targetType - user, vendor, event or task
+ * @param {Object} options
+ * @param {Function} [options.targetId] - (req, responseBody) => id. Defaults to :id, then the created record's id
+ * @param {boolean} [options.snapshot=true] - Load the target before and after to record a diff
+ */
+export const auditLog = (action, targetType, options = {}) => {
+  const {
+    targetId: getTargetId = (req, body) => req.params.id || body?.data?.id || null,
+    snapshot = true
+  } = options;
+
+  const load = snapshot ? LOADERS[targetType] : null;
+
+  return async (req, res, next) => {
+    let before = null;
+
+    try {
+      const targetId = getTargetId(req, null);
+      if (load && targetId) {
+        before = await load(targetId);
+      }
+    } catch (error) {
+      console.error('❌ Audit snapshot failed:', error.message);
+    }
+
+    // Keep the response body so created records can be identified
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      // Failed requests did not change anything
+      if (res.statusCode >= 400) return;
+
+      try {
+        const targetId = getTargetId(req, responseBody);
+        const after = load && targetId ? await load(targetId) : null;
+
+        await AuditLog.create({
+          actor: {
+            id: req.user?.id || (targetType === 'user' ? targetId : null),
+            role: req.user?.role || null,
+            email: req.user?.email || req.body?.email?.toLowerCase?.() || null,
+            impersonatedBy: req.user?.impersonatedBy || null
+          },
+          action,
+          targetType,
+          targetId,
+          eventId: resolveEventId(req, targetType, targetId, after || before),
+          changes: load ? diff(before, after) : {},
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          statusCode: res.statusCode,
+          ip: req.ip,
+          userAgent: req.get('user-agent')
+        });
+      } catch (error) {
+        // Audit failures are logged, never surfaced to the user
+        console.error('❌ Error writing audit log:', error.message);
+      }
+    });
+
+    next();
+  };
+};
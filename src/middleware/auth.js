@@ -1,5 +1,9 @@
 import TokenManager from '../utils/tokenManager.js';
 import { BaseUser } from '../models/baseUser.js'; 
+
+// Methods a read-only (impersonation) session may use
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 /**
  * Middleware to verify JWT token and authenticate user
  */
@@ -32,6 +36,20 @@ export const authenticate = async (req, res, next) => {
         message: 'Account is deactivated. Please contact support.'
       });
     }
+    // Sessions revoked by an admin invalidate access tokens issued before then
+    if (TokenManager.isRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please login again.'
+      });
+    }
+    // Impersonation tokens can only read
+    if (decoded.readOnly && !SAFE_METHODS.includes(req.method)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This is a read-only support session.'
+      });
+    }
     // Attach user to request object
     req.user = {
       id: user.id,
@@ -39,6 +57,9 @@ export const authenticate = async (req, res, next) => {
       role: user.role,
       fullName: user.fullName
     };
+    if (decoded.impersonatedBy) {
+      req.user.impersonatedBy = decoded.impersonatedBy;
+    }
     next();
   } catch (error) {
     if (error.message === 'Invalid or expired token') {
@@ -66,7 +87,7 @@ export const optionalAuth = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const decoded = TokenManager.verifyAccessToken(token);
     const user = await BaseUser.findById(decoded.userId); // Changed from User to BaseUser
-    if (user && user.isActive) {
+    if (user && user.isActive && !TokenManager.isRevoked(decoded, user) && (!decoded.readOnly || SAFE_METHODS.includes(req.method))) {
       req.user = {
         id: user.id,
         email: user.email,
@@ -81,4 +102,16 @@ export const optionalAuth = async (req, res, next) => {
     req.user = null;
     next();
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Authenticate a streaming connection.
+ * Browser EventSource cannot send headers, so the access token may also come as ?token=
+ */
+export const authenticateStream = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+
+  return authenticate(req, res, next);
+};
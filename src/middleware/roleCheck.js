@@ -5,7 +5,10 @@ import { ROLES } from '../models/baseUser.js';
  * Usage: requireRole('admin') or requireRole(['admin', 'planner'])
  */
 export const requireRole = (...allowedRoles) => {
-  return (req, res, next) => {
+  // Flatten array if roles passed as array
+  const roles = allowedRoles.flat();
+
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -15,9 +18,6 @@ export const requireRole = (...allowedRoles) => {
 
     const userRole = req.user.role;
 
-    // Flatten array if roles passed as array
-    const roles = allowedRoles.flat();
-
     if (!roles.includes(userRole)) {
       return res.status(403).json({
         success: false,
@@ -27,6 +27,11 @@ export const requireRole = (...allowedRoles) => {
 
     next();
   };
+
+  // Read by the OpenAPI generator to document who can call the route
+  middleware.roles = roles;
+
+  return middleware;
 };
 
 /**
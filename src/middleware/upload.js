@@ -24,5 +24,16 @@ export const cacDocumentUpload = multer({
   }
 });
 
+// Review photo upload (images only, up to 5 per review)
+export const reviewPhotoUpload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024, files: 5 }, // 5MB each
+  fileFilter: (req, file, cb) => {
+    const allowed = ['image/jpeg', 'image/png', 'image/webp'];
+    if (allowed.includes(file.mimetype)) cb(null, true);
+    else cb(new Error('Invalid file type. Only JPG, PNG, and WEBP allowed.'));
+  }
+});
+
 // Default export for backward compatibility
 export default profilePictureUpload;
\ No newline at end of file
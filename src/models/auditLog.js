@@ -0,0 +1,90 @@
+import { db, collections } from '../config/firebase.js';
+import { paginateQuery } from '../utils/pagination.js';
+
+/**
+ * Audit Log Model (append-only record of state-changing requests)
+ * Entries are never updated or deleted through the API.
+ */
+export class AuditLog {
+  /**
+   * Append an entry
+   */
+  static async create(entryData) {
+    const {
+      actor,
+      action,
+      targetType,
+      targetId,
+      eventId,
+      changes,
+      method,
+      path,
+      statusCode,
+      ip,
+      userAgent
+    } = entryData;
+
+    const entry = {
+      actor, // { id, role, email, impersonatedBy }
+      action, // e.g. task.status.update
+      targetType, // user, vendor, event, task
+      targetId: targetId || null,
+      eventId: eventId || null, // Lets planners see everything that happened on their event
+      changes: changes || {}, // { field: { from, to } }
+      method,
+      path,
+      statusCode,
+      ip: ip || null,
+      userAgent: userAgent || null,
+      createdAt: new Date().toISOString()
+    };
+
+    const entryRef = await db().collection(collections.AUDIT_LOGS).add(entry);
+
+    return {
+      id: entryRef.id,
+      ...entry
+    };
+  }
+
+  /**
+   * List entries, newest first (paginated)
+   */
+  static async list({ actorId, action, targetType, targetId, eventId, from, to, limit = 50, cursor } = {}) {
+    let query = db().collection(collections.AUDIT_LOGS);
+
+    if (actorId) {
+      query = query.where('actor.id', '==', actorId);
+    }
+
+    if (action) {
+      query = query.where('action', '==', action);
+    }
+
+    if (targetType) {
+      query = query.where('targetType', '==', targetType);
+    }
+
+    if (targetId) {
+      query = query.where('targetId', '==', targetId);
+    }
+
+    if (eventId) {
+      query = query.where('eventId', '==', eventId);
+    }
+
+    if (from) {
+      query = query.where('createdAt', '>=', from);
+    }
+
+    if (to) {
+      query = query.where('createdAt', '<=', to);
+    }
+
+    return await paginateQuery(query, db().collection(collections.AUDIT_LOGS), {
+      orderBy: [['createdAt', 'desc']],
+      limit,
+      cursor
+    });
+  }
+}
@@ -0,0 +1,215 @@
+import { db, collections } from '../config/firebase.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Availability Model (vendor calendar blocks)
+ * A block covers one date, either all day (no times) or a HH:mm time range.
+ * Manual blocks are set by the vendor; booking blocks mirror confirmed event bookings.
+ */
+export class Availability {
+  /**
+   * Check a YYYY-MM-DD date string
+   */
+  static isValidDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+  }
+
+  /**
+   * Check a HH:mm time string
+   */
+  static isValidTime(value) {
+    return typeof value === 'string' && TIME_PATTERN.test(value);
+  }
+
+  /**
+   * Convert HH:mm to minutes since midnight
+   */
+  static toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Date and time slot an event occupies (times fall back to all day)
+   */
+  static getEventSlot(event) {
+    const hasTimes = this.isValidTime(event.startTime) && this.isValidTime(event.endTime) &&
+      this.toMinutes(event.startTime) < this.toMinutes(event.endTime);
+
+    return {
+      date: event.date ? String(event.date).slice(0, 10) : null,
+      startTime: hasTimes ? event.startTime : null,
+      endTime: hasTimes ? event.endTime : null
+    };
+  }
+
+  /**
+   * Check whether a block overlaps a time range on the same date (null times = all day)
+   */
+  static overlaps(block, startTime, endTime) {
+    if (!block.startTime || !startTime) {
+      return true;
+    }
+
+    return this.toMinutes(block.startTime) < this.toMinutes(endTime) &&
+      this.toMinutes(startTime) < this.toMinutes(block.endTime);
+  }
+
+  /**
+   * Create several manual blocks at once
+   */
+  static async bulkCreate(blocksData) {
+    const batch = db().batch();
+    const blockRefs = [];
+
+    blocksData.forEach(blockData => {
+      const blockRef = db().collection(collections.AVAILABILITY).doc();
+      const block = {
+        vendorId: blockData.vendorId,
+        date: blockData.date,
+        startTime: blockData.startTime || null,
+        endTime: blockData.endTime || null,
+        reason: blockData.reason || '',
+        source: 'manual',
+        eventId: null,
+        createdAt: new Date().toISOString()
+      };
+      batch.set(blockRef, block);
+      blockRefs.push({ id: blockRef.id, ...block });
+    });
+
+    await batch.commit();
+    return blockRefs;
+  }
+
+  /**
+   * Find block by ID
+   */
+  static async findById(blockId) {
+    const doc = await db().collection(collections.AVAILABILITY).doc(blockId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Get a vendor's blocks between two dates (inclusive)
+   */
+  static async getByVendorId(vendorId, from, to) {
+    let query = db()
+      .collection(collections.AVAILABILITY)
+      .where('vendorId', '==', vendorId);
+
+    if (from) {
+      query = query.where('date', '>=', from);
+    }
+
+    if (to) {
+      query = query.where('date', '<=', to);
+    }
+
+    const snapshot = await query.get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || ''));
+  }
+
+  /**
+   * Get every vendor's blocks on a date
+   */
+  static async getByDate(date) {
+    const snapshot = await db()
+      .collection(collections.AVAILABILITY)
+      .where('date', '==', date)
+      .get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * Find a vendor's blocks that clash with a date/time slot
+   */
+  static async findConflicts(vendorId, { date, startTime, endTime }, { excludeEventId } = {}) {
+    if (!date) {
+      return [];
+    }
+
+    const blocks = await this.getByVendorId(vendorId, date, date);
+
+    return blocks.filter(block =>
+      (!excludeEventId || block.eventId !== excludeEventId) &&
+      this.overlaps(block, startTime, endTime)
+    );
+  }
+
+  /**
+   * Vendor ids that cannot take new work on a date:
+   * anyone blocked all day or already booked for an event that day
+   */
+  static async getBusyVendorIds(date) {
+    const blocks = await this.getByDate(date);
+
+    return new Set(
+      blocks
+        .filter(block => !block.startTime || block.source === 'booking')
+        .map(block => block.vendorId)
+    );
+  }
+
+  /**
+   * Delete block
+   */
+  static async delete(blockId) {
+    await db().collection(collections.AVAILABILITY).doc(blockId).delete();
+  }
+
+  /**
+   * Rebuild an event's booking blocks from its confirmed vendors.
+   * Call after anything that changes the event date/time, status or vendor statuses.
+   */
+  static async syncEventBookings(event, { deleted = false } = {}) {
+    const snapshot = await db()
+      .collection(collections.AVAILABILITY)
+      .where('eventId', '==', event.id)
+      .get();
+
+    const batch = db().batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+
+    const slot = this.getEventSlot(event);
+    const isActive = !deleted && event.status !== 'cancelled' && slot.date;
+
+    if (isActive) {
+      (event.vendors || [])
+        .filter(v => v.status === 'confirmed')
+        .forEach(v => {
+          const blockRef = db().collection(collections.AVAILABILITY).doc();
+          batch.set(blockRef, {
+            vendorId: v.vendorId,
+            ...slot,
+            reason: event.name,
+            source: 'booking',
+            eventId: event.id,
+            createdAt: new Date().toISOString()
+          });
+        });
+    }
+
+    await batch.commit();
+  }
+}
@@ -1,5 +1,6 @@
 import { db, collections } from '../config/firebase.js';
 import bcrypt from 'bcrypt';
+import { paginateQuery } from '../utils/pagination.js';
 
 // User roles
 export const ROLES = {
@@ -64,6 +65,27 @@ export class BaseUser {
     };
   }
 
+  /**
+   * Find user by calendar feed token hash
+   */
+  static async findByCalendarFeedTokenHash(tokenHash) {
+    const snapshot = await db()
+      .collection(collections.USERS)
+      .where('calendarFeedTokenHash', '==', tokenHash)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return null;
+    }
+
+    const doc = snapshot.docs[0];
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
   /**
    * Find user by ID
    */
@@ -80,6 +102,35 @@ export class BaseUser {
     };
   }
 
+  /**
+   * Get a page of users (admin console), newest first.
+   * `q` is an email prefix search, which orders by email instead.
+   */
+  static async list({ role, isActive, q, limit = 20, cursor } = {}) {
+    let query = db().collection(collections.USERS);
+
+    if (role) {
+      query = query.where('role', '==', role);
+    }
+
+    if (isActive !== undefined) {
+      query = query.where('isActive', '==', isActive);
+    }
+
+    if (q) {
+      const term = q.toLowerCase();
+      query = query
+        .where('email', '>=', term)
+        .where('email', '<=', `${term}\uf8ff`);
+    }
+
+    return await paginateQuery(query, db().collection(collections.USERS), {
+      orderBy: q ? [['email', 'asc']] : [['createdAt', 'desc']],
+      limit,
+      cursor
+    });
+  }
+
   /**
    * Update user data
    */
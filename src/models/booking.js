@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import { db, collections } from '../config/firebase.js';
+
+// Booking request states
+export const BOOKING_STATUSES = ['requested', 'quoted', 'countered', 'accepted', 'declined', 'cancelled'];
+
+// States in which the planner and vendor are still negotiating
+export const OPEN_BOOKING_STATUSES = ['requested', 'quoted', 'countered'];
+
+/**
+ * Booking Model (planner brief -> vendor quote -> accept/counter)
+ */
+export class Booking {
+  /**
+   * Create a new booking request from a planner brief
+   */
+  static async create(bookingData) {
+    const {
+      eventId,
+      eventName,
+      plannerId,
+      plannerName,
+      vendorId,
+      vendorName,
+      date,
+      services,
+      budget,
+      message
+    } = bookingData;
+
+    const booking = {
+      eventId,
+      eventName,
+      plannerId,
+      plannerName,
+      vendorId,
+      vendorName,
+      brief: {
+        date, // Date the vendor is needed
+        services: services || [],
+        budget: budget || null, // { amount, currency }
+        message: message || ''
+      },
+      status: 'requested', // requested, quoted, countered, accepted, declined, cancelled
+      quotes: [], // Array of { id, lineItems, total, currency, validUntil, notes, status, createdAt }
+      counterOffers: [], // Array of { id, quoteId, amount, currency, message, createdAt }
+      acceptedQuoteId: null,
+      agreedAmount: null, // { amount, currency } once a quote is accepted
+      declineReason: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const bookingRef = await db().collection(collections.BOOKINGS).add(booking);
+
+    return {
+      id: bookingRef.id,
+      ...booking
+    };
+  }
+
+  /**
+   * Find booking by ID
+   */
+  static async findById(bookingId) {
+    const doc = await db().collection(collections.BOOKINGS).doc(bookingId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Find the open booking between an event and a vendor, if any
+   */
+  static async findOpenByEventAndVendor(eventId, vendorId) {
+    const snapshot = await db()
+      .collection(collections.BOOKINGS)
+      .where('eventId', '==', eventId)
+      .where('vendorId', '==', vendorId)
+      .get();
+
+    const doc = snapshot.docs.find(d => OPEN_BOOKING_STATUSES.includes(d.data().status));
+
+    return doc ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Get bookings for a field (plannerId, vendorId or eventId)
+   */
+  static async getBy(field, value, filters = {}) {
+    let query = db()
+      .collection(collections.BOOKINGS)
+      .where(field, '==', value);
+
+    if (filters.status) {
+      query = query.where('status', '==', filters.status);
+    }
+
+    const snapshot = await query.get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  /**
+   * Update booking
+   */
+  static async update(bookingId, updateData) {
+    const bookingRef = db().collection(collections.BOOKINGS).doc(bookingId);
+
+    const updates = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    await bookingRef.update(updates);
+
+    const updated = await bookingRef.get();
+    return {
+      id: updated.id,
+      ...updated.data()
+    };
+  }
+
+  /**
+   * Add a vendor quote; earlier pending quotes are superseded
+   */
+  static async addQuote(booking, quoteData) {
+    const { lineItems, currency, validUntil, notes } = quoteData;
+
+    const total = lineItems.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+
+    const quote = {
+      id: crypto.randomUUID(),
+      lineItems, // Array of { description, quantity, unitPrice }
+      total,
+      currency,
+      validUntil,
+      notes: notes || '',
+      status: 'pending', // pending, accepted, countered, superseded
+      createdAt: new Date().toISOString()
+    };
+
+    const quotes = booking.quotes.map(q =>
+      q.status === 'pending' ? { ...q, status: 'superseded' } : q
+    );
+    quotes.push(quote);
+
+    return await this.update(booking.id, { quotes, status: 'quoted' });
+  }
+
+  /**
+   * Record a planner counter-offer against a quote
+   */
+  static async addCounterOffer(booking, quoteId, counterData) {
+    const counterOffer = {
+      id: crypto.randomUUID(),
+      quoteId,
+      amount: counterData.amount,
+      currency: counterData.currency,
+      message: counterData.message || '',
+      createdAt: new Date().toISOString()
+    };
+
+    const quotes = booking.quotes.map(q =>
+      q.id === quoteId ? { ...q, status: 'countered' } : q
+    );
+
+    return await this.update(booking.id, {
+      quotes,
+      counterOffers: [...booking.counterOffers, counterOffer],
+      status: 'countered'
+    });
+  }
+
+  /**
+   * Accept a quote
+   */
+  static async acceptQuote(booking, quoteId) {
+    const quote = booking.quotes.find(q => q.id === quoteId);
+
+    const quotes = booking.quotes.map(q =>
+      q.id === quoteId ? { ...q, status: 'accepted', acceptedAt: new Date().toISOString() } : q
+    );
+
+    return await this.update(booking.id, {
+      quotes,
+      status: 'accepted',
+      acceptedQuoteId: quoteId,
+      agreedAmount: { amount: quote.total, currency: quote.currency }
+    });
+  }
+
+  /**
+   * Check whether a quote is past its validity date
+   */
+  static isQuoteExpired(quote) {
+    return new Date(quote.validUntil) < new Date();
+  }
+}
@@ -1,4 +1,32 @@
-import { db, collections } from '../config/firebase.js';
+import { db, collections, Filter } from '../config/firebase.js';
+import { paginateQuery } from '../utils/pagination.js';
+import { geocodeAddress } from '../services/geocoder.js';
+
+// Time zone used when an event does not specify one
+export const DEFAULT_TIMEZONE = 'Africa/Lagos';
+
+// Event lifecycle
+export const EVENT_STATUSES = ['planning', 'in-progress', 'completed', 'cancelled'];
+
+// Kinds of event a planner can create
+export const EVENT_TYPES = [
+  'wedding',
+  'engagement',
+  'birthday',
+  'anniversary',
+  'party',
+  'corporate',
+  'conference',
+  'concert',
+  'festival',
+  'graduation',
+  'religious',
+  'funeral',
+  'other'
+];
+
+// Where a vendor stands on an event
+export const EVENT_VENDOR_STATUSES = ['pending', 'confirmed', 'declined'];
 
 /**
  * Event Model
@@ -14,12 +42,13 @@ export class Event {
       date,
       startTime,
       endTime,
+      timezone,
       location,
       address,
       plannerId,
       budget,
-      eventType,
-      guestCount
+      currency,
+      eventType
     } = eventData;
 
     const event = {
@@ -28,6 +57,7 @@ export class Event {
       date: date, // ISO date string
       startTime: startTime || null,
       endTime: endTime || null,
+      timezone: timezone || DEFAULT_TIMEZONE, // IANA zone the start/end times are in
       location: location || '',
       address: {
         street: address?.street || '',
@@ -36,11 +66,18 @@ export class Event {
         country: address?.country || '',
         zipCode: address?.zipCode || ''
       },
+      coordinates: await geocodeAddress(address, location), // { lat, lng, precision, geocodedAt } or null
       plannerId,
       budget: budget || null,
+      currency: currency || 'NGN', // Currency for budget and expense roll-ups
       eventType: eventType || 'other', // wedding, birthday, corporate, conference, etc.
-      guestCount: guestCount || 0,
+      guestCount: 0, // Derived from accepted RSVPs (see Guest model)
       vendors: [], // Array of { vendorId, vendorName, vendorEmail, role, status, addedAt }
+      vendorIds: [], // Mirrors vendors[].vendorId for array-contains queries
+      vendorStatusKeys: [], // Mirrors vendors[] as "vendorId:status" to query a vendor's bookings by status
+      collaborators: [], // Array of { userId, name, email, role, addedBy, addedAt }; role: editor or viewer
+      collaboratorIds: [], // Mirrors collaborators[].userId for array-contains queries
+      registryToken: null, // Public gift registry share token (null = registry not shared)
       tasks: [], // Array of task IDs
       status: 'planning', // planning, in-progress, completed, cancelled
       completed: false,
@@ -72,6 +109,27 @@ export class Event {
     };
   }
 
+  /**
+   * Find event by gift registry share token
+   */
+  static async findByRegistryToken(registryToken) {
+    const snapshot = await db()
+      .collection(collections.EVENTS)
+      .where('registryToken', '==', registryToken)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return null;
+    }
+
+    const doc = snapshot.docs[0];
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
   /**
    * Get all events for a planner
    */
@@ -80,7 +138,21 @@ export class Event {
       .collection(collections.EVENTS)
       .where('plannerId', '==', plannerId);
 
-    // Apply filters
+    // Apply filters, ordered by date
+    query = this.applyFilters(query, filters).orderBy('date', 'desc');
+
+    const snapshot = await query.get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * Apply the list filters shared by planner event queries
+   */
+  static applyFilters(query, filters = {}) {
     if (filters.status) {
       query = query.where('status', '==', filters.status);
     }
@@ -93,8 +165,111 @@ export class Event {
       query = query.where('eventType', '==', filters.eventType);
     }
 
-    // Order by date
-    query = query.orderBy('date', 'desc');
+    return query;
+  }
+
+  /**
+   * Query a planner's events: owned, shared with them, or both (no role)
+   */
+  static plannerQuery(userId, role) {
+    const eventsRef = db().collection(collections.EVENTS);
+
+    if (role === 'owner') {
+      return eventsRef.where('plannerId', '==', userId);
+    }
+
+    if (role === 'collaborator') {
+      return eventsRef.where('collaboratorIds', 'array-contains', userId);
+    }
+
+    return eventsRef.where(Filter.or(
+      Filter.where('plannerId', '==', userId),
+      Filter.where('collaboratorIds', 'array-contains', userId)
+    ));
+  }
+
+  /**
+   * Get all events a planner owns or co-plans, latest first
+   */
+  static async getForPlanner(userId) {
+    const snapshot = await this.plannerQuery(userId).orderBy('date', 'desc').get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * List a planner's events one page at a time (owned, shared with them, or both)
+   */
+  static async listForPlanner(userId, filters = {}, { sort = 'date', order = 'desc', limit, cursor } = {}) {
+    const eventsRef = db().collection(collections.EVENTS);
+    const query = this.plannerQuery(userId, filters.role);
+
+    return await paginateQuery(this.applyFilters(query, filters), eventsRef, {
+      orderBy: [[sort, order]],
+      limit,
+      cursor
+    });
+  }
+
+  /**
+   * List the events a vendor is on one page at a time, optionally by their status on the event
+   */
+  static async listByVendorId(vendorId, filters = {}, { sort = 'date', order = 'desc', limit, cursor } = {}) {
+    const eventsRef = db().collection(collections.EVENTS);
+
+    const query = filters.status
+      ? eventsRef.where('vendorStatusKeys', 'array-contains', `${vendorId}:${filters.status}`)
+      : eventsRef.where('vendorIds', 'array-contains', vendorId);
+
+    return await paginateQuery(query, eventsRef, {
+      orderBy: [[sort, order]],
+      limit,
+      cursor
+    });
+  }
+
+  /**
+   * Query fields kept in step with an event's vendors array
+   */
+  static vendorIndexFields(vendors) {
+    return {
+      vendorIds: vendors.map(v => v.vendorId),
+      vendorStatusKeys: vendors.map(v => `${v.vendorId}:${v.status}`)
+    };
+  }
+
+  /**
+   * Fill vendorIds/vendorStatusKeys on events created before they existed.
+   * Run once per deployment with `npm run migrate:vendor-index`.
+   */
+  static async backfillVendorIndex() {
+    const snapshot = await db().collection(collections.EVENTS).get();
+    const stale = snapshot.docs.filter(doc => !Array.isArray(doc.data().vendorStatusKeys));
+
+    // Firestore batches are capped at 500 writes
+    for (let i = 0; i < stale.length; i += 500) {
+      const batch = db().batch();
+      stale.slice(i, i + 500).forEach(doc => {
+        batch.update(doc.ref, this.vendorIndexFields(doc.data().vendors || []));
+      });
+      await batch.commit();
+    }
+
+    return stale.length;
+  }
+
+  /**
+   * Get all events a planner collaborates on (not owns)
+   */
+  static async getByCollaboratorId(userId, filters = {}) {
+    let query = db()
+      .collection(collections.EVENTS)
+      .where('collaboratorIds', 'array-contains', userId);
+
+    query = this.applyFilters(query, filters);
 
     const snapshot = await query.get();
 
@@ -104,26 +279,20 @@ export class Event {
     }));
   }
 
-/**
- * Get all events where vendor is added
- */
-static async getByVendorId(vendorId) {
-  // Get all events
-  const snapshot = await db()
-    .collection(collections.EVENTS)
-    .get();
-
-  // Filter in memory to find events where this vendor is added
-  return snapshot.docs
-    .map(doc => ({
+  /**
+   * Get all events where vendor is added
+   */
+  static async getByVendorId(vendorId) {
+    const snapshot = await db()
+      .collection(collections.EVENTS)
+      .where('vendorIds', 'array-contains', vendorId)
+      .get();
+
+    return snapshot.docs.map(doc => ({
       id: doc.id,
       ...doc.data()
-    }))
-    .filter(event => 
-      event.vendors && 
-      event.vendors.some(v => v.vendorId === vendorId)
-    );
-}
+    }));
+  }
 
   /**
    * Update event
@@ -136,6 +305,15 @@ static async getByVendorId(vendorId) {
       updatedAt: new Date().toISOString()
     };
 
+    // Keep coordinates in step with the address
+    if (updateData.address !== undefined || updateData.location !== undefined) {
+      const current = (await eventRef.get()).data() || {};
+      updates.coordinates = await geocodeAddress(
+        updateData.address ?? current.address,
+        updateData.location ?? current.location
+      );
+    }
+
     await eventRef.update(updates);
 
     const updated = await eventRef.get();
@@ -145,6 +323,13 @@ static async getByVendorId(vendorId) {
     };
   }
 
+  /**
+   * Where an event takes place (geocodes events saved before coordinates were stored)
+   */
+  static async getCoordinates(event) {
+    return event.coordinates || await geocodeAddress(event.address, event.location);
+  }
+
   /**
    * Add vendor to event
    */
@@ -176,7 +361,7 @@ static async getByVendorId(vendorId) {
 
     event.vendors.push(vendor);
 
-    return await this.update(eventId, { vendors: event.vendors });
+    return await this.update(eventId, { vendors: event.vendors, ...this.vendorIndexFields(event.vendors) });
   }
 
   /**
@@ -191,7 +376,7 @@ static async getByVendorId(vendorId) {
 
     const vendors = event.vendors.filter(v => v.vendorId !== vendorId);
 
-    return await this.update(eventId, { vendors });
+    return await this.update(eventId, { vendors, ...this.vendorIndexFields(vendors) });
   }
 
   /**
@@ -208,7 +393,61 @@ static async getByVendorId(vendorId) {
       v.vendorId === vendorId ? { ...v, status, updatedAt: new Date().toISOString() } : v
     );
 
-    return await this.update(eventId, { vendors });
+    return await this.update(eventId, { vendors, ...this.vendorIndexFields(vendors) });
+  }
+
+  /**
+   * Add a collaborator, or change the role of an existing one
+   */
+  static async setCollaborator(eventId, collaboratorData) {
+    const event = await this.findById(eventId);
+
+    if (!event) {
+      return null;
+    }
+
+    const existing = (event.collaborators || []).find(c => c.userId === collaboratorData.userId);
+
+    const collaborators = existing
+      ? event.collaborators.map(c =>
+        c.userId === collaboratorData.userId
+          ? { ...c, role: collaboratorData.role, updatedAt: new Date().toISOString() }
+          : c
+      )
+      : [
+        ...(event.collaborators || []),
+        {
+          userId: collaboratorData.userId,
+          name: collaboratorData.name,
+          email: collaboratorData.email,
+          role: collaboratorData.role,
+          addedBy: collaboratorData.addedBy,
+          addedAt: new Date().toISOString()
+        }
+      ];
+
+    return await this.update(eventId, {
+      collaborators,
+      collaboratorIds: collaborators.map(c => c.userId)
+    });
+  }
+
+  /**
+   * Remove a collaborator
+   */
+  static async removeCollaborator(eventId, userId) {
+    const event = await this.findById(eventId);
+
+    if (!event) {
+      return null;
+    }
+
+    const collaborators = (event.collaborators || []).filter(c => c.userId !== userId);
+
+    return await this.update(eventId, {
+      collaborators,
+      collaboratorIds: collaborators.map(c => c.userId)
+    });
   }
 
   /**
@@ -0,0 +1,128 @@
+import { db, collections } from '../config/firebase.js';
+
+// Invitations expire after 14 days
+const INVITATION_TTL_DAYS = 14;
+
+/**
+ * Event Invitation Model (invite a planner to collaborate by email)
+ */
+export class EventInvitation {
+  /**
+   * Create a new invitation
+   */
+  static async create(invitationData) {
+    const { eventId, eventName, email, role, invitedBy, invitedByName } = invitationData;
+
+    const invitation = {
+      eventId,
+      eventName,
+      email: email.toLowerCase(),
+      role, // editor or viewer
+      invitedBy,
+      invitedByName,
+      status: 'pending', // pending, accepted, declined, revoked
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      respondedAt: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const invitationRef = await db().collection(collections.INVITATIONS).add(invitation);
+
+    return {
+      id: invitationRef.id,
+      ...invitation
+    };
+  }
+
+  /**
+   * Find invitation by ID
+   */
+  static async findById(invitationId) {
+    const doc = await db().collection(collections.INVITATIONS).doc(invitationId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Get pending invitations for an event
+   */
+  static async getPendingByEventId(eventId) {
+    const snapshot = await db()
+      .collection(collections.INVITATIONS)
+      .where('eventId', '==', eventId)
+      .where('status', '==', 'pending')
+      .get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * Get pending, unexpired invitations sent to an email address
+   */
+  static async getPendingByEmail(email) {
+    const snapshot = await db()
+      .collection(collections.INVITATIONS)
+      .where('email', '==', email.toLowerCase())
+      .where('status', '==', 'pending')
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .filter(invitation => !this.isExpired(invitation));
+  }
+
+  /**
+   * Update invitation
+   */
+  static async update(invitationId, updateData) {
+    const invitationRef = db().collection(collections.INVITATIONS).doc(invitationId);
+
+    const updates = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    await invitationRef.update(updates);
+
+    const updated = await invitationRef.get();
+    return {
+      id: updated.id,
+      ...updated.data()
+    };
+  }
+
+  /**
+   * Check whether an invitation has expired
+   */
+  static isExpired(invitation) {
+    return new Date(invitation.expiresAt) < new Date();
+  }
+
+  /**
+   * Delete all invitations for an event
+   */
+  static async deleteByEventId(eventId) {
+    const snapshot = await db()
+      .collection(collections.INVITATIONS)
+      .where('eventId', '==', eventId)
+      .get();
+
+    const batch = db().batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+}
@@ -0,0 +1,97 @@
+import { db, collections } from '../config/firebase.js';
+
+/**
+ * Event Template Model (reusable task checklists per event type)
+ */
+export class EventTemplate {
+  /**
+   * Create a new template
+   */
+  static async create(templateData) {
+    const { name, description, eventType, plannerId, tasks } = templateData;
+
+    const template = {
+      name,
+      description: description || '',
+      eventType: eventType || 'other',
+      plannerId,
+      // Array of { ref, title, description, category, priority, dueOffsetDays, durationDays, dependsOn }
+      // dueOffsetDays is relative to the event date (negative = before); dependsOn lists refs
+      tasks: tasks || [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const templateRef = await db().collection(collections.TEMPLATES).add(template);
+
+    return {
+      id: templateRef.id,
+      ...template
+    };
+  }
+
+  /**
+   * Find template by ID
+   */
+  static async findById(templateId) {
+    const doc = await db().collection(collections.TEMPLATES).doc(templateId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Get a planner's templates
+   */
+  static async getByPlannerId(plannerId, filters = {}) {
+    let query = db()
+      .collection(collections.TEMPLATES)
+      .where('plannerId', '==', plannerId);
+
+    if (filters.eventType) {
+      query = query.where('eventType', '==', filters.eventType);
+    }
+
+    const snapshot = await query.get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Update template
+   */
+  static async update(templateId, updateData) {
+    const templateRef = db().collection(collections.TEMPLATES).doc(templateId);
+
+    const updates = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    await templateRef.update(updates);
+
+    const updated = await templateRef.get();
+    return {
+      id: updated.id,
+      ...updated.data()
+    };
+  }
+
+  /**
+   * Delete template
+   */
+  static async delete(templateId) {
+    await db().collection(collections.TEMPLATES).doc(templateId).delete();
+  }
+}
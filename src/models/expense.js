@@ -0,0 +1,244 @@
+import { db, collections } from '../config/firebase.js';
+
+// Budget line item categories
+export const EXPENSE_CATEGORIES = [
+  'venue',
+  'catering',
+  'decoration',
+  'photography',
+  'videography',
+  'music',
+  'entertainment',
+  'attire',
+  'transport',
+  'stationery',
+  'gifts',
+  'staffing',
+  'other'
+];
+
+// Supported currencies (matches vendor priceRange currencies)
+export const CURRENCIES = ['NGN', 'USD', 'GBP', 'EUR'];
+
+/**
+ * Expense Model (budget line items per event)
+ */
+export class Expense {
+  /**
+   * Create a new expense line item
+   */
+  static async create(expenseData) {
+    const {
+      title,
+      description,
+      eventId,
+      plannerId,
+      category,
+      vendorId,
+      vendorName,
+      plannedAmount,
+      actualAmount,
+      currency,
+      paid,
+      dueDate
+    } = expenseData;
+
+    const expense = {
+      title,
+      description: description || '',
+      eventId,
+      plannerId,
+      category: category || 'other',
+      vendorId: vendorId || null, // Must be one of event.vendors when set
+      vendorName: vendorName || null,
+      plannedAmount: plannedAmount || 0,
+      actualAmount: actualAmount || 0,
+      currency: currency || 'NGN',
+      paid: paid || false,
+      paidAt: paid ? new Date().toISOString() : null,
+      dueDate: dueDate || null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const expenseRef = await db().collection(collections.EXPENSES).add(expense);
+
+    return {
+      id: expenseRef.id,
+      ...expense
+    };
+  }
+
+  /**
+   * Find expense by ID
+   */
+  static async findById(expenseId) {
+    const doc = await db().collection(collections.EXPENSES).doc(expenseId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Get all expenses for an event
+   */
+  static async getByEventId(eventId, filters = {}) {
+    let query = db()
+      .collection(collections.EXPENSES)
+      .where('eventId', '==', eventId);
+
+    if (filters.category) {
+      query = query.where('category', '==', filters.category);
+    }
+
+    if (filters.vendorId) {
+      query = query.where('vendorId', '==', filters.vendorId);
+    }
+
+    if (filters.paid !== undefined) {
+      query = query.where('paid', '==', filters.paid);
+    }
+
+    const snapshot = await query.get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * Get all expenses across a planner's events
+   */
+  static async getByPlannerId(plannerId) {
+    const snapshot = await db()
+      .collection(collections.EXPENSES)
+      .where('plannerId', '==', plannerId)
+      .get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * Update expense
+   */
+  static async update(expenseId, updateData) {
+    const expenseRef = db().collection(collections.EXPENSES).doc(expenseId);
+
+    const updates = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    await expenseRef.update(updates);
+
+    const updated = await expenseRef.get();
+    return {
+      id: updated.id,
+      ...updated.data()
+    };
+  }
+
+  /**
+   * Mark expense as paid or unpaid
+   */
+  static async setPaid(expenseId, paid) {
+    return await this.update(expenseId, {
+      paid,
+      paidAt: paid ? new Date().toISOString() : null
+    });
+  }
+
+  /**
+   * Delete expense
+   */
+  static async delete(expenseId) {
+    await db().collection(collections.EXPENSES).doc(expenseId).delete();
+  }
+
+  /**
+   * Delete all expenses for an event
+   */
+  static async deleteByEventId(eventId) {
+    const expenses = await this.getByEventId(eventId);
+    const batch = db().batch();
+
+    expenses.forEach(expense => {
+      const expenseRef = db().collection(collections.EXPENSES).doc(expense.id);
+      batch.delete(expenseRef);
+    });
+
+    await batch.commit();
+  }
+
+  /**
+   * Roll up expenses against an event budget.
+   * Totals only include line items in the event currency; anything else is
+   * reported per currency so it is never silently summed.
+   */
+  static summarize(event, expenses) {
+    const currency = event.currency || 'NGN';
+    const budget = event.budget || 0;
+
+    const inCurrency = expenses.filter(e => e.currency === currency);
+    const sum = (items, field) => items.reduce((total, e) => total + (e[field] || 0), 0);
+
+    const totalPlanned = sum(inCurrency, 'plannedAmount');
+    const totalActual = sum(inCurrency, 'actualAmount');
+    const totalPaid = sum(inCurrency.filter(e => e.paid), 'actualAmount');
+
+    const byCategory = {};
+    inCurrency.forEach(e => {
+      if (!byCategory[e.category]) {
+        byCategory[e.category] = { planned: 0, actual: 0, count: 0 };
+      }
+      byCategory[e.category].planned += e.plannedAmount || 0;
+      byCategory[e.category].actual += e.actualAmount || 0;
+      byCategory[e.category].count += 1;
+    });
+
+    const otherCurrencies = {};
+    expenses
+      .filter(e => e.currency !== currency)
+      .forEach(e => {
+        if (!otherCurrencies[e.currency]) {
+          otherCurrencies[e.currency] = { planned: 0, actual: 0, count: 0 };
+        }
+        otherCurrencies[e.currency].planned += e.plannedAmount || 0;
+        otherCurrencies[e.currency].actual += e.actualAmount || 0;
+        otherCurrencies[e.currency].count += 1;
+      });
+
+    return {
+      currency,
+      budget,
+      totalPlanned,
+      totalActual,
+      totalPaid,
+      outstanding: totalActual - totalPaid,
+      remaining: budget - totalActual,
+      overBudget: budget > 0 && totalActual > budget,
+      budgetUsed: budget > 0 ? (totalActual / budget * 100).toFixed(1) : 0,
+      expenseCount: expenses.length,
+      byCategory,
+      otherCurrencies
+    };
+  }
+
+  /**
+   * Get budget summary for an event
+   */
+  static async getEventSummary(event) {
+    const expenses = await this.getByEventId(event.id);
+    return this.summarize(event, expenses);
+  }
+}
@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import { db, collections } from '../config/firebase.js';
+
+/**
+ * Gift Model (event gift registry items)
+ * Claims live on the gift document so a single transaction can check and update them.
+ * A regular item is claimed by quantity; a contribution item (allowContributions)
+ * collects amounts from several guests towards its price.
+ */
+export class Gift {
+  /**
+   * Recalculate claim totals
+   */
+  static getTotals(claims) {
+    return {
+      claimedQuantity: claims.reduce((sum, claim) => sum + (claim.quantity || 0), 0),
+      contributedAmount: claims.reduce((sum, claim) => sum + (claim.amount || 0), 0)
+    };
+  }
+
+  /**
+   * What is still open on a gift and whether it is fulfilled
+   */
+  static getStatus(gift) {
+    if (gift.allowContributions) {
+      const remainingAmount = Math.max(0, gift.price - (gift.contributedAmount || 0));
+      return { remainingAmount, fulfilled: remainingAmount === 0 };
+    }
+
+    const remainingQuantity = Math.max(0, gift.quantity - (gift.claimedQuantity || 0));
+    return { remainingQuantity, fulfilled: remainingQuantity === 0 };
+  }
+
+  /**
+   * Create a new gift
+   */
+  static async create(giftData) {
+    const { eventId, plannerId, name, description, price, currency, link, imageUrl, quantity, allowContributions } = giftData;
+
+    const gift = {
+      eventId,
+      plannerId,
+      name,
+      description: description || '',
+      price,
+      currency: currency || 'NGN',
+      link: link || null,
+      imageUrl: imageUrl || null,
+      quantity: quantity || 1,
+      allowContributions: allowContributions === true,
+      // Array of { id, guestName, guestEmail, quantity, amount, message, claimedAt, thankYouSentAt }
+      claims: [],
+      claimedQuantity: 0,
+      contributedAmount: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const giftRef = await db().collection(collections.GIFTS).add(gift);
+
+    return {
+      id: giftRef.id,
+      ...gift
+    };
+  }
+
+  /**
+   * Find gift by ID
+   */
+  static async findById(giftId) {
+    const doc = await db().collection(collections.GIFTS).doc(giftId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Get all gifts for an event
+   */
+  static async getByEventId(eventId) {
+    const snapshot = await db()
+      .collection(collections.GIFTS)
+      .where('eventId', '==', eventId)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Update gift details (never claims; use updateClaims)
+   */
+  static async update(giftId, updateData) {
+    const giftRef = db().collection(collections.GIFTS).doc(giftId);
+
+    const updates = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    await giftRef.update(updates);
+
+    const updated = await giftRef.get();
+    return {
+      id: updated.id,
+      ...updated.data()
+    };
+  }
+
+  /**
+   * Change a gift's claims inside a transaction.
+   * `updater` gets the current gift and returns the new claims array; it may throw to abort.
+   * Two guests claiming the last item at once cannot both succeed.
+   */
+  static async updateClaims(giftId, updater) {
+    const giftRef = db().collection(collections.GIFTS).doc(giftId);
+
+    return await db().runTransaction(async (transaction) => {
+      const doc = await transaction.get(giftRef);
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      const gift = { id: doc.id, ...doc.data() };
+      const claims = updater(gift);
+
+      const updates = {
+        claims,
+        ...this.getTotals(claims),
+        updatedAt: new Date().toISOString()
+      };
+
+      transaction.update(giftRef, updates);
+
+      return { ...gift, ...updates };
+    });
+  }
+
+  /**
+   * Add a claim (or contribution)
+   */
+  static async addClaim(giftId, buildClaim) {
+    let claim = null;
+
+    const gift = await this.updateClaims(giftId, (current) => {
+      claim = {
+        id: crypto.randomUUID(),
+        ...buildClaim(current),
+        claimedAt: new Date().toISOString(),
+        thankYouSentAt: null
+      };
+      return [...(current.claims || []), claim];
+    });
+
+    return gift && { gift, claim };
+  }
+
+  /**
+   * Delete gift
+   */
+  static async delete(giftId) {
+    await db().collection(collections.GIFTS).doc(giftId).delete();
+    return true;
+  }
+
+  /**
+   * Delete all gifts for an event
+   */
+  static async deleteByEventId(eventId) {
+    const gifts = await this.getByEventId(eventId);
+    const batch = db().batch();
+
+    gifts.forEach(gift => {
+      batch.delete(db().collection(collections.GIFTS).doc(gift.id));
+    });
+
+    await batch.commit();
+  }
+}
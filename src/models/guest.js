@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import { db, collections } from '../config/firebase.js';
+
+// RSVP states a guest can be in
+export const RSVP_STATUSES = ['invited', 'accepted', 'declined', 'maybe'];
+
+/**
+ * Guest Model
+ */
+export class Guest {
+  /**
+   * Generate a token guests use to answer their RSVP without an account
+   */
+  static generateRsvpToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Build a guest document from raw input
+   */
+  static buildGuest(guestData) {
+    const {
+      name,
+      email,
+      phoneNumber,
+      eventId,
+      plannerId,
+      plusOnesAllowed,
+      notes
+    } = guestData;
+
+    return {
+      name,
+      email: email ? email.toLowerCase() : null,
+      phoneNumber: phoneNumber || null,
+      eventId,
+      plannerId,
+      rsvpStatus: 'invited', // invited, accepted, declined, maybe
+      rsvpToken: this.generateRsvpToken(),
+      plusOnesAllowed: plusOnesAllowed || 0,
+      plusOnes: 0, // Plus-ones the guest is actually bringing
+      notes: notes || '',
+      respondedAt: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Create a new guest
+   */
+  static async create(guestData) {
+    const guest = this.buildGuest(guestData);
+
+    const guestRef = await db().collection(collections.GUESTS).add(guest);
+
+    return {
+      id: guestRef.id,
+      ...guest
+    };
+  }
+
+  /**
+   * Bulk create guests
+   */
+  static async bulkCreate(guestsData) {
+    const batch = db().batch();
+    const guestRefs = [];
+
+    guestsData.forEach(guestData => {
+      const guestRef = db().collection(collections.GUESTS).doc();
+      const guest = this.buildGuest(guestData);
+      batch.set(guestRef, guest);
+      guestRefs.push({ id: guestRef.id, ...guest });
+    });
+
+    await batch.commit();
+    return guestRefs;
+  }
+
+  /**
+   * Find guest by ID
+   */
+  static async findById(guestId) {
+    const doc = await db().collection(collections.GUESTS).doc(guestId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Find guest by RSVP token
+   */
+  static async findByRsvpToken(rsvpToken) {
+    const snapshot = await db()
+      .collection(collections.GUESTS)
+      .where('rsvpToken', '==', rsvpToken)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return null;
+    }
+
+    const doc = snapshot.docs[0];
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Get all guests for an event
+   */
+  static async getByEventId(eventId, filters = {}) {
+    let query = db()
+      .collection(collections.GUESTS)
+      .where('eventId', '==', eventId);
+
+    if (filters.rsvpStatus) {
+      query = query.where('rsvpStatus', '==', filters.rsvpStatus);
+    }
+
+    const snapshot = await query.get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * Get all guests across a planner's events
+   */
+  static async getByPlannerId(plannerId) {
+    const snapshot = await db()
+      .collection(collections.GUESTS)
+      .where('plannerId', '==', plannerId)
+      .get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * Update guest
+   */
+  static async update(guestId, updateData) {
+    const guestRef = db().collection(collections.GUESTS).doc(guestId);
+
+    const updates = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    await guestRef.update(updates);
+
+    const updated = await guestRef.get();
+    return {
+      id: updated.id,
+      ...updated.data()
+    };
+  }
+
+  /**
+   * Record a guest's RSVP response
+   */
+  static async respond(guestId, rsvpStatus, plusOnes = 0) {
+    return await this.update(guestId, {
+      rsvpStatus,
+      plusOnes: rsvpStatus === 'declined' ? 0 : plusOnes,
+      respondedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Delete guest
+   */
+  static async delete(guestId) {
+    await db().collection(collections.GUESTS).doc(guestId).delete();
+  }
+
+  /**
+   * Delete all guests for an event
+   */
+  static async deleteByEventId(eventId) {
+    const guests = await this.getByEventId(eventId);
+    const batch = db().batch();
+
+    guests.forEach(guest => {
+      const guestRef = db().collection(collections.GUESTS).doc(guest.id);
+      batch.delete(guestRef);
+    });
+
+    await batch.commit();
+  }
+
+  /**
+   * Headcount of accepted guests, including their plus-ones
+   */
+  static countAttending(guests) {
+    return guests
+      .filter(g => g.rsvpStatus === 'accepted')
+      .reduce((total, g) => total + 1 + (g.plusOnes || 0), 0);
+  }
+
+  /**
+   * Get RSVP summary for an event
+   */
+  static async getEventSummary(eventId) {
+    const guests = await this.getByEventId(eventId);
+
+    const byStatus = RSVP_STATUSES.reduce((acc, status) => {
+      acc[status] = guests.filter(g => g.rsvpStatus === status).length;
+      return acc;
+    }, {});
+
+    const responded = guests.length - byStatus.invited;
+
+    return {
+      totalInvited: guests.length,
+      ...byStatus,
+      attending: this.countAttending(guests),
+      responseRate: guests.length > 0 ? (responded / guests.length * 100).toFixed(1) : 0
+    };
+  }
+}
@@ -0,0 +1,153 @@
+import { db, collections } from '../config/firebase.js';
+import { paginateQuery } from '../utils/pagination.js';
+
+// Notification types
+export const NOTIFICATION_TYPES = {
+  VENDOR_ADDED: 'vendor_added',
+  VENDOR_RESPONDED: 'vendor_responded',
+  TASK_ASSIGNED: 'task_assigned',
+  TASK_COMPLETED: 'task_completed',
+  TASK_REMINDER: 'task_reminder',
+  TASK_OVERDUE: 'task_overdue',
+  BUDGET_EXCEEDED: 'budget_exceeded',
+  BOOKING_REQUESTED: 'booking_requested',
+  QUOTE_RECEIVED: 'quote_received',
+  QUOTE_COUNTERED: 'quote_countered',
+  QUOTE_ACCEPTED: 'quote_accepted',
+  BOOKING_DECLINED: 'booking_declined',
+  BOOKING_CANCELLED: 'booking_cancelled',
+  COLLABORATOR_INVITED: 'collaborator_invited',
+  COLLABORATOR_JOINED: 'collaborator_joined',
+  GIFT_CLAIMED: 'gift_claimed',
+  VERIFICATION_UPDATED: 'verification_updated'
+};
+
+// Firestore batches are capped at 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Notification Model (in-app notification center for every role)
+ */
+export class Notification {
+  /**
+   * Create a new notification
+   */
+  static async create(notificationData) {
+    const { userId, type, title, message, data } = notificationData;
+
+    const notification = {
+      userId,
+      type,
+      title,
+      message,
+      data: data || {}, // Related ids, e.g. { eventId, taskId }
+      read: false,
+      readAt: null,
+      createdAt: new Date().toISOString()
+    };
+
+    const notificationRef = await db().collection(collections.NOTIFICATIONS).add(notification);
+
+    return {
+      id: notificationRef.id,
+      ...notification
+    };
+  }
+
+  /**
+   * Find notification by ID
+   */
+  static async findById(notificationId) {
+    const doc = await db().collection(collections.NOTIFICATIONS).doc(notificationId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Get a page of notifications for a user, newest first
+   */
+  static async getByUserId(userId, { limit = 20, cursor, unreadOnly = false } = {}) {
+    let query = db()
+      .collection(collections.NOTIFICATIONS)
+      .where('userId', '==', userId);
+
+    if (unreadOnly) {
+      query = query.where('read', '==', false);
+    }
+
+    return await paginateQuery(query, db().collection(collections.NOTIFICATIONS), {
+      orderBy: [['createdAt', 'desc']],
+      limit,
+      cursor
+    });
+  }
+
+  /**
+   * Count unread notifications for a user
+   */
+  static async countUnread(userId) {
+    const snapshot = await db()
+      .collection(collections.NOTIFICATIONS)
+      .where('userId', '==', userId)
+      .where('read', '==', false)
+      .count()
+      .get();
+
+    return snapshot.data().count;
+  }
+
+  /**
+   * Mark notification as read
+   */
+  static async markRead(notificationId) {
+    const notificationRef = db().collection(collections.NOTIFICATIONS).doc(notificationId);
+
+    await notificationRef.update({
+      read: true,
+      readAt: new Date().toISOString()
+    });
+
+    const updated = await notificationRef.get();
+    return {
+      id: updated.id,
+      ...updated.data()
+    };
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   */
+  static async markAllRead(userId) {
+    const snapshot = await db()
+      .collection(collections.NOTIFICATIONS)
+      .where('userId', '==', userId)
+      .where('read', '==', false)
+      .get();
+
+    const readAt = new Date().toISOString();
+
+    for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+      const batch = db().batch();
+      snapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => {
+        batch.update(doc.ref, { read: true, readAt });
+      });
+      await batch.commit();
+    }
+
+    return snapshot.docs.length;
+  }
+
+  /**
+   * Delete notification
+   */
+  static async delete(notificationId) {
+    await db().collection(collections.NOTIFICATIONS).doc(notificationId).delete();
+  }
+}
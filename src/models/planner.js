@@ -16,8 +16,7 @@ export class Planner extends BaseUser {
       profilePicture,
       // Planner-specific fields
       bio,
-      preferences,
-      notifications
+      preferences
     } = plannerData;
 
     // Create base user
@@ -32,7 +31,6 @@ export class Planner extends BaseUser {
     // Add planner-specific data
     const plannerSpecificData = {
       bio: bio || '',
-      notifications: notifications || [],
       eventsCount: 0,
       completedEventsCount: 0
     };
@@ -86,53 +84,6 @@ export class Planner extends BaseUser {
 
 
 
-  /**
-   * Add notification
-   */
-  static async addNotification(plannerId, notification) {
-    const planner = await super.findById(plannerId);
-    const notifications = planner.notifications || [];
-    
-    notifications.unshift({
-      id: Date.now().toString(),
-      ...notification,
-      read: false,
-      createdAt: new Date().toISOString()
-    });
-
-    // Keep only last 50 notifications
-    if (notifications.length > 50) {
-      notifications.splice(50);
-    }
-
-    return await super.update(plannerId, { notifications });
-  }
-
-  /**
-   * Mark notification as read
-   */
-  static async markNotificationRead(plannerId, notificationId) {
-    const planner = await super.findById(plannerId);
-    const notifications = (planner.notifications || []).map(notif => 
-      notif.id === notificationId ? { ...notif, read: true } : notif
-    );
-
-    return await super.update(plannerId, { notifications });
-  }
-
-  /**
-   * Mark all notifications as read
-   */
-  static async markAllNotificationsRead(plannerId) {
-    const planner = await super.findById(plannerId);
-    const notifications = (planner.notifications || []).map(notif => ({ 
-      ...notif, 
-      read: true 
-    }));
-
-    return await super.update(plannerId, { notifications });
-  }
-
   /**
    * Update event counts
    */
@@ -0,0 +1,182 @@
+import { db, collections } from '../config/firebase.js';
+
+// Review moderation states
+export const REVIEW_STATUSES = ['published', 'flagged', 'hidden'];
+
+/**
+ * Review Model (planner reviews of vendors they booked)
+ */
+export class Review {
+  /**
+   * Create a new review
+   */
+  static async create(reviewData) {
+    const {
+      vendorId,
+      plannerId,
+      plannerName,
+      eventId,
+      eventName,
+      rating,
+      comment,
+      photos
+    } = reviewData;
+
+    const review = {
+      vendorId,
+      plannerId,
+      plannerName,
+      eventId,
+      eventName,
+      rating, // 1-5 stars
+      comment: comment || '',
+      photos: photos || [],
+      status: 'published', // published, flagged, hidden
+      reply: null, // { message, repliedAt }
+      report: null, // { reason, reportedAt } when the vendor flags a review
+      moderation: null, // { status, reason, moderatedBy, moderatedAt }
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const reviewRef = await db().collection(collections.REVIEWS).add(review);
+
+    return {
+      id: reviewRef.id,
+      ...review
+    };
+  }
+
+  /**
+   * Find review by ID
+   */
+  static async findById(reviewId) {
+    const doc = await db().collection(collections.REVIEWS).doc(reviewId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Find a planner's review of a vendor for a given event
+   */
+  static async findByEventAndVendor(eventId, vendorId) {
+    const snapshot = await db()
+      .collection(collections.REVIEWS)
+      .where('eventId', '==', eventId)
+      .where('vendorId', '==', vendorId)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return null;
+    }
+
+    const doc = snapshot.docs[0];
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Get reviews for a vendor
+   */
+  static async getByVendorId(vendorId, filters = {}) {
+    let query = db()
+      .collection(collections.REVIEWS)
+      .where('vendorId', '==', vendorId);
+
+    if (filters.status) {
+      query = query.where('status', '==', filters.status);
+    }
+
+    const snapshot = await query.get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .filter(review => !filters.visibleOnly || review.status !== 'hidden')
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get reviews by moderation status (admin queue)
+   */
+  static async getByStatus(status) {
+    const snapshot = await db()
+      .collection(collections.REVIEWS)
+      .where('status', '==', status)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Update review
+   */
+  static async update(reviewId, updateData) {
+    const reviewRef = db().collection(collections.REVIEWS).doc(reviewId);
+
+    const updates = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    await reviewRef.update(updates);
+
+    const updated = await reviewRef.get();
+    return {
+      id: updated.id,
+      ...updated.data()
+    };
+  }
+
+  /**
+   * Delete review
+   */
+  static async delete(reviewId) {
+    await db().collection(collections.REVIEWS).doc(reviewId).delete();
+  }
+
+  /**
+   * Calculate rating statistics from visible reviews
+   */
+  static calculateStats(reviews) {
+    const visible = reviews.filter(r => r.status !== 'hidden');
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    visible.forEach(r => {
+      distribution[r.rating] += 1;
+    });
+
+    const total = visible.reduce((sum, r) => sum + r.rating, 0);
+
+    return {
+      rating: visible.length > 0 ? Math.round(total / visible.length * 10) / 10 : 0,
+      reviewCount: visible.length,
+      distribution
+    };
+  }
+
+  /**
+   * Get rating statistics for a vendor
+   */
+  static async getVendorStats(vendorId) {
+    const reviews = await this.getByVendorId(vendorId);
+    return this.calculateStats(reviews);
+  }
+}
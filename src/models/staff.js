@@ -0,0 +1,108 @@
+import { db, collections } from '../config/firebase.js';
+
+/**
+ * Staff Model (a planner's day-of crew; no Planit account needed)
+ */
+export class Staff {
+  /**
+   * Create a new crew member
+   */
+  static async create(staffData) {
+    const { name, phoneNumber, email, role, hourlyRate, currency, notes, plannerId } = staffData;
+
+    const staff = {
+      name,
+      phoneNumber,
+      email: email ? email.toLowerCase() : null,
+      role, // e.g. usher, bartender, security, runner
+      hourlyRate: hourlyRate ?? 0,
+      currency: currency || 'NGN',
+      notes: notes || '',
+      plannerId,
+      isActive: true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const staffRef = await db().collection(collections.STAFF).add(staff);
+
+    return {
+      id: staffRef.id,
+      ...staff
+    };
+  }
+
+  /**
+   * Find crew member by ID
+   */
+  static async findById(staffId) {
+    const doc = await db().collection(collections.STAFF).doc(staffId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Get a planner's crew
+   */
+  static async getByPlannerId(plannerId, filters = {}) {
+    let query = db()
+      .collection(collections.STAFF)
+      .where('plannerId', '==', plannerId);
+
+    if (filters.role) {
+      query = query.where('role', '==', filters.role);
+    }
+
+    if (filters.isActive !== undefined) {
+      query = query.where('isActive', '==', filters.isActive);
+    }
+
+    const snapshot = await query.get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Update crew member
+   */
+  static async update(staffId, updateData) {
+    const staffRef = db().collection(collections.STAFF).doc(staffId);
+
+    const updates = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (updates.email) {
+      updates.email = updates.email.toLowerCase();
+    }
+
+    await staffRef.update(updates);
+
+    const updated = await staffRef.get();
+    return {
+      id: updated.id,
+      ...updated.data()
+    };
+  }
+
+  /**
+   * Delete crew member
+   */
+  static async delete(staffId) {
+    await db().collection(collections.STAFF).doc(staffId).delete();
+    return true;
+  }
+}
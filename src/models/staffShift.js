@@ -0,0 +1,183 @@
+import { db, collections } from '../config/firebase.js';
+
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Staff Shift Model (a crew member rostered on an event)
+ * Times are HH:mm on the shift date; an endTime at or before startTime runs past midnight.
+ */
+export class StaffShift {
+  /**
+   * Convert HH:mm to minutes since midnight
+   */
+  static toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Shift start and end as minutes on one timeline, for overlap checks
+   */
+  static getRange(shift) {
+    const start = Date.parse(`${shift.date}T00:00:00Z`) / 60000 + this.toMinutes(shift.startTime);
+    let duration = this.toMinutes(shift.endTime) - this.toMinutes(shift.startTime);
+    if (duration <= 0) {
+      duration += DAY_MINUTES;
+    }
+    return { start, end: start + duration };
+  }
+
+  /**
+   * Length of a shift in hours
+   */
+  static getHours(shift) {
+    const { start, end } = this.getRange(shift);
+    return (end - start) / 60;
+  }
+
+  /**
+   * Check whether two shifts overlap in time
+   */
+  static overlaps(a, b) {
+    const rangeA = this.getRange(a);
+    const rangeB = this.getRange(b);
+    return rangeA.start < rangeB.end && rangeB.start < rangeA.end;
+  }
+
+  /**
+   * Create a new shift
+   */
+  static async create(shiftData) {
+    const { eventId, plannerId, staff, date, startTime, endTime, role, notes } = shiftData;
+
+    const shift = {
+      eventId,
+      plannerId,
+      staffId: staff.id,
+      staffName: staff.name,
+      phoneNumber: staff.phoneNumber,
+      role: role || staff.role, // Role on this shift; defaults to the crew member's usual role
+      date,
+      startTime,
+      endTime,
+      hourlyRate: staff.hourlyRate, // Rate at the time of rostering
+      currency: staff.currency,
+      notes: notes || '',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const shiftRef = await db().collection(collections.SHIFTS).add(shift);
+
+    return {
+      id: shiftRef.id,
+      ...shift
+    };
+  }
+
+  /**
+   * Find shift by ID
+   */
+  static async findById(shiftId) {
+    const doc = await db().collection(collections.SHIFTS).doc(shiftId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Get all shifts on an event, in start order
+   */
+  static async getByEventId(eventId) {
+    const snapshot = await db()
+      .collection(collections.SHIFTS)
+      .where('eventId', '==', eventId)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .sort((a, b) => `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`));
+  }
+
+  /**
+   * Get all shifts for a crew member
+   */
+  static async getByStaffId(staffId) {
+    const snapshot = await db()
+      .collection(collections.SHIFTS)
+      .where('staffId', '==', staffId)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .sort((a, b) => `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`));
+  }
+
+  /**
+   * Update shift
+   */
+  static async update(shiftId, updateData) {
+    const shiftRef = db().collection(collections.SHIFTS).doc(shiftId);
+
+    const updates = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    await shiftRef.update(updates);
+
+    const updated = await shiftRef.get();
+    return {
+      id: updated.id,
+      ...updated.data()
+    };
+  }
+
+  /**
+   * Delete shift
+   */
+  static async delete(shiftId) {
+    await db().collection(collections.SHIFTS).doc(shiftId).delete();
+    return true;
+  }
+
+  /**
+   * Delete all shifts for an event
+   */
+  static async deleteByEventId(eventId) {
+    const shifts = await this.getByEventId(eventId);
+    const batch = db().batch();
+
+    shifts.forEach(shift => {
+      batch.delete(db().collection(collections.SHIFTS).doc(shift.id));
+    });
+
+    await batch.commit();
+  }
+
+  /**
+   * Delete all shifts for a crew member
+   */
+  static async deleteByStaffId(staffId) {
+    const shifts = await this.getByStaffId(staffId);
+    const batch = db().batch();
+
+    shifts.forEach(shift => {
+      batch.delete(db().collection(collections.SHIFTS).doc(shift.id));
+    });
+
+    await batch.commit();
+  }
+}
@@ -1,4 +1,14 @@
 import { db, collections } from '../config/firebase.js';
+import { paginateQuery } from '../utils/pagination.js';
+
+// Task lifecycle
+export const TASK_STATUSES = ['pending', 'in-progress', 'completed', 'cancelled'];
+
+// Task priorities
+export const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// How often a recurring task repeats
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
 
 /**
  * Task Model
@@ -13,10 +23,13 @@ export class Task {
       description,
       eventId,
       plannerId,
-      assignedTo, // { userId, userName, userEmail, userRole }
+      assignedTo, // { userId, userName, userEmail, userRole }, or { staffId, userName, ..., userRole: 'staff' } for crew
       dueDate,
       priority,
-      category
+      category,
+      dependsOn,
+      durationDays,
+      recurrence
     } = taskData;
 
     const task = {
@@ -28,6 +41,11 @@ export class Task {
       dueDate: dueDate || null,
       priority: priority || 'medium', // low, medium, high, urgent
       category: category || 'general', // general, setup, catering, decoration, etc.
+      dependsOn: dependsOn || [], // IDs of tasks in the same event that must be done first
+      durationDays: durationDays || 1, // Estimated working days, used for the critical path
+      recurrence: recurrence || null, // { frequency, interval, until, seriesId, nextTaskId } for repeating tasks
+      remindersSent: [], // Reminder offsets (hours before dueDate) already sent
+      escalatedAt: null, // When the planner was told the task is overdue
       status: 'pending', // pending, in-progress, completed, cancelled
       completed: false,
       createdAt: new Date().toISOString(),
@@ -63,6 +81,29 @@ export class Task {
    * Get all tasks for an event
    */
   static async getByEventId(eventId, filters = {}) {
+    const snapshot = await this.eventQuery(eventId, filters).get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * List an event's tasks one page at a time
+   */
+  static async listByEventId(eventId, filters = {}, { sort = 'createdAt', order = 'asc', limit, cursor } = {}) {
+    return await paginateQuery(this.eventQuery(eventId, filters), db().collection(collections.TASKS), {
+      orderBy: [[sort, order]],
+      limit,
+      cursor
+    });
+  }
+
+  /**
+   * Query for an event's tasks with optional filters
+   */
+  static eventQuery(eventId, filters = {}) {
     let query = db()
       .collection(collections.TASKS)
       .where('eventId', '==', eventId);
@@ -80,16 +121,15 @@ export class Task {
       query = query.where('assignedTo.userId', '==', filters.assignedTo);
     }
 
+    if (filters.assignedStaff) {
+      query = query.where('assignedTo.staffId', '==', filters.assignedStaff);
+    }
+
     if (filters.completed !== undefined) {
       query = query.where('completed', '==', filters.completed);
     }
 
-    const snapshot = await query.get();
-
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    return query;
   }
 
   /**
@@ -120,6 +160,29 @@ export class Task {
    * Get tasks assigned to a user (vendor or staff)
    */
   static async getByAssignedUser(userId, filters = {}) {
+    const snapshot = await this.assignedUserQuery(userId, filters).get();
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * List tasks assigned to a user one page at a time
+   */
+  static async listByAssignedUser(userId, filters = {}, { sort = 'createdAt', order = 'desc', limit, cursor } = {}) {
+    return await paginateQuery(this.assignedUserQuery(userId, filters), db().collection(collections.TASKS), {
+      orderBy: [[sort, order]],
+      limit,
+      cursor
+    });
+  }
+
+  /**
+   * Query for tasks assigned to a user with optional filters
+   */
+  static assignedUserQuery(userId, filters = {}) {
     let query = db()
       .collection(collections.TASKS)
       .where('assignedTo.userId', '==', userId);
@@ -132,12 +195,49 @@ export class Task {
       query = query.where('completed', '==', filters.completed);
     }
 
-    const snapshot = await query.get();
+    return query;
+  }
 
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+  /**
+   * Due date of the next occurrence of a recurring task.
+   * Keeps the format of the original (YYYY-MM-DD or full ISO timestamp).
+   */
+  static getNextDueDate(dueDate, recurrence) {
+    const next = new Date(dueDate);
+    const interval = recurrence.interval || 1;
+
+    if (recurrence.frequency === 'daily') {
+      next.setUTCDate(next.getUTCDate() + interval);
+    } else if (recurrence.frequency === 'weekly') {
+      next.setUTCDate(next.getUTCDate() + interval * 7);
+    } else {
+      // Monthly: stay on the same day, or the last day of shorter months
+      const day = next.getUTCDate();
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + interval);
+      const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+      next.setUTCDate(Math.min(day, daysInMonth));
+    }
+
+    return String(dueDate).length === 10 ? next.toISOString().slice(0, 10) : next.toISOString();
+  }
+
+  /**
+   * Get open tasks due on or before a date (reminder scheduler)
+   */
+  static async getOpenDueBefore(date) {
+    const snapshot = await db()
+      .collection(collections.TASKS)
+      .where('completed', '==', false)
+      .where('dueDate', '<=', date)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .filter(task => task.status !== 'cancelled');
   }
 
   /**
@@ -231,16 +331,30 @@ export class Task {
   }
 
   /**
-   * Bulk create tasks
+   * Bulk create tasks.
+   * A task may carry a `ref` that other tasks in the same batch list in dependsOn;
+   * refs are swapped for the generated IDs.
    */
   static async bulkCreate(tasksData) {
     const batch = db().batch();
     const taskRefs = [];
 
-    tasksData.forEach(taskData => {
-      const taskRef = db().collection(collections.TASKS).doc();
+    const docRefs = tasksData.map(() => db().collection(collections.TASKS).doc());
+    const idsByRef = new Map();
+    tasksData.forEach((taskData, index) => {
+      if (taskData.ref) {
+        idsByRef.set(taskData.ref, docRefs[index].id);
+      }
+    });
+
+    tasksData.forEach(({ ref, ...taskData }, index) => {
+      const taskRef = docRefs[index];
       const task = {
         ...taskData,
+        dependsOn: (taskData.dependsOn || []).map(id => idsByRef.get(id) || id),
+        durationDays: taskData.durationDays || 1,
+        remindersSent: [],
+        escalatedAt: null,
         status: taskData.status || 'pending',
         completed: false,
         createdAt: new Date().toISOString(),
@@ -255,6 +369,31 @@ export class Task {
     return taskRefs;
   }
 
+  /**
+   * Remove a deleted task from the dependsOn lists of its event's tasks
+   */
+  static async removeDependency(eventId, taskId) {
+    const snapshot = await db()
+      .collection(collections.TASKS)
+      .where('eventId', '==', eventId)
+      .where('dependsOn', 'array-contains', taskId)
+      .get();
+
+    if (snapshot.empty) {
+      return;
+    }
+
+    const batch = db().batch();
+    snapshot.docs.forEach(doc => {
+      batch.update(doc.ref, {
+        dependsOn: doc.data().dependsOn.filter(id => id !== taskId),
+        updatedAt: new Date().toISOString()
+      });
+    });
+
+    await batch.commit();
+  }
+
   /**
    * Delete all tasks for an event
    */
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { db, collections } from '../config/firebase.js';
+import { generateSecret, verifyCode } from '../utils/totp.js';
+
+export const BACKUP_CODE_COUNT = 10;
+
+// Wrong codes in a row before code checks are locked for LOCKOUT_MINUTES
+export const MAX_FAILED_ATTEMPTS = 5;
+export const LOCKOUT_MINUTES = 15;
+
+/**
+ * Backup codes are stored hashed and compared without dashes, spaces or case
+ */
+const normalizeBackupCode = (code) => String(code ?? '').toLowerCase().replace(/[\s-]/g, '');
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+/**
+ * New set of backup codes, e.g. 3f9a-c1d2
+ */
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(4).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+/**
+ * Two-Factor Model (a user's TOTP secret and backup codes).
+ * Kept out of the user document so it never leaks through profile or vendor responses.
+ * Document ID is the user ID.
+ */
+export class TwoFactor {
+  /**
+   * Find a user's two-factor settings
+   */
+  static async findByUserId(userId) {
+    const doc = await db().collection(collections.TWO_FACTOR).doc(userId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Check whether a user has two-factor login turned on
+   */
+  static async isEnabled(userId) {
+    const twoFactor = await this.findByUserId(userId);
+    return Boolean(twoFactor?.enabled);
+  }
+
+  /**
+   * Start enrollment with a new secret. It is only used once confirmed with enable().
+   */
+  static async startEnrollment(userId) {
+    const pendingSecret = generateSecret();
+
+    await db().collection(collections.TWO_FACTOR).doc(userId).set({
+      userId,
+      enabled: false,
+      pendingSecret,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    return pendingSecret;
+  }
+
+  /**
+   * Confirm enrollment with a code from the pending secret.
+   * Returns the backup codes (shown once), or null if the code is wrong.
+   */
+  static async enable(userId, code) {
+    const twoFactor = await this.findByUserId(userId);
+
+    const step = twoFactor?.pendingSecret ? verifyCode(twoFactor.pendingSecret, code) : null;
+    if (step === null) {
+      return null;
+    }
+
+    const backupCodes = generateBackupCodes();
+
+    await db().collection(collections.TWO_FACTOR).doc(userId).update({
+      enabled: true,
+      secret: twoFactor.pendingSecret,
+      pendingSecret: null,
+      backupCodeHashes: backupCodes.map(hashBackupCode),
+      lastUsedStep: step,
+      failedAttempts: 0,
+      enabledAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    return backupCodes;
+  }
+
+  /**
+   * Check a code from the authenticator app or an unused backup code.
+   * A code is only accepted once; backup codes are used up.
+   * The lockout check, the failed-attempt count and the used step are read and written
+   * in one transaction, so parallel requests cannot get past the limit or replay a code.
+   * Returns { method: 'totp' | 'backup' | null, locked }; locked means no code was checked.
+   */
+  static async verify(userId, code) {
+    const ref = db().collection(collections.TWO_FACTOR).doc(userId);
+
+    return await db().runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const twoFactor = doc.exists ? doc.data() : null;
+
+      if (!twoFactor?.enabled) {
+        return { method: null, locked: false };
+      }
+
+      const now = new Date();
+      const updatedAt = now.toISOString();
+
+      if (twoFactor.lockedUntil && new Date(twoFactor.lockedUntil) > now) {
+        return { method: null, locked: true };
+      }
+
+      const step = verifyCode(twoFactor.secret, code);
+      if (step !== null && step > (twoFactor.lastUsedStep ?? -1)) {
+        transaction.update(ref, { lastUsedStep: step, failedAttempts: 0, lockedUntil: null, updatedAt });
+        return { method: 'totp', locked: false };
+      }
+
+      const backupCodeHash = hashBackupCode(code);
+      if (twoFactor.backupCodeHashes.includes(backupCodeHash)) {
+        transaction.update(ref, {
+          backupCodeHashes: twoFactor.backupCodeHashes.filter(hash => hash !== backupCodeHash),
+          failedAttempts: 0,
+          lockedUntil: null,
+          updatedAt
+        });
+        return { method: 'backup', locked: false };
+      }
+
+      // Only a correct code clears the count; logging in with the password again does not
+      const failedAttempts = (twoFactor.failedAttempts || 0) + 1;
+
+      if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        transaction.update(ref, {
+          failedAttempts: 0,
+          lockedUntil: new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString(),
+          updatedAt
+        });
+      } else {
+        transaction.update(ref, { failedAttempts, updatedAt });
+      }
+
+      return { method: null, locked: false };
+    });
+  }
+
+  /**
+   * Replace the backup codes, invalidating the old ones
+   */
+  static async regenerateBackupCodes(userId) {
+    const backupCodes = generateBackupCodes();
+
+    await db().collection(collections.TWO_FACTOR).doc(userId).update({
+      backupCodeHashes: backupCodes.map(hashBackupCode),
+      updatedAt: new Date().toISOString()
+    });
+
+    return backupCodes;
+  }
+
+  /**
+   * Turn two-factor login off and forget the secret
+   */
+  static async disable(userId) {
+    await db().collection(collections.TWO_FACTOR).doc(userId).delete();
+  }
+}
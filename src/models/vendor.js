@@ -1,5 +1,17 @@
 import { db, collections } from '../config/firebase.js';
 import { BaseUser, ROLES } from './baseUser.js';
+import { Review } from './review.js';
+import { getSearchIndex } from '../services/searchIndex.js';
+import { paginateQuery } from '../utils/pagination.js';
+import { geocodeAddress, distanceKm } from '../services/geocoder.js';
+
+export const VERIFICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Facets returned with search results
+export const SEARCH_FACETS = ['category', 'state', 'city'];
+
+// Rebuild the search index from Firestore at most this often
+const SEARCH_INDEX_MAX_AGE_MS = 10 * 60 * 1000;
 
 /**
  * Vendor class with vendor-specific functionality
@@ -38,6 +50,7 @@ export class Vendor extends BaseUser {
         country: null,
         zipCode: null
       },
+      coordinates: null, // { lat, lng, precision, geocodedAt } from the address, for distance search
       cacNumber: null,
       cacDocument: null,
       socialMedia: {
@@ -55,6 +68,9 @@ export class Vendor extends BaseUser {
       reviewCount: 0,
       verified: false,
       verificationStatus: 'pending',
+      verificationSubmittedAt: null, // Set when a CAC document is sent for review
+      verificationReason: null, // Latest rejection reason shown to the vendor
+      verificationHistory: [], // Array of { action, status, reason, by, byName, at }
       profileCompleted: false, // Track if vendor completed their profile
       profileCompletionPercentage: 20 // Basic info = 20%
     };
@@ -108,7 +124,14 @@ export class Vendor extends BaseUser {
     filteredUpdates.profileCompletionPercentage = completionPercentage;
     filteredUpdates.profileCompleted = completionPercentage === 100;
 
-    return await super.update(vendorId, filteredUpdates);
+    if (filteredUpdates.address !== undefined || filteredUpdates.location !== undefined) {
+      filteredUpdates.coordinates = await geocodeAddress(
+        filteredUpdates.address ?? vendor.address,
+        filteredUpdates.location ?? vendor.location
+      );
+    }
+
+    return await this.reindex(await super.update(vendorId, filteredUpdates));
   }
 
   /**
@@ -173,10 +196,122 @@ export class Vendor extends BaseUser {
     };
   }
 
+  /**
+   * Shape a vendor for public responses: no credentials, and none of the
+   * admin review record (who decided, the rejection reason, the history)
+   */
+  static toPublicProfile(vendor) {
+    const {
+      password,
+      calendarFeedTokenHash,
+      verifiedBy,
+      verificationReason,
+      verificationHistory,
+      ...profile
+    } = vendor;
+
+    return profile;
+  }
+
   /**
    * Get all vendors with optional filters
    */
   static async getAll(filters = {}) {
+    const snapshot = await this.filterQuery(filters).get();
+
+    return snapshot.docs.map(doc => this.toPublicProfile({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * List vendors one page at a time. Verified vendors come first unless filtering on `verified`.
+   */
+  static async list(filters = {}, { sort = 'rating', order = 'desc', limit, cursor } = {}) {
+    const orderBy = filters.verified === undefined
+      ? [['verified', 'desc'], [sort, order]]
+      : [[sort, order]];
+
+    const page = await paginateQuery(this.filterQuery(filters), db().collection(collections.USERS), {
+      orderBy,
+      limit,
+      cursor
+    });
+
+    return {
+      ...page,
+      items: page.items.map(vendor => this.toPublicProfile(vendor))
+    };
+  }
+
+  /**
+   * Whether a vendor's price range overlaps the budget (vendors without a price are left out)
+   */
+  static matchesPrice(vendor, { minPrice, maxPrice, currency }) {
+    const range = vendor.priceRange;
+
+    if (!range || (!range.min && !range.max) || (range.currency || 'NGN') !== currency) {
+      return false;
+    }
+
+    const max = range.max || range.min;
+
+    if (minPrice !== undefined && max < minPrice) return false;
+    if (maxPrice !== undefined && range.min > maxPrice) return false;
+
+    return true;
+  }
+
+  /**
+   * Vendor discovery by budget and/or distance from a point.
+   * Firestore cannot combine these range filters, so matching vendors are filtered in memory.
+   * With an origin, results carry distanceKm and are sorted nearest first.
+   */
+  static async discover(filters = {}, { origin, radiusKm, minPrice, maxPrice, currency = 'NGN', sort = 'rating', order = 'desc' } = {}) {
+    let vendors = await this.getAll(filters);
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      vendors = vendors.filter(vendor => this.matchesPrice(vendor, { minPrice, maxPrice, currency }));
+    }
+
+    if (origin) {
+      const located = await Promise.all(vendors.map(async vendor => {
+        // Vendors saved before geocoding was added are placed on the fly
+        const coordinates = vendor.coordinates || await geocodeAddress(vendor.address, vendor.location);
+        if (!coordinates) return null;
+
+        return {
+          ...vendor,
+          distanceKm: Math.round(distanceKm(origin, coordinates) * 10) / 10
+        };
+      }));
+
+      return located
+        .filter(vendor => vendor && vendor.distanceKm <= radiusKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm || a.id.localeCompare(b.id));
+    }
+
+    // Same ordering as list(): verified first unless filtering on it, then the sort field
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+      if (a === b) return 0;
+      if (a === undefined || a === null) return 1;
+      if (b === undefined || b === null) return -1;
+      return (a < b ? -1 : 1) * direction;
+    };
+
+    return vendors.sort((a, b) =>
+      (filters.verified === undefined ? Number(b.verified === true) - Number(a.verified === true) : 0) ||
+      compare(a[sort], b[sort]) ||
+      a.id.localeCompare(b.id)
+    );
+  }
+
+  /**
+   * Query for vendors with optional filters
+   */
+  static filterQuery(filters = {}) {
     let query = db()
       .collection(collections.USERS)
       .where('role', '==', ROLES.VENDOR);
@@ -202,48 +337,202 @@ export class Vendor extends BaseUser {
       query = query.where('availability', '==', filters.availability);
     }
 
-    const snapshot = await query.get();
+    return query;
+  }
 
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      password: undefined
-    }));
+  /**
+   * Get vendors by ID, keeping the given order (missing IDs are skipped)
+   */
+  static async findManyByIds(vendorIds) {
+    if (vendorIds.length === 0) {
+      return [];
+    }
+
+    const refs = vendorIds.map(id => db().collection(collections.USERS).doc(id));
+    const docs = await db().getAll(...refs);
+
+    return docs
+      .filter(doc => doc.exists && doc.data().role === ROLES.VENDOR)
+      .map(doc => this.toPublicProfile({
+        id: doc.id,
+        ...doc.data()
+      }));
   }
 
   /**
-   * Search vendors by name or business name
+   * Shape a vendor for the search index
    */
-  static async search(searchTerm) {
-    const allVendors = await this.getAll();
-    
-    const term = searchTerm.toLowerCase();
-    return allVendors.filter(vendor => 
-      vendor.businessName?.toLowerCase().includes(term) ||
-      vendor.fullName?.toLowerCase().includes(term)
-    );
+  static toSearchDocument(vendor) {
+    return {
+      id: vendor.id,
+      fields: [
+        { text: vendor.businessName, weight: 3 },
+        { text: vendor.fullName, weight: 2 },
+        { text: (vendor.services || []).join(' '), weight: 2 },
+        { text: vendor.category, weight: 2 },
+        { text: vendor.businessDescription, weight: 1 },
+        { text: [vendor.location, vendor.address?.city, vendor.address?.state].join(' '), weight: 1 }
+      ],
+      filters: {
+        category: vendor.category || null,
+        city: vendor.address?.city || null,
+        state: vendor.address?.state || null,
+        verified: vendor.verified === true,
+        availability: vendor.availability !== false
+      },
+      facets: {
+        category: vendor.category || null,
+        state: vendor.address?.state || null,
+        city: vendor.address?.city || null
+      },
+      // Equally relevant vendors rank by rating, and verified ones get a lift
+      boost: (1 + (vendor.rating || 0) / 10) * (vendor.verified ? 1.25 : 1)
+    };
+  }
+
+  /**
+   * Refresh a vendor in the search index after a write (never fails the write)
+   */
+  static async reindex(vendor) {
+    try {
+      await getSearchIndex().upsert(this.toSearchDocument(vendor));
+    } catch (error) {
+      console.error('❌ Error updating vendor search index:', error.message);
+    }
+
+    return vendor;
   }
 
   /**
-   * Update vendor verification status (admin only)
+   * Full-text search over name, services, category, description and location.
+   * Returns ranked vendors plus facet counts for category, state and city.
    */
-  static async updateVerificationStatus(vendorId, status, verifiedBy) {
-    return await super.update(vendorId, {
+  static async search(searchTerm, { filters = {}, limit = 20 } = {}) {
+    const index = getSearchIndex();
+
+    if (await index.isStale(SEARCH_INDEX_MAX_AGE_MS)) {
+      const vendors = await this.getAll();
+      await index.rebuild(vendors.map(vendor => this.toSearchDocument(vendor)));
+    }
+
+    const result = await index.search(searchTerm, { filters, facets: SEARCH_FACETS, limit });
+
+    const scores = new Map(result.hits.map(hit => [hit.id, hit.score]));
+    const vendors = await this.findManyByIds(result.hits.map(hit => hit.id));
+
+    return {
+      total: result.total,
+      facets: result.facets,
+      vendors: vendors.map(vendor => ({
+        ...vendor,
+        verifiedBadge: vendor.verified === true,
+        searchScore: scores.get(vendor.id)
+      }))
+    };
+  }
+
+  /**
+   * Update vendor verification status (admin only) and record who decided
+   */
+  static async updateVerificationStatus(vendorId, status, verifiedBy, { reason = null, verifiedByName = null } = {}) {
+    const vendor = await super.findById(vendorId);
+    const at = new Date().toISOString();
+
+    const updatedVendor = await super.update(vendorId, {
       verificationStatus: status,
       verified: status === 'approved',
       verifiedBy,
-      verifiedAt: new Date().toISOString()
+      verifiedAt: at,
+      verificationReason: status === 'rejected' ? reason : null,
+      verificationHistory: [
+        ...(vendor.verificationHistory || []),
+        {
+          action: status === 'pending' ? 'reopened' : status,
+          status,
+          reason,
+          by: verifiedBy,
+          byName: verifiedByName,
+          at
+        }
+      ]
     });
+
+    return await this.reindex(updatedVendor);
+  }
+
+  /**
+   * Send the vendor's CAC document for review (first time or after a rejection)
+   */
+  static async submitForVerification(vendorId, updates = {}) {
+    const vendor = await super.findById(vendorId);
+    const at = new Date().toISOString();
+
+    const updatedVendor = await super.update(vendorId, {
+      ...updates,
+      verificationStatus: 'pending',
+      verified: false,
+      verificationSubmittedAt: at,
+      verificationHistory: [
+        ...(vendor.verificationHistory || []),
+        {
+          action: vendor.verificationStatus === 'rejected' ? 'resubmitted' : 'submitted',
+          status: 'pending',
+          reason: null,
+          by: vendorId,
+          byName: vendor.businessName || vendor.fullName,
+          at
+        }
+      ]
+    });
+
+    return await this.reindex(updatedVendor);
+  }
+
+  /**
+   * Vendors waiting on a verification decision, oldest submission first
+   */
+  static async getVerificationQueue(status = 'pending') {
+    const snapshot = await db()
+      .collection(collections.USERS)
+      .where('role', '==', ROLES.VENDOR)
+      .where('verificationStatus', '==', status)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        password: undefined
+      }))
+      // Only vendors who actually sent a document can be reviewed
+      .filter(vendor => vendor.cacDocument)
+      .sort((a, b) => (a.verificationSubmittedAt || '').localeCompare(b.verificationSubmittedAt || ''));
+  }
+
+  /**
+   * Add the verified badge shown next to verified vendors
+   */
+  static withVerifiedBadge(vendors) {
+    return vendors.map(vendor => ({ ...vendor, verifiedBadge: vendor.verified === true }));
   }
 
   /**
    * Update vendor rating
    */
   static async updateRating(vendorId, newRating, newReviewCount) {
-    return await super.update(vendorId, {
+    return await this.reindex(await super.update(vendorId, {
       rating: newRating,
       reviewCount: newReviewCount
-    });
+    }));
+  }
+
+  /**
+   * Recalculate vendor rating and review count from reviews
+   */
+  static async recalculateRating(vendorId) {
+    const { rating, reviewCount } = await Review.getVendorStats(vendorId);
+
+    return await this.updateRating(vendorId, rating, reviewCount);
   }
 
   /**
@@ -0,0 +1,69 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  getUsers,
+  getUserById,
+  deactivateUser,
+  reactivateUser,
+  revokeUserSessions,
+  resetUserTwoFactor,
+  impersonateUser,
+  getStats
+} from '../controllers/adminController.js';
+import {
+  getVerificationQueue,
+  getVendorVerification,
+  reviewVerification
+} from '../controllers/verificationController.js';
+import { getAuditLogs } from '../controllers/auditController.js';
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(authenticate);
+router.use(requireAdmin);
+
+/**
+ * Admin Console
+ * Base path: /api/admin
+ */
+
+// Platform stats
+router.get('/stats', asyncHandler(getStats));
+
+// List and search users
+router.get('/users', asyncHandler(getUsers));
+
+// Get user
+router.get('/users/:id', asyncHandler(getUserById));
+
+// Deactivate account
+router.put('/users/:id/deactivate', asyncHandler(deactivateUser));
+
+// Reactivate account
+router.put('/users/:id/reactivate', asyncHandler(reactivateUser));
+
+// Force sign-out everywhere
+router.post('/users/:id/revoke-sessions', asyncHandler(revokeUserSessions));
+
+// Turn off 2FA for a locked-out user
+router.delete('/users/:id/2fa', asyncHandler(resetUserTwoFactor));
+
+// Read-only support session as the user
+router.post('/users/:id/impersonate', asyncHandler(impersonateUser));
+
+// Vendor verification review queue
+router.get('/verifications', asyncHandler(getVerificationQueue));
+
+// Vendor verification record and history
+router.get('/verifications/:vendorId', asyncHandler(getVendorVerification));
+
+// Approve or reject a vendor's CAC document
+router.put('/verifications/:vendorId', asyncHandler(reviewVerification));
+
+// Search the audit log
+router.get('/audit-logs', asyncHandler(getAuditLogs));
+
+export default router;
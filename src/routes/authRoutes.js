@@ -10,6 +10,7 @@ import {
   verifyEmail,
   resendOTP,
   login,
+  loginWithTwoFactor,
   forgotPassword,
   resetPassword,
   refreshToken,
@@ -17,7 +18,12 @@ import {
   logoutAll,
   getProfile,
   updateProfile,
-  changePassword
+  changePassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
 } from '../controllers/authController.js';
 import { authenticate } from '../middleware/auth.js';
 import {
@@ -29,32 +35,49 @@ import {
   resetPasswordValidation,
   refreshTokenValidation,
   changePasswordValidation,
+  loginTwoFactorValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
   validate
 } from '../utils/validators.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { auditLog } from '../middleware/audit.js';
 
 const router = express.Router();
 
+// Public auth responses identify the user in the body, protected ones via req.user
+const authTarget = (req, body) => req.user?.id || body?.data?.user?.id || body?.data?.userId || null;
+const publicAudit = (action) => auditLog(action, 'user', { targetId: authTarget, snapshot: false });
+
 // Public routes
-router.post('/signup', signupValidation, validate, asyncHandler(signup));
-router.post('/verify-email', verifyEmailValidation, validate, asyncHandler(verifyEmail));
-router.post('/resend-otp', resendOTPValidation, validate, asyncHandler(resendOTP));
-router.post('/login', loginValidation, validate, asyncHandler(login));
-router.post('/forgot-password', forgotPasswordValidation, validate, asyncHandler(forgotPassword));
-router.post('/reset-password', resetPasswordValidation, validate, asyncHandler(resetPassword));
-router.post('/refresh', refreshTokenValidation, validate, asyncHandler(refreshToken));
+router.post('/signup', signupValidation, validate, publicAudit('auth.signup'), asyncHandler(signup));
+router.post('/verify-email', verifyEmailValidation, validate, publicAudit('auth.email.verify'), asyncHandler(verifyEmail));
+router.post('/resend-otp', resendOTPValidation, validate, publicAudit('auth.otp.resend'), asyncHandler(resendOTP));
+router.post('/login', loginValidation, validate, publicAudit('auth.login'), asyncHandler(login));
+router.post('/login/2fa', loginTwoFactorValidation, validate, publicAudit('auth.login.2fa'), asyncHandler(loginWithTwoFactor));
+router.post('/forgot-password', forgotPasswordValidation, validate, publicAudit('auth.password.forgot'), asyncHandler(forgotPassword));
+router.post('/reset-password', resetPasswordValidation, validate, publicAudit('auth.password.reset'), asyncHandler(resetPassword));
+router.post('/refresh', refreshTokenValidation, validate, publicAudit('auth.token.refresh'), asyncHandler(refreshToken));
 
 // Protected routes
 // Add this with your protected routes
-router.post('/logout', authenticate, asyncHandler(logout));
-router.post('/logout-all', authenticate, asyncHandler(logoutAll));
+router.post('/logout', authenticate, auditLog('auth.logout', 'user', { targetId: authTarget, snapshot: false }), asyncHandler(logout));
+router.post('/logout-all', authenticate, auditLog('auth.logout_all', 'user', { targetId: authTarget, snapshot: false }), asyncHandler(logoutAll));
 router.get('/me', authenticate, asyncHandler(getProfile));
-router.put('/profile', authenticate, asyncHandler(updateProfile));
-router.put('/change-password', authenticate, changePasswordValidation, validate, asyncHandler(changePassword));
+router.put('/profile', authenticate, auditLog('auth.profile.update', 'user', { targetId: authTarget }), asyncHandler(updateProfile));
+router.put('/change-password', authenticate, changePasswordValidation, validate, auditLog('auth.password.change', 'user', { targetId: authTarget }), asyncHandler(changePassword));
+
+// Two-factor authentication
+router.get('/2fa', authenticate, asyncHandler(getTwoFactorStatus));
+router.post('/2fa/setup', authenticate, auditLog('auth.2fa.setup', 'user', { targetId: authTarget, snapshot: false }), asyncHandler(setupTwoFactor));
+router.post('/2fa/enable', authenticate, twoFactorCodeValidation, validate, auditLog('auth.2fa.enable', 'user', { targetId: authTarget, snapshot: false }), asyncHandler(enableTwoFactor));
+router.post('/2fa/backup-codes', authenticate, twoFactorCodeValidation, validate, auditLog('auth.2fa.backup_codes.regenerate', 'user', { targetId: authTarget, snapshot: false }), asyncHandler(regenerateBackupCodes));
+router.post('/2fa/disable', authenticate, disableTwoFactorValidation, validate, auditLog('auth.2fa.disable', 'user', { targetId: authTarget, snapshot: false }), asyncHandler(disableTwoFactor));
 
 router.put(
   '/profile-picture',
   authenticate,
+  auditLog('auth.profile_picture.update', 'user', { targetId: authTarget }),
   upload.single('profilePicture'),
   asyncHandler(uploadProfilePicture)
 );
@@ -67,6 +90,7 @@ router.put(
   '/cac-document',
   authenticate,
   requireVendor,
+  auditLog('vendor.cac_document.upload', 'vendor', { targetId: authTarget }),
   upload.single('cacDocument'),
   asyncHandler(uploadCACDocument)
 );
@@ -75,6 +99,7 @@ router.post(
   '/portfolio',
   authenticate,
   requireVendor,
+  auditLog('vendor.portfolio.upload', 'vendor', { targetId: authTarget }),
   upload.single('portfolioImage'),
   asyncHandler(uploadPortfolioImage)
 );
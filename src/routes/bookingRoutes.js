@@ -0,0 +1,50 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner, requireVendor, requireVendorOrPlanner } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  getMyBookings,
+  getBookingById,
+  submitQuote,
+  counterQuote,
+  acceptQuote,
+  declineBooking,
+  cancelBooking
+} from '../controllers/bookingController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requireVendorOrPlanner);
+
+/**
+ * My Bookings (sent as planner, received as vendor)
+ */
+router.get('/', asyncHandler(getMyBookings));
+
+// Get booking by ID
+router.get('/:id', asyncHandler(getBookingById));
+
+/**
+ * Quote Negotiation
+ */
+// Vendor sends quote
+router.post('/:id/quotes', requireVendor, asyncHandler(submitQuote));
+
+// Planner counters quote
+router.post('/:id/quotes/:quoteId/counter', requirePlanner, asyncHandler(counterQuote));
+
+// Planner accepts quote
+router.put('/:id/quotes/:quoteId/accept', requirePlanner, asyncHandler(acceptQuote));
+
+/**
+ * Booking Status
+ */
+// Vendor declines request
+router.put('/:id/decline', requireVendor, asyncHandler(declineBooking));
+
+// Either party cancels request
+router.put('/:id/cancel', asyncHandler(cancelBooking));
+
+export default router;
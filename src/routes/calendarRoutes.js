@@ -0,0 +1,21 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarFeed
+} from '../controllers/calendarController.js';
+
+const router = express.Router();
+
+// Subscription feed (public, the token in the URL is the credential)
+router.get('/feed/:token.ics', asyncHandler(getCalendarFeed));
+
+// Create or rotate my feed URL
+router.post('/feed', authenticate, asyncHandler(createCalendarFeed));
+
+// Disable my feed
+router.delete('/feed', authenticate, asyncHandler(deleteCalendarFeed));
+
+export default router;
@@ -8,6 +8,11 @@ import {
   getVendorBookings,
   updateVendorAvailability
 } from '../controllers/dashboardController.js';
+import {
+  getMyCalendar,
+  createBlocks,
+  deleteBlock
+} from '../controllers/availabilityController.js';
 
 const router = express.Router();
 
@@ -22,4 +27,9 @@ router.get('/vendor', requireVendor, asyncHandler(getVendorDashboard));
 router.get('/vendor/bookings', requireVendor, asyncHandler(getVendorBookings));
 router.put('/vendor/availability', requireVendor, asyncHandler(updateVendorAvailability));
 
+// Vendor calendar
+router.get('/vendor/calendar', requireVendor, asyncHandler(getMyCalendar));
+router.post('/vendor/calendar/blocks', requireVendor, asyncHandler(createBlocks));
+router.delete('/vendor/calendar/blocks/:blockId', requireVendor, asyncHandler(deleteBlock));
+
 export default router;
\ No newline at end of file
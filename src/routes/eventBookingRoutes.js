@@ -0,0 +1,24 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { createBooking, getEventBookings } from '../controllers/bookingController.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :eventId
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePlanner);
+
+/**
+ * Event-specific Booking Operations
+ * Base path: /api/events/:eventId/bookings
+ */
+
+// Send booking request to vendor
+router.post('/', asyncHandler(createBooking));
+
+// Get booking requests for event
+router.get('/', asyncHandler(getEventBookings));
+
+export default router;
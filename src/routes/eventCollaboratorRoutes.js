@@ -0,0 +1,39 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  getCollaborators,
+  inviteCollaborator,
+  updateCollaboratorRole,
+  removeCollaborator,
+  revokeInvitation
+} from '../controllers/collaboratorController.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :eventId
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePlanner);
+
+/**
+ * Event-specific Collaborator Operations
+ * Base path: /api/events/:eventId/collaborators
+ */
+
+// Revoke a pending invitation
+router.delete('/invitations/:invitationId', asyncHandler(revokeInvitation));
+
+// Invite a planner by email
+router.post('/', asyncHandler(inviteCollaborator));
+
+// Get owner, collaborators and pending invitations
+router.get('/', asyncHandler(getCollaborators));
+
+// Change a collaborator's role
+router.put('/:userId', asyncHandler(updateCollaboratorRole));
+
+// Remove a collaborator (or leave the event)
+router.delete('/:userId', asyncHandler(removeCollaborator));
+
+export default router;
@@ -0,0 +1,43 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  createExpense,
+  getEventExpenses,
+  getExpenseSummary,
+  updateExpense,
+  updateExpensePaid,
+  deleteExpense
+} from '../controllers/expenseController.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :eventId
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePlanner);
+
+/**
+ * Event-specific Expense Operations
+ * Base path: /api/events/:eventId/expenses
+ */
+
+// Get budget summary for event
+router.get('/summary', asyncHandler(getExpenseSummary));
+
+// Add expense to event
+router.post('/', asyncHandler(createExpense));
+
+// Get all expenses for event
+router.get('/', asyncHandler(getEventExpenses));
+
+// Update expense
+router.put('/:expenseId', asyncHandler(updateExpense));
+
+// Mark expense paid/unpaid
+router.put('/:expenseId/paid', asyncHandler(updateExpensePaid));
+
+// Delete expense
+router.delete('/:expenseId', asyncHandler(deleteExpense));
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  createGift,
+  getEventGifts,
+  getGiftGivers,
+  updateGift,
+  deleteGift,
+  updateThankYou,
+  deleteClaim,
+  createShareLink,
+  deleteShareLink
+} from '../controllers/giftController.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :eventId
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePlanner);
+
+/**
+ * Event-specific Gift Registry Operations
+ * Base path: /api/events/:eventId/gifts
+ */
+
+// Who gave what (for thank-you notes)
+router.get('/givers', asyncHandler(getGiftGivers));
+
+// Create or rotate the public share link
+router.post('/share-link', asyncHandler(createShareLink));
+
+// Turn off the public share link
+router.delete('/share-link', asyncHandler(deleteShareLink));
+
+// Add gift to registry
+router.post('/', asyncHandler(createGift));
+
+// Get registry with claims
+router.get('/', asyncHandler(getEventGifts));
+
+// Update gift
+router.put('/:giftId', asyncHandler(updateGift));
+
+// Remove gift
+router.delete('/:giftId', asyncHandler(deleteGift));
+
+// Mark thank-you note as sent
+router.put('/:giftId/claims/:claimId/thank-you', asyncHandler(updateThankYou));
+
+// Remove a claim
+router.delete('/:giftId/claims/:claimId', asyncHandler(deleteClaim));
+
+export default router;
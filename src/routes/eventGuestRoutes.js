@@ -0,0 +1,43 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  createGuest,
+  importGuests,
+  getEventGuests,
+  getGuestSummary,
+  updateGuest,
+  deleteGuest
+} from '../controllers/guestController.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :eventId
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePlanner);
+
+/**
+ * Event-specific Guest Operations
+ * Base path: /api/events/:eventId/guests
+ */
+
+// Get RSVP summary for event
+router.get('/summary', asyncHandler(getGuestSummary));
+
+// Import guests (JSON array or CSV)
+router.post('/import', asyncHandler(importGuests));
+
+// Add guest to event
+router.post('/', asyncHandler(createGuest));
+
+// Get all guests for event
+router.get('/', asyncHandler(getEventGuests));
+
+// Update guest
+router.put('/:guestId', asyncHandler(updateGuest));
+
+// Remove guest
+router.delete('/:guestId', asyncHandler(deleteGuest));
+
+export default router;
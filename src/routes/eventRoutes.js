@@ -2,6 +2,18 @@ import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { requirePlanner } from '../middleware/roleCheck.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { auditLog } from '../middleware/audit.js';
+import {
+  createEventValidation,
+  updateEventValidation,
+  eventStatusValidation,
+  eventListValidation,
+  eventSearchValidation,
+  addEventVendorValidation,
+  addEventVendorByEmailValidation,
+  eventVendorStatusValidation,
+  validate
+} from '../utils/validators.js';
 import {
   createEvent,
   getEvents,
@@ -17,6 +29,8 @@ import {
   getEventStatistics,
   searchEvents
 } from '../controllers/eventController.js';
+import { exportEventCalendar } from '../controllers/calendarController.js';
+import { getEventActivity } from '../controllers/auditController.js';
 
 const router = express.Router();
 
@@ -30,27 +44,33 @@ router.use(authenticate);
 router.get('/statistics', requirePlanner, asyncHandler(getEventStatistics));
 
 // Search events (must be before /:id route)
-router.get('/search', requirePlanner, asyncHandler(searchEvents));
+router.get('/search', requirePlanner, eventSearchValidation, validate, asyncHandler(searchEvents));
 
 // Create event
-router.post('/', requirePlanner, asyncHandler(createEvent));
+router.post('/', requirePlanner, createEventValidation, validate, auditLog('event.create', 'event'), asyncHandler(createEvent));
 
 // Get all events for current planner
-router.get('/', requirePlanner, asyncHandler(getEvents));
+router.get('/', requirePlanner, eventListValidation, validate, asyncHandler(getEvents));
 
 // Get event by ID
 router.get('/:id', asyncHandler(getEventById));
 
 // Update event
-router.put('/:id', requirePlanner, asyncHandler(updateEvent));
+router.put('/:id', requirePlanner, updateEventValidation, validate, auditLog('event.update', 'event'), asyncHandler(updateEvent));
 
 // Delete event
-router.delete('/:id', requirePlanner, asyncHandler(deleteEvent));
+router.delete('/:id', requirePlanner, auditLog('event.delete', 'event'), asyncHandler(deleteEvent));
+
+// Download event as .ics (planner or confirmed vendor)
+router.get('/:id/calendar.ics', asyncHandler(exportEventCalendar));
+
+// Activity log (who changed what)
+router.get('/:id/activity', requirePlanner, asyncHandler(getEventActivity));
 
 /**
  * Event Status Management
  */
-router.put('/:id/status', requirePlanner, asyncHandler(updateEventStatus));
+router.put('/:id/status', requirePlanner, eventStatusValidation, validate, auditLog('event.status.update', 'event'), asyncHandler(updateEventStatus));
 
 /**
  * Vendor Management
@@ -59,15 +79,15 @@ router.put('/:id/status', requirePlanner, asyncHandler(updateEventStatus));
 router.get('/:id/vendors', asyncHandler(getEventVendors));
 
 // Add vendor to event by vendor ID
-router.post('/:id/vendors', requirePlanner, asyncHandler(addVendorToEvent));
+router.post('/:id/vendors', requirePlanner, addEventVendorValidation, validate, auditLog('event.vendor.add', 'event'), asyncHandler(addVendorToEvent));
 
 // Add vendor to event by email
-router.post('/:id/vendors/by-email', requirePlanner, asyncHandler(addVendorByEmail));
+router.post('/:id/vendors/by-email', requirePlanner, addEventVendorByEmailValidation, validate, auditLog('event.vendor.add', 'event'), asyncHandler(addVendorByEmail));
 
 // Remove vendor from event
-router.delete('/:id/vendors/:vendorId', requirePlanner, asyncHandler(removeVendorFromEvent));
+router.delete('/:id/vendors/:vendorId', requirePlanner, auditLog('event.vendor.remove', 'event'), asyncHandler(removeVendorFromEvent));
 
 // Update vendor status in event
-router.put('/:id/vendors/:vendorId/status', asyncHandler(updateVendorStatus));
+router.put('/:id/vendors/:vendorId/status', eventVendorStatusValidation, validate, auditLog('event.vendor.status.update', 'event'), asyncHandler(updateVendorStatus));
 
 export default router;
\ No newline at end of file
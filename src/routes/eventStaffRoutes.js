@@ -0,0 +1,39 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  getEventRoster,
+  exportEventRoster,
+  createShift,
+  updateShift,
+  deleteShift
+} from '../controllers/staffController.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :eventId
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePlanner);
+
+/**
+ * Event-specific Staff Roster Operations
+ * Base path: /api/events/:eventId/staff
+ */
+
+// Export roster as CSV
+router.get('/roster.csv', asyncHandler(exportEventRoster));
+
+// Get roster with hours and cost
+router.get('/', asyncHandler(getEventRoster));
+
+// Roster a crew member on a shift
+router.post('/', asyncHandler(createShift));
+
+// Update shift
+router.put('/shifts/:shiftId', asyncHandler(updateShift));
+
+// Remove shift
+router.delete('/shifts/:shiftId', asyncHandler(deleteShift));
+
+export default router;
@@ -2,10 +2,18 @@ import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { requirePlanner } from '../middleware/roleCheck.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { auditLog } from '../middleware/audit.js';
+import {
+  createTaskValidation,
+  bulkCreateTasksValidation,
+  taskListValidation,
+  validate
+} from '../utils/validators.js';
 import {
   createTask,
   getEventTasks,
   getTaskStatistics,
+  getTaskGraph,
   bulkCreateTasks
 } from '../controllers/taskController.js';
 
@@ -22,13 +30,16 @@ router.use(authenticate);
 // Get task statistics for event
 router.get('/statistics', requirePlanner, asyncHandler(getTaskStatistics));
 
+// Get dependency graph and critical path
+router.get('/graph', asyncHandler(getTaskGraph));
+
 // Bulk create tasks
-router.post('/bulk', requirePlanner, asyncHandler(bulkCreateTasks));
+router.post('/bulk', requirePlanner, bulkCreateTasksValidation, validate, auditLog('task.bulk_create', 'task', { snapshot: false }), asyncHandler(bulkCreateTasks));
 
 // Create task for event
-router.post('/', requirePlanner, asyncHandler(createTask));
+router.post('/', requirePlanner, createTaskValidation, validate, auditLog('task.create', 'task'), asyncHandler(createTask));
 
 // Get all tasks for event
-router.get('/', asyncHandler(getEventTasks));
+router.get('/', taskListValidation, validate, asyncHandler(getEventTasks));
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation
+} from '../controllers/collaboratorController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePlanner);
+
+/**
+ * Co-planning Invitations (sent to the current planner's email)
+ * Base path: /api/invitations
+ */
+
+// Get my pending invitations
+router.get('/', asyncHandler(getMyInvitations));
+
+// Accept invitation
+router.put('/:id/accept', asyncHandler(acceptInvitation));
+
+// Decline invitation
+router.put('/:id/decline', asyncHandler(declineInvitation));
+
+export default router;
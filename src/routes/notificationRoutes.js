@@ -0,0 +1,32 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} from '../controllers/notificationController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get unread count (must be before /:id routes)
+router.get('/unread-count', asyncHandler(getUnreadCount));
+
+// Mark all as read (must be before /:id routes)
+router.put('/read-all', asyncHandler(markAllNotificationsRead));
+
+// Get my notifications
+router.get('/', asyncHandler(getNotifications));
+
+// Mark one as read
+router.put('/:id/read', asyncHandler(markNotificationRead));
+
+// Delete notification
+router.delete('/:id', asyncHandler(deleteNotification));
+
+export default router;
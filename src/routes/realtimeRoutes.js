@@ -0,0 +1,10 @@
+import express from 'express';
+import { authenticateStream } from '../middleware/auth.js';
+import { streamUpdates } from '../controllers/realtimeController.js';
+
+const router = express.Router();
+
+// Server-Sent Events stream (token via Authorization header or ?token=)
+router.get('/stream', authenticateStream, streamUpdates);
+
+export default router;
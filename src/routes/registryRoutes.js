@@ -0,0 +1,18 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getRegistry, claimGift } from '../controllers/giftController.js';
+
+const router = express.Router();
+
+/**
+ * Public Gift Registry (no account required, guest holds the share link)
+ * Base path: /api/registry
+ */
+
+// View registry
+router.get('/:token', asyncHandler(getRegistry));
+
+// Claim or contribute to a gift
+router.post('/:token/gifts/:giftId/claims', asyncHandler(claimGift));
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner, requireVendor, requireAdmin } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  updateReview,
+  deleteReview,
+  replyToReview,
+  reportReview,
+  getModerationQueue,
+  moderateReview
+} from '../controllers/reviewController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Moderation (must be before /:id routes)
+ */
+router.get('/moderation', requireAdmin, asyncHandler(getModerationQueue));
+
+/**
+ * Individual Review Operations
+ */
+// Edit own review
+router.put('/:id', requirePlanner, asyncHandler(updateReview));
+
+// Delete review (author or admin)
+router.delete('/:id', asyncHandler(deleteReview));
+
+// Vendor reply
+router.put('/:id/reply', requireVendor, asyncHandler(replyToReview));
+
+// Vendor report for moderation
+router.post('/:id/report', requireVendor, asyncHandler(reportReview));
+
+// Admin publish/hide
+router.put('/:id/moderation', requireAdmin, asyncHandler(moderateReview));
+
+export default router;
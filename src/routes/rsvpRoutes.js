@@ -0,0 +1,18 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getRsvp, respondToRsvp } from '../controllers/guestController.js';
+
+const router = express.Router();
+
+/**
+ * Public RSVP (no account required, guest holds the token)
+ * Base path: /api/rsvp
+ */
+
+// View invitation
+router.get('/:token', asyncHandler(getRsvp));
+
+// Answer invitation
+router.put('/:token', asyncHandler(respondToRsvp));
+
+export default router;
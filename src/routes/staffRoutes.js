@@ -0,0 +1,39 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  createStaff,
+  getMyStaff,
+  getStaffById,
+  updateStaff,
+  deleteStaff
+} from '../controllers/staffController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(requirePlanner);
+
+/**
+ * Crew Directory (day-of staff without Planit accounts)
+ * Base path: /api/staff
+ */
+
+// Add crew member
+router.post('/', asyncHandler(createStaff));
+
+// Get my crew
+router.get('/', asyncHandler(getMyStaff));
+
+// Get crew member with their shifts
+router.get('/:id', asyncHandler(getStaffById));
+
+// Update crew member
+router.put('/:id', asyncHandler(updateStaff));
+
+// Delete crew member
+router.delete('/:id', asyncHandler(deleteStaff));
+
+export default router;
@@ -2,6 +2,14 @@ import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { requirePlanner } from '../middleware/roleCheck.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { auditLog } from '../middleware/audit.js';
+import {
+  updateTaskValidation,
+  assignTaskValidation,
+  taskStatusValidation,
+  taskListValidation,
+  validate
+} from '../utils/validators.js';
 import {
   createTask,
   getEventTasks,
@@ -25,7 +33,7 @@ router.use(authenticate);
 /**
  * My Tasks (for any authenticated user)
  */
-router.get('/my-tasks', asyncHandler(getMyTasks));
+router.get('/my-tasks', taskListValidation, validate, asyncHandler(getMyTasks));
 
 /**
  * Individual Task Operations
@@ -34,27 +42,27 @@ router.get('/my-tasks', asyncHandler(getMyTasks));
 router.get('/:id', asyncHandler(getTaskById));
 
 // Update task
-router.put('/:id', requirePlanner, asyncHandler(updateTask));
+router.put('/:id', requirePlanner, updateTaskValidation, validate, auditLog('task.update', 'task'), asyncHandler(updateTask));
 
 // Delete task
-router.delete('/:id', requirePlanner, asyncHandler(deleteTask));
+router.delete('/:id', requirePlanner, auditLog('task.delete', 'task'), asyncHandler(deleteTask));
 
 /**
  * Task Assignment
  */
 // Assign task to user
-router.put('/:id/assign', requirePlanner, asyncHandler(assignTask));
+router.put('/:id/assign', requirePlanner, assignTaskValidation, validate, auditLog('task.assign', 'task'), asyncHandler(assignTask));
 
 // Unassign task
-router.delete('/:id/assign', requirePlanner, asyncHandler(unassignTask));
+router.delete('/:id/assign', requirePlanner, auditLog('task.unassign', 'task'), asyncHandler(unassignTask));
 
 /**
  * Task Status Management
  */
 // Update task status
-router.put('/:id/status', asyncHandler(updateTaskStatus));
+router.put('/:id/status', taskStatusValidation, validate, auditLog('task.status.update', 'task'), asyncHandler(updateTaskStatus));
 
 // Mark task as completed
-router.put('/:id/complete', asyncHandler(markTaskCompleted));
+router.put('/:id/complete', auditLog('task.complete', 'task'), asyncHandler(markTaskCompleted));
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,43 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner } from '../middleware/roleCheck.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { createEventValidation, validate } from '../utils/validators.js';
+import {
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  saveEventAsTemplate,
+  createEventFromTemplate
+} from '../controllers/templateController.js';
+
+const router = express.Router();
+
+// All routes require a planner
+router.use(authenticate);
+router.use(requirePlanner);
+
+// Save an existing event as a template (must be before /:id routes)
+router.post('/from-event/:eventId', asyncHandler(saveEventAsTemplate));
+
+// Create template
+router.post('/', asyncHandler(createTemplate));
+
+// Get my templates
+router.get('/', asyncHandler(getTemplates));
+
+// Get template by ID
+router.get('/:id', asyncHandler(getTemplateById));
+
+// Update template
+router.put('/:id', asyncHandler(updateTemplate));
+
+// Delete template
+router.delete('/:id', asyncHandler(deleteTemplate));
+
+// Create an event (and its tasks) from a template; the body is validated like POST /api/events
+router.post('/:id/events', createEventValidation, validate, asyncHandler(createEventFromTemplate));
+
+export default router;
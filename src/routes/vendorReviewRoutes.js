@@ -0,0 +1,34 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requirePlanner } from '../middleware/roleCheck.js';
+import { reviewPhotoUpload } from '../middleware/upload.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  getVendorReviews,
+  getReviewEligibility,
+  createReview
+} from '../controllers/reviewController.js';
+
+const router = express.Router({ mergeParams: true }); // mergeParams to access :vendorId
+
+/**
+ * Vendor-specific Review Operations
+ * Base path: /api/vendors/:vendorId/reviews
+ */
+
+// Check which of my events let me review this vendor
+router.get('/eligibility', authenticate, requirePlanner, asyncHandler(getReviewEligibility));
+
+// Get all visible reviews for vendor
+router.get('/', asyncHandler(getVendorReviews));
+
+// Submit review (optional photos as multipart "photos")
+router.post(
+  '/',
+  authenticate,
+  requirePlanner,
+  reviewPhotoUpload.array('photos', 5),
+  asyncHandler(createReview)
+);
+
+export default router;
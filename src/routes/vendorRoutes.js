@@ -1,20 +1,57 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
 import { requireVendor, requireAdmin } from '../middleware/roleCheck.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { auditLog } from '../middleware/audit.js';
 import { vendorProfileUpdateValidation, validate } from '../utils/validators.js';
 import { Vendor } from '../models/vendor.js';
-import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { Event } from '../models/event.js';
+import { NotFoundError, ValidationError, AuthenticationError } from '../middleware/errorHandler.js';
+import { getEventForUser, EVENT_ROLES } from '../services/eventAccess.js';
+import { filterAvailableOn } from '../services/availabilityService.js';
+import { getVendorCalendar } from '../controllers/availabilityController.js';
+import { getMyVerification, resubmitVerification, reviewVerification } from '../controllers/verificationController.js';
+import { parseListParams, paginateList, sendPage } from '../utils/pagination.js';
+
+// Largest search radius for near= discovery
+const MAX_RADIUS_KM = 1000;
+const DEFAULT_RADIUS_KM = 25;
+
+/**
+ * Parse an optional non-negative number from the query string
+ */
+const parseAmount = (value, name) => {
+    if (value === undefined) return undefined;
+
+    const amount = Number(value);
+
+    if (!Number.isFinite(amount) || amount < 0) {
+        throw new ValidationError(`${name} must be a non-negative number`);
+    }
+
+    return amount;
+};
 
 const router = express.Router();
 
 /**
- * @desc    Get all vendors (with filters)
+ * @desc    Get all vendors (with filters, budget and distance from an event, paginated)
  * @route   GET /api/vendors
- * @access  Public
+ * @access  Public (Planner login required for near=)
  */
-router.get('/', asyncHandler(async (req, res) => {
-    const { category, city, state, verified, availability } = req.query;
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+    const { category, city, state, verified, availability, availableOn, near, currency } = req.query;
+    const minPrice = parseAmount(req.query.minPrice, 'minPrice');
+    const maxPrice = parseAmount(req.query.maxPrice, 'maxPrice');
+    const params = parseListParams(req.query, {
+        sortFields: near ? ['distance'] : ['rating', 'reviewCount', 'businessName', 'createdAt'],
+        defaultSort: near ? 'distance' : 'rating',
+        defaultOrder: near ? 'asc' : 'desc'
+    });
+
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+        throw new ValidationError('minPrice cannot be greater than maxPrice');
+    }
 
     const filters = {};
     if (category) filters.category = category;
@@ -23,36 +60,132 @@ router.get('/', asyncHandler(async (req, res) => {
     if (verified !== undefined) filters.verified = verified === 'true';
     if (availability !== undefined) filters.availability = availability === 'true';
 
-    const vendors = await Vendor.getAll(filters);
+    let page;
 
-    res.status(200).json({
-        success: true,
-        count: vendors.length,
-        data: vendors
-    });
+    if (near || minPrice !== undefined || maxPrice !== undefined) {
+        let origin = null;
+        const radiusKm = req.query.radiusKm !== undefined ? Number(req.query.radiusKm) : DEFAULT_RADIUS_KM;
+
+        if (near) {
+            if (!req.user) {
+                throw new AuthenticationError('Log in to search near one of your events');
+            }
+
+            if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+                throw new ValidationError(`radiusKm must be between 0 and ${MAX_RADIUS_KM}`);
+            }
+
+            const event = await getEventForUser(near, req.user.id, EVENT_ROLES.VIEWER);
+            origin = await Event.getCoordinates(event);
+
+            if (!origin) {
+                throw new ValidationError('We could not locate this event. Add a city and state to its address');
+            }
+        }
+
+        const vendors = await Vendor.discover(filters, {
+            origin,
+            radiusKm,
+            minPrice,
+            maxPrice,
+            currency: currency || 'NGN',
+            sort: params.sort,
+            order: params.order
+        });
+
+        page = paginateList(vendors, params);
+    } else {
+        page = await Vendor.list(filters, params);
+    }
+
+    let vendors = Vendor.withVerifiedBadge(page.items);
+
+    // Applied to the page, so a page can hold fewer than `limit` vendors
+    if (availableOn) {
+        vendors = await filterAvailableOn(vendors, availableOn);
+    }
+
+    sendPage(res, { ...page, items: vendors }, params);
 }));
 
 /**
- * @desc    Search vendors
+ * @desc    Search vendors (ranked full-text search with facet counts)
  * @route   GET /api/vendors/search
  * @access  Public
  */
 router.get('/search', asyncHandler(async (req, res) => {
-    const { q } = req.query;
+    const { q, category, city, state, verified, availability, availableOn } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
 
     if (!q) {
         throw new ValidationError('Search query is required');
     }
 
-    const vendors = await Vendor.search(q);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        throw new ValidationError('Limit must be between 1 and 100');
+    }
+
+    const result = await Vendor.search(q, {
+        filters: {
+            category,
+            city,
+            state,
+            verified: verified !== undefined ? verified === 'true' : undefined,
+            availability: availability !== undefined ? availability === 'true' : undefined
+        },
+        limit
+    });
+
+    let vendors = result.vendors;
+
+    if (availableOn) {
+        vendors = await filterAvailableOn(vendors, availableOn);
+    }
 
     res.status(200).json({
         success: true,
         count: vendors.length,
-        data: vendors
+        total: result.total,
+        data: vendors,
+        facets: result.facets
     });
 }));
 
+/**
+ * @desc    Get my verification status and review history
+ * @route   GET /api/vendors/verification
+ * @access  Private (Vendor only)
+ */
+router.get('/verification', authenticate, requireVendor, asyncHandler(getMyVerification));
+
+/**
+ * @desc    Resubmit my CAC document after a rejection
+ * @route   PUT /api/vendors/verification/resubmit
+ * @access  Private (Vendor only)
+ */
+router.put('/verification/resubmit', authenticate, requireVendor, auditLog('vendor.verification.resubmit', 'vendor', { targetId: req => req.user.id }), asyncHandler(resubmitVerification));
+
+/**
+ * @desc    Get vendor profile completion status
+ * @route   GET /api/vendors/profile/completion
+ * @access  Private (Vendor only)
+ */
+router.get('/profile/completion', authenticate, requireVendor, asyncHandler(async (req, res) => {
+    const completion = await Vendor.getProfileCompletion(req.user.id);
+
+    res.status(200).json({
+        success: true,
+        data: completion
+    });
+}));
+
+/**
+ * @desc    Get vendor's busy dates
+ * @route   GET /api/vendors/:id/calendar
+ * @access  Public
+ */
+router.get('/:id/calendar', asyncHandler(getVendorCalendar));
+
 /**
  * @desc    Get vendor by ID
  * @route   GET /api/vendors/:id
@@ -69,25 +202,9 @@ router.get('/:id', asyncHandler(async (req, res) => {
         throw new NotFoundError('Vendor not found');
     }
 
-    const { password, ...vendorProfile } = vendor;
-
-    res.status(200).json({
-        success: true,
-        data: vendorProfile
-    });
-}));
-
-/**
- * @desc    Get vendor profile completion status
- * @route   GET /api/vendors/profile/completion
- * @access  Private (Vendor only)
- */
-router.get('/profile/completion', authenticate, requireVendor, asyncHandler(async (req, res) => {
-    const completion = await Vendor.getProfileCompletion(req.user.id);
-
     res.status(200).json({
         success: true,
-        data: completion
+        data: Vendor.toPublicProfile(vendor)
     });
 }));
 
@@ -96,7 +213,7 @@ router.get('/profile/completion', authenticate, requireVendor, asyncHandler(asyn
  * @route   PUT /api/vendors/profile
  * @access  Private (Vendor only)
  */
-router.put('/profile', authenticate, requireVendor, vendorProfileUpdateValidation, validate, asyncHandler(async (req, res) => {
+router.put('/profile', authenticate, requireVendor, vendorProfileUpdateValidation, validate, auditLog('vendor.profile.update', 'vendor', { targetId: req => req.user.id }), asyncHandler(async (req, res) => {
     const updatedVendor = await Vendor.updateProfile(req.user.id, req.body);
 
     const { password, ...vendorProfile } = updatedVendor;
@@ -113,7 +230,7 @@ router.put('/profile', authenticate, requireVendor, vendorProfileUpdateValidatio
  * @route   POST /api/vendors/portfolio
  * @access  Private (Vendor only)
  */
-router.post('/portfolio', authenticate, requireVendor, asyncHandler(async (req, res) => {
+router.post('/portfolio', authenticate, requireVendor, auditLog('vendor.portfolio.add', 'vendor', { targetId: req => req.user.id }), asyncHandler(async (req, res) => {
     const { imageUrl } = req.body;
 
     if (!imageUrl) {
@@ -134,7 +251,7 @@ router.post('/portfolio', authenticate, requireVendor, asyncHandler(async (req,
  * @route   DELETE /api/vendors/portfolio
  * @access  Private (Vendor only)
  */
-router.delete('/portfolio', authenticate, requireVendor, asyncHandler(async (req, res) => {
+router.delete('/portfolio', authenticate, requireVendor, auditLog('vendor.portfolio.remove', 'vendor', { targetId: req => req.user.id }), asyncHandler(async (req, res) => {
     const { imageUrl } = req.body;
 
     if (!imageUrl) {
@@ -151,54 +268,29 @@ router.delete('/portfolio', authenticate, requireVendor, asyncHandler(async (req
 }));
 
 /**
- * @desc    Update vendor verification status
- * @route   PUT /api/vendors/:id/verification
+ * @desc    Approve or reject vendor verification (same as PUT /api/admin/verifications/:vendorId)
+ * @route   PUT /api/vendors/:vendorId/verification
  * @access  Private (Admin only)
  */
-router.put('/:id/verification', authenticate, requireAdmin, asyncHandler(async (req, res) => {
-    const { status } = req.body;
-
-    if (!['pending', 'approved', 'rejected'].includes(status)) {
-        throw new ValidationError('Invalid verification status');
-    }
-
-    const updatedVendor = await Vendor.updateVerificationStatus(
-        req.params.id,
-        status,
-        req.user.id
-    );
-
-    res.status(200).json({
-        success: true,
-        message: 'Vendor verification status updated successfully',
-        data: {
-            verificationStatus: updatedVendor.verificationStatus,
-            verified: updatedVendor.verified
-        }
-    });
-}));
+router.put('/:vendorId/verification', authenticate, requireAdmin, auditLog('vendor.verification.review', 'vendor', { targetId: req => req.params.vendorId }), asyncHandler(reviewVerification));
 
 /**
- * @desc    Update vendor rating
- * @route   PUT /api/vendors/:id/rating
- * @access  Private (Admin or system only)
+ * @desc    Recalculate vendor rating from reviews
+ * @route   POST /api/vendors/:id/rating/recalculate
+ * @access  Private (Admin only)
  */
-router.put('/:id/rating', authenticate, requireAdmin, asyncHandler(async (req, res) => {
-    const { rating, reviewCount } = req.body;
-
-    if (typeof rating !== 'number' || rating < 0 || rating > 5) {
-        throw new ValidationError('Rating must be a number between 0 and 5');
-    }
+router.post('/:id/rating/recalculate', authenticate, requireAdmin, auditLog('vendor.rating.recalculate', 'vendor'), asyncHandler(async (req, res) => {
+    const vendor = await Vendor.findById(req.params.id);
 
-    if (typeof reviewCount !== 'number' || reviewCount < 0) {
-        throw new ValidationError('Review count must be a positive number');
+    if (!vendor || vendor.role !== 'vendor') {
+        throw new NotFoundError('Vendor not found');
     }
 
-    const updatedVendor = await Vendor.updateRating(req.params.id, rating, reviewCount);
+    const updatedVendor = await Vendor.recalculateRating(req.params.id);
 
     res.status(200).json({
         success: true,
-        message: 'Vendor rating updated successfully',
+        message: 'Vendor rating recalculated successfully',
         data: {
             rating: updatedVendor.rating,
             reviewCount: updatedVendor.reviewCount
@@ -0,0 +1,64 @@
+import { Availability } from '../models/availability.js';
+import { ConflictError, ValidationError } from '../middleware/errorHandler.js';
+
+/**
+ * Describe a calendar block for conflict messages
+ */
+const describeBlock = (block) => {
+  const when = block.startTime ? `${block.date} ${block.startTime}-${block.endTime}` : `${block.date} (all day)`;
+  const what = block.source === 'booking' ? 'booked for another event' : 'blocked by vendor';
+  return `${when}: ${what}`;
+};
+
+/**
+ * Check a vendor's calendar against an event slot.
+ * Rejects with 409 when there are clashes unless allowConflict is set,
+ * in which case the clashes come back as warnings for the response.
+ */
+export async function checkVendorAvailability(vendorId, event, { allowConflict = false } = {}) {
+  const slot = Availability.getEventSlot(event);
+  const conflicts = await Availability.findConflicts(vendorId, slot, { excludeEventId: event.id });
+
+  if (conflicts.length === 0) {
+    return [];
+  }
+
+  const warnings = conflicts.map(describeBlock);
+
+  if (!allowConflict) {
+    throw new ConflictError(
+      `Vendor is not available for this event (${warnings.join('; ')}). Send allowConflict: true to add anyway`
+    );
+  }
+
+  return warnings;
+}
+
+/**
+ * Confirmed bookings can never overlap, whatever the planner asks for
+ */
+export async function assertNoDoubleBooking(vendorId, event) {
+  const slot = Availability.getEventSlot(event);
+  const conflicts = await Availability.findConflicts(vendorId, slot, { excludeEventId: event.id });
+  const bookings = conflicts.filter(block => block.source === 'booking');
+
+  if (bookings.length > 0) {
+    throw new ConflictError(
+      `Vendor is already booked at this time (${bookings.map(describeBlock).join('; ')})`
+    );
+  }
+}
+
+/**
+ * Drop vendors who cannot take work on a date (availableOn filter).
+ * Vendors who switched availability off are excluded too.
+ */
+export async function filterAvailableOn(vendors, date) {
+  if (!Availability.isValidDate(date)) {
+    throw new ValidationError('availableOn must be a date in YYYY-MM-DD format');
+  }
+
+  const busyVendorIds = await Availability.getBusyVendorIds(date);
+
+  return vendors.filter(vendor => vendor.availability !== false && !busyVendorIds.has(vendor.id));
+}
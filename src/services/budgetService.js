@@ -0,0 +1,23 @@
+import { Expense } from '../models/expense.js';
+import { BaseUser } from '../models/baseUser.js';
+import { sendBudgetAlertEmail } from './emailServices.js';
+import { notifyBudgetExceeded } from './notificationService.js';
+
+/**
+ * Alert the event owner when a change (to an expense, or to the budget itself)
+ * pushes actual spending past the budget. Returns the new budget summary.
+ */
+export async function checkBudgetAlert(event, previousSummary) {
+  const summary = await Expense.getEventSummary(event);
+
+  if (summary.overBudget && !previousSummary.overBudget) {
+    await notifyBudgetExceeded(event, summary);
+
+    const owner = await BaseUser.findById(event.plannerId);
+    if (owner) {
+      await sendBudgetAlertEmail(owner.email, owner.fullName, event.name, summary);
+    }
+  }
+
+  return summary;
+}
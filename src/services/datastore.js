@@ -0,0 +1,86 @@
+/**
+ * Persistence backend behind the models.
+ *
+ * A datastore adapter implements:
+ *   name                       -> 'firestore' | 'memory' | ...
+ *   db()                       -> Firestore-compatible database (collection, batch, runTransaction, getAll)
+ *   Filter                     -> Composite filter builder (Filter.where / Filter.or / Filter.and)
+ *
+ * Models never import firebase-admin directly; they go through db() and
+ * Filter from config/firebase.js, which delegate to the active adapter.
+ * FirestoreAdapter is the default. MemoryAdapter keeps everything in process
+ * memory so the API can boot and be tested without Firebase credentials.
+ */
+
+import admin from 'firebase-admin';
+import { Filter as FirestoreFilter } from 'firebase-admin/firestore';
+import { MemoryFirestore, MemoryFilter } from './memoryFirestore.js';
+
+export const DATASTORES = ['firestore', 'memory'];
+
+/**
+ * Cloud Firestore through the Admin SDK (call initializeFirebase first)
+ */
+export class FirestoreAdapter {
+  constructor() {
+    this.name = 'firestore';
+    this.Filter = FirestoreFilter;
+  }
+
+  db() {
+    return admin.firestore();
+  }
+}
+
+/**
+ * In-process Firestore stand-in (data is lost when the process exits)
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.Filter = MemoryFilter;
+    this.database = new MemoryFirestore();
+  }
+
+  db() {
+    return this.database;
+  }
+
+  /**
+   * Remove all stored documents
+   */
+  reset() {
+    this.database.clear();
+  }
+}
+
+let datastore = new FirestoreAdapter();
+
+/**
+ * Get the active datastore adapter
+ */
+export function getDatastore() {
+  return datastore;
+}
+
+/**
+ * Replace the datastore adapter (e.g. a MemoryAdapter in tests)
+ */
+export function setDatastore(adapter) {
+  datastore = adapter;
+}
+
+/**
+ * Build an adapter by name
+ */
+export function createDatastore(name) {
+  if (name === 'memory') {
+    return new MemoryAdapter();
+  }
+
+  if (name === 'firestore') {
+    return new FirestoreAdapter();
+  }
+
+  throw new Error(`Unknown datastore "${name}". Must be one of: ${DATASTORES.join(', ')}`);
+}
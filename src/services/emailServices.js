@@ -123,3 +123,159 @@ The Planit Team`;
 
   return await sendEmail(userEmail, 'Planit - Password Reset Request', html, textContent);
 }
+
+/**
+ * Send budget overrun alert to a planner
+ */
+export async function sendBudgetAlertEmail(userEmail, userName, eventName, summary) {
+  const format = (amount) => amount.toLocaleString('en-US');
+  const overBy = summary.totalActual - summary.budget;
+
+  const html = await renderTemplate('budget-alert', {
+    username: userName,
+    eventName,
+    currency: summary.currency,
+    budget: format(summary.budget),
+    totalActual: format(summary.totalActual),
+    overBy: format(overBy),
+  });
+
+  const textContent = `Hello ${userName},
+
+Actual spending on ${eventName} has gone past its budget.
+
+Budget: ${summary.currency} ${format(summary.budget)}
+Actual spending: ${summary.currency} ${format(summary.totalActual)}
+Over by: ${summary.currency} ${format(overBy)}
+
+Review the event's expenses in Planit to see which line items went over.
+
+Best regards,
+The Planit Team`;
+
+  return await sendEmail(userEmail, `Planit - Budget exceeded for ${eventName}`, html, textContent);
+}
+
+/**
+ * Send a due-date reminder to a task assignee
+ */
+export async function sendTaskReminderEmail(userEmail, userName, task, eventName, dueIn) {
+  const html = await renderTemplate('task-reminder', {
+    username: userName,
+    eventName,
+    dueIn,
+    taskTitle: task.title,
+    dueDate: task.dueDate,
+    priority: task.priority,
+  });
+
+  const textContent = `Hello ${userName},
+
+Your task for ${eventName} is due ${dueIn}.
+
+Task: ${task.title}
+Due: ${task.dueDate}
+Priority: ${task.priority}
+
+Mark the task as completed in Planit once it is done.
+
+Best regards,
+The Planit Team`;
+
+  return await sendEmail(userEmail, `Planit - Reminder: ${task.title} is due ${dueIn}`, html, textContent);
+}
+
+/**
+ * Tell a planner a task is overdue
+ */
+export async function sendTaskOverdueEmail(userEmail, userName, task, eventName) {
+  const assignee = task.assignedTo?.userName || 'Unassigned';
+
+  const html = await renderTemplate('task-overdue', {
+    username: userName,
+    eventName,
+    taskTitle: task.title,
+    dueDate: task.dueDate,
+    assignee,
+  });
+
+  const textContent = `Hello ${userName},
+
+A task for ${eventName} has passed its due date without being completed.
+
+Task: ${task.title}
+Due: ${task.dueDate}
+Assigned to: ${assignee}
+
+Follow up with the assignee or update the due date in Planit.
+
+Best regards,
+The Planit Team`;
+
+  return await sendEmail(userEmail, `Planit - Overdue task: ${task.title}`, html, textContent);
+}
+
+/**
+ * Invite a planner to co-plan an event
+ */
+export async function sendCollaboratorInviteEmail(userEmail, invitation) {
+  const expiresAt = invitation.expiresAt.slice(0, 10);
+
+  const html = await renderTemplate('collaborator-invite', {
+    invitedByName: invitation.invitedByName,
+    eventName: invitation.eventName,
+    role: invitation.role,
+    expiresAt,
+  });
+
+  const textContent = `Hello,
+
+${invitation.invitedByName} has invited you to help plan ${invitation.eventName} on Planit.
+
+Event: ${invitation.eventName}
+Your role: ${invitation.role}
+Invitation expires: ${expiresAt}
+
+Sign in to Planit with this email address and open your invitations to accept or decline. If you don't have a planner account yet, sign up with this email first.
+
+Best regards,
+The Planit Team`;
+
+  return await sendEmail(userEmail, `Planit - ${invitation.invitedByName} invited you to co-plan ${invitation.eventName}`, html, textContent);
+}
+
+export async function sendVerificationResultEmail(userEmail, vendorName, status, reason) {
+  const approved = status === 'approved';
+
+  const html = await renderTemplate('vendor-verification', {
+    vendorName,
+    approved,
+    reason,
+  });
+
+  const textContent = approved
+    ? `Hello ${vendorName},
+
+Good news! Your CAC document has been reviewed and your business is now verified on Planit.
+
+Your profile now shows a verified badge and is listed ahead of unverified vendors in search results.
+
+Best regards,
+The Planit Team`
+    : `Hello ${vendorName},
+
+We reviewed your CAC document and could not verify your business yet.
+
+Reason: ${reason}
+
+Upload a corrected document from your vendor profile, or resubmit your current one once the issue is fixed, and we will review it again.
+
+Best regards,
+The Planit Team`;
+
+  const subject = approved
+    ? 'Planit - Your business is verified'
+    : 'Planit - Action needed on your verification';
+
+  return await sendEmail(userEmail, subject, html, textContent);
+}
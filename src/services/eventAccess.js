@@ -0,0 +1,110 @@
+import { Event } from '../models/event.js';
+import { Task } from '../models/task.js';
+import { NotFoundError, AuthorizationError } from '../middleware/errorHandler.js';
+
+// Roles a planner can hold on an event. The owner is event.plannerId.
+export const EVENT_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer'
+};
+
+// Roles that can be given to collaborators
+export const COLLABORATOR_ROLES = [EVENT_ROLES.EDITOR, EVENT_ROLES.VIEWER];
+
+const ROLE_RANK = {
+  [EVENT_ROLES.VIEWER]: 1,
+  [EVENT_ROLES.EDITOR]: 2,
+  [EVENT_ROLES.OWNER]: 3
+};
+
+/**
+ * A user's planning role on an event, or null
+ */
+export function getEventRole(event, userId) {
+  if (!event || !userId) {
+    return null;
+  }
+
+  if (event.plannerId === userId) {
+    return EVENT_ROLES.OWNER;
+  }
+
+  const collaborator = (event.collaborators || []).find(c => c.userId === userId);
+  return collaborator ? collaborator.role : null;
+}
+
+/**
+ * Check a user holds at least `requiredRole` on an event
+ */
+export function hasEventRole(event, userId, requiredRole = EVENT_ROLES.VIEWER) {
+  const role = getEventRole(event, userId);
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[requiredRole];
+}
+
+/**
+ * Check a user is one of the event's vendors
+ */
+export function isEventVendor(event, userId) {
+  return (event.vendors || []).some(v => v.vendorId === userId);
+}
+
+/**
+ * Throw unless the user holds at least `requiredRole` on the event.
+ * With allowVendor, vendors on the event pass too (read-only routes).
+ */
+export function assertEventAccess(event, userId, requiredRole = EVENT_ROLES.VIEWER, { allowVendor = false } = {}) {
+  if (hasEventRole(event, userId, requiredRole)) {
+    return;
+  }
+
+  if (allowVendor && isEventVendor(event, userId)) {
+    return;
+  }
+
+  if (getEventRole(event, userId)) {
+    throw new AuthorizationError(`You need ${requiredRole} access to this event`);
+  }
+
+  throw new AuthorizationError('You do not have access to this event');
+}
+
+/**
+ * Load an event and check the user's access to it
+ */
+export async function getEventForUser(eventId, userId, requiredRole = EVENT_ROLES.VIEWER, options = {}) {
+  const event = await Event.findById(eventId);
+
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  assertEventAccess(event, userId, requiredRole, options);
+
+  return event;
+}
+
+/**
+ * Load a task and its event and check the user's access.
+ * With allowAssignee, the user the task is assigned to passes too.
+ */
+export async function getTaskForUser(taskId, userId, requiredRole = EVENT_ROLES.VIEWER, { allowAssignee = false } = {}) {
+  const task = await Task.findById(taskId);
+
+  if (!task) {
+    throw new NotFoundError('Task not found');
+  }
+
+  const event = await Event.findById(task.eventId);
+  const isAssigned = allowAssignee && task.assignedTo?.userId === userId;
+
+  if (!isAssigned && !hasEventRole(event, userId, requiredRole)) {
+    throw new AuthorizationError(
+      getEventRole(event, userId)
+        ? `You need ${requiredRole} access to this event`
+        : 'You do not have access to this task'
+    );
+  }
+
+  return { task, event };
+}
@@ -0,0 +1,226 @@
+/**
+ * Address geocoding.
+ *
+ * A geocoder implements:
+ *   geocode({ street, city, state, country, location }) -> Promise<{ lat, lng, precision } | null>
+ *
+ * OfflineGeocoder resolves Nigerian cities, neighbourhoods and states from a
+ * built-in table, so no network calls or API keys are needed. Swap in a hosted
+ * provider with setGeocoder() for street-level accuracy.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// State -> [lat, lng] of the state capital
+const STATES = {
+  abia: [5.5249, 7.4942],
+  adamawa: [9.2035, 12.4954],
+  'akwa ibom': [5.0377, 7.9128],
+  anambra: [6.2104, 7.0741],
+  bauchi: [10.3158, 9.8442],
+  bayelsa: [4.9267, 6.2676],
+  benue: [7.7322, 8.5391],
+  borno: [11.8311, 13.151],
+  'cross river': [4.9757, 8.3417],
+  delta: [6.198, 6.7319],
+  ebonyi: [6.3249, 8.1137],
+  edo: [6.335, 5.6037],
+  ekiti: [7.6211, 5.2214],
+  enugu: [6.4584, 7.5464],
+  fct: [9.0765, 7.3986],
+  gombe: [10.2897, 11.1673],
+  imo: [5.484, 7.0351],
+  jigawa: [11.7562, 9.3388],
+  kaduna: [10.5105, 7.4165],
+  kano: [12.0022, 8.592],
+  katsina: [12.9908, 7.6018],
+  kebbi: [12.4539, 4.1975],
+  kogi: [7.8023, 6.7333],
+  kwara: [8.4966, 4.5421],
+  lagos: [6.5244, 3.3792],
+  nasarawa: [8.4939, 8.515],
+  niger: [9.5836, 6.5463],
+  ogun: [7.1475, 3.3619],
+  ondo: [7.2571, 5.2058],
+  osun: [7.7827, 4.5418],
+  oyo: [7.3775, 3.947],
+  plateau: [9.8965, 8.8583],
+  rivers: [4.8156, 7.0498],
+  sokoto: [13.0059, 5.2476],
+  taraba: [8.8833, 11.3667],
+  yobe: [11.747, 11.9608],
+  zamfara: [12.1628, 6.6614]
+};
+
+// Other names people use for a state
+const STATE_ALIASES = {
+  abuja: 'fct',
+  'federal capital territory': 'fct',
+  'akwa-ibom': 'akwa ibom',
+  'cross-river': 'cross river',
+  nassarawa: 'nasarawa'
+};
+
+// City or neighbourhood -> [lat, lng]
+const PLACES = {
+  // Lagos
+  ikeja: [6.6018, 3.3515],
+  lekki: [6.4698, 3.5852],
+  'victoria island': [6.4281, 3.4219],
+  ikoyi: [6.4549, 3.4346],
+  'lagos island': [6.455, 3.3941],
+  yaba: [6.5095, 3.3711],
+  surulere: [6.5, 3.35],
+  ajah: [6.4667, 3.5667],
+  festac: [6.4667, 3.2833],
+  ikorodu: [6.6194, 3.5105],
+  epe: [6.5841, 3.9834],
+  badagry: [6.4153, 2.8813],
+  maryland: [6.5713, 3.3667],
+  gbagada: [6.5531, 3.3886],
+  // Abuja
+  abuja: [9.0765, 7.3986],
+  wuse: [9.0667, 7.4667],
+  garki: [9.0333, 7.4833],
+  maitama: [9.0833, 7.5],
+  asokoro: [9.0436, 7.5244],
+  gwarinpa: [9.1083, 7.4083],
+  kubwa: [9.154, 7.322],
+  // Other cities
+  'port harcourt': [4.8156, 7.0498],
+  ibadan: [7.3775, 3.947],
+  'benin city': [6.335, 5.6037],
+  benin: [6.335, 5.6037],
+  warri: [5.5167, 5.75],
+  asaba: [6.198, 6.7319],
+  onitsha: [6.1667, 6.7833],
+  awka: [6.2104, 7.0741],
+  enugu: [6.4584, 7.5464],
+  aba: [5.1066, 7.3667],
+  umuahia: [5.5249, 7.4942],
+  owerri: [5.484, 7.0351],
+  uyo: [5.0377, 7.9128],
+  calabar: [4.9757, 8.3417],
+  yenagoa: [4.9267, 6.2676],
+  abeokuta: [7.1475, 3.3619],
+  ota: [6.6804, 3.2356],
+  ilorin: [8.4966, 4.5421],
+  osogbo: [7.7827, 4.5418],
+  'ile-ife': [7.4905, 4.5521],
+  ife: [7.4905, 4.5521],
+  akure: [7.2571, 5.2058],
+  'ado-ekiti': [7.6211, 5.2214],
+  lokoja: [7.8023, 6.7333],
+  makurdi: [7.7322, 8.5391],
+  jos: [9.8965, 8.8583],
+  kaduna: [10.5105, 7.4165],
+  zaria: [11.0855, 7.7199],
+  kano: [12.0022, 8.592],
+  katsina: [12.9908, 7.6018],
+  sokoto: [13.0059, 5.2476],
+  maiduguri: [11.8311, 13.151],
+  yola: [9.2035, 12.4954],
+  bauchi: [10.3158, 9.8442],
+  minna: [9.5836, 6.5463],
+  lafia: [8.4939, 8.515]
+};
+
+/**
+ * Lowercase, trim and collapse whitespace; drop a trailing "state"
+ */
+const normalize = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/ state$/, '');
+
+/**
+ * Find the longest known place name inside free text like "Eko Hotel, Victoria Island, Lagos"
+ */
+const findPlaceInText = (text) => {
+  const haystack = ` ${normalize(text).replace(/[^a-z\s-]/g, ' ').replace(/\s+/g, ' ')} `;
+
+  return Object.keys(PLACES)
+    .filter(place => haystack.includes(` ${place} `))
+    .sort((a, b) => b.length - a.length)[0] || null;
+};
+
+const toPoint = ([lat, lng], precision) => ({ lat, lng, precision });
+
+/**
+ * Built-in geocoder for Nigerian addresses (city/neighbourhood, then state)
+ */
+export class OfflineGeocoder {
+  async geocode({ city, state, street, location } = {}) {
+    const cityKey = normalize(city);
+    if (PLACES[cityKey]) {
+      return toPoint(PLACES[cityKey], 'city');
+    }
+
+    const place = findPlaceInText([street, city, location].filter(Boolean).join(' '));
+    if (place) {
+      return toPoint(PLACES[place], 'city');
+    }
+
+    const stateKey = STATE_ALIASES[normalize(state)] || normalize(state);
+    if (STATES[stateKey]) {
+      return toPoint(STATES[stateKey], 'state');
+    }
+
+    return null;
+  }
+}
+
+let geocoder = new OfflineGeocoder();
+
+/**
+ * Get the active geocoder
+ */
+export function getGeocoder() {
+  return geocoder;
+}
+
+/**
+ * Replace the geocoder (e.g. a hosted provider)
+ */
+export function setGeocoder(provider) {
+  geocoder = provider;
+}
+
+/**
+ * Geocode an address into stored coordinates. Never throws; returns null when the address cannot be placed.
+ */
+export async function geocodeAddress(address = {}, location = null) {
+  try {
+    const point = await geocoder.geocode({ ...(address || {}), location });
+
+    if (!point) {
+      return null;
+    }
+
+    return {
+      lat: point.lat,
+      lng: point.lng,
+      precision: point.precision || null,
+      geocodedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('❌ Geocoding failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Great-circle distance between two { lat, lng } points in kilometres
+ */
+export function distanceKm(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
@@ -0,0 +1,583 @@
+/**
+ * In-memory stand-in for the Firestore Admin API.
+ *
+ * Covers the parts of Firestore the models use:
+ *   collection(name).doc(id?) / add / where / orderBy / limit / startAfter / count / get
+ *   doc.get / set / update / delete, db.getAll(...refs), db.batch(), db.runTransaction(fn)
+ *   Filter.where / Filter.or / Filter.and composite filters
+ *
+ * Documents are deep-copied on every read and write, so callers can never
+ * mutate stored data by accident. Query semantics follow Firestore: documents
+ * missing a filtered or ordered field are left out, range filters only match
+ * values of the same type, and ties are broken by document ID.
+ */
+
+import { randomBytes } from 'crypto';
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const AUTO_ID_LENGTH = 20;
+
+const OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'array-contains', 'array-contains-any', 'in', 'not-in'];
+
+/**
+ * Error shaped like the ones the Firestore SDK throws (numeric gRPC code)
+ */
+class FirestoreError extends Error {
+  constructor(code, message) {
+    super(`${code} ${message}`);
+    this.code = code === 'NOT_FOUND' ? 5 : code === 'ALREADY_EXISTS' ? 6 : 3;
+  }
+}
+
+const autoId = () => {
+  const bytes = randomBytes(AUTO_ID_LENGTH);
+  return Array.from(bytes, byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+};
+
+/**
+ * Copy a value for storage, rejecting undefined like Firestore does
+ */
+const toStored = (value, path = 'data') => {
+  if (value === undefined) {
+    throw new FirestoreError('INVALID_ARGUMENT', `Cannot use "undefined" as a Firestore value (found in field "${path}")`);
+  }
+
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map((item, i) => toStored(item, `${path}.${i}`));
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = toStored(item, path === 'data' ? key : `${path}.${key}`);
+  });
+  return copy;
+};
+
+const clone = (value) => structuredClone(value);
+
+/**
+ * Read a dotted field path (e.g. 'assignedTo.userId')
+ */
+const getField = (data, fieldPath) => {
+  let value = data;
+
+  for (const key of fieldPath.split('.')) {
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+
+  return value;
+};
+
+/**
+ * Write a dotted field path, creating intermediate maps
+ */
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  let target = data;
+
+  keys.slice(0, -1).forEach(key => {
+    if (target[key] === null || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+
+  target[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Firestore's cross-type ordering: null < booleans < numbers < dates < strings < arrays < maps
+ */
+const typeRank = (value) => {
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (value instanceof Date) return 3;
+  if (typeof value === 'string') return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+};
+
+const compareValues = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+
+  if (rankA !== rankB) return rankA - rankB;
+
+  switch (rankA) {
+    case 0:
+      return 0;
+    case 1:
+    case 2:
+      return a === b ? 0 : a < b ? -1 : 1;
+    case 3:
+      return a.getTime() - b.getTime();
+    case 4:
+      return a === b ? 0 : a < b ? -1 : 1;
+    case 5: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    }
+    default: {
+      const keysA = Object.keys(a).sort();
+      const keysB = Object.keys(b).sort();
+      for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+        if (keysA[i] !== keysB[i]) return keysA[i] < keysB[i] ? -1 : 1;
+        const result = compareValues(a[keysA[i]], b[keysB[i]]);
+        if (result !== 0) return result;
+      }
+      return keysA.length - keysB.length;
+    }
+  }
+};
+
+const valuesEqual = (a, b) => typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+
+/**
+ * A single field comparison or an AND/OR of other filters
+ */
+export class MemoryFilter {
+  constructor(type, options) {
+    this.type = type;
+    Object.assign(this, options);
+  }
+
+  static where(field, op, value) {
+    if (!OPERATORS.includes(op)) {
+      throw new FirestoreError('INVALID_ARGUMENT', `Invalid query operator "${op}"`);
+    }
+    if (value === undefined) {
+      throw new FirestoreError('INVALID_ARGUMENT', `Cannot use "undefined" as a Firestore value in a filter on "${field}"`);
+    }
+    return new MemoryFilter('field', { field, op, value: clone(value) });
+  }
+
+  static or(...filters) {
+    return new MemoryFilter('or', { filters });
+  }
+
+  static and(...filters) {
+    return new MemoryFilter('and', { filters });
+  }
+
+  matches(data) {
+    if (this.type === 'or') return this.filters.some(filter => filter.matches(data));
+    if (this.type === 'and') return this.filters.every(filter => filter.matches(data));
+
+    const actual = getField(data, this.field);
+    const { op, value } = this;
+
+    // Documents without the field never match, whatever the operator
+    if (actual === undefined) return false;
+
+    switch (op) {
+      case '==':
+        return valuesEqual(actual, value);
+      case '!=':
+        return actual !== null && !valuesEqual(actual, value);
+      case '<':
+      case '<=':
+      case '>':
+      case '>=': {
+        if (typeRank(actual) !== typeRank(value)) return false;
+        const result = compareValues(actual, value);
+        if (op === '<') return result < 0;
+        if (op === '<=') return result <= 0;
+        if (op === '>') return result > 0;
+        return result >= 0;
+      }
+      case 'array-contains':
+        return Array.isArray(actual) && actual.some(item => valuesEqual(item, value));
+      case 'array-contains-any':
+        return Array.isArray(actual) && actual.some(item => value.some(candidate => valuesEqual(item, candidate)));
+      case 'in':
+        return value.some(candidate => valuesEqual(actual, candidate));
+      case 'not-in':
+        return actual !== null && !value.some(candidate => valuesEqual(actual, candidate));
+      default:
+        return false;
+    }
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(store, collectionName, id) {
+    this._store = store;
+    this.id = id;
+    this.path = `${collectionName}/${id}`;
+    this.parent = store.collection(collectionName);
+  }
+
+  get _collectionName() {
+    return this.parent.id;
+  }
+
+  async get() {
+    return this._store._snapshot(this);
+  }
+
+  async set(data, options = {}) {
+    this._store._write([{ type: 'set', ref: this, data, options }]);
+  }
+
+  async create(data) {
+    this._store._write([{ type: 'create', ref: this, data }]);
+  }
+
+  async update(data) {
+    this._store._write([{ type: 'update', ref: this, data }]);
+  }
+
+  async delete() {
+    this._store._write([{ type: 'delete', ref: this }]);
+  }
+}
+
+class Query {
+  constructor(store, collectionName, { filters = [], orderBy = [], limit = null, startAfter = null } = {}) {
+    this._store = store;
+    this._collectionName = collectionName;
+    this._filters = filters;
+    this._orderBy = orderBy;
+    this._limit = limit;
+    this._startAfter = startAfter;
+  }
+
+  _with(changes) {
+    return new Query(this._store, this._collectionName, {
+      filters: this._filters,
+      orderBy: this._orderBy,
+      limit: this._limit,
+      startAfter: this._startAfter,
+      ...changes
+    });
+  }
+
+  where(fieldOrFilter, op, value) {
+    const filter = fieldOrFilter instanceof MemoryFilter
+      ? fieldOrFilter
+      : MemoryFilter.where(fieldOrFilter, op, value);
+
+    return this._with({ filters: [...this._filters, filter] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    if (!['asc', 'desc'].includes(direction)) {
+      throw new FirestoreError('INVALID_ARGUMENT', `Invalid order direction "${direction}"`);
+    }
+    return this._with({ orderBy: [...this._orderBy, { field, direction }] });
+  }
+
+  limit(count) {
+    return this._with({ limit: count });
+  }
+
+  /**
+   * Start after a document snapshot or after the given orderBy values
+   */
+  startAfter(...values) {
+    const [first] = values;
+
+    if (first instanceof DocumentSnapshot) {
+      const data = first.data() || {};
+      return this._with({
+        startAfter: {
+          values: this._orderBy.map(({ field }) => getField(data, field)),
+          id: first.id
+        }
+      });
+    }
+
+    return this._with({ startAfter: { values: values.map(clone), id: null } });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const docs = this._run();
+        return { data: () => ({ count: docs.length }) };
+      }
+    };
+  }
+
+  async get() {
+    return new QuerySnapshot(this._run());
+  }
+
+  /**
+   * Evaluate the query against the current contents of the collection
+   */
+  _run() {
+    const rows = [...this._store._collection(this._collectionName).entries()]
+      .filter(([, data]) => this._filters.every(filter => filter.matches(data)))
+      .filter(([, data]) => this._orderBy.every(({ field }) => getField(data, field) !== undefined));
+
+    // Ties fall back to document ID, in the direction of the last orderBy
+    const idDirection = this._orderBy.length ? this._orderBy[this._orderBy.length - 1].direction : 'asc';
+
+    const compareRows = ([idA, dataA], [idB, dataB]) => {
+      for (const { field, direction } of this._orderBy) {
+        const result = compareValues(getField(dataA, field), getField(dataB, field));
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      const result = idA === idB ? 0 : idA < idB ? -1 : 1;
+      return idDirection === 'desc' ? -result : result;
+    };
+
+    rows.sort(compareRows);
+
+    let selected = rows;
+
+    if (this._startAfter) {
+      const { values, id } = this._startAfter;
+
+      // Position of a row relative to the cursor, honouring each field's direction
+      const afterCursor = ([rowId, data]) => {
+        for (let i = 0; i < this._orderBy.length; i++) {
+          const { field, direction } = this._orderBy[i];
+          const result = compareValues(getField(data, field), values[i] ?? null);
+          if (result !== 0) return (direction === 'desc' ? -result : result) > 0;
+        }
+        if (id === null || rowId === id) return false;
+        return (idDirection === 'desc' ? rowId < id : rowId > id);
+      };
+
+      selected = rows.filter(afterCursor);
+    }
+
+    if (this._limit !== null) {
+      selected = selected.slice(0, this._limit);
+    }
+
+    return selected.map(([id, data]) => new DocumentSnapshot(new DocumentReference(this._store, this._collectionName, id), data));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, name) {
+    super(store, name);
+    this.id = name;
+    this.path = name;
+  }
+
+  doc(id = autoId()) {
+    return new DocumentReference(this._store, this.id, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class WriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+    this._committed = false;
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push({ type: 'create', ref, data });
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    if (this._committed) {
+      throw new FirestoreError('INVALID_ARGUMENT', 'A write batch can no longer be used after commit() has been called');
+    }
+    this._committed = true;
+    this._store._write(this._writes);
+    return this._writes.map(() => ({ writeTime: new Date() }));
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    if (this._writes.length > 0) {
+      throw new FirestoreError('INVALID_ARGUMENT', 'Firestore transactions require all reads to be executed before all writes');
+    }
+    return refOrQuery instanceof DocumentReference
+      ? this._store._snapshot(refOrQuery)
+      : refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => this.get(ref)));
+  }
+}
+
+/**
+ * The in-memory database (one per adapter)
+ */
+export class MemoryFirestore {
+  constructor() {
+    this._collections = new Map(); // name -> Map(id -> data)
+    this._transactionQueue = Promise.resolve();
+  }
+
+  collection(name) {
+    return new CollectionReference(this, name);
+  }
+
+  doc(path) {
+    const [collectionName, id] = path.split('/');
+    return this.collection(collectionName).doc(id);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return refs.map(ref => this._snapshot(ref));
+  }
+
+  /**
+   * Run transactions one at a time; writes are applied only if the callback resolves
+   */
+  runTransaction(updateFunction) {
+    const run = this._transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      this._write(transaction._writes);
+      return result;
+    });
+
+    // A failed transaction must not block the ones queued behind it
+    this._transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Drop every collection (between tests)
+   */
+  clear() {
+    this._collections.clear();
+  }
+
+  _collection(name) {
+    if (!this._collections.has(name)) {
+      this._collections.set(name, new Map());
+    }
+    return this._collections.get(name);
+  }
+
+  _snapshot(ref) {
+    return new DocumentSnapshot(ref, this._collection(ref._collectionName).get(ref.id));
+  }
+
+  /**
+   * Apply a list of writes atomically: all are validated before any is applied
+   */
+  _write(writes) {
+    const pending = new Map(); // path -> data after the writes so far (undefined = deleted)
+
+    const current = (ref) => pending.has(ref.path)
+      ? pending.get(ref.path)
+      : this._collection(ref._collectionName).get(ref.id);
+
+    writes.forEach(({ type, ref, data, options }) => {
+      const existing = current(ref);
+
+      if (type === 'delete') {
+        pending.set(ref.path, undefined);
+        return;
+      }
+
+      if (type === 'create' && existing !== undefined) {
+        throw new FirestoreError('ALREADY_EXISTS', `Document already exists: ${ref.path}`);
+      }
+
+      if (type === 'update') {
+        if (existing === undefined) {
+          throw new FirestoreError('NOT_FOUND', `No document to update: ${ref.path}`);
+        }
+
+        const next = clone(existing);
+        Object.entries(data).forEach(([fieldPath, value]) => {
+          setField(next, fieldPath, toStored(value, fieldPath));
+        });
+        pending.set(ref.path, next);
+        return;
+      }
+
+      const stored = toStored(data);
+      pending.set(ref.path, options?.merge && existing !== undefined
+        ? deepMerge(clone(existing), stored)
+        : stored);
+    });
+
+    pending.forEach((data, path) => {
+      const [collectionName, id] = path.split('/');
+      if (data === undefined) {
+        this._collection(collectionName).delete(id);
+      } else {
+        this._collection(collectionName).set(id, data);
+      }
+    });
+  }
+}
+
+const deepMerge = (target, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+      && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      target[key] = deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+};
@@ -0,0 +1,232 @@
+import { Notification, NOTIFICATION_TYPES } from '../models/notification.js';
+
+/**
+ * Create an in-app notification.
+ * Failures are logged, not thrown, so a notification never breaks the request that triggered it.
+ */
+export async function notify(userId, notification) {
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    return await Notification.create({ userId, ...notification });
+  } catch (error) {
+    console.error('❌ Error creating notification:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Tell a vendor they were added to an event
+ */
+export async function notifyVendorAdded(event, vendorId) {
+  return await notify(vendorId, {
+    type: NOTIFICATION_TYPES.VENDOR_ADDED,
+    title: 'New booking request',
+    message: `You have been added to ${event.name} on ${event.date}`,
+    data: { eventId: event.id }
+  });
+}
+
+/**
+ * Tell a planner a vendor responded to a booking
+ */
+export async function notifyVendorResponded(event, vendorEntry, status) {
+  const vendorName = vendorEntry?.vendorBusinessName || vendorEntry?.vendorName || 'A vendor';
+
+  return await notify(event.plannerId, {
+    type: NOTIFICATION_TYPES.VENDOR_RESPONDED,
+    title: `Vendor ${status}`,
+    message: `${vendorName} ${status} your booking for ${event.name}`,
+    data: { eventId: event.id, vendorId: vendorEntry?.vendorId, status }
+  });
+}
+
+/**
+ * Tell a user a task was assigned to them
+ */
+export async function notifyTaskAssigned(task, assignedTo) {
+  return await notify(assignedTo.userId, {
+    type: NOTIFICATION_TYPES.TASK_ASSIGNED,
+    title: 'New task assigned',
+    message: `You have been assigned "${task.title}"${task.dueDate ? ` due ${task.dueDate}` : ''}`,
+    data: { eventId: task.eventId, taskId: task.id }
+  });
+}
+
+/**
+ * Tell a planner a task was completed
+ */
+export async function notifyTaskCompleted(task, completedBy) {
+  return await notify(task.plannerId, {
+    type: NOTIFICATION_TYPES.TASK_COMPLETED,
+    title: 'Task completed',
+    message: `${completedBy.fullName} completed "${task.title}"`,
+    data: { eventId: task.eventId, taskId: task.id }
+  });
+}
+
+/**
+ * Remind an assignee a task is coming due
+ */
+export async function notifyTaskReminder(task, dueIn) {
+  return await notify(task.assignedTo?.userId, {
+    type: NOTIFICATION_TYPES.TASK_REMINDER,
+    title: 'Task due soon',
+    message: `"${task.title}" is due ${dueIn}`,
+    data: { eventId: task.eventId, taskId: task.id }
+  });
+}
+
+/**
+ * Tell a planner a task is overdue
+ */
+export async function notifyTaskOverdue(task) {
+  return await notify(task.plannerId, {
+    type: NOTIFICATION_TYPES.TASK_OVERDUE,
+    title: 'Task overdue',
+    message: `"${task.title}" was due ${task.dueDate} and is not completed`,
+    data: { eventId: task.eventId, taskId: task.id }
+  });
+}
+
+/**
+ * Tell a planner an event went over budget
+ */
+export async function notifyBudgetExceeded(event, summary) {
+  return await notify(event.plannerId, {
+    type: NOTIFICATION_TYPES.BUDGET_EXCEEDED,
+    title: 'Budget exceeded',
+    message: `Actual spending on ${event.name} is ${summary.currency} ${summary.totalActual - summary.budget} over budget`,
+    data: { eventId: event.id }
+  });
+}
+
+/**
+ * Tell a vendor a planner sent them a booking request
+ */
+export async function notifyBookingRequested(booking) {
+  return await notify(booking.vendorId, {
+    type: NOTIFICATION_TYPES.BOOKING_REQUESTED,
+    title: 'New booking request',
+    message: `${booking.plannerName} requested a quote for ${booking.eventName} on ${booking.brief.date}`,
+    data: { eventId: booking.eventId, bookingId: booking.id }
+  });
+}
+
+/**
+ * Tell a planner a vendor sent a quote
+ */
+export async function notifyQuoteReceived(booking, quote) {
+  return await notify(booking.plannerId, {
+    type: NOTIFICATION_TYPES.QUOTE_RECEIVED,
+    title: 'Quote received',
+    message: `${booking.vendorName} quoted ${quote.currency} ${quote.total} for ${booking.eventName}`,
+    data: { eventId: booking.eventId, bookingId: booking.id, quoteId: quote.id }
+  });
+}
+
+/**
+ * Tell a vendor the planner countered their quote
+ */
+export async function notifyQuoteCountered(booking, counterOffer) {
+  return await notify(booking.vendorId, {
+    type: NOTIFICATION_TYPES.QUOTE_COUNTERED,
+    title: 'Counter-offer received',
+    message: `${booking.plannerName} countered with ${counterOffer.currency} ${counterOffer.amount} for ${booking.eventName}`,
+    data: { eventId: booking.eventId, bookingId: booking.id }
+  });
+}
+
+/**
+ * Tell a vendor their quote was accepted
+ */
+export async function notifyQuoteAccepted(booking) {
+  return await notify(booking.vendorId, {
+    type: NOTIFICATION_TYPES.QUOTE_ACCEPTED,
+    title: 'Booking confirmed',
+    message: `${booking.plannerName} accepted your quote for ${booking.eventName}`,
+    data: { eventId: booking.eventId, bookingId: booking.id }
+  });
+}
+
+/**
+ * Tell a planner a vendor declined their booking request
+ */
+export async function notifyBookingDeclined(booking) {
+  return await notify(booking.plannerId, {
+    type: NOTIFICATION_TYPES.BOOKING_DECLINED,
+    title: 'Booking declined',
+    message: `${booking.vendorName} declined your booking request for ${booking.eventName}`,
+    data: { eventId: booking.eventId, bookingId: booking.id }
+  });
+}
+
+/**
+ * Tell the other party a booking request was cancelled
+ */
+export async function notifyBookingCancelled(booking, recipientId) {
+  return await notify(recipientId, {
+    type: NOTIFICATION_TYPES.BOOKING_CANCELLED,
+    title: 'Booking cancelled',
+    message: `The booking request for ${booking.eventName} was cancelled`,
+    data: { eventId: booking.eventId, bookingId: booking.id }
+  });
+}
+
+/**
+ * Tell a planner they were invited to co-plan an event
+ */
+export async function notifyCollaboratorInvited(invitation, userId) {
+  return await notify(userId, {
+    type: NOTIFICATION_TYPES.COLLABORATOR_INVITED,
+    title: 'Co-planning invitation',
+    message: `${invitation.invitedByName} invited you to help plan ${invitation.eventName} as ${invitation.role}`,
+    data: { eventId: invitation.eventId, invitationId: invitation.id }
+  });
+}
+
+/**
+ * Tell the event owner an invited planner joined
+ */
+export async function notifyCollaboratorJoined(event, collaborator) {
+  return await notify(event.plannerId, {
+    type: NOTIFICATION_TYPES.COLLABORATOR_JOINED,
+    title: 'Co-planner joined',
+    message: `${collaborator.name} joined ${event.name} as ${collaborator.role}`,
+    data: { eventId: event.id, userId: collaborator.userId }
+  });
+}
+
+/**
+ * Tell a planner a guest claimed or contributed to a registry gift
+ */
+export async function notifyGiftClaimed(event, gift, claim) {
+  const what = gift.allowContributions
+    ? `contributed ${claim.amount} ${gift.currency} towards ${gift.name}`
+    : `claimed ${claim.quantity > 1 ? `${claim.quantity} x ` : ''}${gift.name}`;
+
+  return await notify(event.plannerId, {
+    type: NOTIFICATION_TYPES.GIFT_CLAIMED,
+    title: 'Gift claimed',
+    message: `${claim.guestName} ${what} for ${event.name}`,
+    data: { eventId: event.id, giftId: gift.id, claimId: claim.id }
+  });
+}
+
+/**
+ * Tell a vendor the outcome of their verification review
+ */
+export async function notifyVerificationUpdated(vendorId, status, reason) {
+  const approved = status === 'approved';
+
+  return await notify(vendorId, {
+    type: NOTIFICATION_TYPES.VERIFICATION_UPDATED,
+    title: approved ? 'Business verified' : 'Verification rejected',
+    message: approved
+      ? 'Your CAC document was approved. Your profile now shows a verified badge'
+      : `Your CAC document was rejected: ${reason}`,
+    data: { verificationStatus: status }
+  });
+}
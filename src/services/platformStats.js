@@ -0,0 +1,63 @@
+import { db, collections } from '../config/firebase.js';
+import { ROLES } from '../models/baseUser.js';
+import { REVIEW_STATUSES } from '../models/review.js';
+import { EVENT_STATUSES } from '../models/event.js';
+import { TASK_STATUSES } from '../models/task.js';
+
+const VERIFICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Count documents matching equality filters (aggregation query, no documents read)
+ */
+const countWhere = async (collection, filters = {}) => {
+  let query = db().collection(collection);
+
+  Object.entries(filters).forEach(([field, value]) => {
+    query = query.where(field, '==', value);
+  });
+
+  const snapshot = await query.count().get();
+  return snapshot.data().count;
+};
+
+/**
+ * Count a collection per value of one field, plus the overall total
+ */
+const countByValues = async (collection, field, values, baseFilters = {}) => {
+  const [total, ...counts] = await Promise.all([
+    countWhere(collection, baseFilters),
+    ...values.map(value => countWhere(collection, { ...baseFilters, [field]: value }))
+  ]);
+
+  return values.reduce((acc, value, index) => {
+    acc[value] = counts[index];
+    return acc;
+  }, { total });
+};
+
+/**
+ * Platform-wide counts for the admin console
+ */
+export async function getPlatformStats() {
+  const [users, inactiveUsers, events, tasks, vendors, reviews] = await Promise.all([
+    countByValues(collections.USERS, 'role', Object.values(ROLES)),
+    countWhere(collections.USERS, { isActive: false }),
+    countByValues(collections.EVENTS, 'status', EVENT_STATUSES),
+    countByValues(collections.TASKS, 'status', TASK_STATUSES),
+    countByValues(collections.USERS, 'verificationStatus', VERIFICATION_STATUSES, { role: ROLES.VENDOR }),
+    countByValues(collections.REVIEWS, 'status', REVIEW_STATUSES)
+  ]);
+
+  return {
+    users: { ...users, inactive: inactiveUsers },
+    events,
+    tasks,
+    vendors,
+    moderation: {
+      flaggedReviews: reviews.flagged,
+      hiddenReviews: reviews.hidden,
+      pendingVerifications: vendors.pending
+    },
+    generatedAt: new Date().toISOString()
+  };
+}
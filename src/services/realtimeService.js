@@ -0,0 +1,113 @@
+// Real-time event types pushed to clients
+export const REALTIME_EVENTS = {
+  EVENT_UPDATED: 'event.updated',
+  EVENT_DELETED: 'event.deleted',
+  VENDOR_STATUS_CHANGED: 'vendor.status_changed',
+  VENDOR_ADDED: 'vendor.added',
+  VENDOR_REMOVED: 'vendor.removed',
+  TASK_STATUS_CHANGED: 'task.status_changed',
+  TASK_ASSIGNED: 'task.assigned',
+  TASK_UNASSIGNED: 'task.unassigned'
+};
+
+// Keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// userId -> Set of open SSE responses (a user may have several tabs/devices)
+const clients = new Map();
+
+let nextMessageId = 1;
+
+/**
+ * Write one SSE frame to a response
+ */
+const writeMessage = (res, type, payload) => {
+  res.write(`id: ${nextMessageId++}\n`);
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+};
+
+/**
+ * Register an SSE connection for a user and keep it alive until the client disconnects
+ */
+export function subscribe(userId, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx/Railway)
+  });
+  res.write('retry: 5000\n\n');
+
+  if (!clients.has(userId)) {
+    clients.set(userId, new Set());
+  }
+  clients.get(userId).add(res);
+
+  writeMessage(res, 'connected', { userId, connectedAt: new Date().toISOString() });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const connections = clients.get(userId);
+    if (connections) {
+      connections.delete(res);
+      if (connections.size === 0) clients.delete(userId);
+    }
+  });
+}
+
+/**
+ * Push a message to every open connection of the given users
+ */
+export function publishToUsers(userIds, type, data) {
+  const payload = { type, data, timestamp: new Date().toISOString() };
+
+  new Set(userIds.filter(Boolean)).forEach(userId => {
+    (clients.get(userId) || []).forEach(res => writeMessage(res, type, payload));
+  });
+}
+
+/**
+ * Everyone on an event: the planner, its co-planners and every vendor in event.vendors
+ */
+export function getEventAudience(event) {
+  return [
+    event.plannerId,
+    ...(event.collaboratorIds || []),
+    ...(event.vendors || []).map(v => v.vendorId)
+  ];
+}
+
+/**
+ * Push a change to everyone on an event
+ * extraUserIds covers users who just left the event (e.g. a removed vendor)
+ */
+export function publishToEvent(event, type, data, extraUserIds = []) {
+  publishToUsers([...getEventAudience(event), ...extraUserIds], type, {
+    eventId: event.id,
+    ...data
+  });
+}
+
+/**
+ * Number of open connections (for health checks)
+ */
+export function getConnectionCount() {
+  let count = 0;
+  clients.forEach(connections => {
+    count += connections.size;
+  });
+  return count;
+}
+
+/**
+ * End every open stream so the HTTP server can shut down
+ */
+export function closeAll() {
+  clients.forEach(connections => {
+    connections.forEach(res => res.end());
+  });
+  clients.clear();
+}
@@ -0,0 +1,213 @@
+import { Task } from '../models/task.js';
+import { Event, DEFAULT_TIMEZONE } from '../models/event.js';
+import { BaseUser } from '../models/baseUser.js';
+import { sendTaskReminderEmail, sendTaskOverdueEmail } from './emailServices.js';
+import { notifyTaskReminder, notifyTaskOverdue } from './notificationService.js';
+import { endOfLocalDay } from '../utils/ical.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Remind assignees a week and a day before the due date
+export const DEFAULT_REMINDER_OFFSETS_HOURS = [168, 24];
+
+/**
+ * When a task is due. A date-only due date lasts until the end of that day
+ * in the event's time zone; a full timestamp is used as is.
+ */
+const getDueTime = (dueDate, event) => {
+  const due = new Date(dueDate);
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dueDate) && !isNaN(due.getTime())) {
+    return endOfLocalDay(dueDate, event.timezone || DEFAULT_TIMEZONE);
+  }
+
+  return due;
+};
+
+/**
+ * Human wording for the time left before a due date
+ */
+const describeDueIn = (due, now) => {
+  const hours = Math.max(1, Math.round((due - now) / HOUR_MS));
+
+  if (hours < 24) {
+    return hours === 1 ? 'in 1 hour' : `in ${hours} hours`;
+  }
+
+  const days = Math.round(hours / 24);
+  return days === 1 ? 'in 1 day' : `in ${days} days`;
+};
+
+/**
+ * Create the next occurrence of a recurring task.
+ * The series stops at recurrence.until, or the event date when no end is set.
+ * Returns the new task, or null when there is nothing to create.
+ */
+export async function createNextOccurrence(task, event) {
+  if (!task.recurrence || task.recurrence.nextTaskId || !task.dueDate) {
+    return null;
+  }
+
+  const dueDate = Task.getNextDueDate(task.dueDate, task.recurrence);
+  const until = task.recurrence.until || event?.date;
+
+  if (until && dueDate.slice(0, 10) > String(until).slice(0, 10)) {
+    return null;
+  }
+
+  const nextTask = await Task.create({
+    title: task.title,
+    description: task.description,
+    eventId: task.eventId,
+    plannerId: task.plannerId,
+    assignedTo: task.assignedTo,
+    dueDate,
+    priority: task.priority,
+    category: task.category,
+    durationDays: task.durationDays,
+    recurrence: {
+      ...task.recurrence,
+      seriesId: task.recurrence.seriesId || task.id,
+      nextTaskId: null
+    }
+  });
+
+  await Task.update(task.id, { recurrence: { ...task.recurrence, nextTaskId: nextTask.id } });
+  await Event.addTask(task.eventId, nextTask.id);
+
+  return nextTask;
+}
+
+/**
+ * Background job that sends due-date reminders to assignees, escalates overdue
+ * tasks to the planner and rolls recurring tasks forward.
+ *
+ * `clock` returns the current Date; pass a fake one in tests and call runOnce().
+ */
+export function createReminderScheduler({
+  clock = () => new Date(),
+  intervalMs = 15 * 60 * 1000,
+  offsetsHours = DEFAULT_REMINDER_OFFSETS_HOURS
+} = {}) {
+  let timer = null;
+  let running = null;
+
+  const processTask = async (task, now, getEvent, summary) => {
+    const event = await getEvent(task.eventId);
+    if (!event || ['completed', 'cancelled'].includes(event.status)) {
+      return;
+    }
+
+    const due = getDueTime(String(task.dueDate), event);
+    if (isNaN(due.getTime())) {
+      return;
+    }
+
+    if (due > now) {
+      if (!task.assignedTo?.userEmail) {
+        return;
+      }
+
+      const sent = task.remindersSent || [];
+      const dueOffsets = offsetsHours.filter(hours => !sent.includes(hours) && due - hours * HOUR_MS <= now);
+
+      if (dueOffsets.length === 0) {
+        return;
+      }
+
+      // Recorded before sending so a failing email is not retried every run.
+      // Offsets that were skipped (task created late) are folded into one reminder.
+      await Task.update(task.id, { remindersSent: [...sent, ...dueOffsets] });
+
+      const dueIn = describeDueIn(due, now);
+      await sendTaskReminderEmail(task.assignedTo.userEmail, task.assignedTo.userName, task, event.name, dueIn);
+      await notifyTaskReminder(task, dueIn);
+      summary.reminders++;
+      return;
+    }
+
+    if (!task.escalatedAt) {
+      await Task.update(task.id, { escalatedAt: now.toISOString() });
+
+      await notifyTaskOverdue(task);
+
+      const planner = await BaseUser.findById(task.plannerId);
+      if (planner?.email) {
+        await sendTaskOverdueEmail(planner.email, planner.fullName, task, event.name);
+      }
+      summary.escalations++;
+    }
+
+    // An overdue repeating task still rolls forward so the series keeps going
+    const nextTask = await createNextOccurrence(task, event);
+    if (nextTask) {
+      summary.occurrences++;
+    }
+  };
+
+  const runPass = async () => {
+    const now = clock();
+    const horizon = new Date(now.getTime() + Math.max(0, ...offsetsHours) * HOUR_MS);
+    const tasks = await Task.getOpenDueBefore(horizon.toISOString());
+
+    const events = new Map();
+    const getEvent = async (eventId) => {
+      if (!events.has(eventId)) {
+        events.set(eventId, await Event.findById(eventId));
+      }
+      return events.get(eventId);
+    };
+
+    const summary = { checked: tasks.length, reminders: 0, escalations: 0, occurrences: 0 };
+
+    for (const task of tasks) {
+      try {
+        await processTask(task, now, getEvent, summary);
+      } catch (error) {
+        console.error(`❌ Reminder scheduler failed for task ${task.id}:`, error.message);
+      }
+    }
+
+    return summary;
+  };
+
+  /**
+   * Run one pass now; overlapping calls share the pass already in flight
+   */
+  const runOnce = () => {
+    if (!running) {
+      running = runPass().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  const tick = () => runOnce().catch(error => {
+    console.error('❌ Reminder scheduler run failed:', error.message);
+  });
+
+  return {
+    runOnce,
+
+    start() {
+      if (timer) {
+        return;
+      }
+      timer = setInterval(tick, intervalMs);
+      timer.unref(); // Never keep the process alive on its own
+      tick();
+    },
+
+    /**
+     * Stop the timer and wait for a run in progress to finish
+     */
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      if (running) {
+        await running.catch(() => {});
+      }
+    }
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * Full-text search index.
+ *
+ * Any index must implement:
+ *   isStale(maxAgeMs)                  -> Promise<boolean>   (true when it needs a rebuild)
+ *   rebuild(documents)                 -> Promise<void>
+ *   upsert(document)                   -> Promise<void>
+ *   remove(id)                         -> Promise<void>
+ *   search(query, { filters, facets, limit }) -> Promise<{ total, hits: [{ id, score }], facets }>
+ *
+ * A document is { id, fields: [{ text, weight }], filters: {}, facets: {}, boost }.
+ * LocalSearchIndex keeps everything in process memory; swap it for a hosted
+ * engine with setSearchIndex() without touching callers.
+ */
+
+const MIN_TOKEN_LENGTH = 2;
+
+// Match quality multipliers
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.8;
+const FUZZY_MATCH = 0.5;
+
+/**
+ * Split text into lowercase, accent-free search tokens
+ */
+export const tokenize = (text) => String(text ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length >= MIN_TOKEN_LENGTH);
+
+/**
+ * How many typos a query token may contain
+ */
+const allowedEdits = (token) => {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Levenshtein distance check that gives up once it exceeds max
+ */
+const withinEdits = (a, b, max) => {
+  if (max === 0 || Math.abs(a.length - b.length) > max) return false;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return false;
+    previous = current;
+  }
+
+  return previous[b.length] <= max;
+};
+
+/**
+ * In-process inverted index (single instance, rebuilt from Firestore when stale)
+ */
+export class LocalSearchIndex {
+  constructor() {
+    this.documents = new Map(); // id -> document
+    this.terms = new Map(); // term -> Map(id -> field weight)
+    this.builtAt = null;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  async isStale(maxAgeMs) {
+    return !this.builtAt || Date.now() - this.builtAt > maxAgeMs;
+  }
+
+  async rebuild(documents) {
+    this.documents.clear();
+    this.terms.clear();
+
+    for (const document of documents) {
+      await this.upsert(document);
+    }
+
+    this.builtAt = Date.now();
+  }
+
+  async upsert(document) {
+    await this.remove(document.id);
+
+    this.documents.set(document.id, document);
+
+    (document.fields || []).forEach(({ text, weight = 1 }) => {
+      tokenize(text).forEach(term => {
+        if (!this.terms.has(term)) {
+          this.terms.set(term, new Map());
+        }
+
+        // A term found in several fields counts at its best field
+        const postings = this.terms.get(term);
+        postings.set(document.id, Math.max(postings.get(document.id) || 0, weight));
+      });
+    });
+  }
+
+  async remove(id) {
+    if (!this.documents.has(id)) return;
+
+    this.documents.delete(id);
+
+    for (const [term, postings] of this.terms) {
+      postings.delete(id);
+      if (postings.size === 0) {
+        this.terms.delete(term);
+      }
+    }
+  }
+
+  async search(query, { filters = {}, facets = [], limit = 20 } = {}) {
+    const queryTokens = [...new Set(tokenize(query))];
+
+    if (queryTokens.length === 0) {
+      return { total: 0, hits: [], facets: {} };
+    }
+
+    // Every query token has to match somewhere in the document
+    let scores = null;
+
+    for (const queryToken of queryTokens) {
+      const tokenScores = this.scoreToken(queryToken);
+
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        for (const id of scores.keys()) {
+          if (tokenScores.has(id)) {
+            scores.set(id, scores.get(id) + tokenScores.get(id));
+          } else {
+            scores.delete(id);
+          }
+        }
+      }
+    }
+
+    const matches = [...scores.entries()]
+      .map(([id, score]) => ({ document: this.documents.get(id), score }))
+      .filter(({ document }) => Object.entries(filters).every(([key, value]) =>
+        value === undefined || document.filters?.[key] === value
+      ));
+
+    const facetCounts = {};
+    facets.forEach(facet => {
+      facetCounts[facet] = {};
+      matches.forEach(({ document }) => {
+        const value = document.facets?.[facet];
+        if (value !== null && value !== undefined && value !== '') {
+          facetCounts[facet][value] = (facetCounts[facet][value] || 0) + 1;
+        }
+      });
+    });
+
+    const hits = matches
+      .map(({ document, score }) => ({
+        id: document.id,
+        score: Math.round(score * (document.boost || 1) * 1000) / 1000
+      }))
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+      .slice(0, limit);
+
+    return { total: matches.length, hits, facets: facetCounts };
+  }
+
+  /**
+   * Score every document matching one query token (exact, prefix or within a typo or two)
+   */
+  scoreToken(queryToken) {
+    const scores = new Map();
+    const maxEdits = allowedEdits(queryToken);
+
+    for (const [term, postings] of this.terms) {
+      let quality;
+
+      if (term === queryToken) {
+        quality = EXACT_MATCH;
+      } else if (term.startsWith(queryToken)) {
+        quality = PREFIX_MATCH;
+      } else if (withinEdits(queryToken, term, maxEdits)) {
+        quality = FUZZY_MATCH;
+      } else {
+        continue;
+      }
+
+      // Rare terms say more about a document than common ones
+      const idf = Math.log(1 + this.documents.size / postings.size);
+
+      for (const [id, weight] of postings) {
+        scores.set(id, Math.max(scores.get(id) || 0, weight * quality * idf));
+      }
+    }
+
+    return scores;
+  }
+}
+
+let searchIndex = new LocalSearchIndex();
+
+/**
+ * Get the active search index
+ */
+export function getSearchIndex() {
+  return searchIndex;
+}
+
+/**
+ * Replace the search index (e.g. a hosted engine in production or a fresh local index in tests)
+ */
+export function setSearchIndex(index) {
+  searchIndex = index;
+}
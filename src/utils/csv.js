@@ -0,0 +1,85 @@
+/**
+ * Split a single CSV line into fields, honouring double-quoted values
+ */
+const splitCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+};
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row
+ */
+export const parseCsv = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const headers = splitCsvLine(lines[0]);
+
+  return lines.slice(1).map(line => {
+    const values = splitCsvLine(line);
+    return headers.reduce((row, header, index) => {
+      row[header] = values[index] ?? '';
+      return row;
+    }, {});
+  });
+};
+
+// Numbers and phone numbers such as +234 801 234 5678 or -1500.50, which are safe to leave as they are
+const PLAIN_NUMBER = /^[+-]?[\d\s().-]+$/;
+
+/**
+ * Quote a value for CSV output.
+ * Other values starting with a formula character are prefixed so spreadsheets show them as text.
+ */
+const formatCsvValue = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@]/.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from rows. `columns` are { key, header } in output order.
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [
+    columns.map(column => formatCsvValue(column.header)).join(','),
+    ...rows.map(row => columns.map(column => formatCsvValue(row[column.key])).join(','))
+  ];
+
+  return lines.join('\r\n') + '\r\n';
+};
@@ -0,0 +1,351 @@
+/**
+ * iCalendar (RFC 5545) builder for events and tasks
+ */
+
+const PRODID = '-//Planit//Planit API//EN';
+const UID_DOMAIN = 'planit';
+const MAX_LINE_OCTETS = 75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const offsetFormatters = new Map();
+
+/**
+ * Check an IANA time zone name, e.g. Africa/Lagos
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets without splitting multi-byte characters
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a Date as a UTC DATE-TIME (20251224T090000Z)
+ */
+const formatUtc = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+/**
+ * Format YYYY-MM-DD (and optional HH:mm) as a DATE or local DATE-TIME value
+ */
+const formatLocal = (date, time) => {
+  const value = date.replace(/-/g, '');
+  return time ? `${value}T${time.replace(':', '')}00` : value;
+};
+
+/**
+ * Day after a YYYY-MM-DD date (DTEND is exclusive for all-day entries)
+ */
+const nextDay = (date) => new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * UTC offset of a time zone at an instant, in minutes
+ */
+const getOffsetMinutes = (timeZone, instant) => {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+  }
+
+  const name = offsetFormatters.get(timeZone)
+    .formatToParts(instant)
+    .find(part => part.type === 'timeZoneName').value;
+
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) {
+    return 0; // Plain "GMT"
+  }
+
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+/**
+ * The instant a calendar date (YYYY-MM-DD) ends in a time zone,
+ * i.e. midnight at the start of the next local day
+ */
+export const endOfLocalDay = (date, timeZone) => {
+  const midnight = Date.parse(`${nextDay(date)}T00:00:00Z`);
+  // The offset at local midnight can differ from the one at UTC midnight around DST changes
+  const guess = midnight - getOffsetMinutes(timeZone, new Date(midnight)) * 60 * 1000;
+
+  return new Date(midnight - getOffsetMinutes(timeZone, new Date(guess)) * 60 * 1000);
+};
+
+/**
+ * Format a UTC offset in minutes as +HHMM / -HHMM
+ */
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+};
+
+/**
+ * Find the offset changes of a time zone between two instants
+ */
+const findTransitions = (timeZone, start, end) => {
+  const transitions = [];
+  let previous = start;
+  let previousOffset = getOffsetMinutes(timeZone, new Date(start));
+
+  for (let time = start + DAY_MS; time <= end; time += DAY_MS) {
+    const offset = getOffsetMinutes(timeZone, new Date(time));
+
+    if (offset !== previousOffset) {
+      // Narrow the change down to the minute
+      let low = previous;
+      let high = time;
+      while (high - low > 60 * 1000) {
+        const mid = low + Math.floor((high - low) / 2);
+        if (getOffsetMinutes(timeZone, new Date(mid)) === previousOffset) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+
+      transitions.push({ at: high - (high % (60 * 1000)), from: previousOffset, to: offset });
+      previousOffset = offset;
+    }
+
+    previous = time;
+  }
+
+  return transitions;
+};
+
+/**
+ * Build a VTIMEZONE covering the given years.
+ * Observances are generated from the runtime's zone data, one per transition.
+ */
+const buildTimeZone = (timeZone, fromYear, toYear) => {
+  const start = Date.UTC(fromYear, 0, 1);
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const transitions = findTransitions(timeZone, start, end);
+  const initialOffset = getOffsetMinutes(timeZone, new Date(start));
+
+  // Before the first transition the zone is on standard time if it then moves forward
+  const initialIsDaylight = transitions.length > 0 && transitions[0].to < transitions[0].from;
+
+  const observance = (isDaylight, dtstart, from, to) => {
+    const type = isDaylight ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${type}`,
+      `DTSTART:${dtstart}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${type}`
+    ];
+  };
+
+  const lines = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(initialIsDaylight, '19700101T000000', initialOffset, initialOffset)
+  ];
+
+  transitions.forEach(({ at, from, to }) => {
+    // DTSTART of an observance is the local time just before the change
+    const local = formatUtc(new Date(at + from * 60 * 1000)).slice(0, -1);
+    lines.push(...observance(to > from, local, from, to));
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * Stable UID for a Planit entity, identical across downloads and feeds
+ */
+const buildUid = (type, id) => `${type}-${id}@${UID_DOMAIN}`;
+
+/**
+ * VEVENT for a Planit event; times are local to event.timezone
+ */
+const buildEventComponent = (event, { timeZone, dtstamp }) => {
+  const date = String(event.date).slice(0, 10);
+  const hasStart = TIME_PATTERN.test(event.startTime || '');
+  const hasEnd = hasStart && TIME_PATTERN.test(event.endTime || '') && event.endTime > event.startTime;
+
+  const location = [
+    event.location,
+    event.address?.street,
+    event.address?.city,
+    event.address?.state,
+    event.address?.country
+  ].filter(Boolean).join(', ');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${buildUid('event', event.id)}`,
+    `DTSTAMP:${dtstamp}`
+  ];
+
+  if (hasStart) {
+    lines.push(`DTSTART;TZID=${timeZone}:${formatLocal(date, event.startTime)}`);
+    if (hasEnd) {
+      lines.push(`DTEND;TZID=${timeZone}:${formatLocal(date, event.endTime)}`);
+    }
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatLocal(date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatLocal(nextDay(date))}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.name)}`);
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+
+  lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+
+  if (event.createdAt) {
+    lines.push(`CREATED:${formatUtc(new Date(event.createdAt))}`);
+  }
+
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatUtc(new Date(event.updatedAt))}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * All-day VEVENT on a task's due date.
+ * VEVENT rather than VTODO because most calendar apps ignore VTODO in subscriptions.
+ */
+const buildTaskComponent = (task, { dtstamp }) => {
+  const date = String(task.dueDate).slice(0, 10);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${buildUid('task', task.id)}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;VALUE=DATE:${formatLocal(date)}`,
+    `DTEND;VALUE=DATE:${formatLocal(nextDay(date))}`,
+    `SUMMARY:${escapeText(`${task.completed ? '✓ ' : ''}Task due: ${task.title}`)}`
+  ];
+
+  const description = [task.description, `Priority: ${task.priority}`].filter(Boolean).join('\n');
+  lines.push(`DESCRIPTION:${escapeText(description)}`);
+  lines.push('TRANSP:TRANSPARENT'); // Due dates should not show as busy time
+
+  if (task.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatUtc(new Date(task.updatedAt))}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document from events and tasks.
+ * Each event needs a `timezone`; defaultTimeZone covers events created before it existed.
+ */
+export const buildCalendar = ({ name, events = [], tasks = [], defaultTimeZone, refreshInterval }) => {
+  const dtstamp = formatUtc(new Date());
+
+  const validEvents = events.filter(event => DATE_PATTERN.test(String(event.date || '')));
+  const validTasks = tasks.filter(task => DATE_PATTERN.test(String(task.dueDate || '')));
+
+  // Years each time zone needs to cover
+  const zoneYears = new Map();
+  const timedEvents = validEvents.map(event => {
+    const timeZone = isValidTimeZone(event.timezone) ? event.timezone : defaultTimeZone;
+
+    if (TIME_PATTERN.test(event.startTime || '')) {
+      const year = Number(String(event.date).slice(0, 4));
+      const range = zoneYears.get(timeZone) || { from: year, to: year };
+      zoneYears.set(timeZone, { from: Math.min(range.from, year), to: Math.max(range.to, year) });
+    }
+
+    return { event, timeZone };
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`NAME:${escapeText(name)}`);
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  if (refreshInterval) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`);
+    lines.push(`X-PUBLISHED-TTL:${refreshInterval}`);
+  }
+
+  zoneYears.forEach(({ from, to }, timeZone) => {
+    lines.push(...buildTimeZone(timeZone, from, to));
+  });
+
+  timedEvents.forEach(({ event, timeZone }) => {
+    lines.push(...buildEventComponent(event, { timeZone, dtstamp }));
+  });
+
+  validTasks.forEach(task => {
+    lines.push(...buildTaskComponent(task, { dtstamp }));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
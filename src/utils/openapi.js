@@ -0,0 +1,413 @@
+import fs from 'fs';
+import { authenticate, optionalAuth, authenticateStream } from '../middleware/auth.js';
+import { REQUEST_SCHEMAS } from './requestSchemas.js';
+
+// Source folders whose @desc/@route/@access comments describe the routes
+const ROUTE_DOC_DIRS = ['controllers', 'routes'];
+
+// How each express-validator check narrows the JSON schema of a field
+const VALIDATOR_SCHEMAS = {
+  isString: () => ({ type: 'string' }),
+  isEmail: () => ({ type: 'string', format: 'email' }),
+  isURL: () => ({ type: 'string', format: 'uri' }),
+  isDate: () => ({ type: 'string', format: 'date' }),
+  isISO8601: () => ({ type: 'string', format: 'date-time' }),
+  isLength: ([{ min, max } = {}]) => ({ type: 'string', minLength: min, maxLength: max }),
+  matches: ([pattern]) => ({ type: 'string', pattern: pattern instanceof RegExp ? pattern.source : pattern }),
+  isIn: ([values]) => ({ enum: values }),
+  isNumeric: () => ({ type: 'number' }),
+  isInt: ([{ min, max } = {}]) => ({ type: 'integer', minimum: min, maximum: max }),
+  isFloat: ([{ min, max } = {}]) => ({ type: 'number', minimum: min, maximum: max }),
+  isBoolean: () => ({ type: 'boolean' }),
+  isArray: ([{ min, max } = {}]) => ({ type: 'array', minItems: min, maxItems: max }),
+  isObject: () => ({ type: 'object' })
+};
+
+// Sanitizers that only make sense for (or convert to) one type
+const SANITIZER_TYPES = {
+  trim: 'string',
+  ltrim: 'string',
+  rtrim: 'string',
+  escape: 'string',
+  normalizeEmail: 'string',
+  toLowerCase: 'string',
+  toUpperCase: 'string',
+  toInt: 'integer',
+  toFloat: 'number',
+  toBoolean: 'boolean'
+};
+
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT'
+    },
+    queryToken: {
+      type: 'apiKey',
+      in: 'query',
+      name: 'token',
+      description: 'Access token for clients that cannot send headers, such as EventSource'
+    }
+  },
+  schemas: {
+    Success: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: true },
+        message: { type: 'string' },
+        data: {}
+      }
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: false },
+        message: { type: 'string' }
+      }
+    },
+    ValidationErrors: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: false },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string' },
+              message: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const jsonContent = (name) => ({
+  'application/json': { schema: { $ref: `#/components/schemas/${name}` } }
+});
+
+/**
+ * Drop undefined keys so optional validator options don't leak into the spec
+ */
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined)
+);
+
+/**
+ * Recover the path a router was mounted on from the regexp Express compiled it to
+ */
+const mountPath = (layer) => {
+  let keyIndex = 0;
+
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\\\/\(\[\^\\?\/\]\+\?\)\)/g, () => `/:${layer.keys[keyIndex++].name}`)
+    .replace(/\\\//g, '/');
+};
+
+/**
+ * Flatten an Express stack into { method, path, handles, tag } entries.
+ * Middleware a router applies with router.use() is carried into the routes after it.
+ */
+const collectRoutes = (stack, prefix = '', inherited = [], tag = null) => {
+  const routes = [];
+  const middleware = [...inherited];
+
+  stack.forEach(layer => {
+    if (layer.route) {
+      if (typeof layer.route.path !== 'string') return;
+
+      const handles = [...middleware, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+      const path = prefix && layer.route.path === '/' ? prefix : prefix + layer.route.path;
+
+      Object.keys(layer.route.methods)
+        .filter(method => method !== '_all')
+        .forEach(method => {
+          routes.push({ method, path, handles, tag });
+        });
+    } else if (layer.handle.stack) {
+      const path = mountPath(layer);
+      const routerTag = tag || path.split('/').filter(part => part && part !== 'api' && !part.startsWith(':')).join(' ');
+
+      routes.push(...collectRoutes(layer.handle.stack, prefix + path, middleware, routerTag));
+    } else if (mountPath(layer) === '') {
+      middleware.push(layer.handle);
+    }
+  });
+
+  return routes;
+};
+
+/**
+ * Index the @desc and @access of every documented route by "METHOD /path"
+ */
+const readRouteDocs = () => {
+  const docs = {};
+
+  ROUTE_DOC_DIRS.forEach(dir => {
+    const dirUrl = new URL(`../${dir}/`, import.meta.url);
+
+    fs.readdirSync(dirUrl)
+      .filter(file => file.endsWith('.js'))
+      .forEach(file => {
+        const source = fs.readFileSync(new URL(file, dirUrl), 'utf8');
+
+        for (const [, block] of source.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+          const tag = (name) => block.match(new RegExp(`@${name}\\s+(.+)`))?.[1].trim();
+
+          for (const [, method, path] of block.matchAll(/@route\s+([A-Z]+)\s+([^\s?]+)/g)) {
+            docs[`${method} ${path}`] = { desc: tag('desc'), access: tag('access') };
+          }
+        }
+      });
+  });
+
+  return docs;
+};
+
+/**
+ * Add a (possibly dotted or wildcard) field to an object schema
+ */
+const addField = (schema, segments, fieldSchema, required) => {
+  const [head, ...rest] = segments;
+
+  if (head === '*') {
+    schema.type = 'array';
+    schema.items = schema.items || {};
+
+    if (rest.length) {
+      addField(schema.items, rest, fieldSchema, required);
+    } else {
+      Object.assign(schema.items, fieldSchema);
+    }
+    return;
+  }
+
+  schema.type = schema.type || 'object';
+  schema.properties = schema.properties || {};
+  schema.properties[head] = schema.properties[head] || {};
+
+  if (required) {
+    schema.required = [...new Set([...(schema.required || []), head])];
+  }
+
+  if (rest.length) {
+    addField(schema.properties[head], rest, fieldSchema, required);
+  } else {
+    Object.assign(schema.properties[head], fieldSchema);
+  }
+};
+
+let warnedUnreadableChain = false;
+
+/**
+ * Read one express-validator chain as { locations, fields, schema, required }.
+ * This walks express-validator internals (chain.builder, the context stack), not its
+ * public API, so the package is pinned to an exact version in package.json.
+ */
+const readChain = (chain) => {
+  const context = chain.builder.build();
+
+  if (!Array.isArray(context?.stack) || !Array.isArray(context.fields) || !Array.isArray(context.locations)) {
+    throw new Error('Unrecognised express-validator chain');
+  }
+
+  const messages = new Set();
+  let schema = {};
+
+  context.stack.forEach(item => {
+    const sanitizerType = SANITIZER_TYPES[item.sanitizer?.name];
+    if (sanitizerType && !schema.type) {
+      schema.type = sanitizerType;
+    }
+
+    const name = item.validator?.name;
+
+    if (!name || item.negated) return;
+
+    if (VALIDATOR_SCHEMAS[name]) {
+      schema = { ...schema, ...compact(VALIDATOR_SCHEMAS[name](item.options || [])) };
+    }
+
+    if (typeof item.message === 'string') {
+      messages.add(item.message);
+    }
+  });
+
+  if (typeof context.message === 'string') {
+    messages.add(context.message);
+  }
+
+  if (messages.size) {
+    schema.description = [...messages].join('. ');
+  }
+
+  return {
+    locations: context.locations,
+    fields: context.fields,
+    schema,
+    required: context.optional === false
+  };
+};
+
+/**
+ * Describe a chain, or leave it out of the spec if its internals have changed,
+ * so an express-validator upgrade cannot stop the app from starting
+ */
+const describeChain = (chain) => {
+  try {
+    return readChain(chain);
+  } catch (error) {
+    if (!warnedUnreadableChain) {
+      warnedUnreadableChain = true;
+      console.warn('OpenAPI: could not read express-validator chains, request schemas are incomplete:', error.message);
+    }
+    return null;
+  }
+};
+
+/**
+ * Build the OpenAPI operation for one route
+ */
+const buildOperation = (route, docs) => {
+  const { method, path, handles, tag } = route;
+  const key = `${method.toUpperCase()} ${path}`;
+  const doc = docs[key] || {};
+
+  const parameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+
+  let body = null;
+  const chains = handles.filter(handle => handle.builder).map(describeChain).filter(Boolean);
+
+  chains.forEach(({ locations, fields, schema, required }) => {
+    fields.forEach(field => {
+      const segments = field.replace(/\[(\w+|\*)\]/g, '.$1').split('.');
+
+      locations.forEach(location => {
+        if (location === 'body') {
+          body = body || { type: 'object' };
+          addField(body, segments, schema, required);
+        } else if (location === 'params') {
+          const parameter = parameters.find(param => param.name === field);
+          if (parameter) parameter.schema = { type: 'string', ...schema };
+        } else if (location === 'query' || location === 'headers') {
+          parameters.push({
+            name: field,
+            in: location === 'query' ? 'query' : 'header',
+            required,
+            schema
+          });
+        }
+      });
+    });
+  });
+
+  if (REQUEST_SCHEMAS[key]) {
+    body = REQUEST_SCHEMAS[key];
+  }
+
+  const roles = handles.flatMap(handle => handle.roles || []);
+  const authenticated = handles.includes(authenticate) || handles.includes(authenticateStream);
+
+  const description = [
+    doc.access && `Access: ${doc.access}`,
+    roles.length && `Roles: ${[...new Set(roles)].join(', ')}`
+  ].filter(Boolean).join('\n\n');
+
+  const responses = {
+    '2XX': { description: 'Success', content: jsonContent('Success') }
+  };
+
+  if (body || chains.length) {
+    responses['400'] = {
+      description: 'Invalid request',
+      content: {
+        'application/json': {
+          schema: {
+            oneOf: [
+              { $ref: '#/components/schemas/ValidationErrors' },
+              { $ref: '#/components/schemas/Error' }
+            ]
+          }
+        }
+      }
+    };
+  }
+
+  if (authenticated) {
+    responses['401'] = { description: 'Missing or invalid access token', content: jsonContent('Error') };
+  }
+
+  if (roles.length) {
+    responses['403'] = { description: 'Not allowed for this user', content: jsonContent('Error') };
+  }
+
+  if (parameters.some(param => param.in === 'path')) {
+    responses['404'] = { description: 'Not found', content: jsonContent('Error') };
+  }
+
+  let security;
+  if (handles.includes(authenticateStream)) {
+    security = [{ bearerAuth: [] }, { queryToken: [] }];
+  } else if (authenticated) {
+    security = [{ bearerAuth: [] }];
+  } else if (handles.includes(optionalAuth)) {
+    security = [{ bearerAuth: [] }, {}];
+  }
+
+  return compact({
+    tags: tag ? [tag] : undefined,
+    summary: doc.desc,
+    description: description || undefined,
+    parameters: parameters.length ? parameters : undefined,
+    requestBody: body
+      ? { required: Boolean(body.required || body.oneOf), content: { 'application/json': { schema: body } } }
+      : undefined,
+    responses,
+    security
+  });
+};
+
+/**
+ * Generate an OpenAPI 3 document from the routes registered on an Express app.
+ * Paths, auth and role checks come from the middleware on each route, request
+ * schemas from its express-validator chains (or REQUEST_SCHEMAS), and summaries
+ * from the @desc/@route/@access comments.
+ *
+ * @param {Express} app - App with all its routers mounted
+ * @param {Object} info - OpenAPI info object (title, version, description)
+ * @returns {Object} OpenAPI 3 document
+ */
+export const buildOpenApiSpec = (app, info) => {
+  const docs = readRouteDocs();
+  const paths = {};
+
+  // app._router is an Express 4 internal (Express 5 moves it to app.router); update this on upgrade
+  collectRoutes(app._router.stack).forEach(route => {
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+
+    paths[openApiPath] = paths[openApiPath] || {};
+
+    // The first matching route is the one Express runs
+    if (!paths[openApiPath][route.method]) {
+      paths[openApiPath][route.method] = buildOperation(route, docs);
+    }
+  });
+
+  return {
+    openapi: '3.0.3',
+    info,
+    paths,
+    components: COMPONENTS
+  };
+};
@@ -0,0 +1,180 @@
+import { ValidationError } from '../middleware/errorHandler.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+const INVALID_CURSOR = 'Invalid cursor. Start again without one';
+
+// Field names a client may project (top-level or dotted paths)
+const FIELD_NAME = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+/**
+ * Parse `limit`, `cursor`, `sort`, `order` and `fields` from the query string
+ *
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {string[]} options.sortFields - Fields the list can be sorted by
+ * @param {string} options.defaultSort - Sort field when none is given
+ * @param {string} [options.defaultOrder='desc'] - asc or desc
+ * @returns {{ limit: number, cursor: string|null, sort: string, order: string, fields: string[]|null }}
+ */
+export const parseListParams = (query, { sortFields, defaultSort, defaultOrder = 'desc' }) => {
+  const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ValidationError(`Limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const sort = query.sort || defaultSort;
+
+  if (!sortFields.includes(sort)) {
+    throw new ValidationError(`Invalid sort. Must be one of: ${sortFields.join(', ')}`);
+  }
+
+  const order = query.order || defaultOrder;
+
+  if (!SORT_ORDERS.includes(order)) {
+    throw new ValidationError('Order must be asc or desc');
+  }
+
+  let fields = null;
+
+  if (query.fields) {
+    fields = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+
+    if (fields.length === 0 || fields.some(field => !FIELD_NAME.test(field))) {
+      throw new ValidationError('Fields must be a comma-separated list of field names');
+    }
+  }
+
+  return {
+    limit,
+    cursor: query.cursor || null,
+    sort,
+    order,
+    fields
+  };
+};
+
+/**
+ * Run a Firestore query one page at a time.
+ * The cursor is the ID of the last document of the previous page;
+ * an unknown or deleted one is rejected rather than starting over.
+ *
+ * @param {Query} query - Filtered query, without orderBy or limit
+ * @param {CollectionReference} collectionRef - Collection the cursor document lives in
+ * @param {Object} page
+ * @param {Array<[string, string]>} page.orderBy - [[field, 'asc'|'desc'], ...]
+ * @param {number} page.limit
+ * @param {string|null} page.cursor
+ * @returns {Promise<{ items: Object[], hasMore: boolean, nextCursor: string|null }>}
+ */
+export const paginateQuery = async (query, collectionRef, { orderBy, limit, cursor }) => {
+  orderBy.forEach(([field, order]) => {
+    query = query.orderBy(field, order);
+  });
+
+  if (cursor) {
+    const cursorDoc = await collectionRef.doc(cursor).get();
+
+    if (!cursorDoc.exists) {
+      throw new ValidationError(INVALID_CURSOR);
+    }
+
+    query = query.startAfter(cursorDoc);
+  }
+
+  // Fetch one extra to know whether another page exists
+  const snapshot = await query.limit(limit + 1).get();
+
+  const items = snapshot.docs.slice(0, limit).map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+
+  const hasMore = snapshot.docs.length > limit;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? items[items.length - 1].id : null
+  };
+};
+
+/**
+ * Page through a list already sorted in memory (same cursor rules as paginateQuery)
+ */
+export const paginateList = (items, { limit, cursor }) => {
+  let start = 0;
+
+  if (cursor) {
+    const cursorIndex = items.findIndex(item => item.id === cursor);
+
+    if (cursorIndex === -1) {
+      throw new ValidationError(INVALID_CURSOR);
+    }
+
+    start = cursorIndex + 1;
+  }
+
+  const pageItems = items.slice(start, start + limit);
+  const hasMore = start + limit < items.length;
+
+  return {
+    items: pageItems,
+    hasMore,
+    nextCursor: hasMore ? pageItems[pageItems.length - 1].id : null
+  };
+};
+
+/**
+ * Keep only the requested fields of a record (the ID is always kept)
+ */
+export const selectFields = (item, fields) => {
+  if (!fields) {
+    return item;
+  }
+
+  const selected = { id: item.id };
+
+  fields.forEach(field => {
+    const path = field.split('.');
+    let value = item;
+
+    for (const key of path) {
+      value = value?.[key];
+    }
+
+    if (value === undefined) return;
+
+    // Rebuild nested objects for dotted paths, e.g. address.city -> { address: { city } }
+    let target = selected;
+    path.slice(0, -1).forEach(key => {
+      target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+      target = target[key];
+    });
+    target[path[path.length - 1]] = value;
+  });
+
+  return selected;
+};
+
+/**
+ * Send a page in the standard list envelope
+ */
+export const sendPage = (res, page, { limit, sort, order, fields }) => {
+  res.status(200).json({
+    success: true,
+    count: page.items.length,
+    data: page.items.map(item => selectFields(item, fields)),
+    pagination: {
+      limit,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      sort,
+      order
+    }
+  });
+};
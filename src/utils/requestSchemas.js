@@ -0,0 +1,24 @@
+/**
+ * OpenAPI request body schemas for routes whose validator chains can't express
+ * the body's shape on their own (e.g. either-or fields). Replaces the schema
+ * generated from the chains.
+ * Keyed by "METHOD /full/path" as written in the route's @route comment.
+ */
+
+export const REQUEST_SCHEMAS = {
+  'PUT /api/tasks/:id/assign': {
+    type: 'object',
+    description: 'Assign to a vendor on the event with userId, userName and userEmail, or to rostered staff with staffId',
+    properties: {
+      userId: { type: 'string' },
+      userName: { type: 'string' },
+      userEmail: { type: 'string', format: 'email' },
+      userRole: { type: 'string', default: 'vendor' },
+      staffId: { type: 'string' }
+    },
+    oneOf: [
+      { required: ['userId', 'userName', 'userEmail'] },
+      { required: ['staffId'] }
+    ]
+  }
+};
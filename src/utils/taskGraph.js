@@ -0,0 +1,169 @@
+/**
+ * Task dependency graph helpers (cycle detection and critical path)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A dependency no longer blocks once it is finished one way or the other
+const DONE_STATUSES = ['completed', 'cancelled'];
+
+export const isTaskDone = (task) => DONE_STATUSES.includes(task.status);
+
+/**
+ * Find a dependency cycle.
+ * `graph` maps a task id to the ids it depends on.
+ * Returns the cycle as a list of ids (first id repeated at the end), or null.
+ */
+export const findCycle = (graph) => {
+  const visiting = new Set();
+  const visited = new Set();
+  const path = [];
+
+  const visit = (id) => {
+    if (visiting.has(id)) {
+      return [...path.slice(path.indexOf(id)), id];
+    }
+
+    if (visited.has(id) || !graph.has(id)) {
+      return null;
+    }
+
+    visiting.add(id);
+    path.push(id);
+
+    for (const dependencyId of graph.get(id)) {
+      const cycle = visit(dependencyId);
+      if (cycle) {
+        return cycle;
+      }
+    }
+
+    path.pop();
+    visiting.delete(id);
+    visited.add(id);
+    return null;
+  };
+
+  for (const id of graph.keys()) {
+    const cycle = visit(id);
+    if (cycle) {
+      return cycle;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Tasks a task is still waiting on
+ */
+export const getBlockingTasks = (task, tasksById) =>
+  (task.dependsOn || [])
+    .map(id => tasksById.get(id))
+    .filter(dependency => dependency && !isTaskDone(dependency));
+
+/**
+ * Build the dependency graph and critical path for an event's tasks.
+ * Work left on a task is its durationDays (default 1) until it is done.
+ * The critical path is scheduled backwards from the event date.
+ */
+export const buildTaskGraph = (tasks, eventDate, now = new Date()) => {
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const dependsOn = (task) => (task.dependsOn || []).filter(id => tasksById.has(id));
+  const remaining = (task) => (isTaskDone(task) ? 0 : Number(task.durationDays) || 1);
+
+  // Topological order (dependencies first)
+  const order = [];
+  const inDegree = new Map(tasks.map(task => [task.id, dependsOn(task).length]));
+  const dependents = new Map(tasks.map(task => [task.id, []]));
+  tasks.forEach(task => dependsOn(task).forEach(id => dependents.get(id).push(task.id)));
+
+  const queue = tasks.filter(task => inDegree.get(task.id) === 0).map(task => task.id);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    dependents.get(id).forEach(dependentId => {
+      inDegree.set(dependentId, inDegree.get(dependentId) - 1);
+      if (inDegree.get(dependentId) === 0) {
+        queue.push(dependentId);
+      }
+    });
+  }
+
+  // Forward pass: earliest start/finish in days from today
+  const earliestStart = new Map();
+  const earliestFinish = new Map();
+  order.forEach(id => {
+    const task = tasksById.get(id);
+    const start = Math.max(0, ...dependsOn(task).map(depId => earliestFinish.get(depId)));
+    earliestStart.set(id, start);
+    earliestFinish.set(id, start + remaining(task));
+  });
+
+  const totalDays = Math.max(0, ...earliestFinish.values());
+
+  // Backward pass: latest finish without delaying the whole plan
+  const latestFinish = new Map();
+  [...order].reverse().forEach(id => {
+    const successors = dependents.get(id);
+    latestFinish.set(id, successors.length === 0
+      ? totalDays
+      : Math.min(...successors.map(s => latestFinish.get(s) - remaining(tasksById.get(s)))));
+  });
+
+  // Walk back from the task that finishes last along the dependency that finishes last
+  const criticalPath = [];
+  let current = order.filter(id => remaining(tasksById.get(id)) > 0)
+    .sort((a, b) => earliestFinish.get(b) - earliestFinish.get(a))[0];
+  while (current) {
+    criticalPath.unshift(current);
+    current = dependsOn(tasksById.get(current))
+      .filter(id => remaining(tasksById.get(id)) > 0)
+      .sort((a, b) => earliestFinish.get(b) - earliestFinish.get(a))[0];
+  }
+
+  const eventTime = eventDate ? Date.parse(String(eventDate).slice(0, 10)) : NaN;
+  const today = Date.parse(now.toISOString().slice(0, 10));
+  const daysUntilEvent = isNaN(eventTime) ? null : Math.round((eventTime - today) / DAY_MS);
+
+  const toDate = (days) => new Date(eventTime - days * DAY_MS).toISOString().slice(0, 10);
+
+  const nodes = tasks.map(task => {
+    const node = {
+      id: task.id,
+      title: task.title,
+      status: task.status,
+      dueDate: task.dueDate || null,
+      durationDays: Number(task.durationDays) || 1,
+      dependsOn: dependsOn(task),
+      blockedBy: getBlockingTasks(task, tasksById).map(dependency => dependency.id),
+      earliestStartDay: earliestStart.get(task.id),
+      slackDays: latestFinish.get(task.id) - earliestFinish.get(task.id),
+      critical: criticalPath.includes(task.id)
+    };
+
+    // Latest day the task can start and still have everything done by the event
+    if (daysUntilEvent !== null && !isTaskDone(task)) {
+      node.latestStartDate = toDate(totalDays - (latestFinish.get(task.id) - remaining(task)));
+    }
+
+    return node;
+  });
+
+  const edges = tasks.flatMap(task => dependsOn(task).map(id => ({ from: id, to: task.id })));
+
+  return {
+    nodes,
+    edges,
+    criticalPath: {
+      taskIds: criticalPath,
+      totalDays,
+      eventDate: eventDate || null,
+      daysUntilEvent,
+      latestStartDate: daysUntilEvent === null ? null : toDate(totalDays),
+      // Negative float means the remaining work cannot finish before the event
+      floatDays: daysUntilEvent === null ? null : daysUntilEvent - totalDays,
+      onTrack: daysUntilEvent === null ? null : daysUntilEvent >= totalDays
+    }
+  };
+};
@@ -1,6 +1,14 @@
 import jwt from 'jsonwebtoken';
 import { db, collections } from '../config/firebase.js';
 
+// Admin support sessions are kept short
+export const IMPERSONATION_TOKEN_TTL = '15m';
+
+// Time to enter a two-factor code after the password has been accepted
+export const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+const TWO_FACTOR_CHALLENGE = 'two_factor_challenge';
+
 class TokenManager {
   /**
    * Generate access token
@@ -40,15 +48,86 @@ class TokenManager {
     return { accessToken, refreshToken };
   }
 
+  /**
+   * Generate a short-lived, read-only access token for an admin acting as another user.
+   * No refresh token is issued, so the session ends when it expires.
+   */
+  static generateImpersonationToken(user, adminId) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        impersonatedBy: adminId,
+        readOnly: true
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: IMPERSONATION_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Generate the token a user exchanges for access and refresh tokens once they
+   * pass the second login step. It is not an access token.
+   */
+  static generateTwoFactorChallengeToken(user) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        purpose: TWO_FACTOR_CHALLENGE
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+    );
+  }
+
+  /**
+   * Verify two-factor challenge token
+   */
+  static verifyTwoFactorChallengeToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error('Invalid or expired challenge token');
+    }
+
+    if (decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+      throw new Error('Invalid or expired challenge token');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Check whether a token was issued before the user's sessions were revoked
+   */
+  static isRevoked(decoded, user) {
+    if (!user.sessionsRevokedAt) {
+      return false;
+    }
+
+    // iat is in whole seconds
+    return decoded.iat < Math.floor(Date.parse(user.sessionsRevokedAt) / 1000);
+  }
+
   /**
    * Verify access token
    */
   static verifyAccessToken(token) {
+    let decoded;
     try {
-      return jwt.verify(token, process.env.JWT_SECRET);
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
       throw new Error('Invalid or expired token');
     }
+
+    // Challenge tokens share the secret but must not open a session
+    if (decoded.purpose) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return decoded;
   }
 
   /**
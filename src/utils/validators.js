@@ -1,5 +1,69 @@
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { ROLES } from '../models/baseUser.js';
+import { EVENT_STATUSES, EVENT_TYPES, EVENT_VENDOR_STATUSES } from '../models/event.js';
+import { TASK_STATUSES, TASK_PRIORITIES, RECURRENCE_FREQUENCIES } from '../models/task.js';
+import { CURRENCIES } from '../models/expense.js';
+import { isValidTimeZone } from './ical.js';
+
+// HH:mm, 24-hour clock
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Calendar dates are YYYY-MM-DD
+const DATE_OPTIONS = { format: 'YYYY-MM-DD', strictMode: true, delimiters: ['-'] };
+
+const EVENT_NAME_MESSAGE = 'Event name is required and must not exceed 200 characters';
+const TASK_TITLE_MESSAGE = 'Task title is required and must not exceed 200 characters';
+
+const ADDRESS_FIELDS = ['address.street', 'address.city', 'address.state', 'address.country', 'address.zipCode'];
+
+// Body fields each kind of request may carry, in express-validator path syntax
+const EVENT_FIELDS = [
+  'name', 'description', 'date', 'startTime', 'endTime', 'timezone',
+  'location', ...ADDRESS_FIELDS, 'budget', 'currency', 'eventType'
+];
+const EVENT_VENDOR_FIELDS = ['role', 'allowConflict'];
+const TASK_FIELDS = [
+  'title', 'description', 'dueDate', 'priority', 'category', 'dependsOn.*', 'durationDays',
+  'recurrence.frequency', 'recurrence.interval', 'recurrence.until'
+];
+
+/**
+ * Reject body fields not in `fields`, with one "Unknown field" error each.
+ * An object or array (address, tasks) is allowed through, but only with the
+ * children listed (address.city, tasks.*.title).
+ */
+const rejectUnknownFields = (fields) => {
+  const leaves = fields
+    .filter(field => !fields.some(other => other.startsWith(`${field}.`)))
+    .map(field => field.split('.'));
+
+  const matches = (pattern, path) => pattern.every((part, i) => part === '*' || part === path[i]);
+  const isKnown = (path) => leaves.some(leaf => leaf.length <= path.length && matches(leaf, path));
+  const isParent = (path) => leaves.some(leaf => leaf.length > path.length && matches(leaf.slice(0, path.length), path));
+
+  const findUnknown = (value, path = []) => {
+    if (path.length && isKnown(path)) return [];
+
+    if (path.length && !isParent(path)) {
+      return [path.reduce((name, part) => (/^\d+$/.test(part) ? `${name}[${part}]` : name ? `${name}.${part}` : part), '')];
+    }
+
+    // A parent holding the wrong type is reported by its own chain
+    if (value === null || typeof value !== 'object') return [];
+
+    return Object.keys(value).flatMap(key => findUnknown(value[key], [...path, key]));
+  };
+
+  return (req, res, next) => {
+    const unknownFields = req.body && typeof req.body === 'object' ? findUnknown(req.body) : [];
+
+    Promise.all(unknownFields.map(field => body(field).custom(() => false).withMessage('Unknown field').run(req)))
+      .then(() => next(), next);
+  };
+};
+
+// Chains plus a check that the body holds nothing but `fields`
+const exactly = (chains, fields) => [...chains, rejectUnknownFields(fields)];
 
 // Validation middleware for signup (basic fields only)
 export const signupValidation = [
@@ -220,6 +284,357 @@ export const refreshTokenValidation = [
     .withMessage('Refresh token is required')
 ];
 
+// A code from the authenticator app, or a backup code where the route accepts one
+const twoFactorCode = body('code', 'Code is required')
+  .isString()
+  .bail()
+  .trim()
+  .notEmpty();
+
+// Validation middleware for the second login step
+export const loginTwoFactorValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  twoFactorCode
+];
+
+// Validation middleware for confirming 2FA enrollment and regenerating backup codes
+export const twoFactorCodeValidation = [twoFactorCode];
+
+// Validation middleware for turning 2FA off
+export const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  twoFactorCode
+];
+
+// Event fields a planner can set on create and update
+const eventFields = ({ create }) => [
+  (create ? body('name', EVENT_NAME_MESSAGE) : body('name', EVENT_NAME_MESSAGE).optional())
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 }),
+
+  body('description', 'Description must be text of at most 2000 characters')
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ max: 2000 }),
+
+  (create ? body('date') : body('date').optional())
+    .isDate(DATE_OPTIONS)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+
+  body('startTime')
+    .optional({ values: 'null' })
+    .matches(TIME_FORMAT)
+    .withMessage('Start time must be in HH:mm format'),
+
+  body('endTime')
+    .optional({ values: 'null' })
+    .matches(TIME_FORMAT)
+    .withMessage('End time must be in HH:mm format'),
+
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA time zone, e.g. Africa/Lagos'),
+
+  body('location', 'Location must be text of at most 300 characters')
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ max: 300 }),
+
+  body('address')
+    .optional()
+    .isObject()
+    .withMessage('Address must be an object'),
+
+  body(ADDRESS_FIELDS)
+    .optional()
+    .isString()
+    .withMessage('Address fields must be text')
+    .trim(),
+
+  body('budget')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Budget must be a positive number')
+    .toFloat(),
+
+  body('currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`),
+
+  body('eventType')
+    .optional()
+    .isIn(EVENT_TYPES)
+    .withMessage(`Event type must be one of: ${EVENT_TYPES.join(', ')}`)
+];
+
+// Validation middleware for event creation
+export const createEventValidation = exactly(eventFields({ create: true }), EVENT_FIELDS);
+
+// Validation middleware for event update (status, vendors, tasks and co-planners have their own routes)
+export const updateEventValidation = exactly([
+  ...eventFields({ create: false }),
+
+  body('allowConflict')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('allowConflict must be true or false')
+], [...EVENT_FIELDS, 'allowConflict']);
+
+// Validation middleware for event status change
+export const eventStatusValidation = exactly([
+  body('status')
+    .isIn(EVENT_STATUSES)
+    .withMessage(`Status must be one of: ${EVENT_STATUSES.join(', ')}`)
+], ['status']);
+
+// Validation middleware for the planner's event list
+export const eventListValidation = [
+  query('status')
+    .optional()
+    .isIn(EVENT_STATUSES)
+    .withMessage(`Status must be one of: ${EVENT_STATUSES.join(', ')}`),
+
+  query('eventType')
+    .optional()
+    .isIn(EVENT_TYPES)
+    .withMessage(`Event type must be one of: ${EVENT_TYPES.join(', ')}`),
+
+  query('completed')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Completed must be true or false'),
+
+  query('role')
+    .optional()
+    .isIn(['owner', 'collaborator'])
+    .withMessage('Role must be one of: owner, collaborator')
+];
+
+// Validation middleware for event search
+export const eventSearchValidation = [
+  query('q', 'Search query is required')
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty()
+];
+
+// Fields shared by both ways of adding a vendor to an event
+const eventVendorFields = [
+  body('role', 'Role must be text of 1 to 100 characters')
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+
+  body('allowConflict')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('allowConflict must be true or false')
+];
+
+// Validation middleware for adding a vendor by ID
+export const addEventVendorValidation = exactly([
+  body('vendorId', 'Vendor ID is required')
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty(),
+
+  ...eventVendorFields
+], ['vendorId', ...EVENT_VENDOR_FIELDS]);
+
+// Validation middleware for adding a vendor by email
+export const addEventVendorByEmailValidation = exactly([
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+
+  ...eventVendorFields
+], ['email', ...EVENT_VENDOR_FIELDS]);
+
+// Validation middleware for a vendor's status on an event
+export const eventVendorStatusValidation = exactly([
+  body('status')
+    .not()
+    .equals('confirmed')
+    .withMessage('Vendors are confirmed by accepting their quote. Use PUT /api/bookings/:id/quotes/:quoteId/accept')
+    .bail()
+    .isIn(EVENT_VENDOR_STATUSES)
+    .withMessage('Status must be one of: pending, declined')
+], ['status']);
+
+// Task fields a planner can set, under `prefix` for bulk creation (e.g. 'tasks.*.')
+const taskFields = ({ create, prefix = '' }) => [
+  (create ? body(`${prefix}title`, TASK_TITLE_MESSAGE) : body(`${prefix}title`, TASK_TITLE_MESSAGE).optional())
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 }),
+
+  body(`${prefix}description`, 'Description must be text of at most 2000 characters')
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ max: 2000 }),
+
+  body(`${prefix}dueDate`)
+    .optional({ values: 'null' })
+    .isISO8601({ strict: true })
+    .withMessage('Due date must be an ISO 8601 date, e.g. 2025-12-15 or 2025-12-15T12:00:00.000Z'),
+
+  body(`${prefix}priority`)
+    .optional()
+    .isIn(TASK_PRIORITIES)
+    .withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`),
+
+  body(`${prefix}category`, 'Category must be text of 1 to 50 characters')
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 }),
+
+  body(`${prefix}dependsOn`)
+    .optional()
+    .isArray()
+    .withMessage('dependsOn must be an array of task IDs'),
+
+  body(`${prefix}dependsOn.*`, 'dependsOn must be an array of task IDs')
+    .isString()
+    .bail()
+    .notEmpty(),
+
+  body(`${prefix}durationDays`)
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('durationDays must be a positive whole number')
+    .toInt(),
+
+  body(`${prefix}recurrence`)
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('recurrence must be an object, or null to stop repeating')
+    .bail()
+    .custom(recurrence => recurrence.frequency !== undefined)
+    .withMessage('recurrence.frequency is required'),
+
+  body(`${prefix}recurrence.frequency`)
+    .optional()
+    .isIn(RECURRENCE_FREQUENCIES)
+    .withMessage(`recurrence.frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`),
+
+  body(`${prefix}recurrence.interval`)
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('recurrence.interval must be a positive whole number')
+    .toInt(),
+
+  body(`${prefix}recurrence.until`)
+    .optional({ values: 'null' })
+    .isISO8601({ strict: true })
+    .withMessage('recurrence.until must be a valid date')
+];
+
+// Validation middleware for task creation (assign through PUT /api/tasks/:id/assign)
+export const createTaskValidation = exactly(taskFields({ create: true }), TASK_FIELDS);
+
+// Validation middleware for bulk task creation
+export const bulkCreateTasksValidation = exactly([
+  body('tasks')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Tasks must be an array of 1 to 100 tasks'),
+
+  body('tasks.*.ref', 'Each ref must be a non-empty string')
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty(),
+
+  ...taskFields({ create: true, prefix: 'tasks.*.' })
+], ['tasks.*.ref', ...TASK_FIELDS.map(field => `tasks.*.${field}`)]);
+
+// Validation middleware for task update
+// Status changes go through PUT /api/tasks/:id/status, which completes, rolls over and notifies
+export const updateTaskValidation = exactly(taskFields({ create: false }), TASK_FIELDS);
+
+// Validation middleware for task status change
+export const taskStatusValidation = exactly([
+  body('status')
+    .isIn(TASK_STATUSES)
+    .withMessage(`Status must be one of: ${TASK_STATUSES.join(', ')}`)
+], ['status']);
+
+// Validation middleware for task assignment (a vendor on the event, or rostered staff by staffId)
+export const assignTaskValidation = exactly([
+  body('staffId', 'Staff ID must be a non-empty string')
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty(),
+
+  body('userId', 'User ID is required unless assigning a staff member')
+    .if(body('staffId').not().exists())
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty(),
+
+  body('userName', 'User name is required unless assigning a staff member')
+    .if(body('staffId').not().exists())
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty(),
+
+  body('userEmail')
+    .if(body('staffId').not().exists())
+    .isEmail()
+    .withMessage('User email must be a valid email unless assigning a staff member'),
+
+  body('userRole')
+    .optional()
+    .equals(ROLES.VENDOR)
+    .withMessage(`User role must be ${ROLES.VENDOR}`)
+], ['staffId', 'userId', 'userName', 'userEmail', 'userRole']);
+
+// Validation middleware for task list filters
+export const taskListValidation = [
+  query('status')
+    .optional()
+    .isIn(TASK_STATUSES)
+    .withMessage(`Status must be one of: ${TASK_STATUSES.join(', ')}`),
+
+  query('priority')
+    .optional()
+    .isIn(TASK_PRIORITIES)
+    .withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`),
+
+  query('completed')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Completed must be true or false')
+];
+
 // Middleware to check validation results
 export const validate = (req, res, next) => {
   const errors = validationResult(req);
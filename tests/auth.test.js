@@ -0,0 +1,710 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startServer,
+  stopServer,
+  api,
+  createUser,
+  db,
+  collections,
+  PASSWORD
+} from './helpers/server.js';
+import { generateCode } from '../src/utils/totp.js';
+
+/**
+ * Latest unused OTP stored for a user
+ */
+const latestOtp = async (userId, type = 'email_verification') => {
+  const snapshot = await db().collection('otps')
+    .where('userId', '==', userId)
+    .where('type', '==', type)
+    .where('used', '==', false)
+    .get();
+
+  return snapshot.docs.map(doc => doc.data()).sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0].otp;
+};
+
+describe('Auth routes', () => {
+  before(startServer);
+  after(stopServer);
+
+  describe('POST /api/auth/signup', () => {
+    it('registers a planner by default', async () => {
+      const res = await api.post('/api/auth/signup', {
+        body: { email: 'New.Planner@Example.com', password: PASSWORD, fullName: 'New Planner' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.data.role, 'planner');
+      assert.equal(res.body.data.email, 'new.planner@example.com');
+      assert.ok(res.body.data.userId);
+    });
+
+    it('registers a vendor when asked', async () => {
+      const res = await api.post('/api/auth/signup', {
+        body: { email: 'new.vendor@example.com', password: PASSWORD, fullName: 'New Vendor', role: 'vendor' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.role, 'vendor');
+    });
+
+    it('rejects a duplicate email with 409', async () => {
+      const res = await api.post('/api/auth/signup', {
+        body: { email: 'new.planner@example.com', password: PASSWORD, fullName: 'Someone Else' }
+      });
+
+      assert.equal(res.status, 409);
+      assert.deepEqual(res.body, { success: false, message: 'User with this email already exists' });
+    });
+
+    it('returns per-field validation errors', async () => {
+      const res = await api.post('/api/auth/signup', {
+        body: { email: 'not-an-email', password: 'short', fullName: 'A' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.success, false);
+
+      const fields = res.body.errors.map(error => error.field);
+      assert.ok(fields.includes('email'));
+      assert.ok(fields.includes('password'));
+      assert.ok(fields.includes('fullName'));
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('returns an access and refresh token', async () => {
+      const res = await api.post('/api/auth/login', {
+        body: { email: 'new.planner@example.com', password: PASSWORD }
+      });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.accessToken);
+      assert.ok(res.body.data.refreshToken);
+      assert.equal(res.body.data.user.password, undefined);
+    });
+
+    it('rejects a wrong password with 401', async () => {
+      const res = await api.post('/api/auth/login', {
+        body: { email: 'new.planner@example.com', password: 'Wr0ngPassword' }
+      });
+
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { success: false, message: 'Invalid email or password' });
+    });
+
+    it('rejects an unknown email with the same message', async () => {
+      const res = await api.post('/api/auth/login', {
+        body: { email: 'nobody@example.com', password: PASSWORD }
+      });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.message, 'Invalid email or password');
+    });
+
+    it('rejects deactivated accounts', async () => {
+      const user = await createUser('planner');
+      await db().collection(collections.USERS).doc(user.id).update({ isActive: false });
+
+      const res = await api.post('/api/auth/login', { body: { email: user.email, password: PASSWORD } });
+
+      assert.equal(res.status, 401);
+      assert.match(res.body.message, /deactivated/);
+    });
+  });
+
+  describe('email verification', () => {
+    let userId;
+
+    before(async () => {
+      const res = await api.post('/api/auth/signup', {
+        body: { email: 'verify.me@example.com', password: PASSWORD, fullName: 'Verify Me' }
+      });
+      userId = res.body.data.userId;
+    });
+
+    it('POST /api/auth/resend-otp refuses an already verified email', async () => {
+      const res = await api.post('/api/auth/resend-otp', { body: { userId } });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Email is already verified' });
+    });
+
+    it('POST /api/auth/resend-otp sends a new code', async () => {
+      await db().collection(collections.USERS).doc(userId).update({ emailVerified: false });
+
+      const res = await api.post('/api/auth/resend-otp', { body: { userId } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+    });
+
+    it('POST /api/auth/resend-otp returns 404 for an unknown user', async () => {
+      const res = await api.post('/api/auth/resend-otp', { body: { userId: 'missing-user' } });
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { success: false, message: 'User not found' });
+    });
+
+    it('POST /api/auth/verify-email rejects a wrong code', async () => {
+      const res = await api.post('/api/auth/verify-email', { body: { userId, otp: '000000' } });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.success, false);
+    });
+
+    it('POST /api/auth/verify-email accepts the emailed code and logs the user in', async () => {
+      const otp = await latestOtp(userId);
+      const res = await api.post('/api/auth/verify-email', { body: { userId, otp } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.emailVerified, true);
+      assert.ok(res.body.data.accessToken);
+    });
+
+    it('POST /api/auth/verify-email validates the code format', async () => {
+      const res = await api.post('/api/auth/verify-email', { body: { userId, otp: 'abc' } });
+
+      assert.equal(res.status, 400);
+      assert.ok(res.body.errors.some(error => error.field === 'otp'));
+    });
+  });
+
+  describe('password reset', () => {
+    let user;
+
+    before(async () => {
+      user = await createUser('planner');
+    });
+
+    it('POST /api/auth/forgot-password does not reveal unknown emails', async () => {
+      const res = await api.post('/api/auth/forgot-password', { body: { email: 'ghost@example.com' } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+    });
+
+    it('POST /api/auth/reset-password sets a new password with the emailed code', async () => {
+      const forgot = await api.post('/api/auth/forgot-password', { body: { email: user.email } });
+      assert.equal(forgot.status, 200);
+
+      const resetCode = await latestOtp(user.id, 'password_reset');
+      const res = await api.post('/api/auth/reset-password', {
+        body: { email: user.email, resetCode, newPassword: 'N3wPassword' }
+      });
+
+      assert.equal(res.status, 200);
+
+      // Existing sessions are signed out
+      const refresh = await api.post('/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+      assert.equal(refresh.status, 401);
+
+      const login = await api.post('/api/auth/login', { body: { email: user.email, password: 'N3wPassword' } });
+      assert.equal(login.status, 200);
+    });
+
+    it('POST /api/auth/reset-password rejects a wrong code', async () => {
+      const res = await api.post('/api/auth/reset-password', {
+        body: { email: user.email, resetCode: '000000', newPassword: 'N3wPassword' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Invalid OTP code' });
+    });
+
+    it('POST /api/auth/reset-password returns 404 for an unknown email', async () => {
+      const res = await api.post('/api/auth/reset-password', {
+        body: { email: 'ghost@example.com', resetCode: '123456', newPassword: 'N3wPassword' }
+      });
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { success: false, message: 'User not found' });
+    });
+  });
+
+  describe('tokens and sessions', () => {
+    let user;
+
+    before(async () => {
+      user = await createUser('planner');
+    });
+
+    it('POST /api/auth/refresh swaps a refresh token for a new pair', async () => {
+      const res = await api.post('/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.accessToken);
+      assert.ok(res.body.data.refreshToken);
+
+      user.refreshToken = res.body.data.refreshToken;
+    });
+
+    it('POST /api/auth/refresh rejects an unknown token', async () => {
+      const res = await api.post('/api/auth/refresh', { body: { refreshToken: 'not-a-jwt' } });
+
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { success: false, message: 'Invalid or expired refresh token' });
+    });
+
+    it('POST /api/auth/refresh requires a token', async () => {
+      const res = await api.post('/api/auth/refresh', { body: {} });
+
+      assert.equal(res.status, 400);
+      assert.ok(res.body.errors.some(error => error.field === 'refreshToken'));
+    });
+
+    it('POST /api/auth/logout revokes the refresh token', async () => {
+      const res = await api.post('/api/auth/logout', {
+        token: user.token,
+        body: { refreshToken: user.refreshToken }
+      });
+
+      assert.equal(res.status, 200);
+
+      const refresh = await api.post('/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+      assert.equal(refresh.status, 401);
+    });
+
+    it('POST /api/auth/logout-all revokes every refresh token', async () => {
+      const login = await api.post('/api/auth/login', { body: { email: user.email, password: PASSWORD } });
+      const { refreshToken } = login.body.data;
+
+      const res = await api.post('/api/auth/logout-all', { token: user.token });
+      assert.equal(res.status, 200);
+
+      const refresh = await api.post('/api/auth/refresh', { body: { refreshToken } });
+      assert.equal(refresh.status, 401);
+    });
+
+    it('POST /api/auth/logout requires authentication', async () => {
+      const res = await api.post('/api/auth/logout', { body: {} });
+
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { success: false, message: 'No token provided. Please authenticate.' });
+    });
+  });
+
+  describe('profile', () => {
+    let planner;
+    let vendor;
+
+    before(async () => {
+      planner = await createUser('planner');
+      vendor = await createUser('vendor');
+    });
+
+    it('GET /api/auth/me returns the profile without the password', async () => {
+      const res = await api.get('/api/auth/me', { token: planner.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.id, planner.id);
+      assert.equal(res.body.data.email, planner.email);
+      assert.equal(res.body.data.password, undefined);
+    });
+
+    it('GET /api/auth/me rejects a malformed token', async () => {
+      const res = await api.get('/api/auth/me', { token: 'not-a-jwt' });
+
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { success: false, message: 'Token expired or invalid. Please login again.' });
+    });
+
+    it('GET /api/auth/me rejects a token for a deleted user', async () => {
+      const ghost = await createUser('planner');
+      await db().collection(collections.USERS).doc(ghost.id).delete();
+
+      const res = await api.get('/api/auth/me', { token: ghost.token });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.message, 'User not found. Token invalid.');
+    });
+
+    it('GET /api/auth/me returns 403 for a deactivated account', async () => {
+      const user = await createUser('planner');
+      await db().collection(collections.USERS).doc(user.id).update({ isActive: false });
+
+      const res = await api.get('/api/auth/me', { token: user.token });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'Account is deactivated. Please contact support.');
+    });
+
+    it('PUT /api/auth/profile updates planner fields', async () => {
+      const res = await api.put('/api/auth/profile', {
+        token: planner.token,
+        body: { bio: 'Weddings in Lagos', role: 'admin' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.bio, 'Weddings in Lagos');
+      assert.equal(res.body.data.password, undefined);
+
+      // Fields outside the planner whitelist are ignored
+      assert.equal(res.body.data.role, 'planner');
+    });
+
+    it('PUT /api/auth/profile updates vendor fields', async () => {
+      const res = await api.put('/api/auth/profile', {
+        token: vendor.token,
+        body: { businessName: 'Sound Masters', category: 'DJ' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.businessName, 'Sound Masters');
+    });
+
+    it('PUT /api/auth/change-password checks the current password', async () => {
+      const res = await api.put('/api/auth/change-password', {
+        token: planner.token,
+        body: { currentPassword: 'Wr0ngPassword', newPassword: 'An0therPassword' }
+      });
+
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { success: false, message: 'Current password is incorrect' });
+    });
+
+    it('PUT /api/auth/change-password validates the new password', async () => {
+      const res = await api.put('/api/auth/change-password', {
+        token: planner.token,
+        body: { currentPassword: PASSWORD, newPassword: 'weak' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.ok(res.body.errors.some(error => error.field === 'newPassword'));
+    });
+
+    it('PUT /api/auth/change-password changes the password', async () => {
+      const res = await api.put('/api/auth/change-password', {
+        token: planner.token,
+        body: { currentPassword: PASSWORD, newPassword: 'An0therPassword' }
+      });
+
+      assert.equal(res.status, 200);
+
+      const login = await api.post('/api/auth/login', { body: { email: planner.email, password: 'An0therPassword' } });
+      assert.equal(login.status, 200);
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    let user;
+    let secret;
+    let backupCodes;
+
+    // A code from the next time step, so it hasn't been used yet
+    const nextCode = () => generateCode(secret, Date.now() + 30 * 1000);
+
+    const login = () => api.post('/api/auth/login', { body: { email: user.email, password: PASSWORD } });
+
+    before(async () => {
+      user = await createUser('planner');
+    });
+
+    it('POST /api/auth/2fa/setup returns a provisioning URI', async () => {
+      const res = await api.post('/api/auth/2fa/setup', { token: user.token });
+
+      assert.equal(res.status, 200);
+      assert.match(res.body.data.secret, /^[A-Z2-7]{32}$/);
+      assert.match(res.body.data.otpauthUrl, /^otpauth:\/\/totp\/Planit%3A/);
+      assert.ok(res.body.data.otpauthUrl.includes(`secret=${res.body.data.secret}`));
+
+      secret = res.body.data.secret;
+    });
+
+    it('does not require a code until enrollment is confirmed', async () => {
+      const res = await login();
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.accessToken);
+    });
+
+    it('POST /api/auth/2fa/enable rejects a wrong code', async () => {
+      const res = await api.post('/api/auth/2fa/enable', { token: user.token, body: { code: '000000' } });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Invalid two-factor code' });
+    });
+
+    it('POST /api/auth/2fa/enable turns 2FA on and returns backup codes', async () => {
+      const res = await api.post('/api/auth/2fa/enable', { token: user.token, body: { code: generateCode(secret) } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.backupCodes.length, 10);
+      assert.match(res.body.data.backupCodes[0], /^[0-9a-f]{4}-[0-9a-f]{4}$/);
+
+      backupCodes = res.body.data.backupCodes;
+
+      const status = await api.get('/api/auth/2fa', { token: user.token });
+      assert.deepEqual(
+        { enabled: status.body.data.enabled, backupCodesRemaining: status.body.data.backupCodesRemaining },
+        { enabled: true, backupCodesRemaining: 10 }
+      );
+
+      const setupAgain = await api.post('/api/auth/2fa/setup', { token: user.token });
+      assert.equal(setupAgain.status, 409);
+    });
+
+    it('keeps the secret out of the profile', async () => {
+      const res = await api.get('/api/auth/me', { token: user.token });
+
+      assert.equal(res.body.data.twoFactorEnabled, true);
+      assert.doesNotMatch(JSON.stringify(res.body), new RegExp(secret));
+    });
+
+    it('POST /api/auth/login returns a challenge instead of tokens', async () => {
+      const res = await login();
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.twoFactorRequired, true);
+      assert.equal(res.body.data.accessToken, undefined);
+      assert.ok(res.body.data.challengeToken);
+    });
+
+    it('does not accept the challenge token as an access token', async () => {
+      const { body } = await login();
+      const res = await api.get('/api/auth/me', { token: body.data.challengeToken });
+
+      assert.equal(res.status, 401);
+    });
+
+    it('POST /api/auth/login/2fa issues tokens for a valid code, once', async () => {
+      const code = nextCode();
+      const first = await login();
+      const res = await api.post('/api/auth/login/2fa', {
+        body: { challengeToken: first.body.data.challengeToken, code }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.id, user.id);
+      assert.ok(res.body.data.accessToken);
+      assert.ok(res.body.data.refreshToken);
+
+      const second = await login();
+      const replay = await api.post('/api/auth/login/2fa', {
+        body: { challengeToken: second.body.data.challengeToken, code }
+      });
+
+      assert.equal(replay.status, 401);
+      assert.deepEqual(replay.body, { success: false, message: 'Invalid two-factor code' });
+    });
+
+    it('POST /api/auth/login/2fa accepts each backup code once', async () => {
+      const { body } = await login();
+
+      const res = await api.post('/api/auth/login/2fa', {
+        body: { challengeToken: body.data.challengeToken, code: backupCodes[0].toUpperCase() }
+      });
+      const reused = await api.post('/api/auth/login/2fa', {
+        body: { challengeToken: body.data.challengeToken, code: backupCodes[0] }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(reused.status, 401);
+
+      const status = await api.get('/api/auth/2fa', { token: user.token });
+      assert.equal(status.body.data.backupCodesRemaining, 9);
+    });
+
+    describe('lockout', () => {
+      const LOCKED = { success: false, message: 'Too many incorrect codes. Try again in 15 minutes.' };
+
+      /**
+       * A fresh user with 2FA on, so locking them out does not affect the tests above
+       */
+      const enrolledUser = async () => {
+        const other = await createUser('planner');
+        const setup = await api.post('/api/auth/2fa/setup', { token: other.token });
+        const enable = await api.post('/api/auth/2fa/enable', {
+          token: other.token,
+          body: { code: generateCode(setup.body.data.secret) }
+        });
+
+        return { ...other, backupCodes: enable.body.data.backupCodes };
+      };
+
+      const challenge = async (other) => {
+        const res = await api.post('/api/auth/login', { body: { email: other.email, password: PASSWORD } });
+        return res.body.data.challengeToken;
+      };
+
+      const attempt = (challengeToken, code) => api.post('/api/auth/login/2fa', { body: { challengeToken, code } });
+
+      it('counts wrong codes across password logins', async () => {
+        const other = await enrolledUser();
+
+        const first = await challenge(other);
+        for (let i = 0; i < 3; i++) {
+          assert.equal((await attempt(first, '000000')).status, 401);
+        }
+
+        // Logging in with the password again does not earn a fresh set of attempts
+        const second = await challenge(other);
+        for (let i = 0; i < 2; i++) {
+          const res = await attempt(second, '000000');
+          assert.deepEqual(res.body, { success: false, message: 'Invalid two-factor code' });
+        }
+
+        const locked = await attempt(await challenge(other), other.backupCodes[0]);
+        assert.equal(locked.status, 401);
+        assert.deepEqual(locked.body, LOCKED);
+
+        // Other code checks are locked too
+        const regenerate = await api.post('/api/auth/2fa/backup-codes', { token: other.token, body: { code: other.backupCodes[0] } });
+        assert.deepEqual(regenerate.body, LOCKED);
+      });
+
+      it('lets a correct code through once the lockout has passed', async () => {
+        const other = await enrolledUser();
+        const token = await challenge(other);
+
+        for (let i = 0; i < 5; i++) {
+          await attempt(token, '000000');
+        }
+
+        const twoFactor = await db().collection(collections.TWO_FACTOR).doc(other.id).get();
+        assert.ok(new Date(twoFactor.data().lockedUntil) > new Date());
+
+        await db().collection(collections.TWO_FACTOR).doc(other.id).update({
+          lockedUntil: new Date(Date.now() - 1000).toISOString()
+        });
+
+        const res = await attempt(token, other.backupCodes[0]);
+        assert.equal(res.status, 200);
+      });
+
+      it('holds when wrong codes arrive in parallel', async () => {
+        const other = await enrolledUser();
+        const token = await challenge(other);
+
+        const responses = await Promise.all(Array.from({ length: 12 }, () => attempt(token, '000000')));
+        const checked = responses.filter(res => res.body.message === 'Invalid two-factor code');
+        const locked = responses.filter(res => res.body.message === LOCKED.message);
+
+        assert.equal(checked.length, 5);
+        assert.equal(locked.length, 7);
+
+        const afterwards = await attempt(token, other.backupCodes[0]);
+        assert.deepEqual(afterwards.body, LOCKED);
+      });
+    });
+
+    it('POST /api/auth/login/2fa rejects a bad challenge token', async () => {
+      const res = await api.post('/api/auth/login/2fa', { body: { challengeToken: user.token, code: '123456' } });
+
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { success: false, message: 'Invalid or expired challenge token. Please login again.' });
+    });
+
+    it('POST /api/auth/2fa/backup-codes replaces the codes', async () => {
+      const res = await api.post('/api/auth/2fa/backup-codes', { token: user.token, body: { code: backupCodes[2] } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.backupCodes.length, 10);
+
+      const { body } = await login();
+      const oldCode = await api.post('/api/auth/login/2fa', {
+        body: { challengeToken: body.data.challengeToken, code: backupCodes[3] }
+      });
+      assert.equal(oldCode.status, 401);
+
+      backupCodes = res.body.data.backupCodes;
+    });
+
+    it('POST /api/auth/2fa/disable needs the password and a code', async () => {
+      const wrongPassword = await api.post('/api/auth/2fa/disable', {
+        token: user.token,
+        body: { password: 'Wrong1234', code: backupCodes[0] }
+      });
+      const missingCode = await api.post('/api/auth/2fa/disable', { token: user.token, body: { password: PASSWORD } });
+
+      assert.equal(wrongPassword.status, 401);
+      assert.equal(missingCode.status, 400);
+      assert.deepEqual(missingCode.body.errors, [{ field: 'code', message: 'Code is required' }]);
+
+      const res = await api.post('/api/auth/2fa/disable', {
+        token: user.token,
+        body: { password: PASSWORD, code: backupCodes[0] }
+      });
+
+      assert.equal(res.status, 200);
+
+      const plainLogin = await login();
+      assert.ok(plainLogin.body.data.accessToken);
+    });
+
+    it('DELETE /api/admin/users/:id/2fa lets an admin turn it off', async () => {
+      const admin = await createUser('admin');
+      const locked = await createUser('vendor');
+
+      const setup = await api.post('/api/auth/2fa/setup', { token: locked.token });
+      await api.post('/api/auth/2fa/enable', {
+        token: locked.token,
+        body: { code: generateCode(setup.body.data.secret) }
+      });
+
+      const res = await api.delete(`/api/admin/users/${locked.id}/2fa`, { token: admin.token });
+      const again = await api.delete(`/api/admin/users/${locked.id}/2fa`, { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(again.status, 400);
+
+      const plainLogin = await api.post('/api/auth/login', { body: { email: locked.email, password: PASSWORD } });
+      assert.ok(plainLogin.body.data.accessToken);
+    });
+  });
+
+  describe('uploads', () => {
+    let planner;
+    let vendor;
+
+    before(async () => {
+      planner = await createUser('planner');
+      vendor = await createUser('vendor');
+    });
+
+    it('PUT /api/auth/profile-picture requires an image', async () => {
+      const res = await api.put('/api/auth/profile-picture', { token: planner.token });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'No image uploaded' });
+    });
+
+    it('PUT /api/auth/cac-document is vendor only', async () => {
+      const res = await api.put('/api/auth/cac-document', { token: planner.token });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'Access denied. Required role: vendor. Your role: planner');
+    });
+
+    it('PUT /api/auth/cac-document requires a document', async () => {
+      const res = await api.put('/api/auth/cac-document', { token: vendor.token });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'No document uploaded' });
+    });
+
+    it('POST /api/auth/portfolio is vendor only', async () => {
+      const res = await api.post('/api/auth/portfolio', { token: planner.token });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('POST /api/auth/portfolio requires an image', async () => {
+      const res = await api.post('/api/auth/portfolio', { token: vendor.token });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'No image uploaded' });
+    });
+  });
+
+  describe('error shapes', () => {
+    it('unknown routes return 404 in the standard shape', async () => {
+      const res = await api.get('/api/auth/nope');
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { success: false, message: 'Route /api/auth/nope not found' });
+    });
+  });
+});
@@ -0,0 +1,297 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startServer,
+  stopServer,
+  api,
+  createUser,
+  createEvent,
+  createTask,
+  addVendor,
+  addCollaborator,
+  db,
+  collections
+} from './helpers/server.js';
+
+describe('Dashboard routes', () => {
+  let planner;
+  let vendor;
+  let otherVendor;
+  let wedding;
+  let launch;
+
+  before(async () => {
+    await startServer();
+
+    planner = await createUser('planner');
+    vendor = await createUser('vendor');
+    otherVendor = await createUser('vendor');
+
+    wedding = await createEvent(planner);
+    launch = await createEvent(planner, { name: 'Product Launch', date: '2030-03-01', eventType: 'corporate' });
+
+    await createTask(planner, wedding.id);
+    await createTask(planner, wedding.id, { title: 'Send invitations', dueDate: '2020-01-01' });
+
+    await addVendor(planner, wedding.id, vendor);
+    await addVendor(planner, launch.id, vendor, 'Caterer');
+  });
+
+  after(stopServer);
+
+  describe('GET /api/dashboard/planner', () => {
+    it('summarises the planner\'s events and tasks', async () => {
+      const res = await api.get('/api/dashboard/planner', { token: planner.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.statistics.totalEvents, 2);
+      assert.equal(res.body.data.statistics.activeEvents, 2);
+      assert.equal(res.body.data.statistics.totalTasks, 2);
+      assert.equal(res.body.data.statistics.overdueTasks, 1);
+      assert.deepEqual(
+        res.body.data.upcomingEvents.map(event => event.id),
+        [launch.id, wedding.id]
+      );
+    });
+
+    it('includes events the planner co-plans', async () => {
+      const coPlanner = await createUser('planner');
+      await addCollaborator(wedding.id, planner, coPlanner, 'editor');
+
+      const res = await api.get('/api/dashboard/planner', { token: coPlanner.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.statistics.totalEvents, 1);
+      assert.equal(res.body.data.statistics.totalTasks, 2);
+      assert.equal(res.body.data.statistics.overdueTasks, 1);
+      assert.deepEqual(res.body.data.recentEvents.map(event => event.id), [wedding.id]);
+    });
+
+    it('is planner only', async () => {
+      const res = await api.get('/api/dashboard/planner', { token: vendor.token });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'Access denied. Required role: planner. Your role: vendor');
+    });
+
+    it('requires authentication', async () => {
+      const res = await api.get('/api/dashboard/planner');
+
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('GET /api/dashboard/vendor', () => {
+    it('summarises the vendor\'s bookings', async () => {
+      const res = await api.get('/api/dashboard/vendor', { token: vendor.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.statistics.pendingBookings, 2);
+      assert.equal(res.body.data.statistics.activeBookings, 0);
+      assert.equal(res.body.data.recentBookings.length, 2);
+      assert.ok(res.body.data.profileCompletion);
+    });
+
+    it('is vendor only', async () => {
+      const res = await api.get('/api/dashboard/vendor', { token: planner.token });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'Access denied. Required role: vendor. Your role: planner');
+    });
+  });
+
+  describe('GET /api/dashboard/vendor/bookings', () => {
+    it('lists bookings by event date, latest first', async () => {
+      const res = await api.get('/api/dashboard/vendor/bookings', { token: vendor.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(event => event.id), [wedding.id, launch.id]);
+      assert.equal(res.body.pagination.sort, 'date');
+      assert.equal(res.body.pagination.order, 'desc');
+    });
+
+    it('pages through bookings', async () => {
+      const first = await api.get('/api/dashboard/vendor/bookings?limit=1&order=asc', { token: vendor.token });
+
+      assert.deepEqual(first.body.data.map(event => event.id), [launch.id]);
+      assert.equal(first.body.pagination.hasMore, true);
+
+      const second = await api.get(
+        `/api/dashboard/vendor/bookings?limit=1&order=asc&cursor=${first.body.pagination.nextCursor}`,
+        { token: vendor.token }
+      );
+
+      assert.deepEqual(second.body.data.map(event => event.id), [wedding.id]);
+      assert.equal(second.body.pagination.hasMore, false);
+    });
+
+    it('filters by booking status', async () => {
+      const confirmed = await api.get('/api/dashboard/vendor/bookings?status=confirmed', { token: vendor.token });
+      const pending = await api.get('/api/dashboard/vendor/bookings?status=pending', { token: vendor.token });
+
+      assert.equal(confirmed.body.count, 0);
+      assert.equal(pending.body.count, 2);
+    });
+
+    it('rejects an unknown sort field', async () => {
+      const res = await api.get('/api/dashboard/vendor/bookings?sort=name', { token: vendor.token });
+
+      assert.equal(res.status, 400);
+    });
+
+    it('is empty for vendors with no bookings', async () => {
+      const res = await api.get('/api/dashboard/vendor/bookings', { token: otherVendor.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 0);
+    });
+  });
+
+  describe('PUT /api/dashboard/vendor/availability', () => {
+    it('updates the vendor\'s availability', async () => {
+      const res = await api.put('/api/dashboard/vendor/availability', {
+        token: vendor.token,
+        body: { availability: false }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'Availability updated to unavailable');
+
+      const calendar = await api.get(`/api/vendors/${vendor.id}/calendar`);
+      assert.equal(calendar.body.data.availability, false);
+    });
+
+    it('requires a boolean', async () => {
+      const res = await api.put('/api/dashboard/vendor/availability', {
+        token: vendor.token,
+        body: { availability: 'yes' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Availability must be a boolean value' });
+    });
+
+    it('is vendor only', async () => {
+      const res = await api.put('/api/dashboard/vendor/availability', {
+        token: planner.token,
+        body: { availability: true }
+      });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('vendor calendar', () => {
+    let block;
+
+    it('POST /api/dashboard/vendor/calendar/blocks blocks a range of dates', async () => {
+      const res = await api.post('/api/dashboard/vendor/calendar/blocks', {
+        token: vendor.token,
+        body: { date: '2030-01-10', endDate: '2030-01-12', reason: 'Travelling' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.message, '3 date(s) blocked successfully');
+      assert.deepEqual(res.body.data.map(item => item.date), ['2030-01-10', '2030-01-11', '2030-01-12']);
+
+      block = res.body.data[0];
+    });
+
+    it('POST /api/dashboard/vendor/calendar/blocks blocks a time range', async () => {
+      const res = await api.post('/api/dashboard/vendor/calendar/blocks', {
+        token: vendor.token,
+        body: { date: '2030-01-20', startTime: '09:00', endTime: '12:00' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data[0].startTime, '09:00');
+    });
+
+    it('POST /api/dashboard/vendor/calendar/blocks validates the request', async () => {
+      const cases = [
+        [{ date: '10/01/2030' }, 'Date must be in YYYY-MM-DD format'],
+        [{ date: '2020-01-01' }, 'Cannot block dates in the past'],
+        [{ date: '2030-01-10', endDate: '2030-01-09' }, 'End date must be on or after date'],
+        [
+          { date: '2030-01-10', startTime: '09:00' },
+          'Provide both startTime and endTime, or neither to block the whole day'
+        ],
+        [{ date: '2030-01-10', startTime: '12:00', endTime: '09:00' }, 'startTime must be before endTime']
+      ];
+
+      for (const [body, message] of cases) {
+        const res = await api.post('/api/dashboard/vendor/calendar/blocks', { token: vendor.token, body });
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body, { success: false, message });
+      }
+    });
+
+    it('GET /api/dashboard/vendor/calendar lists blocks in range', async () => {
+      const res = await api.get('/api/dashboard/vendor/calendar?from=2030-01-01&to=2030-01-31', { token: vendor.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 4);
+      assert.equal(res.body.data.blocks[0].reason, 'Travelling');
+    });
+
+    it('GET /api/dashboard/vendor/calendar rejects a reversed range', async () => {
+      const res = await api.get('/api/dashboard/vendor/calendar?from=2030-01-31&to=2030-01-01', { token: vendor.token });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'to must be on or after from' });
+    });
+
+    it('GET /api/vendors/:id/calendar shows when the vendor is busy but not why', async () => {
+      const res = await api.get(`/api/vendors/${vendor.id}/calendar?from=2030-01-01&to=2030-01-31`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.busy.length, 4);
+      assert.equal(res.body.data.busy[0].reason, undefined);
+    });
+
+    it('DELETE /api/dashboard/vendor/calendar/blocks/:blockId hides other vendors\' blocks', async () => {
+      const res = await api.delete(`/api/dashboard/vendor/calendar/blocks/${block.id}`, { token: otherVendor.token });
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { success: false, message: 'Block not found' });
+    });
+
+    it('DELETE /api/dashboard/vendor/calendar/blocks/:blockId removes the block', async () => {
+      const res = await api.delete(`/api/dashboard/vendor/calendar/blocks/${block.id}`, { token: vendor.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { success: true, message: 'Block removed successfully' });
+
+      const calendar = await api.get('/api/dashboard/vendor/calendar?from=2030-01-01&to=2030-01-31', {
+        token: vendor.token
+      });
+      assert.equal(calendar.body.count, 3);
+    });
+
+    it('DELETE /api/dashboard/vendor/calendar/blocks/:blockId leaves booking blocks alone', async () => {
+      const bookingRef = db().collection(collections.AVAILABILITY).doc();
+      await bookingRef.set({
+        vendorId: vendor.id,
+        date: wedding.date,
+        startTime: null,
+        endTime: null,
+        reason: wedding.name,
+        source: 'booking',
+        eventId: wedding.id,
+        createdAt: new Date().toISOString()
+      });
+
+      const res = await api.delete(`/api/dashboard/vendor/calendar/blocks/${bookingRef.id}`, { token: vendor.token });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'Booking blocks are removed by changing the booking, not the calendar');
+    });
+
+    it('is vendor only', async () => {
+      const res = await api.get('/api/dashboard/vendor/calendar', { token: planner.token });
+
+      assert.equal(res.status, 403);
+    });
+  });
+});
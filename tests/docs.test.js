@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, api } from './helpers/server.js';
+import { buildOpenApiSpec } from '../src/utils/openapi.js';
+
+describe('API docs', () => {
+  let spec;
+
+  before(async () => {
+    await startServer();
+
+    const res = await api.get('/api/docs/openapi.json');
+    spec = res.body;
+  });
+
+  after(stopServer);
+
+  it('serves an OpenAPI 3 document', () => {
+    assert.equal(spec.openapi, '3.0.3');
+    assert.equal(spec.info.title, 'Planit API');
+  });
+
+  it('documents nested routers under their full path', () => {
+    assert.ok(spec.paths['/api/events/{eventId}/tasks'].post);
+    assert.ok(spec.paths['/api/vendors/{vendorId}/reviews'].get);
+    assert.equal(spec.paths['/api/events/'], undefined);
+  });
+
+  it('takes summaries from the route comments', () => {
+    assert.equal(spec.paths['/api/events/{id}'].get.summary, 'Get event by ID');
+  });
+
+  it('builds request schemas from the validator chains', () => {
+    const schema = spec.paths['/api/auth/signup'].post.requestBody.content['application/json'].schema;
+
+    assert.deepEqual(schema.required, ['email', 'password', 'fullName']);
+    assert.equal(schema.properties.email.format, 'email');
+    assert.equal(schema.properties.password.minLength, 8);
+    assert.deepEqual(schema.properties.role.enum, ['planner', 'vendor', 'admin']);
+  });
+
+  it('builds event and task schemas from their validator chains', () => {
+    const event = spec.paths['/api/events'].post.requestBody.content['application/json'].schema;
+    const task = spec.paths['/api/events/{eventId}/tasks'].post.requestBody.content['application/json'].schema;
+    const assign = spec.paths['/api/tasks/{id}/assign'].put.requestBody.content['application/json'].schema;
+
+    assert.deepEqual(event.required, ['name', 'date']);
+    assert.deepEqual(task.properties.priority.enum, ['low', 'medium', 'high', 'urgent']);
+    assert.ok(assign.properties.staffId);
+  });
+
+  it('marks authenticated and role-restricted routes', () => {
+    const dashboard = spec.paths['/api/dashboard/planner'].get;
+    const login = spec.paths['/api/auth/login'].post;
+
+    assert.deepEqual(dashboard.security, [{ bearerAuth: [] }]);
+    assert.ok(dashboard.responses['403']);
+    assert.match(dashboard.description, /Roles: planner/);
+    assert.equal(login.security, undefined);
+  });
+
+  it('still builds the spec when a validator chain cannot be read', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const unreadable = Object.assign(() => {}, { builder: { build: () => ({}) } });
+    const app = {
+      _router: {
+        stack: [{ route: { path: '/things', methods: { post: true }, stack: [{ handle: unreadable }] } }]
+      }
+    };
+
+    const built = buildOpenApiSpec(app, { title: 'Test', version: '1' });
+
+    assert.ok(built.paths['/things'].post);
+    assert.equal(built.paths['/things'].post.requestBody, undefined);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('serves the interactive UI', async () => {
+    const res = await api.get('/api/docs/');
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+  });
+});
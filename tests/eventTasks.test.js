@@ -0,0 +1,263 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startServer,
+  stopServer,
+  api,
+  createUser,
+  createEvent,
+  addVendor,
+  addCollaborator
+} from './helpers/server.js';
+
+describe('Event task routes', () => {
+  let owner;
+  let editor;
+  let viewer;
+  let stranger;
+  let vendor;
+  let outsideVendor;
+  let event;
+
+  before(async () => {
+    await startServer();
+
+    owner = await createUser('planner');
+    editor = await createUser('planner');
+    viewer = await createUser('planner');
+    stranger = await createUser('planner');
+    vendor = await createUser('vendor');
+    outsideVendor = await createUser('vendor');
+
+    event = await createEvent(owner);
+    await addCollaborator(event.id, owner, editor, 'editor');
+    await addCollaborator(event.id, owner, viewer, 'viewer');
+    await addVendor(owner, event.id, vendor);
+  });
+
+  after(stopServer);
+
+  describe('POST /api/events/:eventId/tasks', () => {
+    it('creates a task owned by the event owner', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks`, {
+        token: editor.token,
+        body: { title: 'Order cake', dueDate: '2030-06-01', priority: 'medium' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.title, 'Order cake');
+      assert.equal(res.body.data.eventId, event.id);
+      assert.equal(res.body.data.plannerId, owner.id);
+      assert.equal(res.body.data.status, 'pending');
+    });
+
+    it('refuses viewers and strangers', async () => {
+      const viewerRes = await api.post(`/api/events/${event.id}/tasks`, { token: viewer.token, body: { title: 'x' } });
+      const strangerRes = await api.post(`/api/events/${event.id}/tasks`, { token: stranger.token, body: { title: 'x' } });
+
+      assert.equal(viewerRes.status, 403);
+      assert.deepEqual(viewerRes.body, { success: false, message: 'You need editor access to this event' });
+      assert.equal(strangerRes.status, 403);
+      assert.deepEqual(strangerRes.body, { success: false, message: 'You do not have access to this event' });
+    });
+
+    it('is planner only', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks`, { token: vendor.token, body: { title: 'x' } });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'Access denied. Required role: planner. Your role: vendor');
+    });
+
+    it('returns 404 for a missing event', async () => {
+      const res = await api.post('/api/events/missing-event/tasks', { token: owner.token, body: { title: 'x' } });
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { success: false, message: 'Event not found' });
+    });
+
+    it('rejects an invalid duration', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks`, {
+        token: owner.token,
+        body: { title: 'Rehearsal', durationDays: 0 }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, {
+        success: false,
+        errors: [{ field: 'durationDays', message: 'durationDays must be a positive whole number' }]
+      });
+    });
+
+    it('rejects dependencies outside the event', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks`, {
+        token: owner.token,
+        body: { title: 'Rehearsal', dependsOn: ['not-a-task'] }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Task not-a-task is not part of this event');
+    });
+
+    it('rejects a recurring task without a due date', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks`, {
+        token: owner.token,
+        body: { title: 'Weekly check-in', recurrence: { frequency: 'weekly' } }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'A recurring task needs a dueDate');
+    });
+  });
+
+  describe('POST /api/events/:eventId/tasks/bulk', () => {
+    it('creates tasks that depend on each other by ref', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks/bulk`, {
+        token: owner.token,
+        body: {
+          tasks: [
+            { ref: 'venue', title: 'Book venue', dueDate: '2030-02-01' },
+            { ref: 'decor', title: 'Plan decor', dueDate: '2030-03-01', dependsOn: ['venue'] }
+          ]
+        }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.length, 2);
+
+      const [venue, decor] = res.body.data;
+      assert.deepEqual(decor.dependsOn, [venue.id]);
+    });
+
+    it('rejects a dependency cycle', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks/bulk`, {
+        token: owner.token,
+        body: {
+          tasks: [
+            { ref: 'a', title: 'A', dependsOn: ['b'] },
+            { ref: 'b', title: 'B', dependsOn: ['a'] }
+          ]
+        }
+      });
+
+      assert.equal(res.status, 400);
+      assert.match(res.body.message, /^Task dependencies cannot form a cycle/);
+    });
+
+    it('requires a non-empty array', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks/bulk`, { token: owner.token, body: { tasks: [] } });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, {
+        success: false,
+        errors: [{ field: 'tasks', message: 'Tasks must be an array of 1 to 100 tasks' }]
+      });
+    });
+
+    it('reports errors against the task they belong to', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks/bulk`, {
+        token: owner.token,
+        body: { tasks: [{ title: 'Book venue' }, { title: 'Plan decor', priority: 'asap', owner: 'Tolu' }] }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.field), ['tasks[1].priority', 'tasks[1].owner']);
+    });
+
+    it('requires unique refs', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks/bulk`, {
+        token: owner.token,
+        body: { tasks: [{ ref: 'a', title: 'A' }, { ref: 'a', title: 'B' }] }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Each ref must be unique' });
+    });
+
+    it('refuses viewers', async () => {
+      const res = await api.post(`/api/events/${event.id}/tasks/bulk`, {
+        token: viewer.token,
+        body: { tasks: [{ title: 'x' }] }
+      });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('GET /api/events/:eventId/tasks', () => {
+    it('lists the event\'s tasks for planners on the event', async () => {
+      const res = await api.get(`/api/events/${event.id}/tasks`, { token: viewer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 3);
+      assert.equal(res.body.pagination.sort, 'createdAt');
+      assert.equal(res.body.pagination.order, 'asc');
+    });
+
+    it('lists the event\'s tasks for vendors on the event', async () => {
+      const res = await api.get(`/api/events/${event.id}/tasks`, { token: vendor.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 3);
+    });
+
+    it('refuses vendors and planners not on the event', async () => {
+      const vendorRes = await api.get(`/api/events/${event.id}/tasks`, { token: outsideVendor.token });
+      const plannerRes = await api.get(`/api/events/${event.id}/tasks`, { token: stranger.token });
+
+      assert.equal(vendorRes.status, 403);
+      assert.equal(plannerRes.status, 403);
+    });
+
+    it('filters, sorts and pages', async () => {
+      const first = await api.get(`/api/events/${event.id}/tasks?sort=dueDate&order=desc&limit=2`, { token: owner.token });
+
+      assert.equal(first.status, 200);
+      assert.deepEqual(first.body.data.map(task => task.title), ['Order cake', 'Plan decor']);
+      assert.equal(first.body.pagination.hasMore, true);
+
+      const second = await api.get(
+        `/api/events/${event.id}/tasks?sort=dueDate&order=desc&limit=2&cursor=${first.body.pagination.nextCursor}`,
+        { token: owner.token }
+      );
+
+      assert.deepEqual(second.body.data.map(task => task.title), ['Book venue']);
+      assert.equal(second.body.pagination.hasMore, false);
+
+      const medium = await api.get(`/api/events/${event.id}/tasks?priority=medium`, { token: owner.token });
+      assert.deepEqual(medium.body.data.map(task => task.title), ['Order cake']);
+    });
+  });
+
+  describe('GET /api/events/:eventId/tasks/statistics', () => {
+    it('counts the event\'s tasks', async () => {
+      const res = await api.get(`/api/events/${event.id}/tasks/statistics`, { token: viewer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.totalTasks, 3);
+      assert.equal(res.body.data.pendingTasks, 3);
+    });
+
+    it('is planner only', async () => {
+      const res = await api.get(`/api/events/${event.id}/tasks/statistics`, { token: vendor.token });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('GET /api/events/:eventId/tasks/graph', () => {
+    it('returns the dependency graph', async () => {
+      const res = await api.get(`/api/events/${event.id}/tasks/graph`, { token: vendor.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.nodes.length, 3);
+      assert.equal(res.body.data.edges.length, 1);
+      assert.ok(Array.isArray(res.body.data.criticalPath.taskIds));
+    });
+
+    it('refuses strangers', async () => {
+      const res = await api.get(`/api/events/${event.id}/tasks/graph`, { token: stranger.token });
+
+      assert.equal(res.status, 403);
+    });
+  });
+});
@@ -0,0 +1,660 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startServer,
+  stopServer,
+  api,
+  createUser,
+  createEvent,
+  createTask,
+  addVendor,
+  addCollaborator
+} from './helpers/server.js';
+import { Event } from '../src/models/event.js';
+import { Availability } from '../src/models/availability.js';
+
+describe('Event routes', () => {
+  let owner;
+  let editor;
+  let viewer;
+  let stranger;
+  let vendor;
+  let event;
+
+  before(async () => {
+    await startServer();
+
+    owner = await createUser('planner');
+    editor = await createUser('planner');
+    viewer = await createUser('planner');
+    stranger = await createUser('planner');
+    vendor = await createUser('vendor');
+
+    event = await createEvent(owner);
+    await addCollaborator(event.id, owner, editor, 'editor');
+    await addCollaborator(event.id, owner, viewer, 'viewer');
+  });
+
+  after(stopServer);
+
+  describe('authentication and roles', () => {
+    it('requires a token', async () => {
+      const res = await api.get('/api/events');
+
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { success: false, message: 'No token provided. Please authenticate.' });
+    });
+
+    it('POST /api/events is planner only', async () => {
+      const res = await api.post('/api/events', { token: vendor.token, body: { name: 'Party', date: '2030-01-01' } });
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(res.body, {
+        success: false,
+        message: 'Access denied. Required role: planner. Your role: vendor'
+      });
+    });
+
+    it('GET /api/events is planner only', async () => {
+      const res = await api.get('/api/events', { token: vendor.token });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('POST /api/events', () => {
+    it('creates an event owned by the caller', async () => {
+      const res = await api.post('/api/events', {
+        token: owner.token,
+        body: { name: 'Birthday Bash', date: '2030-03-10', eventType: 'birthday' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.name, 'Birthday Bash');
+      assert.equal(res.body.data.plannerId, owner.id);
+      assert.equal(res.body.data.status, 'planning');
+    });
+
+    it('validates each field', async () => {
+      const res = await api.post('/api/events', {
+        token: owner.token,
+        body: { name: ' ', date: '10/03/2030', startTime: '9am', eventType: 'rave', budget: -1 }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.field), ['name', 'date', 'startTime', 'budget', 'eventType']);
+    });
+
+    it('rejects unknown fields', async () => {
+      const res = await api.post('/api/events', {
+        token: owner.token,
+        body: { name: 'Party', date: '2030-01-01', plannerId: stranger.id, address: { city: 'Lagos', lga: 'Eti-Osa' } }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        { field: 'plannerId', message: 'Unknown field' },
+        { field: 'address.lga', message: 'Unknown field' }
+      ]);
+    });
+
+    it('geocodes the location', async () => {
+      assert.equal(event.coordinates.precision, 'city');
+      assert.ok(Math.abs(event.coordinates.lat - 6.4281) < 0.001);
+    });
+
+    it('rejects an unknown time zone', async () => {
+      const res = await api.post('/api/events', {
+        token: owner.token,
+        body: { name: 'Party', date: '2030-01-01', timezone: 'Mars/Olympus' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, {
+        success: false,
+        errors: [{ field: 'timezone', message: 'Timezone must be an IANA time zone, e.g. Africa/Lagos' }]
+      });
+    });
+  });
+
+  describe('GET /api/events', () => {
+    it('lists owned and shared events with the caller\'s role', async () => {
+      const ownerList = await api.get('/api/events', { token: owner.token });
+      const viewerList = await api.get('/api/events', { token: viewer.token });
+      const strangerList = await api.get('/api/events', { token: stranger.token });
+
+      assert.equal(ownerList.status, 200);
+      assert.equal(ownerList.body.count, 2);
+      assert.ok(ownerList.body.data.every(item => item.myRole === 'owner'));
+
+      assert.deepEqual(viewerList.body.data.map(item => [item.id, item.myRole]), [[event.id, 'viewer']]);
+      assert.equal(strangerList.body.count, 0);
+    });
+
+    it('filters by role', async () => {
+      const res = await api.get('/api/events?role=collaborator', { token: editor.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(item => item.id), [event.id]);
+    });
+
+    it('pages with a cursor', async () => {
+      const first = await api.get('/api/events?limit=1&sort=date&order=asc', { token: owner.token });
+
+      assert.equal(first.body.count, 1);
+      assert.equal(first.body.pagination.hasMore, true);
+      assert.equal(first.body.data[0].name, 'Birthday Bash');
+
+      const second = await api.get(`/api/events?limit=1&sort=date&order=asc&cursor=${first.body.pagination.nextCursor}`, {
+        token: owner.token
+      });
+
+      assert.equal(second.body.count, 1);
+      assert.equal(second.body.pagination.hasMore, false);
+      assert.equal(second.body.data[0].id, event.id);
+    });
+
+    it('rejects an unknown cursor instead of starting over', async () => {
+      const res = await api.get('/api/events?limit=1&cursor=deleted-event', { token: owner.token });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Invalid cursor. Start again without one' });
+    });
+
+    it('returns only the requested fields', async () => {
+      const res = await api.get('/api/events?fields=name,address.city', { token: owner.token });
+
+      assert.equal(res.status, 200);
+      res.body.data.forEach(item => {
+        assert.deepEqual(Object.keys(item).sort(), ['address', 'id', 'name']);
+      });
+    });
+
+    it('rejects an unknown sort field', async () => {
+      const res = await api.get('/api/events?sort=password', { token: owner.token });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, {
+        success: false,
+        message: 'Invalid sort. Must be one of: date, createdAt, name, budget'
+      });
+    });
+
+    it('rejects an out of range limit', async () => {
+      const res = await api.get('/api/events?limit=500', { token: owner.token });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Limit must be between 1 and 100');
+    });
+  });
+
+  describe('GET /api/events/statistics and /search', () => {
+    it('summarises the planner\'s events', async () => {
+      const res = await api.get('/api/events/statistics', { token: owner.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.totalEvents, 2);
+      assert.equal(res.body.data.completedEvents, 0);
+    });
+
+    it('searches by name, location and type', async () => {
+      const res = await api.get('/api/events/search?q=victoria', { token: owner.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(item => item.id), [event.id]);
+    });
+
+    it('requires a search term', async () => {
+      const res = await api.get('/api/events/search', { token: owner.token });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, errors: [{ field: 'q', message: 'Search query is required' }] });
+    });
+
+    it('are planner only', async () => {
+      const stats = await api.get('/api/events/statistics', { token: vendor.token });
+      const search = await api.get('/api/events/search?q=x', { token: vendor.token });
+
+      assert.equal(stats.status, 403);
+      assert.equal(search.status, 403);
+    });
+  });
+
+  describe('GET /api/events/:id', () => {
+    it('returns the event with the caller\'s role and budget summary', async () => {
+      const res = await api.get(`/api/events/${event.id}`, { token: viewer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.id, event.id);
+      assert.equal(res.body.data.myRole, 'viewer');
+      assert.ok(res.body.data.budgetSummary);
+    });
+
+    it('refuses planners with no role on the event', async () => {
+      const res = await api.get(`/api/events/${event.id}`, { token: stranger.token });
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(res.body, { success: false, message: 'You do not have access to this event' });
+    });
+
+    it('returns 404 for a missing event', async () => {
+      const res = await api.get('/api/events/missing-event', { token: owner.token });
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { success: false, message: 'Event not found' });
+    });
+  });
+
+  describe('PUT /api/events/:id', () => {
+    it('lets an editor update details', async () => {
+      const res = await api.put(`/api/events/${event.id}`, {
+        token: editor.token,
+        body: { description: 'Reception at the hall' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.description, 'Reception at the hall');
+    });
+
+    it('refuses fields owned by other routes', async () => {
+      const res = await api.put(`/api/events/${event.id}`, {
+        token: editor.token,
+        body: { guestCount: 999, plannerId: editor.id, status: 'completed' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.field), ['guestCount', 'plannerId', 'status']);
+    });
+
+    it('refuses viewers', async () => {
+      const res = await api.put(`/api/events/${event.id}`, { token: viewer.token, body: { name: 'Hijacked' } });
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(res.body, { success: false, message: 'You need editor access to this event' });
+    });
+
+    it('refuses strangers', async () => {
+      const res = await api.put(`/api/events/${event.id}`, { token: stranger.token, body: { name: 'Hijacked' } });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'You do not have access to this event');
+    });
+
+    it('re-geocodes when the address changes', async () => {
+      const res = await api.put(`/api/events/${event.id}`, {
+        token: owner.token,
+        body: { address: { street: '', city: 'Abuja', state: 'FCT', country: 'Nigeria', zipCode: '' } }
+      });
+
+      assert.equal(res.status, 200);
+      assert.ok(Math.abs(res.body.data.coordinates.lat - 9.0765) < 0.001);
+    });
+
+    describe('moving an event with a confirmed vendor', () => {
+      let moving;
+
+      /**
+       * Confirm a vendor on an event (skips the quote flow)
+       */
+      const confirmVendor = async (eventId) => {
+        await addVendor(owner, eventId, vendor);
+        await Availability.syncEventBookings(await Event.updateVendorStatus(eventId, vendor.id, 'confirmed'));
+      };
+
+      before(async () => {
+        moving = await createEvent(owner, { name: 'Moving Reception' });
+        await confirmVendor(moving.id);
+
+        await api.post('/api/dashboard/vendor/calendar/blocks', {
+          token: vendor.token,
+          body: { date: '2030-07-01', reason: 'Travelling' }
+        });
+
+        const other = await createEvent(owner, { name: 'Other Reception', date: '2030-07-02' });
+        await confirmVendor(other.id);
+      });
+
+      it('refuses a date the vendor has blocked', async () => {
+        const res = await api.put(`/api/events/${moving.id}`, { token: owner.token, body: { date: '2030-07-01' } });
+
+        assert.equal(res.status, 409);
+        assert.match(res.body.message, /Vendor is not available for this event \(2030-07-01 \(all day\): blocked by vendor\)/);
+        assert.equal((await Event.findById(moving.id)).date, '2030-06-15');
+      });
+
+      it('moves anyway with allowConflict and returns the clashes as warnings', async () => {
+        const res = await api.put(`/api/events/${moving.id}`, {
+          token: owner.token,
+          body: { date: '2030-07-01', allowConflict: true }
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.date, '2030-07-01');
+        assert.equal(res.body.data.allowConflict, undefined);
+        assert.deepEqual(res.body.warnings, ['2030-07-01 (all day): blocked by vendor']);
+
+        const bookings = await Availability.findConflicts(vendor.id, { date: '2030-07-01' });
+        assert.ok(bookings.some(block => block.source === 'booking' && block.eventId === moving.id));
+      });
+
+      it('never moves onto another confirmed booking', async () => {
+        const res = await api.put(`/api/events/${moving.id}`, {
+          token: owner.token,
+          body: { date: '2030-07-02', allowConflict: true }
+        });
+
+        assert.equal(res.status, 409);
+        assert.match(res.body.message, /Vendor is already booked at this time/);
+      });
+
+      it('skips the check when the date and time stay the same', async () => {
+        const res = await api.put(`/api/events/${moving.id}`, { token: owner.token, body: { description: 'Garden party' } });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.warnings, []);
+      });
+    });
+  });
+
+  describe('budget alerts', () => {
+    let budgeted;
+
+    /**
+     * Recipients of emails skipped because no Brevo key is configured
+     */
+    const emailRecipients = (warn) => warn.mock.calls
+      .filter(call => String(call.arguments[0]).startsWith('Brevo API key not configured'))
+      .map(call => call.arguments[1]);
+
+    const budgetAlerts = async () => {
+      const res = await api.get('/api/notifications', { token: owner.token });
+      return res.body.data.filter(item => item.type === 'budget_exceeded' && item.data.eventId === budgeted.id);
+    };
+
+    before(async () => {
+      budgeted = await createEvent(owner, { name: 'Budgeted Dinner', budget: 1000 });
+      await addCollaborator(budgeted.id, owner, editor, 'editor');
+    });
+
+    it('emails the owner when an editor\'s expense goes over budget', async (t) => {
+      const warn = t.mock.method(console, 'warn', () => {});
+
+      const res = await api.post(`/api/events/${budgeted.id}/expenses`, {
+        token: editor.token,
+        body: { title: 'Venue', category: 'venue', actualAmount: 1500 }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.budgetSummary.overBudget, true);
+      assert.deepEqual(emailRecipients(warn), [owner.email]);
+      assert.equal((await budgetAlerts()).length, 1);
+    });
+
+    it('alerts again when a lower budget puts spending over it', async (t) => {
+      await api.put(`/api/events/${budgeted.id}`, { token: owner.token, body: { budget: 5000 } });
+
+      const warn = t.mock.method(console, 'warn', () => {});
+      const res = await api.put(`/api/events/${budgeted.id}`, { token: editor.token, body: { budget: 1200 } });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(emailRecipients(warn), [owner.email]);
+      assert.equal((await budgetAlerts()).length, 2);
+    });
+
+    it('does not alert while spending stays over budget', async (t) => {
+      const warn = t.mock.method(console, 'warn', () => {});
+      await api.put(`/api/events/${budgeted.id}`, { token: editor.token, body: { budget: 1100 } });
+
+      assert.deepEqual(emailRecipients(warn), []);
+      assert.equal((await budgetAlerts()).length, 2);
+    });
+  });
+
+  describe('PUT /api/events/:id/status', () => {
+    it('updates the status', async () => {
+      const res = await api.put(`/api/events/${event.id}/status`, { token: editor.token, body: { status: 'in-progress' } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.status, 'in-progress');
+    });
+
+    it('rejects an unknown status', async () => {
+      const res = await api.put(`/api/events/${event.id}/status`, { token: owner.token, body: { status: 'done' } });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, {
+        success: false,
+        errors: [{ field: 'status', message: 'Status must be one of: planning, in-progress, completed, cancelled' }]
+      });
+    });
+
+    it('refuses viewers', async () => {
+      const res = await api.put(`/api/events/${event.id}/status`, { token: viewer.token, body: { status: 'planning' } });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('event vendors', () => {
+    let otherVendor;
+
+    before(async () => {
+      otherVendor = await createUser('vendor');
+    });
+
+    it('POST /api/events/:id/vendors adds a vendor as pending', async () => {
+      const res = await api.post(`/api/events/${event.id}/vendors`, {
+        token: owner.token,
+        body: { vendorId: vendor.id, role: 'DJ' }
+      });
+
+      assert.equal(res.status, 200);
+      const entry = res.body.data.vendors.find(v => v.vendorId === vendor.id);
+      assert.equal(entry.status, 'pending');
+      assert.equal(entry.role, 'DJ');
+    });
+
+    it('POST /api/events/:id/vendors validates the vendor', async () => {
+      const missingId = await api.post(`/api/events/${event.id}/vendors`, { token: owner.token, body: {} });
+      const unknown = await api.post(`/api/events/${event.id}/vendors`, { token: owner.token, body: { vendorId: 'nope' } });
+      const notVendor = await api.post(`/api/events/${event.id}/vendors`, { token: owner.token, body: { vendorId: stranger.id } });
+
+      assert.equal(missingId.status, 400);
+      assert.deepEqual(missingId.body.errors, [{ field: 'vendorId', message: 'Vendor ID is required' }]);
+      assert.equal(unknown.status, 404);
+      assert.equal(unknown.body.message, 'Vendor not found');
+      assert.equal(notVendor.status, 400);
+      assert.equal(notVendor.body.message, 'User is not a vendor');
+    });
+
+    it('POST /api/events/:id/vendors refuses viewers', async () => {
+      const res = await api.post(`/api/events/${event.id}/vendors`, {
+        token: viewer.token,
+        body: { vendorId: otherVendor.id }
+      });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('POST /api/events/:id/vendors/by-email adds a vendor by email', async () => {
+      const res = await api.post(`/api/events/${event.id}/vendors/by-email`, {
+        token: editor.token,
+        body: { email: otherVendor.email, role: 'Caterer' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.vendors.some(v => v.vendorId === otherVendor.id));
+    });
+
+    it('POST /api/events/:id/vendors/by-email validates the email', async () => {
+      const missing = await api.post(`/api/events/${event.id}/vendors/by-email`, { token: owner.token, body: {} });
+      const unknown = await api.post(`/api/events/${event.id}/vendors/by-email`, {
+        token: owner.token,
+        body: { email: 'ghost@example.com' }
+      });
+
+      assert.equal(missing.status, 400);
+      assert.deepEqual(missing.body.errors, [{ field: 'email', message: 'Please provide a valid email' }]);
+      assert.equal(unknown.status, 404);
+      assert.equal(unknown.body.message, 'User with this email not found');
+    });
+
+    it('GET /api/events/:id/vendors lists the vendors', async () => {
+      const res = await api.get(`/api/events/${event.id}/vendors`, { token: viewer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 2);
+    });
+
+    it('PUT /api/events/:id/vendors/:vendorId/status lets the vendor decline', async () => {
+      const res = await api.put(`/api/events/${event.id}/vendors/${otherVendor.id}/status`, {
+        token: otherVendor.token,
+        body: { status: 'declined' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.vendors.find(v => v.vendorId === otherVendor.id).status, 'declined');
+    });
+
+    it('PUT /api/events/:id/vendors/:vendorId/status does not confirm directly', async () => {
+      const res = await api.put(`/api/events/${event.id}/vendors/${vendor.id}/status`, {
+        token: owner.token,
+        body: { status: 'confirmed' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].field, 'status');
+      assert.match(res.body.errors[0].message, /accepting their quote/);
+    });
+
+    it('PUT /api/events/:id/vendors/:vendorId/status refuses other vendors and viewers', async () => {
+      const otherVendorRes = await api.put(`/api/events/${event.id}/vendors/${vendor.id}/status`, {
+        token: otherVendor.token,
+        body: { status: 'declined' }
+      });
+      const viewerRes = await api.put(`/api/events/${event.id}/vendors/${vendor.id}/status`, {
+        token: viewer.token,
+        body: { status: 'declined' }
+      });
+
+      assert.equal(otherVendorRes.status, 403);
+      assert.equal(otherVendorRes.body.message, 'You do not have permission to update this vendor status');
+      assert.equal(viewerRes.status, 403);
+    });
+
+    it('PUT /api/events/:id/vendors/:vendorId/status returns 404 for a vendor not on the event', async () => {
+      const res = await api.put(`/api/events/${event.id}/vendors/${stranger.id}/status`, {
+        token: owner.token,
+        body: { status: 'pending' }
+      });
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.message, 'Vendor is not part of this event');
+    });
+
+    it('DELETE /api/events/:id/vendors/:vendorId removes the vendor', async () => {
+      const res = await api.delete(`/api/events/${event.id}/vendors/${otherVendor.id}`, { token: owner.token });
+
+      assert.equal(res.status, 200);
+      assert.ok(!res.body.data.vendors.some(v => v.vendorId === otherVendor.id));
+    });
+
+    it('DELETE /api/events/:id/vendors/:vendorId refuses viewers', async () => {
+      const res = await api.delete(`/api/events/${event.id}/vendors/${vendor.id}`, { token: viewer.token });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('GET /api/events/:id/calendar.ics', () => {
+    it('exports the event as iCalendar', async () => {
+      const res = await api.get(`/api/events/${event.id}/calendar.ics`, { token: viewer.token });
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /text\/calendar/);
+      assert.match(res.body, /BEGIN:VCALENDAR/);
+    });
+
+    it('is closed to vendors that are not confirmed', async () => {
+      const res = await api.get(`/api/events/${event.id}/calendar.ics`, { token: vendor.token });
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(res.body, { success: false, message: 'You do not have access to this event' });
+    });
+  });
+
+  describe('GET /api/events/:id/activity', () => {
+    it('lists who changed what, newest first', async () => {
+      const res = await api.get(`/api/events/${event.id}/activity`, { token: viewer.token });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.count > 0);
+
+      const update = res.body.data.find(entry => entry.action === 'event.update' && entry.actor.id === editor.id);
+      assert.deepEqual(update.changes.description, { from: '', to: 'Reception at the hall' });
+
+      const times = res.body.data.map(entry => entry.createdAt);
+      assert.deepEqual(times, [...times].sort().reverse());
+    });
+
+    it('leaves out the actor\'s email, IP and user agent', async () => {
+      const res = await api.get(`/api/events/${event.id}/activity`, { token: viewer.token });
+
+      res.body.data.forEach(entry => {
+        assert.ok(entry.actor.id);
+        assert.equal(entry.actor.email, undefined);
+        assert.equal('ip' in entry, false);
+        assert.equal('userAgent' in entry, false);
+      });
+      assert.ok(!JSON.stringify(res.body).includes(editor.email));
+
+      const admin = await createUser('admin');
+      const audit = await api.get(`/api/admin/audit-logs?eventId=${event.id}`, { token: admin.token });
+      const update = audit.body.data.find(entry => entry.actor.id === editor.id);
+
+      assert.equal(update.actor.email, editor.email);
+      assert.ok('ip' in update && 'userAgent' in update);
+    });
+
+    it('pages with a cursor', async () => {
+      const first = await api.get(`/api/events/${event.id}/activity?limit=1`, { token: viewer.token });
+      assert.equal(first.body.pagination.hasMore, true);
+
+      const second = await api.get(`/api/events/${event.id}/activity?limit=1&cursor=${first.body.pagination.nextCursor}`, {
+        token: viewer.token
+      });
+      assert.notEqual(second.body.data[0].id, first.body.data[0].id);
+
+      const unknown = await api.get(`/api/events/${event.id}/activity?cursor=missing`, { token: viewer.token });
+      assert.equal(unknown.status, 400);
+    });
+
+    it('refuses strangers', async () => {
+      const res = await api.get(`/api/events/${event.id}/activity`, { token: stranger.token });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('DELETE /api/events/:id', () => {
+    it('refuses editors', async () => {
+      const res = await api.delete(`/api/events/${event.id}`, { token: editor.token });
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(res.body, { success: false, message: 'You need owner access to this event' });
+    });
+
+    it('deletes the event and its tasks', async () => {
+      const task = await createTask(owner, event.id);
+
+      const res = await api.delete(`/api/events/${event.id}`, { token: owner.token });
+      assert.equal(res.status, 200);
+
+      const eventRes = await api.get(`/api/events/${event.id}`, { token: owner.token });
+      const taskRes = await api.get(`/api/tasks/${task.id}`, { token: owner.token });
+
+      assert.equal(eventRes.status, 404);
+      assert.equal(taskRes.status, 404);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, api, createUser, createEvent } from './helpers/server.js';
+
+describe('Guest routes', () => {
+  let planner;
+  let event;
+
+  before(async () => {
+    await startServer();
+
+    planner = await createUser('planner');
+    event = await createEvent(planner);
+  });
+
+  after(stopServer);
+
+  describe('POST /api/events/:eventId/guests/import', () => {
+    it('imports a JSON array', async () => {
+      const res = await api.post(`/api/events/${event.id}/guests/import`, {
+        token: planner.token,
+        body: {
+          guests: [
+            { name: 'Tolu Ade', email: 'Tolu@Example.com', plusOnesAllowed: 1 },
+            { name: 'Kemi Ade' }
+          ]
+        }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.imported.length, 2);
+      assert.equal(res.body.data.imported[0].email, 'tolu@example.com');
+      assert.deepEqual(res.body.data.skipped, []);
+    });
+
+    it('imports CSV text', async () => {
+      const res = await api.post(`/api/events/${event.id}/guests/import`, {
+        token: planner.token,
+        body: { csv: 'name,email,plusOnesAllowed\nBayo Ola,bayo@example.com,2\n' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.imported[0].plusOnesAllowed, 2);
+    });
+
+    it('skips bad rows with a reason and imports the rest', async () => {
+      const res = await api.post(`/api/events/${event.id}/guests/import`, {
+        token: planner.token,
+        body: {
+          guests: [
+            null,
+            { name: 42 },
+            { name: 'Ngozi', email: ['ngozi@example.com'] },
+            { email: 'nameless@example.com' },
+            { name: 'Chidi', plusOnesAllowed: 'two' },
+            { name: 'Tolu again', email: 'tolu@example.com' },
+            { name: 'Femi Ola', plusOnesAllowed: '1' }
+          ]
+        }
+      });
+
+      assert.equal(res.status, 201);
+      assert.deepEqual(res.body.data.imported.map(guest => guest.name), ['Femi Ola']);
+      assert.deepEqual(res.body.data.skipped, [
+        { row: 1, reason: 'Row must be an object' },
+        { row: 2, reason: 'name must be text' },
+        { row: 3, reason: 'email must be text' },
+        { row: 4, reason: 'Missing name' },
+        { row: 5, reason: 'Plus-ones allowed must be a non-negative whole number' },
+        { row: 6, reason: 'Duplicate email' }
+      ]);
+    });
+
+    it('requires guests or csv', async () => {
+      const res = await api.post(`/api/events/${event.id}/guests/import`, { token: planner.token, body: {} });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Provide a guests array or csv text to import' });
+    });
+  });
+});
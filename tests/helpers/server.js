@@ -0,0 +1,215 @@
+/**
+ * Integration test harness.
+ *
+ * Boots the Express app against the in-memory datastore on a random port,
+ * so tests need no Firebase credentials, network access or running server.
+ * Each test file runs in its own process and gets its own datastore.
+ */
+
+import { setDatastore, MemoryAdapter } from '../../src/services/datastore.js';
+import { db, collections } from '../../src/config/firebase.js';
+import { ROLES } from '../../src/models/baseUser.js';
+
+// Read when the app and tokens are created, so set before importing the app
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+
+export const PASSWORD = 'Passw0rd1';
+
+const datastore = new MemoryAdapter();
+setDatastore(datastore);
+
+let server = null;
+let baseUrl = null;
+let userCount = 0;
+
+/**
+ * Start the app (call in before())
+ */
+export async function startServer() {
+  const { default: app } = await import('../../src/app.js');
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Stop the app (call in after())
+ */
+export async function stopServer() {
+  if (!server) return;
+
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  server = null;
+}
+
+/**
+ * Remove every stored document
+ */
+export function resetData() {
+  datastore.reset();
+}
+
+/**
+ * Send a request to the app
+ * @returns {Promise<{ status: number, body: Object|string|null, headers: Headers }>}
+ */
+export async function request(method, path, { token, body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const text = await response.text();
+  let parsed = text || null;
+
+  if ((response.headers.get('content-type') || '').includes('application/json')) {
+    parsed = JSON.parse(text);
+  }
+
+  return { status: response.status, body: parsed, headers: response.headers };
+}
+
+export const api = {
+  get: (path, options) => request('GET', path, options),
+  post: (path, options) => request('POST', path, options),
+  put: (path, options) => request('PUT', path, options),
+  delete: (path, options) => request('DELETE', path, options)
+};
+
+/**
+ * Sign up and log in a user through the API.
+ * Admins cannot sign up as such, so they are promoted in the datastore after signup.
+ *
+ * @param {string} role - planner, vendor or admin
+ * @param {Object} profile - Extra signup fields
+ * @returns {Promise<{ id, email, fullName, role, token, refreshToken }>}
+ */
+export async function createUser(role = ROLES.PLANNER, profile = {}) {
+  userCount += 1;
+
+  const email = profile.email || `${role}${userCount}@example.com`;
+  const fullName = profile.fullName || `Test ${role} ${userCount}`;
+
+  const signup = await api.post('/api/auth/signup', {
+    body: {
+      email,
+      password: PASSWORD,
+      fullName,
+      role: role === ROLES.ADMIN ? ROLES.PLANNER : role,
+      ...profile
+    }
+  });
+
+  if (signup.status !== 201) {
+    throw new Error(`Signup failed (${signup.status}): ${JSON.stringify(signup.body)}`);
+  }
+
+  const id = signup.body.data.userId;
+
+  if (role === ROLES.ADMIN) {
+    await db().collection(collections.USERS).doc(id).update({ role: ROLES.ADMIN });
+  }
+
+  const login = await api.post('/api/auth/login', { body: { email, password: PASSWORD } });
+
+  if (login.status !== 200) {
+    throw new Error(`Login failed (${login.status}): ${JSON.stringify(login.body)}`);
+  }
+
+  return {
+    id,
+    email,
+    fullName,
+    role,
+    token: login.body.data.accessToken,
+    refreshToken: login.body.data.refreshToken
+  };
+}
+
+/**
+ * Create an event through the API as the given planner
+ */
+export async function createEvent(planner, fields = {}) {
+  const response = await api.post('/api/events', {
+    token: planner.token,
+    body: {
+      name: 'Ade & Funmi Wedding',
+      date: '2030-06-15',
+      eventType: 'wedding',
+      location: 'Eko Hotel, Victoria Island, Lagos',
+      budget: 5000000,
+      ...fields
+    }
+  });
+
+  if (response.status !== 201) {
+    throw new Error(`Event creation failed (${response.status}): ${JSON.stringify(response.body)}`);
+  }
+
+  return response.body.data;
+}
+
+/**
+ * Create a task on an event through the API
+ */
+export async function createTask(planner, eventId, fields = {}) {
+  const response = await api.post(`/api/events/${eventId}/tasks`, {
+    token: planner.token,
+    body: {
+      title: 'Book the DJ',
+      dueDate: '2030-05-01',
+      priority: 'high',
+      ...fields
+    }
+  });
+
+  if (response.status !== 201) {
+    throw new Error(`Task creation failed (${response.status}): ${JSON.stringify(response.body)}`);
+  }
+
+  return response.body.data;
+}
+
+/**
+ * Add a vendor to an event through the API
+ */
+export async function addVendor(planner, eventId, vendor, role = 'DJ') {
+  const response = await api.post(`/api/events/${eventId}/vendors`, {
+    token: planner.token,
+    body: { vendorId: vendor.id, role }
+  });
+
+  if (response.status !== 200 && response.status !== 201) {
+    throw new Error(`Adding vendor failed (${response.status}): ${JSON.stringify(response.body)}`);
+  }
+
+  return response.body.data;
+}
+
+/**
+ * Give a planner a co-planner role on an event (skips the invitation flow)
+ */
+export async function addCollaborator(eventId, owner, collaborator, role) {
+  const { Event } = await import('../../src/models/event.js');
+
+  return Event.setCollaborator(eventId, {
+    userId: collaborator.id,
+    name: collaborator.fullName,
+    email: collaborator.email,
+    role,
+    addedBy: owner.id
+  });
+}
+
+export { db, collections, ROLES };
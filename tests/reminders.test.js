@@ -0,0 +1,172 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startServer,
+  stopServer,
+  api,
+  createUser,
+  createEvent,
+  createTask,
+  addVendor
+} from './helpers/server.js';
+import { Task } from '../src/models/task.js';
+import { createReminderScheduler } from '../src/services/reminderScheduler.js';
+
+/**
+ * Run one scheduler pass as if it were `time`
+ */
+const runAt = (time) => createReminderScheduler({ clock: () => new Date(time) }).runOnce();
+
+describe('Reminder scheduler', () => {
+  let planner;
+  let vendor;
+  let event;
+
+  before(async () => {
+    await startServer();
+
+    planner = await createUser('planner');
+    vendor = await createUser('vendor');
+
+    // Africa/Lagos is UTC+1, so a date-only due date ends at 23:00 UTC
+    event = await createEvent(planner, { timezone: 'Africa/Lagos' });
+    await addVendor(planner, event.id, vendor);
+  });
+
+  after(stopServer);
+
+  /**
+   * Create a task assigned to the vendor
+   */
+  const createAssignedTask = async (fields) => {
+    const task = await createTask(planner, event.id, fields);
+
+    await api.put(`/api/tasks/${task.id}/assign`, {
+      token: planner.token,
+      body: { userId: vendor.id, userName: vendor.fullName, userEmail: vendor.email }
+    });
+
+    return task;
+  };
+
+  describe('reminders', () => {
+    let task;
+
+    before(async () => {
+      task = await createAssignedTask({ title: 'Confirm the menu', dueDate: '2030-05-10' });
+    });
+
+    it('sends the week-before reminder counted from the end of the due day', async () => {
+      await runAt('2030-05-03T22:30:00Z');
+      assert.deepEqual((await Task.findById(task.id)).remindersSent, []);
+
+      await runAt('2030-05-03T23:30:00Z');
+      assert.deepEqual((await Task.findById(task.id)).remindersSent, [168]);
+    });
+
+    it('sends each reminder once', async () => {
+      await runAt('2030-05-04T00:00:00Z');
+
+      assert.deepEqual((await Task.findById(task.id)).remindersSent, [168]);
+    });
+
+    it('sends the day-before reminder', async () => {
+      await runAt('2030-05-09T23:30:00Z');
+
+      assert.deepEqual((await Task.findById(task.id)).remindersSent, [168, 24]);
+    });
+
+    it('folds reminders that were missed into one', async () => {
+      const late = await createAssignedTask({ title: 'Print menus', dueDate: '2030-05-12' });
+
+      await runAt('2030-05-12T08:00:00Z');
+
+      assert.deepEqual((await Task.findById(late.id)).remindersSent, [168, 24]);
+    });
+  });
+
+  describe('escalation', () => {
+    let task;
+
+    before(async () => {
+      task = await createAssignedTask({ title: 'Pay the caterer', dueDate: '2030-05-20' });
+    });
+
+    it('does not treat a task as overdue on the day it is due', async () => {
+      await runAt('2030-05-20T22:00:00Z');
+
+      assert.equal((await Task.findById(task.id)).escalatedAt, null);
+    });
+
+    it('escalates once the due day is over', async () => {
+      await runAt('2030-05-20T23:30:00Z');
+
+      assert.equal((await Task.findById(task.id)).escalatedAt, '2030-05-20T23:30:00.000Z');
+
+      const notifications = await api.get('/api/notifications', { token: planner.token });
+      assert.ok(notifications.body.data.some(item => item.type === 'task_overdue' && item.data.taskId === task.id));
+    });
+
+    it('escalates only once', async () => {
+      await runAt('2030-05-22T00:00:00Z');
+
+      assert.equal((await Task.findById(task.id)).escalatedAt, '2030-05-20T23:30:00.000Z');
+    });
+
+    it('uses a due timestamp as is', async () => {
+      const timed = await createAssignedTask({ title: 'Call the DJ', dueDate: '2030-05-25T09:00:00.000Z' });
+
+      await runAt('2030-05-25T09:30:00Z');
+
+      assert.equal((await Task.findById(timed.id)).escalatedAt, '2030-05-25T09:30:00.000Z');
+    });
+
+    it('leaves completed tasks alone', async () => {
+      const done = await createAssignedTask({ title: 'Book the venue', dueDate: '2030-05-26' });
+      await api.put(`/api/tasks/${done.id}/status`, { token: planner.token, body: { status: 'completed' } });
+
+      await runAt('2030-05-28T00:00:00Z');
+
+      assert.equal((await Task.findById(done.id)).escalatedAt, null);
+    });
+  });
+
+  describe('recurring tasks', () => {
+    it('rolls an overdue occurrence forward', async () => {
+      const task = await createAssignedTask({
+        title: 'Weekly check-in',
+        dueDate: '2030-04-01',
+        recurrence: { frequency: 'weekly' }
+      });
+
+      await runAt('2030-04-01T23:30:00Z');
+
+      const updated = await Task.findById(task.id);
+      const next = await Task.findById(updated.recurrence.nextTaskId);
+
+      assert.equal(next.dueDate, '2030-04-08');
+      assert.equal(next.recurrence.seriesId, task.id);
+      assert.equal(next.assignedTo.userId, vendor.id);
+    });
+
+    it('rolls forward once when completed, and not again when the old occurrence is overdue', async () => {
+      const task = await createAssignedTask({
+        title: 'Monthly budget review',
+        dueDate: '2030-04-15',
+        recurrence: { frequency: 'monthly' }
+      });
+
+      const res = await api.put(`/api/tasks/${task.id}/status`, { token: planner.token, body: { status: 'completed' } });
+      assert.equal(res.body.data.completed, true);
+
+      const completed = await Task.findById(task.id);
+      assert.ok(completed.recurrence.nextTaskId);
+
+      await runAt('2030-04-16T00:00:00Z');
+
+      const after = await Task.findById(task.id);
+      assert.equal(after.recurrence.nextTaskId, completed.recurrence.nextTaskId);
+      assert.equal(after.escalatedAt, null);
+    });
+  });
+});
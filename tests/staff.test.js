@@ -0,0 +1,40 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, api, createUser, createEvent } from './helpers/server.js';
+
+describe('Staff routes', () => {
+  let planner;
+  let event;
+
+  before(async () => {
+    await startServer();
+
+    planner = await createUser('planner');
+    event = await createEvent(planner);
+
+    const staff = await api.post('/api/staff', {
+      token: planner.token,
+      body: { name: 'Bayo Ade', phoneNumber: '+2348012345678', role: 'usher', hourlyRate: 2500, currency: 'NGN' }
+    });
+
+    await api.post(`/api/events/${event.id}/staff`, {
+      token: planner.token,
+      body: { staffId: staff.body.data.id, startTime: '12:00', endTime: '18:00', notes: '=HYPERLINK("http://example.com")' }
+    });
+  });
+
+  after(stopServer);
+
+  describe('GET /api/events/:eventId/staff/roster.csv', () => {
+    it('exports the roster, keeping phone numbers intact and formulas as text', async () => {
+      const res = await api.get(`/api/events/${event.id}/staff/roster.csv`, { token: planner.token });
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /text\/csv/);
+
+      const [header, row] = res.body.trim().split('\r\n');
+      assert.equal(header, 'Name,Role,Phone,Date,Start,End,Hours,Hourly Rate,Cost,Currency,Notes');
+      assert.equal(row, 'Bayo Ade,usher,+2348012345678,2030-06-15,12:00,18:00,6,2500,15000,NGN,"\'=HYPERLINK(""http://example.com"")"');
+    });
+  });
+});
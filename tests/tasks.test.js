@@ -0,0 +1,306 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startServer,
+  stopServer,
+  api,
+  createUser,
+  createEvent,
+  createTask,
+  addVendor,
+  addCollaborator
+} from './helpers/server.js';
+
+describe('Task routes', () => {
+  let owner;
+  let editor;
+  let viewer;
+  let stranger;
+  let vendor;
+  let outsideVendor;
+  let event;
+  let task;
+
+  const assignment = () => ({
+    userId: vendor.id,
+    userName: vendor.fullName,
+    userEmail: vendor.email
+  });
+
+  before(async () => {
+    await startServer();
+
+    owner = await createUser('planner');
+    editor = await createUser('planner');
+    viewer = await createUser('planner');
+    stranger = await createUser('planner');
+    vendor = await createUser('vendor');
+    outsideVendor = await createUser('vendor');
+
+    event = await createEvent(owner);
+    await addCollaborator(event.id, owner, editor, 'editor');
+    await addCollaborator(event.id, owner, viewer, 'viewer');
+    await addVendor(owner, event.id, vendor);
+
+    task = await createTask(owner, event.id);
+  });
+
+  after(stopServer);
+
+  describe('GET /api/tasks/:id', () => {
+    it('returns the task to planners on the event', async () => {
+      const res = await api.get(`/api/tasks/${task.id}`, { token: viewer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.id, task.id);
+    });
+
+    it('refuses planners and vendors not on the event', async () => {
+      const plannerRes = await api.get(`/api/tasks/${task.id}`, { token: stranger.token });
+      const vendorRes = await api.get(`/api/tasks/${task.id}`, { token: outsideVendor.token });
+
+      assert.equal(plannerRes.status, 403);
+      assert.deepEqual(plannerRes.body, { success: false, message: 'You do not have access to this task' });
+      assert.equal(vendorRes.status, 403);
+    });
+
+    it('returns 404 for a missing task', async () => {
+      const res = await api.get('/api/tasks/missing-task', { token: owner.token });
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { success: false, message: 'Task not found' });
+    });
+  });
+
+  describe('PUT /api/tasks/:id', () => {
+    it('lets an editor update the task', async () => {
+      const res = await api.put(`/api/tasks/${task.id}`, {
+        token: editor.token,
+        body: { description: 'Two sets, 6pm to midnight', priority: 'low' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.description, 'Two sets, 6pm to midnight');
+      assert.equal(res.body.data.priority, 'low');
+    });
+
+    it('resets reminders when the due date moves', async () => {
+      const res = await api.put(`/api/tasks/${task.id}`, {
+        token: owner.token,
+        body: { dueDate: '2030-05-10' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.remindersSent, []);
+    });
+
+    it('rejects status and fields the scheduler owns', async () => {
+      const res = await api.put(`/api/tasks/${task.id}`, {
+        token: owner.token,
+        body: { remindersSent: ['7d'], eventId: 'other-event', status: 'completed' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        { field: 'remindersSent', message: 'Unknown field' },
+        { field: 'eventId', message: 'Unknown field' },
+        { field: 'status', message: 'Unknown field' }
+      ]);
+    });
+
+    it('refuses viewers', async () => {
+      const res = await api.put(`/api/tasks/${task.id}`, { token: viewer.token, body: { title: 'x' } });
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(res.body, { success: false, message: 'You need editor access to this event' });
+    });
+
+    it('is planner only', async () => {
+      const res = await api.put(`/api/tasks/${task.id}`, { token: vendor.token, body: { title: 'x' } });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'Access denied. Required role: planner. Your role: vendor');
+    });
+
+    it('rejects a task depending on itself', async () => {
+      const res = await api.put(`/api/tasks/${task.id}`, { token: owner.token, body: { dependsOn: [task.id] } });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'A task cannot depend on itself' });
+    });
+  });
+
+  describe('PUT /api/tasks/:id/assign', () => {
+    it('requires an assignee', async () => {
+      const res = await api.put(`/api/tasks/${task.id}/assign`, { token: owner.token, body: {} });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.field), ['userId', 'userName', 'userEmail']);
+    });
+
+    it('only assigns vendors on the event', async () => {
+      const res = await api.put(`/api/tasks/${task.id}/assign`, {
+        token: owner.token,
+        body: { userId: outsideVendor.id, userName: outsideVendor.fullName, userEmail: outsideVendor.email }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'User must be added to the event before assigning tasks');
+    });
+
+    it('refuses viewers', async () => {
+      const res = await api.put(`/api/tasks/${task.id}/assign`, { token: viewer.token, body: assignment() });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('assigns the task to a vendor on the event', async () => {
+      const res = await api.put(`/api/tasks/${task.id}/assign`, { token: editor.token, body: assignment() });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.assignedTo.userId, vendor.id);
+      assert.equal(res.body.data.assignedTo.userRole, 'vendor');
+    });
+  });
+
+  describe('GET /api/tasks/my-tasks', () => {
+    it('lists the tasks assigned to the caller', async () => {
+      const res = await api.get('/api/tasks/my-tasks', { token: vendor.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(item => item.id), [task.id]);
+    });
+
+    it('is empty for users with no assignments', async () => {
+      const res = await api.get('/api/tasks/my-tasks', { token: outsideVendor.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 0);
+    });
+
+    it('filters by status', async () => {
+      const res = await api.get('/api/tasks/my-tasks?status=completed', { token: vendor.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 0);
+    });
+  });
+
+  describe('assigned vendor access', () => {
+    it('lets the assignee read the task', async () => {
+      const res = await api.get(`/api/tasks/${task.id}`, { token: vendor.token });
+
+      assert.equal(res.status, 200);
+    });
+
+    it('PUT /api/tasks/:id/status lets the assignee move the task', async () => {
+      const res = await api.put(`/api/tasks/${task.id}/status`, { token: vendor.token, body: { status: 'in-progress' } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.status, 'in-progress');
+    });
+
+    it('PUT /api/tasks/:id/status rejects an unknown status', async () => {
+      const res = await api.put(`/api/tasks/${task.id}/status`, { token: vendor.token, body: { status: 'done' } });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, {
+        success: false,
+        errors: [{ field: 'status', message: 'Status must be one of: pending, in-progress, completed, cancelled' }]
+      });
+    });
+
+    it('PUT /api/tasks/:id/status refuses other vendors and viewers', async () => {
+      const vendorRes = await api.put(`/api/tasks/${task.id}/status`, {
+        token: outsideVendor.token,
+        body: { status: 'pending' }
+      });
+      const viewerRes = await api.put(`/api/tasks/${task.id}/status`, { token: viewer.token, body: { status: 'pending' } });
+
+      assert.equal(vendorRes.status, 403);
+      assert.equal(viewerRes.status, 403);
+      assert.deepEqual(viewerRes.body, { success: false, message: 'You need editor access to this event' });
+    });
+
+    it('PUT /api/tasks/:id/complete lets the assignee finish the task', async () => {
+      const res = await api.put(`/api/tasks/${task.id}/complete`, { token: vendor.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.status, 'completed');
+      assert.equal(res.body.data.completed, true);
+    });
+
+    it('PUT /api/tasks/:id/complete refuses other vendors', async () => {
+      const res = await api.put(`/api/tasks/${task.id}/complete`, { token: outsideVendor.token });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('the assignee cannot edit or delete the task', async () => {
+      const update = await api.put(`/api/tasks/${task.id}`, { token: vendor.token, body: { title: 'x' } });
+      const remove = await api.delete(`/api/tasks/${task.id}`, { token: vendor.token });
+
+      assert.equal(update.status, 403);
+      assert.equal(remove.status, 403);
+    });
+  });
+
+  describe('dependencies', () => {
+    it('a task cannot start before the tasks it depends on are done', async () => {
+      const first = await createTask(owner, event.id, { title: 'Book venue' });
+      const second = await createTask(owner, event.id, { title: 'Plan decor', dependsOn: [first.id] });
+
+      const blocked = await api.put(`/api/tasks/${second.id}/status`, { token: owner.token, body: { status: 'in-progress' } });
+
+      assert.equal(blocked.status, 400);
+      assert.equal(blocked.body.message, 'Cannot start this task until these tasks are done: Book venue');
+
+      await api.put(`/api/tasks/${first.id}/complete`, { token: owner.token });
+
+      const started = await api.put(`/api/tasks/${second.id}/status`, { token: owner.token, body: { status: 'in-progress' } });
+      assert.equal(started.status, 200);
+    });
+  });
+
+  describe('DELETE /api/tasks/:id/assign', () => {
+    it('refuses viewers', async () => {
+      const res = await api.delete(`/api/tasks/${task.id}/assign`, { token: viewer.token });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('unassigns the task', async () => {
+      const res = await api.delete(`/api/tasks/${task.id}/assign`, { token: owner.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.assignedTo, null);
+
+      const mine = await api.get('/api/tasks/my-tasks', { token: vendor.token });
+      assert.equal(mine.body.count, 0);
+    });
+  });
+
+  describe('DELETE /api/tasks/:id', () => {
+    it('refuses viewers', async () => {
+      const res = await api.delete(`/api/tasks/${task.id}`, { token: viewer.token });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('deletes the task', async () => {
+      const res = await api.delete(`/api/tasks/${task.id}`, { token: editor.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { success: true, message: 'Task deleted successfully' });
+
+      const gone = await api.get(`/api/tasks/${task.id}`, { token: owner.token });
+      assert.equal(gone.status, 404);
+    });
+
+    it('returns 404 for a missing task', async () => {
+      const res = await api.delete('/api/tasks/missing-task', { token: owner.token });
+
+      assert.equal(res.status, 404);
+    });
+  });
+});
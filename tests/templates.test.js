@@ -0,0 +1,60 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, api, createUser } from './helpers/server.js';
+
+describe('Template routes', () => {
+  let planner;
+  let template;
+
+  before(async () => {
+    await startServer();
+
+    planner = await createUser('planner');
+
+    const res = await api.post('/api/templates', {
+      token: planner.token,
+      body: {
+        name: 'Wedding checklist',
+        eventType: 'wedding',
+        tasks: [{ ref: 'venue', title: 'Book the venue', dueOffsetDays: -30 }]
+      }
+    });
+    template = res.body.data;
+  });
+
+  after(stopServer);
+
+  describe('POST /api/templates/:id/events', () => {
+    it('creates the event and schedules the template tasks', async () => {
+      const res = await api.post(`/api/templates/${template.id}/events`, {
+        token: planner.token,
+        body: { name: 'Ade & Funmi Wedding', date: '2030-06-15', budget: 5000000 }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.event.eventType, 'wedding');
+      assert.equal(res.body.data.event.templateId, template.id);
+      assert.equal(res.body.data.tasks[0].dueDate, '2030-05-16');
+    });
+
+    it('validates the event like POST /api/events', async () => {
+      const res = await api.post(`/api/templates/${template.id}/events`, {
+        token: planner.token,
+        body: { name: 'Party', date: 'June 15 2030', eventType: 'rave', budget: -1 }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.field), ['date', 'budget', 'eventType']);
+    });
+
+    it('rejects unknown fields', async () => {
+      const res = await api.post(`/api/templates/${template.id}/events`, {
+        token: planner.token,
+        body: { name: 'Party', date: '2030-06-15', plannerId: 'someone-else', status: 'completed' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.field), ['plannerId', 'status']);
+    });
+  });
+});
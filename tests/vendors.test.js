@@ -0,0 +1,392 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startServer,
+  stopServer,
+  api,
+  createUser,
+  createEvent
+} from './helpers/server.js';
+
+describe('Vendor routes', () => {
+  let photographer;
+  let band;
+  let planner;
+  let admin;
+  let event;
+
+  before(async () => {
+    await startServer();
+
+    photographer = await createUser('vendor', { fullName: 'Tunde Lens' });
+    band = await createUser('vendor', { fullName: 'Highlife Band' });
+    planner = await createUser('planner');
+    admin = await createUser('admin');
+
+    await api.put('/api/vendors/profile', {
+      token: photographer.token,
+      body: {
+        businessName: 'Tunde Lens Studio',
+        businessDescription: 'Wedding photography and portraits',
+        category: 'photography',
+        address: { city: 'Ikeja', state: 'Lagos' },
+        priceRange: { min: 100000, max: 500000, currency: 'NGN' },
+        cacDocument: 'https://files.example.com/cac/tunde.pdf'
+      }
+    });
+
+    await api.put('/api/vendors/profile', {
+      token: band.token,
+      body: {
+        businessName: 'Highlife Band',
+        businessDescription: 'Live highlife and afrobeat music',
+        category: 'music',
+        address: { city: 'Wuse', state: 'FCT' },
+        priceRange: { min: 800000, max: 1500000, currency: 'NGN' }
+      }
+    });
+
+    event = await createEvent(planner);
+  });
+
+  after(stopServer);
+
+  describe('PUT /api/vendors/profile', () => {
+    it('updates the vendor\'s own profile', async () => {
+      const res = await api.put('/api/vendors/profile', {
+        token: photographer.token,
+        body: { services: ['Weddings', 'Portraits'], website: 'https://tundelens.example.com' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.services, ['Weddings', 'Portraits']);
+      assert.equal(res.body.data.password, undefined);
+      assert.equal(res.body.data.coordinates.precision, 'city');
+    });
+
+    it('returns per-field validation errors', async () => {
+      const res = await api.put('/api/vendors/profile', {
+        token: photographer.token,
+        body: { category: 'astrology', website: 'not a url' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['category', 'website']);
+    });
+
+    it('is vendor only', async () => {
+      const res = await api.put('/api/vendors/profile', { token: planner.token, body: { businessName: 'Nope' } });
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(res.body, {
+        success: false,
+        message: 'Access denied. Required role: vendor. Your role: planner'
+      });
+    });
+
+    it('requires authentication', async () => {
+      const res = await api.put('/api/vendors/profile', { body: { businessName: 'Nope' } });
+
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('portfolio', () => {
+    const imageUrl = 'https://images.example.com/wedding-1.jpg';
+
+    it('POST /api/vendors/portfolio adds an image', async () => {
+      const res = await api.post('/api/vendors/portfolio', { token: photographer.token, body: { imageUrl } });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.some(item => (item.url || item) === imageUrl));
+    });
+
+    it('POST /api/vendors/portfolio requires an image URL', async () => {
+      const res = await api.post('/api/vendors/portfolio', { token: photographer.token, body: {} });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Image URL is required' });
+    });
+
+    it('DELETE /api/vendors/portfolio removes an image', async () => {
+      const res = await api.delete('/api/vendors/portfolio', { token: photographer.token, body: { imageUrl } });
+
+      assert.equal(res.status, 200);
+      assert.ok(!res.body.data.some(item => (item.url || item) === imageUrl));
+    });
+
+    it('are vendor only', async () => {
+      const add = await api.post('/api/vendors/portfolio', { token: planner.token, body: { imageUrl } });
+      const remove = await api.delete('/api/vendors/portfolio', { token: planner.token, body: { imageUrl } });
+
+      assert.equal(add.status, 403);
+      assert.equal(remove.status, 403);
+    });
+  });
+
+  describe('GET /api/vendors/profile/completion', () => {
+    it('reports what is missing from the profile', async () => {
+      const res = await api.get('/api/vendors/profile/completion', { token: band.token });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.missingFields.includes('CAC Document'));
+      assert.ok(!res.body.data.missingFields.includes('Business Category'));
+    });
+
+    it('is vendor only', async () => {
+      const res = await api.get('/api/vendors/profile/completion', { token: planner.token });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('verification', () => {
+    it('PUT /api/vendors/:vendorId/verification is admin only', async () => {
+      const res = await api.put(`/api/vendors/${photographer.id}/verification`, {
+        token: planner.token,
+        body: { status: 'approved' }
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'Access denied. Required role: admin. Your role: planner');
+    });
+
+    it('PUT /api/vendors/:vendorId/verification requires a reason to reject', async () => {
+      const res = await api.put(`/api/vendors/${photographer.id}/verification`, {
+        token: admin.token,
+        body: { status: 'rejected' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'A reason is required when rejecting a vendor' });
+    });
+
+    it('PUT /api/vendors/:vendorId/verification needs a CAC document', async () => {
+      const res = await api.put(`/api/vendors/${band.id}/verification`, {
+        token: admin.token,
+        body: { status: 'approved' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'This vendor has not uploaded a CAC document');
+    });
+
+    it('PUT /api/vendors/:vendorId/verification rejects with a reason', async () => {
+      const res = await api.put(`/api/vendors/${photographer.id}/verification`, {
+        token: admin.token,
+        body: { status: 'rejected', reason: 'Document is blurry' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.verificationStatus, 'rejected');
+    });
+
+    it('GET /api/vendors/verification shows the vendor their status and reason', async () => {
+      const res = await api.get('/api/vendors/verification', { token: photographer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.verificationStatus, 'rejected');
+      assert.equal(res.body.data.verificationReason, 'Document is blurry');
+    });
+
+    it('keeps the review record out of the public vendor endpoints', async () => {
+      await api.post('/api/calendar/feed', { token: photographer.token });
+
+      const responses = [
+        await api.get(`/api/vendors/${photographer.id}`),
+        await api.get('/api/vendors'),
+        await api.get('/api/vendors/search?q=photography')
+      ];
+
+      responses.forEach(res => {
+        assert.equal(res.status, 200);
+
+        const vendors = [res.body.data].flat();
+        const profile = vendors.find(vendor => vendor.id === photographer.id);
+
+        assert.equal(profile.verificationStatus, 'rejected');
+        ['password', 'calendarFeedTokenHash', 'verifiedBy', 'verificationReason', 'verificationHistory'].forEach(field => {
+          assert.equal(field in profile, false, field);
+        });
+      });
+
+      const body = JSON.stringify(responses.map(res => res.body));
+      assert.ok(!body.includes('Document is blurry'));
+      assert.ok(!body.includes(admin.id));
+    });
+
+    it('PUT /api/vendors/verification/resubmit sends it back for review', async () => {
+      const res = await api.put('/api/vendors/verification/resubmit', { token: photographer.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.verificationStatus, 'pending');
+    });
+
+    it('PUT /api/vendors/verification/resubmit only works after a rejection', async () => {
+      const res = await api.put('/api/vendors/verification/resubmit', { token: photographer.token });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Only rejected verifications can be resubmitted (current status: pending)');
+    });
+
+    it('PUT /api/vendors/:vendorId/verification approves the vendor', async () => {
+      const res = await api.put(`/api/vendors/${photographer.id}/verification`, {
+        token: admin.token,
+        body: { status: 'approved' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.verificationStatus, 'approved');
+    });
+
+    it('PUT /api/vendors/:vendorId/verification returns 404 for non-vendors', async () => {
+      const res = await api.put(`/api/vendors/${planner.id}/verification`, {
+        token: admin.token,
+        body: { status: 'approved' }
+      });
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { success: false, message: 'Vendor not found' });
+    });
+
+    it('verification routes for vendors are vendor only', async () => {
+      const status = await api.get('/api/vendors/verification', { token: planner.token });
+      const resubmit = await api.put('/api/vendors/verification/resubmit', { token: planner.token });
+
+      assert.equal(status.status, 403);
+      assert.equal(resubmit.status, 403);
+    });
+  });
+
+  describe('GET /api/vendors', () => {
+    it('lists vendors publicly, verified first', async () => {
+      const res = await api.get('/api/vendors');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(vendor => vendor.id), [photographer.id, band.id]);
+      assert.equal(res.body.data[0].verifiedBadge, true);
+      assert.ok(res.body.data.every(vendor => vendor.password === undefined));
+    });
+
+    it('filters by category', async () => {
+      const res = await api.get('/api/vendors?category=music');
+
+      assert.deepEqual(res.body.data.map(vendor => vendor.id), [band.id]);
+    });
+
+    it('filters by price range', async () => {
+      const res = await api.get('/api/vendors?maxPrice=600000');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(vendor => vendor.id), [photographer.id]);
+    });
+
+    it('rejects an inverted price range', async () => {
+      const res = await api.get('/api/vendors?minPrice=10&maxPrice=5');
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'minPrice cannot be greater than maxPrice' });
+    });
+
+    it('finds vendors near one of the planner\'s events', async () => {
+      const res = await api.get(`/api/vendors?near=${event.id}&radiusKm=50`, { token: planner.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(vendor => vendor.id), [photographer.id]);
+      assert.ok(res.body.data[0].distanceKm < 50);
+      assert.equal(res.body.pagination.sort, 'distance');
+    });
+
+    it('rejects a cursor that is not in the list', async () => {
+      const res = await api.get(`/api/vendors?near=${event.id}&cursor=missing`, { token: planner.token });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Invalid cursor. Start again without one' });
+    });
+
+    it('requires login to search near an event', async () => {
+      const res = await api.get(`/api/vendors?near=${event.id}`);
+
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { success: false, message: 'Log in to search near one of your events' });
+    });
+
+    it('only searches near events the planner can see', async () => {
+      const other = await createUser('planner');
+      const res = await api.get(`/api/vendors?near=${event.id}`, { token: other.token });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('GET /api/vendors/search', () => {
+    it('ranks matches and tolerates typos', async () => {
+      const res = await api.get('/api/vendors/search?q=photgraphy');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(vendor => vendor.id), [photographer.id]);
+      assert.equal(res.body.total, 1);
+      assert.ok(res.body.facets);
+    });
+
+    it('requires a query', async () => {
+      const res = await api.get('/api/vendors/search');
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Search query is required' });
+    });
+  });
+
+  describe('GET /api/vendors/:id and /:id/calendar', () => {
+    it('returns a public vendor profile', async () => {
+      const res = await api.get(`/api/vendors/${band.id}`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.businessName, 'Highlife Band');
+      assert.equal(res.body.data.password, undefined);
+    });
+
+    it('does not expose planners as vendors', async () => {
+      const res = await api.get(`/api/vendors/${planner.id}`);
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { success: false, message: 'Vendor not found' });
+    });
+
+    it('returns the vendor\'s busy dates', async () => {
+      const res = await api.get(`/api/vendors/${band.id}/calendar?from=2030-01-01&to=2030-01-31`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.from, '2030-01-01');
+      assert.deepEqual(res.body.data.busy, []);
+    });
+
+    it('validates the calendar range', async () => {
+      const res = await api.get(`/api/vendors/${band.id}/calendar?from=2030-02-01&to=2030-01-01`);
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'to must be on or after from' });
+    });
+  });
+
+  describe('POST /api/vendors/:id/rating/recalculate', () => {
+    it('is admin only', async () => {
+      const res = await api.post(`/api/vendors/${band.id}/rating/recalculate`, { token: band.token });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('recalculates from reviews', async () => {
+      const res = await api.post(`/api/vendors/${band.id}/rating/recalculate`, { token: admin.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data, { rating: 0, reviewCount: 0 });
+    });
+
+    it('returns 404 for an unknown vendor', async () => {
+      const res = await api.post('/api/vendors/missing-vendor/rating/recalculate', { token: admin.token });
+
+      assert.equal(res.status, 404);
+    });
+  });
+});